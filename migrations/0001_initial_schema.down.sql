@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS reminders;
+DROP TABLE IF EXISTS family_members;
+DROP TABLE IF EXISTS profiles;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS reminder_completions;
+
+ALTER TABLE reminders
+  DROP COLUMN IF EXISTS occurrence_count,
+  DROP COLUMN IF EXISTS recurrence_rule;
@@ -0,0 +1,17 @@
+-- RRULE-style recurrence; due_date holds the current occurrence.
+
+ALTER TABLE reminders
+  ADD COLUMN recurrence_rule TEXT,
+  ADD COLUMN occurrence_count INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE reminder_completions (
+  id SERIAL PRIMARY KEY,
+  reminder_id INTEGER NOT NULL REFERENCES reminders(id) ON DELETE CASCADE,
+  completed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  occurrence_date DATE NOT NULL,
+  occurrence_time TIME,
+  completed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX reminder_completions_reminder_id_idx
+  ON reminder_completions (reminder_id, completed_at DESC);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS reminders_open_due_date_idx;
+DROP TABLE IF EXISTS reminder_deliveries;
@@ -0,0 +1,16 @@
+-- One row per alert sent by the scheduler. The unique key is what
+-- keeps delivery idempotent across restarts and API instances.
+
+CREATE TABLE reminder_deliveries (
+  id SERIAL PRIMARY KEY,
+  reminder_id INTEGER NOT NULL REFERENCES reminders(id) ON DELETE CASCADE,
+  due_date DATE NOT NULL,
+  lead_minutes INTEGER NOT NULL,
+  notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+  emailed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (reminder_id, due_date, lead_minutes)
+);
+
+CREATE INDEX reminders_open_due_date_idx
+  ON reminders (due_date) WHERE completed = false;
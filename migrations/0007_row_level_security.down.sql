@@ -0,0 +1,18 @@
+DROP POLICY IF EXISTS notifications_owner ON notifications;
+ALTER TABLE notifications NO FORCE ROW LEVEL SECURITY;
+ALTER TABLE notifications DISABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS reminder_completions_owner ON reminder_completions;
+ALTER TABLE reminder_completions NO FORCE ROW LEVEL SECURITY;
+ALTER TABLE reminder_completions DISABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS reminders_owner ON reminders;
+ALTER TABLE reminders NO FORCE ROW LEVEL SECURITY;
+ALTER TABLE reminders DISABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS family_members_owner ON family_members;
+ALTER TABLE family_members NO FORCE ROW LEVEL SECURITY;
+ALTER TABLE family_members DISABLE ROW LEVEL SECURITY;
+
+DROP FUNCTION IF EXISTS app_bypass_rls();
+DROP FUNCTION IF EXISTS app_current_user_id();
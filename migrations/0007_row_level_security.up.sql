@@ -0,0 +1,58 @@
+-- Row-level security for user-owned data.
+--
+-- Requests run inside withUser() (src/dbclient.js), which sets
+-- app.current_user_id for the transaction. Background jobs and
+-- migrations use withSystem(), which sets app.bypass_rls instead.
+-- FORCE makes the policies apply to the table owner as well, so they
+-- hold even when the API connects as the role that owns the schema.
+
+CREATE FUNCTION app_current_user_id() RETURNS UUID
+LANGUAGE sql STABLE AS $$
+  SELECT NULLIF(current_setting('app.current_user_id', true), '')::uuid
+$$;
+
+CREATE FUNCTION app_bypass_rls() RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(current_setting('app.bypass_rls', true), '') = 'on'
+$$;
+
+ALTER TABLE family_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE family_members FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY family_members_owner ON family_members
+  USING (app_bypass_rls() OR account_owner_id = app_current_user_id())
+  WITH CHECK (app_bypass_rls() OR account_owner_id = app_current_user_id());
+
+ALTER TABLE reminders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminders FORCE ROW LEVEL SECURITY;
+
+-- A reminder may only be assigned to one of the owner's own family
+-- members (the subquery is itself filtered by family_members_owner).
+CREATE POLICY reminders_owner ON reminders
+  USING (app_bypass_rls() OR user_id = app_current_user_id())
+  WITH CHECK (
+    app_bypass_rls()
+    OR (
+      user_id = app_current_user_id()
+      AND (
+        assigned_member_id IS NULL
+        OR EXISTS (SELECT 1 FROM family_members fm WHERE fm.id = assigned_member_id)
+      )
+    )
+  );
+
+ALTER TABLE reminder_completions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_completions FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY reminder_completions_owner ON reminder_completions
+  USING (
+    app_bypass_rls()
+    OR EXISTS (SELECT 1 FROM reminders r WHERE r.id = reminder_id)
+  );
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY notifications_owner ON notifications
+  USING (app_bypass_rls() OR user_id = app_current_user_id())
+  WITH CHECK (app_bypass_rls() OR user_id = app_current_user_id());
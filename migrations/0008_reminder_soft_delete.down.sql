@@ -0,0 +1,15 @@
+DROP INDEX IF EXISTS reminders_deleted_at_idx;
+
+DROP INDEX IF EXISTS reminders_open_due_date_idx;
+CREATE INDEX reminders_open_due_date_idx
+  ON reminders (due_date) WHERE completed = false;
+
+DROP TRIGGER IF EXISTS reminders_set_updated_at ON reminders;
+DROP FUNCTION IF EXISTS set_updated_at();
+
+-- Soft-deleted reminders would otherwise come back to life.
+DELETE FROM reminders WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE reminders
+  DROP COLUMN IF EXISTS updated_at,
+  DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,28 @@
+-- Deleting a reminder only stamps deleted_at; it can be restored until
+-- the scheduler purges it once the restore window has passed.
+
+ALTER TABLE reminders
+  ADD COLUMN deleted_at TIMESTAMPTZ,
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+UPDATE reminders SET updated_at = COALESCE(completed_at, created_at);
+
+CREATE FUNCTION set_updated_at() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.updated_at := now();
+  RETURN NEW;
+END
+$$;
+
+CREATE TRIGGER reminders_set_updated_at
+  BEFORE UPDATE ON reminders
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- The scheduler only looks at open, live reminders.
+DROP INDEX reminders_open_due_date_idx;
+CREATE INDEX reminders_open_due_date_idx
+  ON reminders (due_date) WHERE completed = false AND deleted_at IS NULL;
+
+CREATE INDEX reminders_deleted_at_idx
+  ON reminders (deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS reminders_user_id_created_at_idx;
+DROP INDEX IF EXISTS reminders_search_idx;
+DROP FUNCTION IF EXISTS reminder_search_document(TEXT, TEXT, TEXT);
@@ -0,0 +1,18 @@
+-- Full-text search over reminders. The document is an indexed
+-- expression rather than a column so it never shows up in SELECT *;
+-- queries must call reminder_search_document() exactly as below for
+-- the index to be used.
+
+CREATE FUNCTION reminder_search_document(title TEXT, description TEXT, location TEXT)
+RETURNS tsvector
+LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+  SELECT setweight(to_tsvector('english', COALESCE(title, '')), 'A')
+      || setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+      || setweight(to_tsvector('english', COALESCE(location, '')), 'C')
+$$;
+
+CREATE INDEX reminders_search_idx
+  ON reminders USING GIN (reminder_search_document(title, description, location));
+
+-- Keyset pagination ordered by creation time.
+CREATE INDEX reminders_user_id_created_at_idx ON reminders (user_id, created_at, id);
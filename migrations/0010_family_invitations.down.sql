@@ -0,0 +1,24 @@
+DROP POLICY IF EXISTS reminders_assignee_update ON reminders;
+DROP POLICY IF EXISTS reminders_assignee_select ON reminders;
+
+ALTER POLICY reminders_owner ON reminders
+  WITH CHECK (
+    app_bypass_rls()
+    OR (
+      user_id = app_current_user_id()
+      AND (
+        assigned_member_id IS NULL
+        OR EXISTS (SELECT 1 FROM family_members fm WHERE fm.id = assigned_member_id)
+      )
+    )
+  );
+
+DROP POLICY IF EXISTS family_members_linked ON family_members;
+
+DROP TABLE IF EXISTS family_invitations;
+
+DROP INDEX IF EXISTS family_members_linked_user_id_idx;
+DROP INDEX IF EXISTS family_members_owner_linked_user_idx;
+
+ALTER TABLE family_members
+  DROP COLUMN IF EXISTS linked_user_id;
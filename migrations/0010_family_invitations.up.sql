@@ -0,0 +1,100 @@
+-- Family members can be invited to link their own account. A linked
+-- member sees, and can complete, the reminders assigned to them.
+
+ALTER TABLE family_members
+  ADD COLUMN linked_user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- One member row per user in any given family.
+CREATE UNIQUE INDEX family_members_owner_linked_user_idx
+  ON family_members (account_owner_id, linked_user_id)
+  WHERE linked_user_id IS NOT NULL;
+
+CREATE INDEX family_members_linked_user_id_idx
+  ON family_members (linked_user_id) WHERE linked_user_id IS NOT NULL;
+
+CREATE TABLE family_invitations (
+  id SERIAL PRIMARY KEY,
+  account_owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  family_member_id INTEGER NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+  -- Embedded in the signed token; rotating it on resend invalidates
+  -- every link sent before.
+  token_nonce TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  send_count INTEGER NOT NULL DEFAULT 1,
+  last_sent_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX family_invitations_pending_member_idx
+  ON family_invitations (family_member_id) WHERE status = 'pending';
+
+CREATE INDEX family_invitations_account_owner_id_idx
+  ON family_invitations (account_owner_id, created_at DESC);
+
+ALTER TABLE family_invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE family_invitations FORCE ROW LEVEL SECURITY;
+
+-- Invitees never query this table directly: accepting and declining
+-- go through the signed token and run with withSystem().
+CREATE POLICY family_invitations_owner ON family_invitations
+  USING (app_bypass_rls() OR account_owner_id = app_current_user_id())
+  WITH CHECK (app_bypass_rls() OR account_owner_id = app_current_user_id());
+
+-- Linked users can see their own member row in other families...
+CREATE POLICY family_members_linked ON family_members
+  FOR SELECT
+  USING (linked_user_id = app_current_user_id());
+
+-- ...which must not make it assignable by them.
+ALTER POLICY reminders_owner ON reminders
+  WITH CHECK (
+    app_bypass_rls()
+    OR (
+      user_id = app_current_user_id()
+      AND (
+        assigned_member_id IS NULL
+        OR EXISTS (
+          SELECT 1 FROM family_members fm
+          WHERE fm.id = assigned_member_id
+            AND fm.account_owner_id = app_current_user_id()
+        )
+      )
+    )
+  );
+
+-- Reminders assigned to a linked member are visible to, and can be
+-- completed by, that member's user.
+CREATE POLICY reminders_assignee_select ON reminders
+  FOR SELECT
+  USING (
+    deleted_at IS NULL
+    AND EXISTS (
+      SELECT 1 FROM family_members fm
+      WHERE fm.id = assigned_member_id
+        AND fm.linked_user_id = app_current_user_id()
+    )
+  );
+
+CREATE POLICY reminders_assignee_update ON reminders
+  FOR UPDATE
+  USING (
+    deleted_at IS NULL
+    AND EXISTS (
+      SELECT 1 FROM family_members fm
+      WHERE fm.id = assigned_member_id
+        AND fm.linked_user_id = app_current_user_id()
+    )
+  )
+  WITH CHECK (
+    deleted_at IS NULL
+    AND EXISTS (
+      SELECT 1 FROM family_members fm
+      WHERE fm.id = assigned_member_id
+        AND fm.linked_user_id = app_current_user_id()
+    )
+  );
@@ -0,0 +1,81 @@
+-- Rows go back to being owned by whoever created them.
+
+-- Refers to family_members.household_id, dropped below.
+DROP POLICY IF EXISTS households_read ON households;
+
+DROP POLICY IF EXISTS notifications_recipient ON notifications;
+CREATE POLICY notifications_owner ON notifications
+  USING (app_bypass_rls() OR user_id = app_current_user_id())
+  WITH CHECK (app_bypass_rls() OR user_id = app_current_user_id());
+
+DROP POLICY IF EXISTS reminder_completions_write ON reminder_completions;
+DROP POLICY IF EXISTS reminder_completions_read ON reminder_completions;
+CREATE POLICY reminder_completions_owner ON reminder_completions
+  USING (
+    app_bypass_rls()
+    OR EXISTS (SELECT 1 FROM reminders r WHERE r.id = reminder_id)
+  );
+
+DROP POLICY IF EXISTS reminders_household_delete ON reminders;
+DROP POLICY IF EXISTS reminders_household_update ON reminders;
+DROP POLICY IF EXISTS reminders_household_create ON reminders;
+DROP POLICY IF EXISTS reminders_household_read ON reminders;
+CREATE POLICY reminders_owner ON reminders
+  USING (app_bypass_rls() OR user_id = app_current_user_id())
+  WITH CHECK (
+    app_bypass_rls()
+    OR (
+      user_id = app_current_user_id()
+      AND (
+        assigned_member_id IS NULL
+        OR EXISTS (
+          SELECT 1 FROM family_members fm
+          WHERE fm.id = assigned_member_id
+            AND fm.account_owner_id = app_current_user_id()
+        )
+      )
+    )
+  );
+
+DROP POLICY IF EXISTS family_invitations_household ON family_invitations;
+CREATE POLICY family_invitations_owner ON family_invitations
+  USING (app_bypass_rls() OR account_owner_id = app_current_user_id())
+  WITH CHECK (app_bypass_rls() OR account_owner_id = app_current_user_id());
+
+DROP POLICY IF EXISTS family_members_household_manage ON family_members;
+DROP POLICY IF EXISTS family_members_household_read ON family_members;
+CREATE POLICY family_members_owner ON family_members
+  USING (app_bypass_rls() OR account_owner_id = app_current_user_id())
+  WITH CHECK (app_bypass_rls() OR account_owner_id = app_current_user_id());
+
+ALTER TABLE notifications DROP COLUMN IF EXISTS household_id;
+ALTER TABLE reminders DROP COLUMN IF EXISTS household_id;
+ALTER TABLE family_invitations DROP COLUMN IF EXISTS household_id;
+
+DROP INDEX IF EXISTS family_members_household_linked_user_idx;
+ALTER TABLE family_members DROP COLUMN IF EXISTS household_id;
+
+-- A user may have been linked to members of several co-owners' rows
+-- in one household; keep the first link per owner.
+UPDATE family_members fm
+SET linked_user_id = NULL
+WHERE linked_user_id IS NOT NULL
+  AND EXISTS (
+    SELECT 1 FROM family_members other
+    WHERE other.account_owner_id = fm.account_owner_id
+      AND other.linked_user_id = fm.linked_user_id
+      AND other.id < fm.id
+  );
+
+CREATE UNIQUE INDEX family_members_owner_linked_user_idx
+  ON family_members (account_owner_id, linked_user_id)
+  WHERE linked_user_id IS NOT NULL;
+
+DROP TABLE IF EXISTS household_members;
+DROP TABLE IF EXISTS households;
+
+DROP FUNCTION IF EXISTS household_members_keep_owner();
+DROP FUNCTION IF EXISTS households_add_owner();
+DROP FUNCTION IF EXISTS app_can_manage_household_role(INTEGER, TEXT);
+DROP FUNCTION IF EXISTS app_has_household_role(INTEGER, TEXT);
+DROP FUNCTION IF EXISTS app_household_role(INTEGER);
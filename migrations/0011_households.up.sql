@@ -0,0 +1,390 @@
+-- Households let several users co-manage the same family members,
+-- reminders and notifications. Every household has exactly one
+-- owner; the other members are admins, members or viewers:
+--
+--   viewer  sees the household's family members and reminders
+--   member  also creates, edits, completes and deletes reminders
+--   admin   also manages family members, invitations and members
+--   owner   also grants admin, renames, transfers and deletes it
+
+CREATE TABLE households (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE household_members (
+  household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'member', 'viewer')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (household_id, user_id),
+  -- Deferred, so ownership can be handed over within a transaction.
+  CONSTRAINT household_members_one_owner
+    EXCLUDE USING btree (household_id WITH =) WHERE (role = 'owner')
+    DEFERRABLE INITIALLY DEFERRED
+);
+
+CREATE INDEX household_members_user_id_idx ON household_members (user_id);
+
+-- Every existing user gets a household of their own, holding
+-- everything they owned so far.
+INSERT INTO households (name, created_by)
+SELECT COALESCE(NULLIF(full_name, ''), email) || '''s household', id
+FROM users;
+
+INSERT INTO household_members (household_id, user_id, role)
+SELECT id, created_by, 'owner' FROM households;
+
+ALTER TABLE family_members
+  ADD COLUMN household_id INTEGER REFERENCES households(id) ON DELETE CASCADE;
+UPDATE family_members fm
+SET household_id = h.id
+FROM households h
+WHERE h.created_by = fm.account_owner_id;
+ALTER TABLE family_members ALTER COLUMN household_id SET NOT NULL;
+CREATE INDEX family_members_household_id_idx ON family_members (household_id);
+
+-- A user is linked to at most one member row per household.
+DROP INDEX family_members_owner_linked_user_idx;
+CREATE UNIQUE INDEX family_members_household_linked_user_idx
+  ON family_members (household_id, linked_user_id)
+  WHERE linked_user_id IS NOT NULL;
+
+ALTER TABLE family_invitations
+  ADD COLUMN household_id INTEGER REFERENCES households(id) ON DELETE CASCADE;
+UPDATE family_invitations fi
+SET household_id = fm.household_id
+FROM family_members fm
+WHERE fm.id = fi.family_member_id;
+ALTER TABLE family_invitations ALTER COLUMN household_id SET NOT NULL;
+CREATE INDEX family_invitations_household_id_idx
+  ON family_invitations (household_id, created_at DESC);
+
+ALTER TABLE reminders
+  ADD COLUMN household_id INTEGER REFERENCES households(id) ON DELETE CASCADE;
+UPDATE reminders r
+SET household_id = h.id
+FROM households h
+WHERE h.created_by = r.user_id;
+ALTER TABLE reminders ALTER COLUMN household_id SET NOT NULL;
+CREATE INDEX reminders_household_id_idx ON reminders (household_id);
+
+-- Notifications stay addressed to one user; household_id says which
+-- household they are about (NULL for account-level notices).
+ALTER TABLE notifications
+  ADD COLUMN household_id INTEGER REFERENCES households(id) ON DELETE CASCADE;
+UPDATE notifications n
+SET household_id = h.id
+FROM households h
+WHERE h.created_by = n.user_id;
+
+/* ------------------------------------------------------
+   Role checks used by the policies below
+------------------------------------------------------ */
+
+-- The current user's role in a household, or NULL. household_members
+-- is itself protected by policies that call this function, so it
+-- reads the table with app.bypass_rls switched on for the duration of
+-- its own query; it only ever looks at the current user's row.
+CREATE FUNCTION app_household_role(hid INTEGER) RETURNS TEXT
+LANGUAGE plpgsql STABLE AS $$
+DECLARE
+  previous TEXT := current_setting('app.bypass_rls', true);
+  result TEXT;
+BEGIN
+  PERFORM set_config('app.bypass_rls', 'on', true);
+
+  SELECT role INTO result
+  FROM household_members
+  WHERE household_id = hid AND user_id = app_current_user_id();
+
+  PERFORM set_config('app.bypass_rls', COALESCE(previous, ''), true);
+  RETURN result;
+END
+$$;
+
+-- Whether the current user holds at least `minimum` in a household.
+CREATE FUNCTION app_has_household_role(hid INTEGER, minimum TEXT) RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(
+    array_position(ARRAY['viewer', 'member', 'admin', 'owner'], app_household_role(hid))
+      >= array_position(ARRAY['viewer', 'member', 'admin', 'owner'], minimum),
+    false
+  )
+$$;
+
+-- Whether the current user may give (or take away) `target_role` in
+-- a household: owners manage everyone, admins manage members and
+-- viewers.
+CREATE FUNCTION app_can_manage_household_role(hid INTEGER, target_role TEXT) RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT CASE app_household_role(hid)
+    WHEN 'owner' THEN true
+    WHEN 'admin' THEN target_role IN ('member', 'viewer')
+    ELSE false
+  END
+$$;
+
+/* ------------------------------------------------------
+   Households
+------------------------------------------------------ */
+
+ALTER TABLE households ENABLE ROW LEVEL SECURITY;
+ALTER TABLE households FORCE ROW LEVEL SECURITY;
+
+-- created_by keeps a new household visible to its creator for the
+-- RETURNING of the INSERT that creates it. Users linked to one of its
+-- family members see it too.
+CREATE POLICY households_read ON households
+  FOR SELECT
+  USING (
+    app_bypass_rls()
+    OR app_household_role(id) IS NOT NULL
+    OR created_by = app_current_user_id()
+    OR EXISTS (
+      SELECT 1 FROM family_members fm
+      WHERE fm.household_id = households.id
+        AND fm.linked_user_id = app_current_user_id()
+    )
+  );
+
+CREATE POLICY households_create ON households
+  FOR INSERT
+  WITH CHECK (app_bypass_rls() OR created_by = app_current_user_id());
+
+CREATE POLICY households_update ON households
+  FOR UPDATE
+  USING (app_bypass_rls() OR app_has_household_role(id, 'admin'))
+  WITH CHECK (app_bypass_rls() OR app_has_household_role(id, 'admin'));
+
+CREATE POLICY households_delete ON households
+  FOR DELETE
+  USING (app_bypass_rls() OR app_has_household_role(id, 'owner'));
+
+-- The creator of a household becomes its owner.
+CREATE FUNCTION households_add_owner() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+DECLARE
+  previous TEXT := current_setting('app.bypass_rls', true);
+BEGIN
+  IF NEW.created_by IS NOT NULL THEN
+    PERFORM set_config('app.bypass_rls', 'on', true);
+
+    INSERT INTO household_members (household_id, user_id, role)
+    VALUES (NEW.id, NEW.created_by, 'owner');
+
+    PERFORM set_config('app.bypass_rls', COALESCE(previous, ''), true);
+  END IF;
+
+  RETURN NULL;
+END
+$$;
+
+CREATE TRIGGER households_add_owner
+  AFTER INSERT ON households
+  FOR EACH ROW EXECUTE FUNCTION households_add_owner();
+
+/* ------------------------------------------------------
+   Household members
+------------------------------------------------------ */
+
+-- The one-owner constraint stops a second owner; this stops the last
+-- one from leaving or stepping down without handing over. Deferred
+-- like the constraint, and skipped when the household itself is gone.
+CREATE FUNCTION household_members_keep_owner() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+DECLARE
+  previous TEXT := current_setting('app.bypass_rls', true);
+  orphaned BOOLEAN;
+BEGIN
+  PERFORM set_config('app.bypass_rls', 'on', true);
+
+  SELECT EXISTS (SELECT 1 FROM households WHERE id = OLD.household_id)
+     AND NOT EXISTS (
+       SELECT 1 FROM household_members
+       WHERE household_id = OLD.household_id AND role = 'owner'
+     )
+  INTO orphaned;
+
+  PERFORM set_config('app.bypass_rls', COALESCE(previous, ''), true);
+
+  IF orphaned THEN
+    RAISE EXCEPTION 'household % has no owner', OLD.household_id
+      USING ERRCODE = 'check_violation', CONSTRAINT = 'household_members_one_owner';
+  END IF;
+
+  RETURN NULL;
+END
+$$;
+
+CREATE CONSTRAINT TRIGGER household_members_keep_owner
+  AFTER UPDATE OR DELETE ON household_members
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW
+  WHEN (OLD.role = 'owner')
+  EXECUTE FUNCTION household_members_keep_owner();
+
+ALTER TABLE household_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_members FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY household_members_read ON household_members
+  FOR SELECT
+  USING (app_bypass_rls() OR app_household_role(household_id) IS NOT NULL);
+
+CREATE POLICY household_members_add ON household_members
+  FOR INSERT
+  WITH CHECK (app_bypass_rls() OR app_can_manage_household_role(household_id, role));
+
+-- Checked against both the old and the new role, so an admin can
+-- neither promote anyone to admin nor demote another admin.
+CREATE POLICY household_members_change ON household_members
+  FOR UPDATE
+  USING (app_bypass_rls() OR app_can_manage_household_role(household_id, role))
+  WITH CHECK (app_bypass_rls() OR app_can_manage_household_role(household_id, role));
+
+-- Anyone but the owner can leave; the owner has to hand over first.
+CREATE POLICY household_members_remove ON household_members
+  FOR DELETE
+  USING (
+    app_bypass_rls()
+    OR (
+      role <> 'owner'
+      AND (
+        user_id = app_current_user_id()
+        OR app_can_manage_household_role(household_id, role)
+      )
+    )
+  );
+
+/* ------------------------------------------------------
+   Family members and invitations
+------------------------------------------------------ */
+
+DROP POLICY family_members_owner ON family_members;
+
+CREATE POLICY family_members_household_read ON family_members
+  FOR SELECT
+  USING (app_bypass_rls() OR app_household_role(household_id) IS NOT NULL);
+
+CREATE POLICY family_members_household_manage ON family_members
+  USING (app_bypass_rls() OR app_has_household_role(household_id, 'admin'))
+  WITH CHECK (app_bypass_rls() OR app_has_household_role(household_id, 'admin'));
+
+DROP POLICY family_invitations_owner ON family_invitations;
+
+CREATE POLICY family_invitations_household ON family_invitations
+  USING (app_bypass_rls() OR app_has_household_role(household_id, 'admin'))
+  WITH CHECK (app_bypass_rls() OR app_has_household_role(household_id, 'admin'));
+
+/* ------------------------------------------------------
+   Reminders
+------------------------------------------------------ */
+
+DROP POLICY reminders_owner ON reminders;
+
+CREATE POLICY reminders_household_read ON reminders
+  FOR SELECT
+  USING (app_bypass_rls() OR app_household_role(household_id) IS NOT NULL);
+
+-- Reminders can only be assigned to a family member of their own
+-- household.
+CREATE POLICY reminders_household_create ON reminders
+  FOR INSERT
+  WITH CHECK (
+    app_bypass_rls()
+    OR (
+      user_id = app_current_user_id()
+      AND app_has_household_role(household_id, 'member')
+      AND (
+        assigned_member_id IS NULL
+        OR EXISTS (
+          SELECT 1 FROM family_members fm
+          WHERE fm.id = assigned_member_id
+            AND fm.household_id = reminders.household_id
+        )
+      )
+    )
+  );
+
+CREATE POLICY reminders_household_update ON reminders
+  FOR UPDATE
+  USING (app_bypass_rls() OR app_has_household_role(household_id, 'member'))
+  WITH CHECK (
+    app_bypass_rls()
+    OR (
+      app_has_household_role(household_id, 'member')
+      AND (
+        assigned_member_id IS NULL
+        OR EXISTS (
+          SELECT 1 FROM family_members fm
+          WHERE fm.id = assigned_member_id
+            AND fm.household_id = reminders.household_id
+        )
+      )
+    )
+  );
+
+CREATE POLICY reminders_household_delete ON reminders
+  FOR DELETE
+  USING (app_bypass_rls() OR app_has_household_role(household_id, 'member'));
+
+-- Viewers see the completion history but cannot complete.
+DROP POLICY reminder_completions_owner ON reminder_completions;
+
+CREATE POLICY reminder_completions_read ON reminder_completions
+  FOR SELECT
+  USING (
+    app_bypass_rls()
+    OR EXISTS (SELECT 1 FROM reminders r WHERE r.id = reminder_id)
+  );
+
+CREATE POLICY reminder_completions_write ON reminder_completions
+  USING (
+    app_bypass_rls()
+    OR EXISTS (
+      SELECT 1 FROM reminders r
+      WHERE r.id = reminder_id
+        AND (
+          app_has_household_role(r.household_id, 'member')
+          OR EXISTS (
+            SELECT 1 FROM family_members fm
+            WHERE fm.id = r.assigned_member_id
+              AND fm.linked_user_id = app_current_user_id()
+          )
+        )
+    )
+  )
+  WITH CHECK (
+    app_bypass_rls()
+    OR EXISTS (
+      SELECT 1 FROM reminders r
+      WHERE r.id = reminder_id
+        AND (
+          app_has_household_role(r.household_id, 'member')
+          OR EXISTS (
+            SELECT 1 FROM family_members fm
+            WHERE fm.id = r.assigned_member_id
+              AND fm.linked_user_id = app_current_user_id()
+          )
+        )
+    )
+  );
+
+/* ------------------------------------------------------
+   Notifications
+------------------------------------------------------ */
+
+-- Leaving a household hides its notifications.
+DROP POLICY notifications_owner ON notifications;
+
+CREATE POLICY notifications_recipient ON notifications
+  USING (
+    app_bypass_rls()
+    OR (
+      user_id = app_current_user_id()
+      AND (household_id IS NULL OR app_household_role(household_id) IS NOT NULL)
+    )
+  )
+  WITH CHECK (app_bypass_rls() OR user_id = app_current_user_id());
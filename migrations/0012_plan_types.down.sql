@@ -0,0 +1 @@
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_plan_type_check;
@@ -0,0 +1,11 @@
+-- Plans are defined in src/plans.js; keep profiles.plan_type to the
+-- ones it knows. Anything else (signup used to accept any string)
+-- falls back to the default plan.
+
+UPDATE profiles
+SET plan_type = 'family'
+WHERE plan_type NOT IN ('free', 'family', 'premium');
+
+ALTER TABLE profiles
+  ADD CONSTRAINT profiles_plan_type_check
+  CHECK (plan_type IN ('free', 'family', 'premium'));
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS reminders_household_ical_uid_idx;
+ALTER TABLE reminders DROP COLUMN IF EXISTS ical_uid;
+
+DROP TABLE IF EXISTS calendar_feed_tokens;
@@ -0,0 +1,18 @@
+-- Calendar apps cannot send a Bearer token, so each user can create
+-- a secret feed token to put in the subscription URL. Stored hashed,
+-- like user_tokens; one per user, replaced when rotated.
+CREATE TABLE calendar_feed_tokens (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_used_at TIMESTAMPTZ
+);
+
+-- UID of the calendar entry a reminder was imported from. Importing
+-- the same entry into a household again is skipped.
+ALTER TABLE reminders
+  ADD COLUMN ical_uid TEXT;
+
+CREATE UNIQUE INDEX reminders_household_ical_uid_idx
+  ON reminders (household_id, ical_uid)
+  WHERE ical_uid IS NOT NULL;
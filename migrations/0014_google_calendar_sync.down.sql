@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS google_event_links;
+DROP TABLE IF EXISTS google_accounts;
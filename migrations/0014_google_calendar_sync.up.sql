@@ -0,0 +1,41 @@
+-- Google Calendar connections. One per user; the OAuth tokens are
+-- credentials, so this table must never be exposed through the API.
+CREATE TABLE google_accounts (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  google_email TEXT,
+  access_token TEXT,
+  refresh_token TEXT NOT NULL,
+  token_expires_at TIMESTAMPTZ,
+  -- Where reminders of which household are synced
+  household_id INTEGER REFERENCES households(id) ON DELETE SET NULL,
+  calendar_id TEXT NOT NULL DEFAULT 'primary',
+  calendar_name TEXT,
+  calendar_time_zone TEXT NOT NULL DEFAULT 'UTC',
+  -- Turn events created in Google into reminders too
+  import_events BOOLEAN NOT NULL DEFAULT false,
+  -- Incremental sync state
+  sync_token TEXT,
+  sync_started_at TIMESTAMPTZ,
+  last_attempted_at TIMESTAMPTZ,
+  last_synced_at TIMESTAMPTZ,
+  last_sync_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Which event a reminder is synced to. The timestamps record both
+-- sides as of the last sync (in milliseconds, like Google's), so a
+-- change on either side (or both: a conflict) can be told from an
+-- echo of our own write.
+-- reminder_id becomes NULL when the reminder is purged; the next sync
+-- then deletes the event.
+CREATE TABLE google_event_links (
+  id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES google_accounts(user_id) ON DELETE CASCADE,
+  reminder_id INTEGER REFERENCES reminders(id) ON DELETE SET NULL,
+  event_id TEXT NOT NULL,
+  reminder_updated_at TIMESTAMPTZ,
+  event_updated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (user_id, event_id),
+  UNIQUE (user_id, reminder_id)
+);
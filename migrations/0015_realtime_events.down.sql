@@ -0,0 +1,9 @@
+DROP TRIGGER IF EXISTS reminders_publish ON reminders;
+DROP FUNCTION IF EXISTS reminders_publish();
+
+DROP TRIGGER IF EXISTS notifications_publish ON notifications;
+DROP FUNCTION IF EXISTS notifications_publish();
+
+DROP FUNCTION IF EXISTS publish_realtime_event(TEXT, TEXT, UUID, INTEGER, INTEGER, INTEGER);
+
+DROP TABLE IF EXISTS realtime_events;
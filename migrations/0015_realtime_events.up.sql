@@ -0,0 +1,110 @@
+-- Log of changes streamed to clients by GET /api/notifications/stream.
+-- Triggers append a row for every new notification and every change
+-- to a reminder, then NOTIFY realtime_events with its id, so each API
+-- instance can wake up the streams it serves. Stream clients resume
+-- from their last event id; the scheduler purges old rows.
+CREATE TABLE realtime_events (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL CHECK (type IN ('notification', 'reminder')),
+  action TEXT NOT NULL CHECK (action IN ('created', 'updated', 'deleted', 'restored')),
+  -- Recipient of a notification; NULL for household-wide events
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  household_id INTEGER,
+  -- No foreign keys: the events outlive the rows they are about
+  notification_id INTEGER,
+  reminder_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX realtime_events_created_at_idx ON realtime_events (created_at);
+
+ALTER TABLE realtime_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE realtime_events FORCE ROW LEVEL SECURITY;
+
+-- Same visibility as the notifications and reminders themselves.
+-- Only the triggers below write to the table.
+CREATE POLICY realtime_events_recipient ON realtime_events
+  USING (
+    app_bypass_rls()
+    OR (
+      (user_id IS NULL OR user_id = app_current_user_id())
+      AND (household_id IS NULL OR app_household_role(household_id) IS NOT NULL)
+    )
+  )
+  WITH CHECK (app_bypass_rls());
+
+CREATE FUNCTION publish_realtime_event(
+  event_type TEXT,
+  event_action TEXT,
+  recipient UUID,
+  hid INTEGER,
+  nid INTEGER,
+  rid INTEGER
+) RETURNS VOID
+LANGUAGE plpgsql AS $$
+DECLARE
+  previous TEXT := current_setting('app.bypass_rls', true);
+  event_id BIGINT;
+BEGIN
+  PERFORM set_config('app.bypass_rls', 'on', true);
+
+  INSERT INTO realtime_events (type, action, user_id, household_id, notification_id, reminder_id)
+  VALUES (event_type, event_action, recipient, hid, nid, rid)
+  RETURNING id INTO event_id;
+
+  PERFORM set_config('app.bypass_rls', COALESCE(previous, ''), true);
+
+  -- Delivered on commit, and not at all on rollback
+  PERFORM pg_notify(
+    'realtime_events',
+    json_build_object('id', event_id, 'user_id', recipient, 'household_id', hid)::text
+  );
+END
+$$;
+
+CREATE FUNCTION notifications_publish() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM publish_realtime_event('notification', 'created', NEW.user_id, NEW.household_id, NEW.id, NULL);
+  RETURN NULL;
+END
+$$;
+
+CREATE TRIGGER notifications_publish
+  AFTER INSERT ON notifications
+  FOR EACH ROW EXECUTE FUNCTION notifications_publish();
+
+-- Soft deletes and restores are published as such. Purging a reminder
+-- that was already deleted publishes nothing; moving one to another
+-- household deletes it from the old one and creates it in the new.
+CREATE FUNCTION reminders_publish() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM publish_realtime_event('reminder', 'created', NULL, NEW.household_id, NULL, NEW.id);
+  ELSIF TG_OP = 'DELETE' THEN
+    IF OLD.deleted_at IS NULL THEN
+      PERFORM publish_realtime_event('reminder', 'deleted', NULL, OLD.household_id, NULL, OLD.id);
+    END IF;
+  ELSIF OLD.household_id IS DISTINCT FROM NEW.household_id THEN
+    IF OLD.deleted_at IS NULL THEN
+      PERFORM publish_realtime_event('reminder', 'deleted', NULL, OLD.household_id, NULL, OLD.id);
+    END IF;
+    IF NEW.deleted_at IS NULL THEN
+      PERFORM publish_realtime_event('reminder', 'created', NULL, NEW.household_id, NULL, NEW.id);
+    END IF;
+  ELSIF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+    PERFORM publish_realtime_event('reminder', 'deleted', NULL, NEW.household_id, NULL, NEW.id);
+  ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+    PERFORM publish_realtime_event('reminder', 'restored', NULL, NEW.household_id, NULL, NEW.id);
+  ELSIF NEW.deleted_at IS NULL THEN
+    PERFORM publish_realtime_event('reminder', 'updated', NULL, NEW.household_id, NULL, NEW.id);
+  END IF;
+
+  RETURN NULL;
+END
+$$;
+
+CREATE TRIGGER reminders_publish
+  AFTER INSERT OR UPDATE OR DELETE ON reminders
+  FOR EACH ROW EXECUTE FUNCTION reminders_publish();
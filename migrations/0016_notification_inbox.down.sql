@@ -0,0 +1,10 @@
+DROP INDEX IF EXISTS notifications_read_at_idx;
+DROP INDEX IF EXISTS notifications_unread_idx;
+DROP INDEX IF EXISTS notifications_reminder_id_idx;
+
+ALTER TABLE notifications
+  DROP CONSTRAINT IF EXISTS notifications_type_check,
+  DROP COLUMN IF EXISTS archived_at,
+  DROP COLUMN IF EXISTS read_at,
+  DROP COLUMN IF EXISTS reminder_id,
+  DROP COLUMN IF EXISTS type;
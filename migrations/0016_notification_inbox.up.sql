@@ -0,0 +1,29 @@
+-- Notification inbox: what kind of notice each notification is, the
+-- reminder it is about (for deep links), when it was read, and when
+-- it was archived. The scheduler archives notifications that have
+-- been read for a while; archived ones leave the default listing.
+ALTER TABLE notifications
+  ADD COLUMN type TEXT NOT NULL DEFAULT 'system',
+  ADD COLUMN reminder_id INTEGER REFERENCES reminders(id) ON DELETE SET NULL,
+  ADD COLUMN read_at TIMESTAMPTZ,
+  ADD COLUMN archived_at TIMESTAMPTZ;
+
+ALTER TABLE notifications
+  ADD CONSTRAINT notifications_type_check CHECK (type IN ('reminder_due', 'system'));
+
+UPDATE notifications n
+SET type = 'reminder_due', reminder_id = d.reminder_id
+FROM reminder_deliveries d
+WHERE d.notification_id = n.id;
+
+UPDATE notifications SET read_at = created_at WHERE read;
+
+CREATE INDEX notifications_reminder_id_idx ON notifications (reminder_id);
+
+-- Unread counts
+CREATE INDEX notifications_unread_idx
+  ON notifications (user_id) WHERE read = false AND archived_at IS NULL;
+
+-- Archiving
+CREATE INDEX notifications_read_at_idx
+  ON notifications (read_at) WHERE read = true AND archived_at IS NULL;
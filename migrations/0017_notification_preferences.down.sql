@@ -0,0 +1,4 @@
+DROP FUNCTION IF EXISTS in_quiet_hours(TIME, TIME, TEXT);
+DROP FUNCTION IF EXISTS notification_lead_times(JSONB, JSONB, INTEGER[], TEXT, TEXT);
+
+DROP TABLE IF EXISTS notification_preferences;
@@ -0,0 +1,58 @@
+-- Per-user notification preferences, read by the scheduler. A user
+-- without a row gets the defaults below.
+CREATE TABLE notification_preferences (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  -- Channels (the plan's channels still apply on top)
+  in_app_enabled BOOLEAN NOT NULL DEFAULT true,
+  email_enabled BOOLEAN NOT NULL DEFAULT true,
+  push_enabled BOOLEAN NOT NULL DEFAULT true,
+  -- Minutes before due. NULL falls back to REMINDER_LEAD_TIMES; the
+  -- maps hold arrays keyed by priority and by lower-cased category.
+  lead_times INTEGER[],
+  priority_lead_times JSONB NOT NULL DEFAULT '{}',
+  category_lead_times JSONB NOT NULL DEFAULT '{}',
+  -- No email or push from start to end, in time_zone
+  quiet_hours_start TIME,
+  quiet_hours_end TIME,
+  time_zone TEXT NOT NULL DEFAULT 'UTC',
+  -- One email a day bundling low-priority reminders instead of one each
+  digest_enabled BOOLEAN NOT NULL DEFAULT false,
+  digest_time TIME NOT NULL DEFAULT '07:00',
+  digest_sent_on DATE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT notification_preferences_quiet_hours_check
+    CHECK ((quiet_hours_start IS NULL) = (quiet_hours_end IS NULL))
+);
+
+-- The lead times that apply to a reminder: those of its category,
+-- else of its priority, else the user's (or server's) default. An
+-- empty array means no alerts.
+CREATE FUNCTION notification_lead_times(
+  by_category JSONB,
+  by_priority JSONB,
+  fallback INTEGER[],
+  category TEXT,
+  priority TEXT
+) RETURNS INTEGER[]
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE
+    WHEN jsonb_typeof(by_category -> lower(category)) = 'array' THEN
+      ARRAY(SELECT jsonb_array_elements_text(by_category -> lower(category))::int)
+    WHEN jsonb_typeof(by_priority -> priority) = 'array' THEN
+      ARRAY(SELECT jsonb_array_elements_text(by_priority -> priority)::int)
+    ELSE fallback
+  END
+$$;
+
+-- Whether it is now between start_time and end_time in time zone tz.
+-- The range may wrap around midnight (22:00 to 07:00).
+CREATE FUNCTION in_quiet_hours(start_time TIME, end_time TIME, tz TEXT) RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT CASE
+    WHEN start_time IS NULL OR end_time IS NULL THEN false
+    WHEN start_time <= end_time THEN
+      (now() AT TIME ZONE tz)::time >= start_time AND (now() AT TIME ZONE tz)::time < end_time
+    ELSE
+      (now() AT TIME ZONE tz)::time >= start_time OR (now() AT TIME ZONE tz)::time < end_time
+  END
+$$;
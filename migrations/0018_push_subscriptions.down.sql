@@ -0,0 +1,4 @@
+ALTER TABLE reminder_deliveries
+  DROP COLUMN IF EXISTS pushed_at;
+
+DROP TABLE IF EXISTS push_subscriptions;
@@ -0,0 +1,22 @@
+-- Web Push subscriptions, one per browser or device. The endpoint is
+-- unique to the browser, so a device that changes hands moves to
+-- whoever subscribed last. p256dh and auth are the browser's keys the
+-- payload is encrypted for. expires_at comes from the subscription's
+-- expirationTime, when the push service sets one.
+CREATE TABLE push_subscriptions (
+  id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL UNIQUE,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_used_at TIMESTAMPTZ
+);
+
+CREATE INDEX push_subscriptions_user_id_idx ON push_subscriptions (user_id);
+
+-- When a delivery was pushed to at least one of the user's devices.
+ALTER TABLE reminder_deliveries
+  ADD COLUMN pushed_at TIMESTAMPTZ;
@@ -0,0 +1,4 @@
+ALTER TABLE profiles
+  DROP COLUMN IF EXISTS locale;
+
+DROP TABLE IF EXISTS mail_queue;
@@ -0,0 +1,33 @@
+-- Outbound email (see src/mailer.js). Messages are rendered when
+-- queued; bodies are cleared once sent, as they may carry single-use
+-- links. Failed attempts are retried at next_attempt_at until the
+-- message is sent or given up on ('dead'). locked_until is the lease
+-- of the instance sending it.
+CREATE TABLE mail_queue (
+  id BIGSERIAL PRIMARY KEY,
+  recipient TEXT NOT NULL,
+  template TEXT NOT NULL,
+  locale TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  text_body TEXT,
+  html_body TEXT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  locked_until TIMESTAMPTZ,
+  last_error TEXT,
+  message_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX mail_queue_due_idx
+  ON mail_queue (next_attempt_at) WHERE status IN ('pending', 'sending');
+
+CREATE INDEX mail_queue_created_at_idx ON mail_queue (created_at);
+
+-- Language of the emails a user receives (templates/mail); null means
+-- MAIL_DEFAULT_LOCALE.
+ALTER TABLE profiles
+  ADD COLUMN locale TEXT;
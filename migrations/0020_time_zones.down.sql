@@ -0,0 +1,23 @@
+DROP TRIGGER IF EXISTS profiles_move_reminders ON profiles;
+DROP TRIGGER IF EXISTS reminders_set_due_at ON reminders;
+DROP FUNCTION IF EXISTS profiles_move_reminders();
+DROP FUNCTION IF EXISTS reminders_set_due_at();
+DROP FUNCTION IF EXISTS app_current_time_zone();
+DROP FUNCTION IF EXISTS reminder_due_at(DATE, TIME, TEXT);
+DROP FUNCTION IF EXISTS local_to_instant(TIMESTAMP, TEXT);
+
+ALTER TABLE reminders
+  DROP COLUMN IF EXISTS due_at,
+  DROP COLUMN IF EXISTS due_time_zone,
+  DROP COLUMN IF EXISTS time_zone;
+
+ALTER TABLE notification_preferences
+  ADD COLUMN time_zone TEXT NOT NULL DEFAULT 'UTC';
+
+UPDATE notification_preferences np
+SET time_zone = p.time_zone
+FROM profiles p
+WHERE p.user_id = np.user_id;
+
+ALTER TABLE profiles
+  DROP COLUMN IF EXISTS time_zone;
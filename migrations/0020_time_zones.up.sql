@@ -0,0 +1,117 @@
+-- Time zones. A reminder's due_date / due_time are wall-clock values
+-- in its own time_zone, or else in its creator's profile time zone.
+-- due_time_zone is the zone that applies and due_at the instant a
+-- timed reminder is due; triggers keep both up to date.
+
+-- The profile's zone replaces notification_preferences.time_zone.
+-- Users who never set one get their Google calendar's, if connected.
+ALTER TABLE profiles
+  ADD COLUMN time_zone TEXT NOT NULL DEFAULT 'UTC';
+
+UPDATE profiles p
+SET time_zone = COALESCE(
+  (SELECT np.time_zone FROM notification_preferences np WHERE np.user_id = p.user_id),
+  (SELECT g.calendar_time_zone FROM google_accounts g WHERE g.user_id = p.user_id),
+  'UTC'
+);
+
+ALTER TABLE notification_preferences
+  DROP COLUMN time_zone;
+
+ALTER TABLE reminders
+  ADD COLUMN time_zone TEXT,
+  ADD COLUMN due_time_zone TEXT NOT NULL DEFAULT 'UTC',
+  ADD COLUMN due_at TIMESTAMPTZ;
+
+-- The instant of wall-clock time `local` in `zone`. A time skipped
+-- when clocks go forward moves forward by the gap. A time that occurs
+-- twice when clocks go back is its first occurrence (PostgreSQL alone
+-- would take the second).
+CREATE FUNCTION local_to_instant(local TIMESTAMP, zone TEXT) RETURNS TIMESTAMPTZ
+LANGUAGE plpgsql STABLE AS $$
+DECLARE
+  instant TIMESTAMPTZ := local AT TIME ZONE zone;
+  shift INTERVAL;
+BEGIN
+  FOREACH shift IN ARRAY ARRAY[interval '1 hour', interval '30 minutes'] LOOP
+    IF (instant - shift) AT TIME ZONE zone = local THEN
+      RETURN instant - shift;
+    END IF;
+  END LOOP;
+  RETURN instant;
+END;
+$$;
+
+-- Untimed (all-day) reminders have no instant.
+CREATE FUNCTION reminder_due_at(due_date DATE, due_time TIME, zone TEXT) RETURNS TIMESTAMPTZ
+LANGUAGE sql STABLE AS $$
+  SELECT CASE WHEN due_time IS NULL THEN NULL ELSE local_to_instant(due_date + due_time, zone) END
+$$;
+
+-- The current user's time zone, for "today" and "overdue".
+CREATE FUNCTION app_current_time_zone() RETURNS TEXT
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(
+    (SELECT time_zone FROM profiles WHERE user_id = app_current_user_id()),
+    'UTC'
+  )
+$$;
+
+CREATE FUNCTION reminders_set_due_at() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.due_time_zone := COALESCE(
+    NEW.time_zone,
+    (SELECT time_zone FROM profiles WHERE user_id = NEW.user_id),
+    'UTC'
+  );
+  NEW.due_at := reminder_due_at(NEW.due_date, NEW.due_time, NEW.due_time_zone);
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER reminders_set_due_at
+  BEFORE INSERT OR UPDATE OF due_date, due_time, time_zone, user_id ON reminders
+  FOR EACH ROW EXECUTE FUNCTION reminders_set_due_at();
+
+-- Reminders without a zone of their own follow their creator's.
+-- They may be in households the creator has left, hence the bypass.
+CREATE FUNCTION profiles_move_reminders() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+DECLARE
+  previous TEXT := current_setting('app.bypass_rls', true);
+BEGIN
+  PERFORM set_config('app.bypass_rls', 'on', true);
+
+  UPDATE reminders
+  SET due_time_zone = NEW.time_zone,
+      due_at = reminder_due_at(due_date, due_time, NEW.time_zone)
+  WHERE user_id = NEW.user_id
+    AND time_zone IS NULL;
+
+  PERFORM set_config('app.bypass_rls', COALESCE(previous, ''), true);
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER profiles_move_reminders
+  AFTER UPDATE OF time_zone ON profiles
+  FOR EACH ROW
+  WHEN (OLD.time_zone IS DISTINCT FROM NEW.time_zone)
+  EXECUTE FUNCTION profiles_move_reminders();
+
+-- Fill in the existing reminders without touching updated_at or
+-- publishing a change for each.
+ALTER TABLE reminders DISABLE TRIGGER reminders_set_updated_at;
+ALTER TABLE reminders DISABLE TRIGGER reminders_publish;
+
+UPDATE reminders r
+SET due_time_zone = p.time_zone,
+    due_at = reminder_due_at(r.due_date, r.due_time, p.time_zone)
+FROM profiles p
+WHERE p.user_id = r.user_id;
+
+ALTER TABLE reminders ENABLE TRIGGER reminders_set_updated_at;
+ALTER TABLE reminders ENABLE TRIGGER reminders_publish;
+
+CREATE INDEX reminders_due_at_idx ON reminders (due_at);
@@ -0,0 +1,25 @@
+DROP TABLE IF EXISTS reminder_events;
+DROP TABLE IF EXISTS reminder_escalations;
+DROP TABLE IF EXISTS escalation_rules;
+
+DELETE FROM notifications WHERE type = 'reminder_escalated';
+
+ALTER TABLE notifications
+  DROP CONSTRAINT IF EXISTS notifications_type_check,
+  ADD CONSTRAINT notifications_type_check CHECK (type IN ('reminder_due', 'system'));
+
+ALTER TABLE notifications
+  DROP COLUMN IF EXISTS acknowledged_at;
+
+DROP INDEX IF EXISTS reminders_snoozed_until_idx;
+DROP INDEX IF EXISTS reminder_deliveries_snooze_idx;
+
+DELETE FROM reminder_deliveries WHERE lead_minutes IS NULL;
+
+ALTER TABLE reminder_deliveries
+  DROP CONSTRAINT IF EXISTS reminder_deliveries_kind_check,
+  DROP COLUMN IF EXISTS snoozed_until,
+  ALTER COLUMN lead_minutes SET NOT NULL;
+
+ALTER TABLE reminders
+  DROP COLUMN IF EXISTS snoozed_until;
@@ -0,0 +1,132 @@
+-- Snoozing, acknowledging and escalating reminders, and the timeline
+-- that records them.
+
+/* ------------------------------------------------------
+   Snooze
+------------------------------------------------------ */
+
+-- Alerts for the current occurrence that fall before snoozed_until are
+-- skipped; at snoozed_until the scheduler alerts once more. Cleared
+-- when the occurrence is completed or rescheduled.
+ALTER TABLE reminders
+  ADD COLUMN snoozed_until TIMESTAMPTZ;
+
+-- The alert at the end of a snooze is a delivery without a lead time,
+-- claimed once per snooze.
+ALTER TABLE reminder_deliveries
+  ALTER COLUMN lead_minutes DROP NOT NULL,
+  ADD COLUMN snoozed_until TIMESTAMPTZ,
+  ADD CONSTRAINT reminder_deliveries_kind_check
+    CHECK ((lead_minutes IS NULL) <> (snoozed_until IS NULL));
+
+CREATE UNIQUE INDEX reminder_deliveries_snooze_idx
+  ON reminder_deliveries (reminder_id, snoozed_until)
+  WHERE snoozed_until IS NOT NULL;
+
+CREATE INDEX reminders_snoozed_until_idx
+  ON reminders (snoozed_until) WHERE snoozed_until IS NOT NULL;
+
+/* ------------------------------------------------------
+   Acknowledgement
+------------------------------------------------------ */
+
+-- "Seen it": set by the recipient without completing the reminder.
+ALTER TABLE notifications
+  ADD COLUMN acknowledged_at TIMESTAMPTZ;
+
+ALTER TABLE notifications
+  DROP CONSTRAINT notifications_type_check,
+  ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('reminder_due', 'reminder_escalated', 'system'));
+
+/* ------------------------------------------------------
+   Escalation rules
+------------------------------------------------------ */
+
+-- When a high-priority reminder assigned to a family member is still
+-- open after_minutes after it was due, notify notify_member_id's
+-- account, or the household's owner when it is NULL.
+CREATE TABLE escalation_rules (
+  id SERIAL PRIMARY KEY,
+  household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  after_minutes INTEGER NOT NULL CHECK (after_minutes BETWEEN 1 AND 10080),
+  notify_member_id INTEGER REFERENCES family_members(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX escalation_rules_household_id_idx ON escalation_rules (household_id);
+
+ALTER TABLE escalation_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE escalation_rules FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY escalation_rules_read ON escalation_rules
+  FOR SELECT
+  USING (app_bypass_rls() OR app_household_role(household_id) IS NOT NULL);
+
+CREATE POLICY escalation_rules_manage ON escalation_rules
+  USING (app_bypass_rls() OR app_has_household_role(household_id, 'admin'))
+  WITH CHECK (app_bypass_rls() OR app_has_household_role(household_id, 'admin'));
+
+-- One row per escalation sent; the unique key keeps the scheduler from
+-- escalating an occurrence twice under the same rule.
+CREATE TABLE reminder_escalations (
+  id SERIAL PRIMARY KEY,
+  reminder_id INTEGER NOT NULL REFERENCES reminders(id) ON DELETE CASCADE,
+  due_date DATE NOT NULL,
+  rule_id INTEGER NOT NULL REFERENCES escalation_rules(id) ON DELETE CASCADE,
+  notified_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+  emailed_at TIMESTAMPTZ,
+  pushed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (reminder_id, due_date, rule_id)
+);
+
+/* ------------------------------------------------------
+   Timeline
+------------------------------------------------------ */
+
+-- What happened to a reminder and who did it (actor_id is NULL for
+-- the scheduler).
+CREATE TABLE reminder_events (
+  id SERIAL PRIMARY KEY,
+  reminder_id INTEGER NOT NULL REFERENCES reminders(id) ON DELETE CASCADE,
+  type TEXT NOT NULL
+    CHECK (type IN ('completed', 'reopened', 'snoozed', 'acknowledged', 'escalated')),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX reminder_events_reminder_id_idx
+  ON reminder_events (reminder_id, created_at DESC, id DESC);
+
+INSERT INTO reminder_events (reminder_id, type, actor_id, details, created_at)
+SELECT reminder_id, 'completed', completed_by,
+       jsonb_build_object('occurrence_date', occurrence_date, 'occurrence_time', occurrence_time),
+       completed_at
+FROM reminder_completions;
+
+ALTER TABLE reminder_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_events FORCE ROW LEVEL SECURITY;
+
+-- Anyone who can see the reminder sees its timeline; users only add
+-- events in their own name.
+CREATE POLICY reminder_events_read ON reminder_events
+  FOR SELECT
+  USING (
+    app_bypass_rls()
+    OR EXISTS (SELECT 1 FROM reminders r WHERE r.id = reminder_id)
+  );
+
+CREATE POLICY reminder_events_create ON reminder_events
+  FOR INSERT
+  WITH CHECK (
+    app_bypass_rls()
+    OR (
+      actor_id = app_current_user_id()
+      AND EXISTS (SELECT 1 FROM reminders r WHERE r.id = reminder_id)
+    )
+  );
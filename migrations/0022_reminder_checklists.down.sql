@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS reminder_checklist_items;
+DROP FUNCTION IF EXISTS reminder_checklist_items_publish();
+
+ALTER TABLE reminders
+  DROP COLUMN IF EXISTS auto_complete_checklist;
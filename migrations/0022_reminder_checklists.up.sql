@@ -0,0 +1,110 @@
+-- Checklists: ordered steps under a reminder, each ticked on its own.
+-- due_offset_minutes places a step relative to the reminder's due
+-- moment (the start of its day for an all-day reminder); negative is
+-- before. Positions run 1..n per reminder.
+CREATE TABLE reminder_checklist_items (
+  id SERIAL PRIMARY KEY,
+  reminder_id INTEGER NOT NULL REFERENCES reminders(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL CHECK (position >= 1),
+  title TEXT NOT NULL,
+  assigned_member_id INTEGER REFERENCES family_members(id) ON DELETE SET NULL,
+  due_offset_minutes INTEGER CHECK (due_offset_minutes BETWEEN -10080 AND 10080),
+  completed BOOLEAN NOT NULL DEFAULT false,
+  completed_at TIMESTAMPTZ,
+  completed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  -- Deferred, so that moving items can shift positions in any order
+  CONSTRAINT reminder_checklist_items_position_key
+    UNIQUE (reminder_id, position) DEFERRABLE INITIALLY DEFERRED
+);
+
+CREATE TRIGGER reminder_checklist_items_set_updated_at
+  BEFORE UPDATE ON reminder_checklist_items
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Close the reminder when its last item is ticked.
+ALTER TABLE reminders
+  ADD COLUMN auto_complete_checklist BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE reminder_checklist_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_checklist_items FORCE ROW LEVEL SECURITY;
+
+-- Like completions: whoever sees the reminder sees its checklist, and
+-- whoever may complete it may tick items.
+CREATE POLICY reminder_checklist_items_read ON reminder_checklist_items
+  FOR SELECT
+  USING (
+    app_bypass_rls()
+    OR EXISTS (SELECT 1 FROM reminders r WHERE r.id = reminder_id)
+  );
+
+CREATE POLICY reminder_checklist_items_write ON reminder_checklist_items
+  USING (
+    app_bypass_rls()
+    OR EXISTS (
+      SELECT 1 FROM reminders r
+      WHERE r.id = reminder_id
+        AND (
+          app_has_household_role(r.household_id, 'member')
+          OR EXISTS (
+            SELECT 1 FROM family_members fm
+            WHERE fm.id = r.assigned_member_id
+              AND fm.linked_user_id = app_current_user_id()
+          )
+        )
+    )
+  )
+  WITH CHECK (
+    app_bypass_rls()
+    OR EXISTS (
+      SELECT 1 FROM reminders r
+      WHERE r.id = reminder_id
+        AND (
+          app_has_household_role(r.household_id, 'member')
+          OR EXISTS (
+            SELECT 1 FROM family_members fm
+            WHERE fm.id = r.assigned_member_id
+              AND fm.linked_user_id = app_current_user_id()
+          )
+        )
+    )
+  );
+
+-- A checklist change is a change to its reminder for real-time
+-- clients: one event per reminder and statement, so reordering a long
+-- list does not flood the stream.
+CREATE FUNCTION reminder_checklist_items_publish() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_reminder RECORD;
+BEGIN
+  FOR changed_reminder IN
+    SELECT r.id, r.household_id
+    FROM reminders r
+    WHERE r.id IN (SELECT reminder_id FROM changed)
+      AND r.deleted_at IS NULL
+  LOOP
+    PERFORM publish_realtime_event(
+      'reminder', 'updated', NULL, changed_reminder.household_id, NULL, changed_reminder.id
+    );
+  END LOOP;
+
+  RETURN NULL;
+END
+$$;
+
+CREATE TRIGGER reminder_checklist_items_publish_insert
+  AFTER INSERT ON reminder_checklist_items
+  REFERENCING NEW TABLE AS changed
+  FOR EACH STATEMENT EXECUTE FUNCTION reminder_checklist_items_publish();
+
+CREATE TRIGGER reminder_checklist_items_publish_update
+  AFTER UPDATE ON reminder_checklist_items
+  REFERENCING NEW TABLE AS changed
+  FOR EACH STATEMENT EXECUTE FUNCTION reminder_checklist_items_publish();
+
+CREATE TRIGGER reminder_checklist_items_publish_delete
+  AFTER DELETE ON reminder_checklist_items
+  REFERENCING OLD TABLE AS changed
+  FOR EACH STATEMENT EXECUTE FUNCTION reminder_checklist_items_publish();
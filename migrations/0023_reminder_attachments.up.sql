@@ -0,0 +1,56 @@
+-- Attachment contents, stored once per SHA-256 checksum however many
+-- reminders carry the same file. storage_key locates the bytes in the
+-- storage backend (src/storage.js). width and height are set for
+-- images. The scheduler removes blobs no attachment uses any more.
+CREATE TABLE attachment_blobs (
+  checksum TEXT PRIMARY KEY CHECK (checksum ~ '^[0-9a-f]{64}$'),
+  storage_key TEXT NOT NULL UNIQUE,
+  content_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+  width INTEGER CHECK (width > 0),
+  height INTEGER CHECK (height > 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- A file attached to a reminder; the same file at most once.
+CREATE TABLE reminder_attachments (
+  id SERIAL PRIMARY KEY,
+  reminder_id INTEGER NOT NULL REFERENCES reminders(id) ON DELETE CASCADE,
+  checksum TEXT NOT NULL REFERENCES attachment_blobs(checksum),
+  file_name TEXT NOT NULL,
+  uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT reminder_attachments_checksum_key UNIQUE (reminder_id, checksum)
+);
+
+CREATE INDEX reminder_attachments_checksum_idx ON reminder_attachments (checksum);
+
+ALTER TABLE reminder_attachments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_attachments FORCE ROW LEVEL SECURITY;
+
+-- Whoever sees the reminder sees its attachments; members of its
+-- household add and remove them.
+CREATE POLICY reminder_attachments_read ON reminder_attachments
+  FOR SELECT
+  USING (
+    app_bypass_rls()
+    OR EXISTS (SELECT 1 FROM reminders r WHERE r.id = reminder_id)
+  );
+
+CREATE POLICY reminder_attachments_write ON reminder_attachments
+  USING (
+    app_bypass_rls()
+    OR EXISTS (
+      SELECT 1 FROM reminders r
+      WHERE r.id = reminder_id
+        AND app_has_household_role(r.household_id, 'member')
+    )
+  )
+  WITH CHECK (
+    app_bypass_rls()
+    OR EXISTS (
+      SELECT 1 FROM reminders r
+      WHERE r.id = reminder_id
+        AND app_has_household_role(r.household_id, 'member')
+    )
+  );
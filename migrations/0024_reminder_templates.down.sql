@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS reminder_template_items;
+DROP TABLE IF EXISTS reminder_templates;
@@ -0,0 +1,73 @@
+-- A household's own reminder templates; the built-in ones are defined
+-- in src/reminderTemplates.js. Each item becomes a reminder due
+-- offset_amount offset_units after the anchor date chosen when the
+-- template is used (negative is before).
+CREATE TABLE reminder_templates (
+  id SERIAL PRIMARY KEY,
+  household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX reminder_templates_household_id_idx ON reminder_templates (household_id);
+
+CREATE TRIGGER reminder_templates_set_updated_at
+  BEFORE UPDATE ON reminder_templates
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE reminder_template_items (
+  id SERIAL PRIMARY KEY,
+  template_id INTEGER NOT NULL REFERENCES reminder_templates(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL CHECK (position >= 1),
+  title TEXT NOT NULL,
+  description TEXT,
+  category TEXT,
+  priority TEXT CHECK (priority IN ('low', 'medium', 'high')),
+  offset_amount INTEGER NOT NULL CHECK (offset_amount BETWEEN -3650 AND 3650),
+  offset_unit TEXT NOT NULL CHECK (offset_unit IN ('days', 'weeks', 'months', 'years')),
+  due_time TIME,
+  recurrence_rule TEXT,
+  CONSTRAINT reminder_template_items_position_key UNIQUE (template_id, position)
+);
+
+ALTER TABLE reminder_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_templates FORCE ROW LEVEL SECURITY;
+ALTER TABLE reminder_template_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_template_items FORCE ROW LEVEL SECURITY;
+
+-- Everyone in the household can use its templates; members manage them.
+CREATE POLICY reminder_templates_read ON reminder_templates
+  FOR SELECT
+  USING (app_bypass_rls() OR app_has_household_role(household_id, 'viewer'));
+
+CREATE POLICY reminder_templates_write ON reminder_templates
+  USING (app_bypass_rls() OR app_has_household_role(household_id, 'member'))
+  WITH CHECK (app_bypass_rls() OR app_has_household_role(household_id, 'member'));
+
+CREATE POLICY reminder_template_items_read ON reminder_template_items
+  FOR SELECT
+  USING (
+    app_bypass_rls()
+    OR EXISTS (SELECT 1 FROM reminder_templates t WHERE t.id = template_id)
+  );
+
+CREATE POLICY reminder_template_items_write ON reminder_template_items
+  USING (
+    app_bypass_rls()
+    OR EXISTS (
+      SELECT 1 FROM reminder_templates t
+      WHERE t.id = template_id
+        AND app_has_household_role(t.household_id, 'member')
+    )
+  )
+  WITH CHECK (
+    app_bypass_rls()
+    OR EXISTS (
+      SELECT 1 FROM reminder_templates t
+      WHERE t.id = template_id
+        AND app_has_household_role(t.household_id, 'member')
+    )
+  );
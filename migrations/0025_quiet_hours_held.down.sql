@@ -0,0 +1,5 @@
+ALTER TABLE reminder_escalations
+  DROP COLUMN IF EXISTS held_channels;
+
+ALTER TABLE reminder_deliveries
+  DROP COLUMN IF EXISTS held_channels;
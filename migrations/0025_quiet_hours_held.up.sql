@@ -0,0 +1,16 @@
+-- Emails and pushes held back by the recipient's quiet hours. The
+-- scheduler sends them on its first tick after quiet hours end, as
+-- long as the occurrence is still open, and empties the list.
+ALTER TABLE reminder_deliveries
+  ADD COLUMN held_channels TEXT[] NOT NULL DEFAULT '{}'
+    CHECK (held_channels <@ ARRAY['email', 'push']);
+
+ALTER TABLE reminder_escalations
+  ADD COLUMN held_channels TEXT[] NOT NULL DEFAULT '{}'
+    CHECK (held_channels <@ ARRAY['email', 'push']);
+
+CREATE INDEX reminder_deliveries_held_idx
+  ON reminder_deliveries (reminder_id) WHERE held_channels <> '{}';
+
+CREATE INDEX reminder_escalations_held_idx
+  ON reminder_escalations (reminder_id) WHERE held_channels <> '{}';
@@ -0,0 +1,2 @@
+ALTER TABLE realtime_events
+  DROP COLUMN IF EXISTS xact_id;
@@ -0,0 +1,9 @@
+-- Event ids are handed out before commit, so a transaction holding a
+-- lower id can commit after a higher one has been streamed. Streams
+-- therefore read events by the transaction that wrote them: once a
+-- transaction id is below the xmin of the current snapshot, every
+-- transaction up to it has finished and its events are final.
+ALTER TABLE realtime_events
+  ADD COLUMN xact_id XID8 NOT NULL DEFAULT pg_current_xact_id();
+
+CREATE INDEX realtime_events_xact_id_idx ON realtime_events (xact_id, id);
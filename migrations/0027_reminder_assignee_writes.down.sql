@@ -0,0 +1,23 @@
+DROP FUNCTION IF EXISTS app_snooze_reminder(INTEGER, TIMESTAMPTZ);
+DROP FUNCTION IF EXISTS app_complete_reminder(INTEGER, DATE);
+DROP FUNCTION IF EXISTS app_lock_reminder(INTEGER);
+DROP FUNCTION IF EXISTS app_can_complete_reminder(INTEGER, INTEGER);
+
+CREATE POLICY reminders_assignee_update ON reminders
+  FOR UPDATE
+  USING (
+    deleted_at IS NULL
+    AND EXISTS (
+      SELECT 1 FROM family_members fm
+      WHERE fm.id = assigned_member_id
+        AND fm.linked_user_id = app_current_user_id()
+    )
+  )
+  WITH CHECK (
+    deleted_at IS NULL
+    AND EXISTS (
+      SELECT 1 FROM family_members fm
+      WHERE fm.id = assigned_member_id
+        AND fm.linked_user_id = app_current_user_id()
+    )
+  );
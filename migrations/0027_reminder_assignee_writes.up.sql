@@ -0,0 +1,99 @@
+-- The linked assignee of a reminder may complete and snooze it, but
+-- reminders_assignee_update let them change any column. They now go
+-- through the functions below, which only touch the columns those two
+-- actions need. Like app_household_role(), each switches
+-- app.bypass_rls on for the duration of its own statement and checks
+-- access itself.
+DROP POLICY reminders_assignee_update ON reminders;
+
+-- Whether the current user may complete or snooze a reminder: members
+-- of its household and the linked account of its assignee.
+CREATE FUNCTION app_can_complete_reminder(hid INTEGER, assignee INTEGER) RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT app_has_household_role(hid, 'member')
+    OR EXISTS (
+      SELECT 1 FROM family_members fm
+      WHERE fm.id = assignee
+        AND fm.linked_user_id = app_current_user_id()
+    )
+$$;
+
+-- Lock live reminder `rid` for the rest of the transaction, if the
+-- current user may complete it. SELECT ... FOR UPDATE would need an
+-- UPDATE policy the assignee no longer has.
+CREATE FUNCTION app_lock_reminder(rid INTEGER) RETURNS SETOF reminders
+LANGUAGE plpgsql AS $$
+DECLARE
+  previous TEXT := current_setting('app.bypass_rls', true);
+BEGIN
+  PERFORM set_config('app.bypass_rls', 'on', true);
+
+  RETURN QUERY
+    SELECT * FROM reminders r
+    WHERE r.id = rid
+      AND r.deleted_at IS NULL
+      AND app_can_complete_reminder(r.household_id, r.assigned_member_id)
+    FOR UPDATE;
+
+  PERFORM set_config('app.bypass_rls', COALESCE(previous, ''), true);
+END
+$$;
+
+-- Complete the current occurrence of open reminder `rid`: move it on to
+-- `next_due`, or close it when that is NULL.
+CREATE FUNCTION app_complete_reminder(rid INTEGER, next_due DATE) RETURNS SETOF reminders
+LANGUAGE plpgsql AS $$
+DECLARE
+  previous TEXT := current_setting('app.bypass_rls', true);
+BEGIN
+  PERFORM set_config('app.bypass_rls', 'on', true);
+
+  IF next_due IS NULL THEN
+    RETURN QUERY
+      UPDATE reminders r
+      SET completed = true,
+          completed_at = now(),
+          snoozed_until = NULL
+      WHERE r.id = rid
+        AND r.deleted_at IS NULL
+        AND NOT r.completed
+        AND app_can_complete_reminder(r.household_id, r.assigned_member_id)
+      RETURNING r.*;
+  ELSE
+    RETURN QUERY
+      UPDATE reminders r
+      SET due_date = next_due,
+          occurrence_count = r.occurrence_count + 1,
+          snoozed_until = NULL
+      WHERE r.id = rid
+        AND r.deleted_at IS NULL
+        AND NOT r.completed
+        AND r.due_date < next_due
+        AND app_can_complete_reminder(r.household_id, r.assigned_member_id)
+      RETURNING r.*;
+  END IF;
+
+  PERFORM set_config('app.bypass_rls', COALESCE(previous, ''), true);
+END
+$$;
+
+-- Snooze open reminder `rid` until `snooze_until`.
+CREATE FUNCTION app_snooze_reminder(rid INTEGER, snooze_until TIMESTAMPTZ) RETURNS SETOF reminders
+LANGUAGE plpgsql AS $$
+DECLARE
+  previous TEXT := current_setting('app.bypass_rls', true);
+BEGIN
+  PERFORM set_config('app.bypass_rls', 'on', true);
+
+  RETURN QUERY
+    UPDATE reminders r
+    SET snoozed_until = snooze_until
+    WHERE r.id = rid
+      AND r.deleted_at IS NULL
+      AND NOT r.completed
+      AND app_can_complete_reminder(r.household_id, r.assigned_member_id)
+    RETURNING r.*;
+
+  PERFORM set_config('app.bypass_rls', COALESCE(previous, ''), true);
+END
+$$;
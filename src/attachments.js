@@ -0,0 +1,319 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { imageSize } from "image-size";
+import { withSystem } from "./dbclient.js";
+import { NotFoundError, UnsupportedMediaTypeError } from "./errors.js";
+import { API_URL } from "./calendar.js";
+import { assertWithinLimit } from "./plans.js";
+import { storage } from "./storage.js";
+
+dotenv.config();
+
+/* ======================================================
+   Reminder attachments
+
+   Files (a prescription photo, a bill PDF) attached to
+   reminders. Contents are stored once per SHA-256
+   checksum in attachment_blobs (migrations/0023) and in
+   the storage backend (storage.js), however many
+   reminders carry the same file; attaching a file a
+   reminder already has returns the existing attachment.
+   The type is taken from the file's contents, not from
+   what the client claims.
+
+   Downloads go through signed URLs that expire after
+   ATTACHMENT_URL_TTL_MINUTES, so they work in <img> tags
+   and links without a bearer token. Blobs no attachment
+   uses any more are removed by the scheduler.
+====================================================== */
+
+export const MAX_ATTACHMENT_MB = parseInt(process.env.ATTACHMENT_MAX_MB) || 10;
+export const MAX_ATTACHMENT_BYTES = MAX_ATTACHMENT_MB * 1024 * 1024;
+const URL_TTL_MINUTES = parseInt(process.env.ATTACHMENT_URL_TTL_MINUTES) || 15;
+// Longest side of a thumbnail, in pixels
+export const THUMBNAIL_SIZE = 256;
+const PURGE_BATCH_SIZE = 100;
+
+// image-size types -> content types
+const IMAGE_TYPES = {
+  jpg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  heic: "image/heic",
+  heif: "image/heif",
+  avif: "image/avif",
+};
+
+export const ATTACHMENT_TYPES = [...Object.values(IMAGE_TYPES), "application/pdf"];
+
+/**
+ * Work out what an uploaded file is: `{ contentType, width, height }`,
+ * with the size as displayed for images and null otherwise. Throws a
+ * 415 for anything but the images above and PDF documents.
+ */
+export function inspectFile(buffer) {
+  if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") {
+    return { contentType: "application/pdf", width: null, height: null };
+  }
+
+  let image = null;
+  try {
+    image = imageSize(buffer);
+  } catch {
+    // Not an image it knows
+  }
+
+  if (!image || !IMAGE_TYPES[image.type]) {
+    throw new UnsupportedMediaTypeError("Attach a JPEG, PNG, GIF, WebP, HEIC or AVIF image, or a PDF");
+  }
+
+  // EXIF orientations 5 to 8 turn the picture on its side.
+  const turned = image.orientation >= 5;
+
+  return {
+    contentType: IMAGE_TYPES[image.type],
+    width: turned ? image.height : image.width,
+    height: turned ? image.width : image.height,
+  };
+}
+
+// The size to show an image at within THUMBNAIL_SIZE square, never
+// larger than the image itself.
+function thumbnailOf(width, height) {
+  if (!width || !height) return null;
+
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+/* ------------------------------------------------------
+   Signed URLs
+------------------------------------------------------ */
+
+function signature(attachmentId, expires) {
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`attachment:${attachmentId}:${expires}`)
+    .digest("base64url");
+}
+
+/**
+ * A download URL for an attachment, valid for
+ * ATTACHMENT_URL_TTL_MINUTES. Returns `{ url, expiresAt }`.
+ */
+export function signedDownloadUrl(attachmentId) {
+  const expires = Math.floor(Date.now() / 1000) + URL_TTL_MINUTES * 60;
+
+  return {
+    url: `${API_URL}/api/attachments/${attachmentId}/download?expires=${expires}&signature=${signature(attachmentId, expires)}`,
+    expiresAt: new Date(expires * 1000),
+  };
+}
+
+/**
+ * Whether `expires` and `sig` from a download URL are genuine and
+ * still current.
+ */
+export function isValidDownload(attachmentId, expires, sig) {
+  if (!Number.isInteger(expires) || expires * 1000 < Date.now() || typeof sig !== "string") {
+    return false;
+  }
+
+  const expected = Buffer.from(signature(attachmentId, expires));
+  const given = Buffer.from(sig);
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/* ------------------------------------------------------
+   Attaching
+------------------------------------------------------ */
+
+const ATTACHMENT_COLUMNS = `a.id, a.reminder_id, a.file_name, a.uploaded_by, a.created_at,
+  b.checksum, b.content_type, b.size_bytes, b.width, b.height`;
+
+export function serializeAttachment(row) {
+  const { url, expiresAt } = signedDownloadUrl(row.id);
+
+  return {
+    id: row.id,
+    reminder_id: row.reminder_id,
+    file_name: row.file_name,
+    content_type: row.content_type,
+    size_bytes: row.size_bytes,
+    checksum: row.checksum,
+    width: row.width,
+    height: row.height,
+    thumbnail: thumbnailOf(row.width, row.height),
+    uploaded_by: row.uploaded_by,
+    created_at: row.created_at,
+    url,
+    url_expires_at: expiresAt,
+  };
+}
+
+/**
+ * The attachments of a reminder, oldest first, unserialized.
+ */
+export async function listAttachments(client, reminderId) {
+  const { rows } = await client.query(
+    `SELECT ${ATTACHMENT_COLUMNS}
+     FROM reminder_attachments a
+     JOIN attachment_blobs b ON b.checksum = a.checksum
+     WHERE a.reminder_id = $1
+     ORDER BY a.id`,
+    [reminderId]
+  );
+
+  return rows;
+}
+
+export async function findAttachment(client, reminderId, attachmentId) {
+  const { rows } = await client.query(
+    `SELECT ${ATTACHMENT_COLUMNS}
+     FROM reminder_attachments a
+     JOIN attachment_blobs b ON b.checksum = a.checksum
+     WHERE a.reminder_id = $1 AND a.id = $2`,
+    [reminderId, attachmentId]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Attach an uploaded `file` ({ buffer, originalname }, from multer) to
+ * a reminder of household `householdId`. Check access first; must run
+ * inside withUser(). Resolves to `{ attachment, created }`, where
+ * `created` is false when the reminder already had this file.
+ */
+export async function attachFile(client, reminderId, householdId, file) {
+  const { contentType, width, height } = inspectFile(file.buffer);
+  const checksum = crypto.createHash("sha256").update(file.buffer).digest("hex");
+
+  // Serialises uploads to the same reminder, for the checks below.
+  const { rowCount: live } = await client.query(
+    "SELECT 1 FROM reminders WHERE id = $1 AND deleted_at IS NULL FOR UPDATE",
+    [reminderId]
+  );
+
+  if (!live) {
+    throw new NotFoundError("Reminder not found");
+  }
+
+  const { rows: same } = await client.query(
+    "SELECT id FROM reminder_attachments WHERE reminder_id = $1 AND checksum = $2",
+    [reminderId, checksum]
+  );
+
+  if (same.length) {
+    return { attachment: await findAttachment(client, reminderId, same[0].id), created: false };
+  }
+
+  const { rows: counted } = await client.query(
+    "SELECT count(*)::int AS used FROM reminder_attachments WHERE reminder_id = $1",
+    [reminderId]
+  );
+  await assertWithinLimit(client, householdId, "attachments_per_reminder", {
+    used: counted[0].used,
+  });
+
+  // The contents are stored by whichever upload brings them first.
+  // Storing inside the transaction means a failed write leaves no blob
+  // row behind.
+  const storageKey = `attachments/${checksum}`;
+  const { rowCount: fresh } = await client.query(
+    `INSERT INTO attachment_blobs (checksum, storage_key, content_type, size_bytes, width, height)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (checksum) DO NOTHING`,
+    [checksum, storageKey, contentType, file.buffer.length, width, height]
+  );
+
+  if (fresh) {
+    await storage.put(storageKey, file.buffer, { contentType });
+  }
+
+  const { rows } = await client.query(
+    `INSERT INTO reminder_attachments (reminder_id, checksum, file_name, uploaded_by)
+     VALUES ($1, $2, $3, app_current_user_id())
+     RETURNING id`,
+    [reminderId, checksum, cleanFileName(file.originalname)]
+  );
+
+  return { attachment: await findAttachment(client, reminderId, rows[0].id), created: true };
+}
+
+// Keep the client's name for the file, minus any path and control
+// characters.
+function cleanFileName(name) {
+  const base = String(name || "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .trim()
+    .slice(0, 255);
+
+  return base || "attachment";
+}
+
+/* ------------------------------------------------------
+   Downloads & clean-up
+------------------------------------------------------ */
+
+/**
+ * The attachment and stored object behind a download URL, or null
+ * when it is gone (or its reminder is in the trash). Bypasses
+ * row-level security: the signature is the authorization.
+ */
+export async function findDownload(attachmentId) {
+  const { rows } = await withSystem((client) =>
+    client.query(
+      `SELECT a.id, a.file_name, b.content_type, b.size_bytes, b.storage_key
+       FROM reminder_attachments a
+       JOIN attachment_blobs b ON b.checksum = a.checksum
+       JOIN reminders r ON r.id = a.reminder_id AND r.deleted_at IS NULL
+       WHERE a.id = $1`,
+      [attachmentId]
+    )
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Remove blobs that no attachment uses any more, from storage and
+ * from the database. Returns how many were removed.
+ */
+export async function purgeUnusedAttachmentBlobs() {
+  return withSystem(async (client) => {
+    const { rows } = await client.query(
+      `SELECT checksum, storage_key
+       FROM attachment_blobs b
+       WHERE NOT EXISTS (SELECT 1 FROM reminder_attachments a WHERE a.checksum = b.checksum)
+       ORDER BY created_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [PURGE_BATCH_SIZE]
+    );
+
+    let removed = 0;
+    for (const blob of rows) {
+      try {
+        await storage.delete(blob.storage_key);
+      } catch (err) {
+        // Kept, to be tried again on the next tick
+        console.error(`Failed to delete stored object ${blob.storage_key}:`, err.message);
+        continue;
+      }
+
+      await client.query("DELETE FROM attachment_blobs WHERE checksum = $1", [blob.checksum]);
+      removed += 1;
+    }
+
+    return removed;
+  });
+}
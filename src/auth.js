@@ -1,25 +1,69 @@
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import { pool } from "./dbclient.js";
+import { isSessionActive } from "./sessions.js";
+import { UnauthorizedError, ForbiddenError } from "./errors.js";
 
 dotenv.config();
 
-export function authMiddleware(req, res, next) {
+export async function authMiddleware(req, res, next) {
 
   const authHeader = req.headers.authorization;
 
-  if (!authHeader) return res.status(401).json({ error: "Missing Authorization header" });
+  if (!authHeader) throw new UnauthorizedError("Missing Authorization header");
 
   const parts = authHeader.split(" ");
   if (parts.length !== 2 || parts[0] !== "Bearer")
-    return res.status(401).json({ error: "Invalid Authorization header format" });
+    throw new UnauthorizedError("Invalid Authorization header format");
 
   const token = parts[1]; 
 
+  let payload;
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = payload;
-    next();
+    payload = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
-    return res.status(401).json({ error: "Invalid token: " + err.message });
+    throw new UnauthorizedError("Invalid token: " + err.message);
   }
-}
\ No newline at end of file
+
+  if (!payload.sid || !(await isSessionActive(payload.sid, payload.id)))
+    throw new UnauthorizedError("Session has been revoked");
+
+  req.user = payload;
+  next();
+}
+
+// Use after authMiddleware on routes that unverified accounts may not use.
+export async function requireVerifiedEmail(req, res, next) {
+  const { rows } = await pool.query(
+    "SELECT email_verified_at FROM users WHERE id = $1",
+    [req.user.id]
+  );
+
+  if (!rows.length || !rows[0].email_verified_at)
+    throw new ForbiddenError("Please verify your email address first");
+
+  next();
+}
+
+export const ROLES = ["user", "admin"];
+
+// Use after authMiddleware: only lets through users holding one of `roles`.
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role))
+      throw new ForbiddenError();
+
+    next();
+  };
+}
+
+// Use after authMiddleware: users may only act on their own record
+// (identified by the `param` route parameter) unless they are admins.
+export function requireSelfOrAdmin(param = "id") {
+  return (req, res, next) => {
+    if (req.user.role !== "admin" && req.params[param] !== req.user.id)
+      throw new ForbiddenError();
+
+    next();
+  };
+}
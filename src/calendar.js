@@ -0,0 +1,375 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { pool } from "./dbclient.js";
+import { hashToken } from "./userTokens.js";
+import { escapeText, getProperty, parseCalendar, unescapeText } from "./ical.js";
+import { RecurrenceError, normalizeRule, parseRule } from "./recurrence.js";
+import { isTimeZone, zonedInstant } from "./timeZones.js";
+
+dotenv.config();
+
+/* ======================================================
+   Calendar feeds
+
+   Reminders are published as an iCalendar feed that phone
+   and desktop calendars can subscribe to, and calendar
+   files can be imported as reminders.
+
+   Timed reminders are written with the TZID of their time
+   zone (IANA names, which calendar apps know without a
+   VTIMEZONE). On import, an entry keeps its wall-clock time
+   and its TZID, or UTC for a time ending in Z; floating
+   times and unknown TZIDs are taken to be in the importing
+   user's time zone.
+====================================================== */
+
+export const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const PRODID = "-//Smart Life//Reminders//EN";
+const UID_DOMAIN = "smart-life-api";
+// Length given to events of reminders that have a due_time.
+export const EVENT_MINUTES = 30;
+// Prefixed to the title of events whose reminder is completed.
+export const COMPLETED_MARK = "✓ ";
+
+const COMPLETED_PROPERTY = "X-SMART-LIFE-COMPLETED";
+
+// RFC 5545 PRIORITY: 1 is highest, 9 lowest, 0 undefined.
+const PRIORITY_VALUES = { high: 1, medium: 5, low: 9 };
+
+/* ------------------------------------------------------
+   Feed tokens
+------------------------------------------------------ */
+
+/**
+ * Create (or replace) the user's feed token. Returns the raw token;
+ * feed URLs built from the previous token stop working.
+ */
+export async function issueFeedToken(client, userId) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await client.query(
+    `INSERT INTO calendar_feed_tokens (user_id, token_hash)
+     VALUES ($1, $2)
+     ON CONFLICT (user_id)
+     DO UPDATE SET token_hash = EXCLUDED.token_hash, created_at = now(), last_used_at = NULL`,
+    [userId, hashToken(token)]
+  );
+
+  return token;
+}
+
+/**
+ * Resolve a feed token to its user id, or null when it is unknown.
+ */
+export async function findFeedUser(token) {
+  if (typeof token !== "string" || !token) return null;
+
+  const { rows } = await pool.query(
+    `UPDATE calendar_feed_tokens
+     SET last_used_at = now()
+     WHERE token_hash = $1
+     RETURNING user_id`,
+    [hashToken(token)]
+  );
+
+  return rows.length ? rows[0].user_id : null;
+}
+
+export function feedUrl(token) {
+  return `${API_URL}/api/reminders/calendar.ics?token=${token}`;
+}
+
+/* ------------------------------------------------------
+   Export
+------------------------------------------------------ */
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Date object -> 20261101T083000Z
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// "2026-11-01", "08:30:00" -> 20261101T083000
+function formatLocal(day, time) {
+  return `${day.replace(/-/g, "")}T${time.replace(/:/g, "").padEnd(6, "0").slice(0, 6)}`;
+}
+
+function formatDay(date) {
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+/**
+ * A reminder's due_date as "YYYY-MM-DD". node-postgres turns DATE
+ * columns into local midnight.
+ */
+export function dueDay(value) {
+  return value instanceof Date
+    ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+    : String(value).slice(0, 10);
+}
+
+/**
+ * The reminder's recurrence from its current occurrence onwards.
+ * COUNT is reduced by the occurrences already done, and a timed
+ * reminder's UNTIL must be a UTC date-time: the end of that day in
+ * the reminder's time zone.
+ */
+export function remainingRule(reminder) {
+  const rule = parseRule(reminder.recurrence_rule);
+  const parts = normalizeRule(reminder.recurrence_rule)
+    .split(";")
+    .filter((part) => !/^(COUNT|UNTIL)=/.test(part));
+
+  if (rule.count) {
+    parts.push(`COUNT=${Math.max(rule.count - reminder.occurrence_count + 1, 1)}`);
+  }
+  if (rule.until) {
+    const until = formatDay(rule.until).replace(/-/g, "");
+    parts.push(
+      `UNTIL=${
+        reminder.due_time
+          ? formatUtc(zonedInstant(formatDay(rule.until), "23:59:59", reminder.due_time_zone))
+          : until
+      }`
+    );
+  }
+
+  return parts.join(";");
+}
+
+function reminderUid(reminder) {
+  return reminder.ical_uid || `reminder-${reminder.id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Map a reminders row to a VEVENT or VTODO component.
+ */
+export function reminderToComponent(reminder, componentName = "VEVENT", stamp = new Date()) {
+  const todo = componentName === "VTODO";
+  const day = dueDay(reminder.due_date);
+  // Events have no completion status: completed reminders stay on the
+  // calendar as free time, with a check mark in the title.
+  const summary = reminder.completed && !todo ? `${COMPLETED_MARK}${reminder.title}` : reminder.title;
+  const properties = [
+    { name: "UID", value: reminderUid(reminder) },
+    { name: "DTSTAMP", value: formatUtc(stamp) },
+    { name: "CREATED", value: formatUtc(new Date(reminder.created_at)) },
+    { name: "LAST-MODIFIED", value: formatUtc(new Date(reminder.updated_at)) },
+    { name: "SUMMARY", value: escapeText(summary) },
+  ];
+
+  const when = reminder.due_time
+    ? {
+        name: todo ? "DUE" : "DTSTART",
+        params: { TZID: reminder.due_time_zone },
+        value: formatLocal(day, reminder.due_time),
+      }
+    : { name: todo ? "DUE" : "DTSTART", params: { VALUE: "DATE" }, value: day.replace(/-/g, "") };
+  properties.push(when);
+
+  if (!todo && reminder.due_time) {
+    properties.push({ name: "DURATION", value: `PT${EVENT_MINUTES}M` });
+  }
+  if (reminder.recurrence_rule && !reminder.completed) {
+    properties.push({ name: "RRULE", value: remainingRule(reminder) });
+  }
+  if (reminder.description) {
+    properties.push({ name: "DESCRIPTION", value: escapeText(reminder.description) });
+  }
+  if (reminder.location) {
+    properties.push({ name: "LOCATION", value: escapeText(reminder.location) });
+  }
+  if (reminder.category) {
+    properties.push({ name: "CATEGORIES", value: escapeText(reminder.category) });
+  }
+  if (reminder.priority) {
+    properties.push({ name: "PRIORITY", value: String(PRIORITY_VALUES[reminder.priority]) });
+  }
+
+  if (todo) {
+    properties.push({ name: "STATUS", value: reminder.completed ? "COMPLETED" : "NEEDS-ACTION" });
+    if (reminder.completed && reminder.completed_at) {
+      properties.push({ name: "COMPLETED", value: formatUtc(new Date(reminder.completed_at)) });
+      properties.push({ name: "PERCENT-COMPLETE", value: "100" });
+    }
+  } else {
+    properties.push({ name: "STATUS", value: "CONFIRMED" });
+    properties.push({ name: "TRANSP", value: reminder.completed ? "TRANSPARENT" : "OPAQUE" });
+    if (reminder.completed && reminder.completed_at) {
+      // Lets an import of the feed tell completed reminders apart.
+      properties.push({ name: COMPLETED_PROPERTY, value: formatUtc(new Date(reminder.completed_at)) });
+    }
+  }
+
+  return { name: componentName, properties };
+}
+
+/**
+ * Build a VCALENDAR holding the given reminders.
+ */
+export function remindersToCalendar(reminders, { name = "Reminders", component = "VEVENT" } = {}) {
+  const stamp = new Date();
+
+  return {
+    name: "VCALENDAR",
+    properties: [
+      { name: "VERSION", value: "2.0" },
+      { name: "PRODID", value: PRODID },
+      { name: "CALSCALE", value: "GREGORIAN" },
+      { name: "METHOD", value: "PUBLISH" },
+      { name: "X-WR-CALNAME", value: escapeText(name) },
+      { name: "REFRESH-INTERVAL", params: { VALUE: "DURATION" }, value: "PT1H" },
+      { name: "X-PUBLISHED-TTL", value: "PT1H" },
+    ],
+    components: reminders.map((r) => reminderToComponent(r, component, stamp)),
+  };
+}
+
+/* ------------------------------------------------------
+   Import
+------------------------------------------------------ */
+
+export class CalendarImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CalendarImportError";
+  }
+}
+
+// 20261101, 20261101T090000, 20261101T090000Z -> { due_date, due_time, time_zone }
+function parseWhen(property) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(property.value.trim());
+
+  if (!match) {
+    throw new CalendarImportError(`Unsupported ${property.name} value "${property.value}"`);
+  }
+
+  const [, y, m, d, hh, mm, ss, utc] = match;
+  const date = new Date(Date.UTC(+y, +m - 1, +d));
+
+  if (date.getUTCMonth() !== +m - 1) {
+    throw new CalendarImportError(`Invalid ${property.name} date "${property.value}"`);
+  }
+
+  const timed = hh !== undefined && property.params.VALUE !== "DATE";
+  let time_zone = null;
+  if (timed && utc) {
+    time_zone = "UTC";
+  } else if (timed && isTimeZone(property.params.TZID)) {
+    time_zone = property.params.TZID;
+  }
+
+  return {
+    due_date: `${y}-${m}-${d}`,
+    due_time: timed ? `${hh}:${mm}:${ss}` : null,
+    time_zone,
+  };
+}
+
+function parsePriority(value) {
+  const n = parseInt(value, 10);
+  if (!n) return null;
+  if (n <= 4) return "high";
+  if (n === 5) return "medium";
+  return "low";
+}
+
+function text(component, name) {
+  const property = getProperty(component, name);
+  const value = property && unescapeText(property.value).trim();
+  return value || null;
+}
+
+/**
+ * UID and title of an entry, for reporting entries that were skipped.
+ */
+export function describeEntry(component) {
+  return { uid: text(component, "UID"), title: text(component, "SUMMARY") };
+}
+
+/**
+ * If `uid` is one this API exported, the id of that reminder.
+ */
+export function exportedReminderId(uid) {
+  const match = new RegExp(`^reminder-(\\d+)@${UID_DOMAIN}$`).exec(uid || "");
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Map a VEVENT or VTODO to the fields of a new reminder
+ * (a CreateReminderRequest body) plus its `ical_uid`. Throws
+ * CalendarImportError for entries that cannot become reminders.
+ */
+export function componentToReminder(component) {
+  const title = text(component, "SUMMARY");
+  if (!title) {
+    throw new CalendarImportError("Entry has no SUMMARY");
+  }
+
+  const status = text(component, "STATUS")?.toUpperCase();
+  if (status === "CANCELLED") {
+    throw new CalendarImportError("Entry is cancelled");
+  }
+  if (
+    status === "COMPLETED" ||
+    getProperty(component, "COMPLETED") ||
+    getProperty(component, COMPLETED_PROPERTY)
+  ) {
+    throw new CalendarImportError("Entry is already completed");
+  }
+
+  if (getProperty(component, "RECURRENCE-ID")) {
+    throw new CalendarImportError("Entry only changes one occurrence of a recurring entry");
+  }
+
+  const when =
+    component.name === "VTODO"
+      ? getProperty(component, "DUE") || getProperty(component, "DTSTART")
+      : getProperty(component, "DTSTART");
+  if (!when) {
+    throw new CalendarImportError(`Entry has no ${component.name === "VTODO" ? "DUE" : "DTSTART"}`);
+  }
+
+  let recurrence_rule = null;
+  const rrule = getProperty(component, "RRULE");
+  if (rrule) {
+    try {
+      recurrence_rule = normalizeRule(rrule.value);
+    } catch (err) {
+      if (err instanceof RecurrenceError) {
+        throw new CalendarImportError(`Unsupported RRULE: ${err.message}`);
+      }
+      throw err;
+    }
+  }
+
+  const priority = parsePriority(getProperty(component, "PRIORITY")?.value);
+  const categories = getProperty(component, "CATEGORIES");
+  // CATEGORIES is a comma-separated list; the first becomes the category.
+  const category = categories
+    ? unescapeText(categories.value.split(/(?<!\\),/)[0]).trim() || null
+    : null;
+
+  return {
+    ical_uid: text(component, "UID"),
+    title,
+    description: text(component, "DESCRIPTION"),
+    category,
+    ...(priority && { priority }),
+    ...parseWhen(when),
+    location: text(component, "LOCATION"),
+    recurrence_rule,
+  };
+}
+
+/**
+ * The VEVENT and VTODO entries of an iCalendar text.
+ * Throws ICalError when the text cannot be parsed.
+ */
+export function calendarEntries(ics) {
+  return parseCalendar(ics).components.filter((c) => c.name === "VEVENT" || c.name === "VTODO");
+}
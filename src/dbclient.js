@@ -3,10 +3,59 @@ import dotenv from "dotenv";
 
 dotenv.config();
 
-export const pool = new pg.Pool({
+const config = {
   host: process.env.DB_HOST,
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
   database: process.env.DB_NAME,
   ssl: { rejectUnauthorized: false },
-});
+};
+
+export const pool = new pg.Pool(config);
+
+/**
+ * A connection of its own, outside the pool. For LISTEN, which needs
+ * to hold on to one connection.
+ */
+export function createClient() {
+  return new pg.Client(config);
+}
+
+async function inTransaction(settings, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    // set_config(..., true) is scoped to this transaction, so the
+    // setting never leaks to the next user of the pooled connection.
+    for (const [name, value] of Object.entries(settings)) {
+      await client.query("SELECT set_config($1, $2, true)", [name, value]);
+    }
+
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run `fn(client)` in a transaction scoped to a user, so the
+ * row-level security policies (see migrations/) apply to them.
+ */
+export function withUser(userId, fn) {
+  return inTransaction({ "app.current_user_id": String(userId) }, fn);
+}
+
+/**
+ * Run `fn(client)` in a transaction that bypasses row-level security.
+ * Only for background jobs and maintenance, never for request data.
+ */
+export function withSystem(fn) {
+  return inTransaction({ "app.bypass_rls": "on" }, fn);
+}
@@ -0,0 +1,181 @@
+import crypto from "crypto";
+
+/* ======================================================
+   Errors
+
+   Route handlers throw these instead of building error
+   responses themselves; errorHandler (registered last in
+   server.js) turns them, and known Postgres errors, into
+   a single JSON shape:
+
+   { "error": "Reminder not found", "code": "not_found", "request_id": "..." }
+
+   Validation errors also carry a `details` array, plan
+   limit errors a `details` object.
+====================================================== */
+
+export class HttpError extends Error {
+  constructor(status, message, code, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends HttpError {
+  constructor(message = "Bad request") {
+    super(400, message, "bad_request");
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message = "Unauthorized") {
+    super(401, message, "unauthorized");
+  }
+}
+
+export class PlanLimitError extends HttpError {
+  /**
+   * @param {{limit: string, plan: string, max: number, used: number}} details
+   */
+  constructor(message = "Plan limit reached", details) {
+    super(402, message, "plan_limit_reached", details);
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message = "Forbidden") {
+    super(403, message, "forbidden");
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = "Not found") {
+    super(404, message, "not_found");
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(message = "Conflict") {
+    super(409, message, "conflict");
+  }
+}
+
+export class PayloadTooLargeError extends HttpError {
+  constructor(message = "Payload too large") {
+    super(413, message, "payload_too_large");
+  }
+}
+
+export class UnsupportedMediaTypeError extends HttpError {
+  constructor(message = "Unsupported media type") {
+    super(415, message, "unsupported_media_type");
+  }
+}
+
+export class ValidationError extends HttpError {
+  /**
+   * @param {Array<{location: string, field: string|null, message: string}>} details
+   */
+  constructor(details = [], message = "Validation failed") {
+    super(422, message, "validation_failed", details);
+  }
+}
+
+// "Key (assigned_member_id)=(42) is not present in table ..." -> "assigned_member_id"
+function keyColumn(detail) {
+  const match = /^Key \(([^)]+)\)/.exec(detail || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Map a Postgres error to an HttpError, or return null if it is not
+ * one the client could have caused.
+ */
+function fromPostgresError(err) {
+  switch (err.code) {
+    case "23505": // unique_violation
+      return new ConflictError("Resource already exists");
+
+    case "23P01": // exclusion_violation
+      return new ConflictError("Resource conflicts with an existing one");
+
+    case "23503": // foreign_key_violation
+      if (/is still referenced/.test(err.detail || "")) {
+        return new ConflictError("Resource is still referenced by other records");
+      }
+      return new ValidationError([
+        { location: "body", field: keyColumn(err.detail), message: "refers to a record that does not exist" },
+      ]);
+
+    case "23502": // not_null_violation
+      return new ValidationError([
+        { location: "body", field: err.column || null, message: "is required" },
+      ]);
+
+    case "23514": // check_violation
+      return new ValidationError([
+        { location: "body", field: null, message: `violates ${err.constraint || "a check constraint"}` },
+      ]);
+
+    case "22P02": // invalid_text_representation
+    case "22007": // invalid_datetime_format
+    case "22008": // datetime_field_overflow
+      return new BadRequestError("Invalid input syntax");
+
+    case "42501": // insufficient_privilege
+      // Row-level security rejected the write (e.g. assigning a reminder
+      // to someone else's family member). Plain permission errors are
+      // misconfiguration and stay 500s.
+      return /row-level security/.test(err.message) ? new ForbiddenError() : null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Tag every request with an id (taken from X-Request-Id when the caller
+ * or a proxy supplies a sane one) and echo it back.
+ */
+export function requestId(req, res, next) {
+  const incoming = req.get("x-request-id");
+
+  req.id = incoming && /^[\w-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+}
+
+// Express recognises error handlers by their four arguments.
+export function errorHandler(err, req, res, next) {
+  let error = err instanceof HttpError ? err : fromPostgresError(err);
+
+  if (!error && err.type === "entity.parse.failed") {
+    error = new BadRequestError("Malformed JSON body");
+  } else if (!error && err.expose && err.status >= 400 && err.status < 500) {
+    // Client errors raised by body-parser and friends (payload too large, ...)
+    error = new HttpError(err.status, err.message, "bad_request");
+  }
+
+  if (!error) {
+    console.error(`[${req.id}]`, err);
+    error = new HttpError(500, "Internal server error", "internal_error");
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    ...(error.details && { details: error.details }),
+    request_id: req.id,
+  });
+}
@@ -0,0 +1,360 @@
+import { pool, withSystem } from "./dbclient.js";
+import { ValidationError } from "./errors.js";
+import { queueMail } from "./mailer.js";
+import { formatDayTime } from "./mailTemplates.js";
+import { planAllowsChannel } from "./plans.js";
+import { isPushConfigured, pushToUser } from "./push.js";
+import { recordReminderEvent } from "./reminders.js";
+
+/* ======================================================
+   Escalations
+
+   A household's escalation rules (escalation_rules,
+   migrations/0021) say who hears about a high-priority
+   reminder assigned to a family member that is still open
+   some minutes after it was due: the linked account of
+   another family member, or the household's owner. Each
+   (reminder, occurrence, rule) escalates once, claimed
+   through reminder_escalations like the scheduler's alerts,
+   and is added to the reminder's timeline.
+
+   Snoozing does not hold an escalation back; completing
+   the occurrence does. The recipient's channels, plan and
+   quiet hours apply as for any alert: emails and pushes
+   held back by quiet hours go out when they end.
+====================================================== */
+
+export const ESCALATION_PRIORITY = "high";
+// Longest after_minutes (a week)
+export const MAX_ESCALATION_MINUTES = 10080;
+
+const BATCH_SIZE = 500;
+// Escalations missed for longer (e.g. during downtime) are dropped.
+const MAX_DELAY_HOURS = 24;
+const PUSH_TTL_SECONDS = 3600;
+
+/**
+ * Make sure `memberId` can be notified by an escalation rule of
+ * household `householdId`: a family member of that household whose
+ * linked account belongs to it. Must run inside withUser().
+ */
+export async function assertEscalationTarget(client, memberId, householdId) {
+  if (memberId === undefined || memberId === null) return;
+
+  const { rowCount } = await client.query(
+    `SELECT 1
+     FROM family_members fm
+     JOIN household_members hm
+       ON hm.household_id = fm.household_id AND hm.user_id = fm.linked_user_id
+     WHERE fm.id = $1 AND fm.household_id = $2`,
+    [memberId, householdId]
+  );
+
+  if (!rowCount) {
+    throw new ValidationError([
+      {
+        location: "body",
+        field: "notify_member_id",
+        message: "must be a family member whose linked account belongs to the household",
+      },
+    ]);
+  }
+}
+
+/**
+ * The escalation rules of a household, oldest first.
+ */
+export async function listEscalationRules(client, householdId) {
+  const { rows } = await client.query(
+    `SELECT er.*, fm.name AS notify_member_name
+     FROM escalation_rules er
+     LEFT JOIN family_members fm ON fm.id = er.notify_member_id
+     WHERE er.household_id = $1
+     ORDER BY er.after_minutes, er.id`,
+    [householdId]
+  );
+
+  return rows;
+}
+
+function escalationMessage(escalation) {
+  return (
+    `${escalation.title} (assigned to ${escalation.assignee}) was due ` +
+    `${escalation.due_day} at ${escalation.due_time} and is still not done`
+  );
+}
+
+/**
+ * The escalations `ids`, with their reminders and recipients: the
+ * rule's family member while their account is still in the household,
+ * else the owner.
+ */
+async function loadEscalations(client, ids, defaultDueTime) {
+  const { rows } = await client.query(
+    `SELECT e.id AS escalation_id, to_char(e.due_date, 'YYYY-MM-DD') AS occurrence_date,
+            er.id AS rule_id, er.after_minutes,
+            r.id AS reminder_id, r.household_id, r.title, r.location,
+            fm.name AS assignee,
+            to_char(due.at AT TIME ZONE COALESCE(me.time_zone, r.due_time_zone), 'YYYY-MM-DD')
+              AS due_day,
+            to_char(due.at AT TIME ZONE COALESCE(me.time_zone, r.due_time_zone), 'HH24:MI')
+              AS due_time,
+            recipient.user_id, u.email, me.locale, owner.plan_type,
+            COALESCE(p.in_app_enabled, true) AS in_app_enabled,
+            COALESCE(p.email_enabled, true) AS email_enabled,
+            COALESCE(p.push_enabled, true) AS push_enabled,
+            COALESCE(in_quiet_hours(p.quiet_hours_start, p.quiet_hours_end, me.time_zone), false)
+              AS quiet
+     FROM reminder_escalations e
+     JOIN escalation_rules er ON er.id = e.rule_id
+     JOIN reminders r ON r.id = e.reminder_id
+     JOIN family_members fm ON fm.id = r.assigned_member_id
+     JOIN household_members hm
+       ON hm.household_id = r.household_id AND hm.role = 'owner'
+     LEFT JOIN profiles owner ON owner.user_id = hm.user_id
+     LEFT JOIN family_members target ON target.id = er.notify_member_id
+     LEFT JOIN household_members tm
+       ON tm.household_id = r.household_id AND tm.user_id = target.linked_user_id
+     CROSS JOIN LATERAL (SELECT COALESCE(tm.user_id, hm.user_id) AS user_id) recipient
+     JOIN users u ON u.id = recipient.user_id
+     LEFT JOIN profiles me ON me.user_id = recipient.user_id
+     LEFT JOIN notification_preferences p ON p.user_id = recipient.user_id
+     CROSS JOIN LATERAL (
+       SELECT COALESCE(r.due_at, local_to_instant(r.due_date + $2::time, r.due_time_zone)) AS at
+     ) due
+     WHERE e.id = ANY($1::int[])
+     ORDER BY e.id`,
+    [ids, defaultDueTime]
+  );
+
+  return rows;
+}
+
+/**
+ * Claim every escalation that has come due, notify its recipient and
+ * queue their email, all in one transaction. Returns the claimed
+ * escalations, which still need pushing.
+ */
+function claimDueEscalations(defaultDueTime) {
+  // Runs across every household, so it bypasses row-level security.
+  return withSystem(async (client) => {
+    const { rows: claimed } = await client.query(
+      `WITH candidates AS (
+         SELECT r.id AS reminder_id, r.due_date, er.id AS rule_id
+         FROM escalation_rules er
+         JOIN reminders r ON r.household_id = er.household_id
+         CROSS JOIN LATERAL (
+           SELECT COALESCE(r.due_at, local_to_instant(r.due_date + $1::time, r.due_time_zone))
+                  + make_interval(mins => er.after_minutes) AS at
+         ) escalation
+         WHERE r.priority = $2
+           AND r.assigned_member_id IS NOT NULL
+           AND r.completed = false
+           AND r.deleted_at IS NULL
+           -- A week of after_minutes, the delay and a day for time zones
+           AND r.due_date BETWEEN current_date - 9 AND current_date + 1
+           AND escalation.at <= now()
+           AND escalation.at > now() - make_interval(hours => $3)
+           -- Rules only apply from when they were added.
+           AND escalation.at >= er.created_at
+           AND NOT EXISTS (
+             SELECT 1 FROM reminder_escalations e
+             WHERE e.reminder_id = r.id AND e.due_date = r.due_date AND e.rule_id = er.id
+           )
+         LIMIT $4
+       )
+       INSERT INTO reminder_escalations (reminder_id, due_date, rule_id)
+       SELECT reminder_id, due_date, rule_id FROM candidates
+       ON CONFLICT (reminder_id, due_date, rule_id) DO NOTHING
+       RETURNING id`,
+      [defaultDueTime, ESCALATION_PRIORITY, MAX_DELAY_HOURS, BATCH_SIZE]
+    );
+
+    if (!claimed.length) {
+      return [];
+    }
+
+    const escalations = await loadEscalations(
+      client,
+      claimed.map((row) => row.id),
+      defaultDueTime
+    );
+
+    for (const escalation of escalations) {
+      const held = [];
+
+      if (wantsEmail(escalation)) {
+        if (escalation.quiet) {
+          held.push("email");
+        } else {
+          await emailEscalation(client, escalation);
+        }
+      }
+
+      if (wantsPush(escalation) && escalation.quiet) {
+        held.push("push");
+      }
+
+      if (escalation.in_app_enabled) {
+        const { rows } = await client.query(
+          `INSERT INTO notifications (user_id, household_id, reminder_id, type, title, message)
+           VALUES ($1, $2, $3, 'reminder_escalated', $4, $5)
+           RETURNING id`,
+          [
+            escalation.user_id,
+            escalation.household_id,
+            escalation.reminder_id,
+            `Not done yet: ${escalation.title}`,
+            escalationMessage(escalation),
+          ]
+        );
+        escalation.notification_id = rows[0].id;
+      }
+
+      await client.query(
+        `UPDATE reminder_escalations
+         SET notified_user_id = $2, notification_id = $3, held_channels = $4
+         WHERE id = $1`,
+        [escalation.escalation_id, escalation.user_id, escalation.notification_id ?? null, held]
+      );
+
+      await recordReminderEvent(client, escalation.reminder_id, "escalated", {
+        notificationId: escalation.notification_id ?? null,
+        details: {
+          rule_id: escalation.rule_id,
+          after_minutes: escalation.after_minutes,
+          due_date: escalation.occurrence_date,
+          notified_user_id: escalation.user_id,
+        },
+      });
+    }
+
+    return escalations;
+  });
+}
+
+async function emailEscalation(client, escalation) {
+  await queueMail(
+    {
+      to: escalation.email,
+      template: "escalation",
+      locale: escalation.locale,
+      data: {
+        title: escalation.title,
+        assignee: escalation.assignee,
+        when: formatDayTime(escalation.due_day, escalation.due_time, escalation.locale),
+        location: escalation.location,
+      },
+    },
+    client
+  );
+  await client.query(
+    "UPDATE reminder_escalations SET emailed_at = now() WHERE id = $1",
+    [escalation.escalation_id]
+  );
+}
+
+/**
+ * Send the emails and pushes of escalations that quiet hours held back,
+ * once the recipient's quiet hours are over and if the occurrence is
+ * still open. Returns the released escalations that still need pushing.
+ */
+function releaseHeldEscalations(defaultDueTime) {
+  return withSystem(async (client) => {
+    const { rows: released } = await client.query(
+      `UPDATE reminder_escalations e
+       SET held_channels = '{}'
+       FROM reminder_escalations old, reminders r
+       WHERE old.id = e.id
+         AND r.id = e.reminder_id
+         AND e.held_channels <> '{}'
+         AND NOT COALESCE((
+           SELECT in_quiet_hours(p.quiet_hours_start, p.quiet_hours_end, me.time_zone)
+           FROM profiles me
+           JOIN notification_preferences p ON p.user_id = me.user_id
+           WHERE me.user_id = e.notified_user_id
+         ), false)
+       RETURNING e.id, old.held_channels AS channels,
+                 r.completed = false AND r.deleted_at IS NULL AND r.due_date = e.due_date AS open`
+    );
+
+    const held = new Map(released.filter((row) => row.open).map((row) => [row.id, row.channels]));
+
+    if (!held.size) {
+      return [];
+    }
+
+    const escalations = await loadEscalations(client, [...held.keys()], defaultDueTime);
+
+    for (const escalation of escalations) {
+      escalation.held = held.get(escalation.escalation_id);
+
+      if (escalation.held.includes("email") && wantsEmail(escalation)) {
+        await emailEscalation(client, escalation);
+      }
+    }
+
+    return escalations.filter((escalation) => escalation.held.includes("push"));
+  });
+}
+
+function wantsEmail(escalation) {
+  return (
+    Boolean(escalation.email) &&
+    planAllowsChannel(escalation.plan_type, "email") &&
+    escalation.email_enabled
+  );
+}
+
+function wantsPush(escalation) {
+  return planAllowsChannel(escalation.plan_type, "push") && escalation.push_enabled;
+}
+
+// After the claim is committed, as for the scheduler's alerts.
+async function pushEscalations(escalations) {
+  if (!isPushConfigured()) return;
+
+  for (const escalation of escalations) {
+    if (!wantsPush(escalation) || escalation.quiet) continue;
+
+    try {
+      const delivered = await pushToUser(
+        escalation.user_id,
+        {
+          type: "reminder_escalated",
+          title: `Not done yet: ${escalation.title}`,
+          body: escalationMessage(escalation),
+          reminder_id: escalation.reminder_id,
+          household_id: escalation.household_id,
+          notification_id: escalation.notification_id ?? null,
+          tag: `escalation-${escalation.reminder_id}`,
+        },
+        {
+          TTL: PUSH_TTL_SECONDS,
+          urgency: "high",
+          topic: `escalation-${escalation.reminder_id}`,
+        }
+      );
+
+      if (delivered) {
+        await pool.query(
+          "UPDATE reminder_escalations SET pushed_at = now() WHERE id = $1",
+          [escalation.escalation_id]
+        );
+      }
+    } catch (err) {
+      console.error(`Failed to push the escalation of reminder ${escalation.reminder_id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Send every escalation that has come due. `defaultDueTime` is when
+ * all-day reminders are due. Returns how many were sent.
+ */
+export async function escalateOverdueReminders(defaultDueTime) {
+  const escalations = await claimDueEscalations(defaultDueTime);
+  await pushEscalations(escalations);
+  await pushEscalations(await releaseHeldEscalations(defaultDueTime));
+  return escalations.length;
+}
@@ -0,0 +1,222 @@
+import { google } from "googleapis";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import { API_URL } from "./calendar.js";
+import {
+  createFakeGoogleCalendar,
+  exchangeFakeGoogleCode,
+  fakeGoogleAuthUrl,
+} from "./googleCalendarFake.js";
+
+dotenv.config();
+
+/* ======================================================
+   Google Calendar adapter
+
+   The sync engine (googleSync.js) never calls googleapis
+   itself; it goes through the adapter returned by
+   createGoogleCalendar(), which has these methods:
+
+   listCalendars()                       calendars the user can write to
+   getCalendar(calendarId)               { id, summary, timeZone }
+   listEvents(calendarId, { syncToken, pageToken, timeZone })
+                                         { items, nextPageToken, nextSyncToken }
+   insertEvent(calendarId, event)        the created event
+   patchEvent(calendarId, eventId, event) the updated event
+   deleteEvent(calendarId, eventId)
+
+   Events use the Google Calendar API's JSON shape. Failed
+   calls reject with an error carrying the HTTP `status`
+   (410 for an expired sync token). With
+   GOOGLE_CALENDAR_FAKE=true the in-memory fake from
+   googleCalendarFake.js is used instead, OAuth included.
+====================================================== */
+
+const SCOPES = ["https://www.googleapis.com/auth/calendar", "openid", "email"];
+const STATE_PURPOSE = "google_calendar";
+
+const REDIRECT_URI = process.env.GOOGLE_REDIRECT_URI || `${API_URL}/api/google/callback`;
+
+function useFake() {
+  return process.env.GOOGLE_CALENDAR_FAKE === "true";
+}
+
+export function isGoogleConfigured() {
+  return useFake() || Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+}
+
+function oauthClient() {
+  return new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    REDIRECT_URI
+  );
+}
+
+/* ------------------------------------------------------
+   OAuth
+------------------------------------------------------ */
+
+/**
+ * The Google consent URL for a user. `state` ties the callback back
+ * to them and expires after ten minutes.
+ */
+export function googleAuthUrl(userId) {
+  const state = jwt.sign({ sub: userId, purpose: STATE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: "10m",
+  });
+
+  if (useFake()) {
+    return fakeGoogleAuthUrl(REDIRECT_URI, state);
+  }
+
+  return oauthClient().generateAuthUrl({
+    access_type: "offline",
+    // Always ask, so Google always returns a refresh token.
+    prompt: "consent",
+    scope: SCOPES,
+    state,
+  });
+}
+
+/**
+ * The user id an OAuth `state` was issued for, or null.
+ */
+export function verifyGoogleState(state) {
+  try {
+    const payload = jwt.verify(String(state), process.env.JWT_SECRET);
+    return payload.purpose === STATE_PURPOSE ? payload.sub : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Trade the callback's code for tokens.
+ * Resolves to `{ access_token, refresh_token, expires_at, email }`.
+ */
+export async function exchangeGoogleCode(code) {
+  if (useFake()) {
+    return exchangeFakeGoogleCode(code);
+  }
+
+  const { tokens } = await oauthClient().getToken(code);
+  // Straight from Google's token endpoint, so it needs no verification.
+  const idToken = tokens.id_token ? jwt.decode(tokens.id_token) : null;
+
+  return {
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token,
+    expires_at: tokens.expiry_date ? new Date(tokens.expiry_date) : null,
+    email: idToken?.email || null,
+  };
+}
+
+/**
+ * Revoke a token at Google. Best effort: failures are only logged.
+ */
+export async function revokeGoogleToken(token) {
+  if (useFake() || !token) return;
+
+  try {
+    await oauthClient().revokeToken(token);
+  } catch (err) {
+    console.error("Failed to revoke Google token:", err.message);
+  }
+}
+
+/* ------------------------------------------------------
+   Calendar API
+------------------------------------------------------ */
+
+function statusOf(err) {
+  if (err.status) return err.status;
+  if (err.response?.status) return err.response.status;
+  return typeof err.code === "number" ? err.code : undefined;
+}
+
+// Gives every failure a `status`, whatever googleapis put it in.
+async function call(request) {
+  try {
+    const { data } = await request;
+    return data;
+  } catch (err) {
+    err.status = statusOf(err);
+    throw err;
+  }
+}
+
+/**
+ * Create the adapter for a google_accounts row. `onTokens(tokens)` is
+ * called when googleapis refreshes the access token, so it can be
+ * saved.
+ */
+export function createGoogleCalendar(account, { onTokens } = {}) {
+  if (useFake()) {
+    return createFakeGoogleCalendar(account);
+  }
+
+  const auth = oauthClient();
+  auth.setCredentials({
+    access_token: account.access_token,
+    refresh_token: account.refresh_token,
+    expiry_date: account.token_expires_at ? new Date(account.token_expires_at).getTime() : null,
+  });
+  if (onTokens) {
+    auth.on("tokens", onTokens);
+  }
+
+  const calendar = google.calendar({ version: "v3", auth });
+
+  return {
+    async listCalendars() {
+      const data = await call(calendar.calendarList.list({ minAccessRole: "writer" }));
+      return (data.items || []).map((c) => ({
+        id: c.id,
+        summary: c.summaryOverride || c.summary,
+        timeZone: c.timeZone,
+        primary: Boolean(c.primary),
+      }));
+    },
+
+    async getCalendar(calendarId) {
+      const data = await call(calendar.calendars.get({ calendarId }));
+      return { id: data.id, summary: data.summary, timeZone: data.timeZone };
+    },
+
+    async listEvents(calendarId, { syncToken, pageToken, timeZone } = {}) {
+      const data = await call(
+        calendar.events.list({
+          calendarId,
+          syncToken: syncToken || undefined,
+          pageToken: pageToken || undefined,
+          timeZone,
+          showDeleted: Boolean(syncToken),
+          maxResults: 250,
+        })
+      );
+      return {
+        items: data.items || [],
+        nextPageToken: data.nextPageToken || null,
+        nextSyncToken: data.nextSyncToken || null,
+      };
+    },
+
+    insertEvent(calendarId, event) {
+      return call(calendar.events.insert({ calendarId, requestBody: event }));
+    },
+
+    patchEvent(calendarId, eventId, event) {
+      return call(calendar.events.patch({ calendarId, eventId, requestBody: event }));
+    },
+
+    async deleteEvent(calendarId, eventId) {
+      try {
+        await call(calendar.events.delete({ calendarId, eventId }));
+      } catch (err) {
+        // Already gone
+        if (err.status !== 404 && err.status !== 410) throw err;
+      }
+    },
+  };
+}
@@ -0,0 +1,170 @@
+import crypto from "crypto";
+
+/* ======================================================
+   Fake Google Calendar
+
+   An in-memory stand-in for the Google Calendar adapter
+   (see googleCalendar.js), used when GOOGLE_CALENDAR_FAKE
+   is true. It keeps the parts of Google's behaviour the
+   sync engine relies on: every change bumps `updated` and
+   a per-calendar sequence, sync tokens return only what
+   changed since (deleted events as "cancelled"), and an
+   unknown sync token fails like Google's 410 Gone.
+
+   State lives in the process and is lost on restart.
+====================================================== */
+
+// google_email -> Map(calendarId -> { id, summary, timeZone, primary, seq, events })
+const accounts = new Map();
+
+export class FakeGoogleError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "FakeGoogleError";
+    this.status = status;
+  }
+}
+
+function calendarsOf(email) {
+  if (!accounts.has(email)) {
+    const calendars = new Map();
+    calendars.set("primary", {
+      id: "primary",
+      summary: email,
+      timeZone: "UTC",
+      primary: true,
+      seq: 0,
+      events: new Map(),
+    });
+    calendars.set("family", {
+      id: "family",
+      summary: "Family",
+      timeZone: "Africa/Johannesburg",
+      primary: false,
+      seq: 0,
+      events: new Map(),
+    });
+    accounts.set(email, calendars);
+  }
+  return accounts.get(email);
+}
+
+function findCalendar(email, calendarId) {
+  const calendar = calendarsOf(email).get(calendarId);
+  if (!calendar) {
+    throw new FakeGoogleError(404, `Calendar ${calendarId} not found`);
+  }
+  return calendar;
+}
+
+// Google's `updated` has millisecond precision and always moves forward.
+let lastUpdated = 0;
+function nextUpdated() {
+  lastUpdated = Math.max(Date.now(), lastUpdated + 1);
+  return new Date(lastUpdated).toISOString();
+}
+
+function touch(calendar, event) {
+  calendar.seq += 1;
+  event.seq = calendar.seq;
+  event.updated = nextUpdated();
+  event.etag = `"${event.seq}"`;
+  return event;
+}
+
+function publicEvent(event) {
+  const { seq, ...rest } = event;
+  return structuredClone(rest);
+}
+
+export function fakeGoogleAuthUrl(redirectUri, state) {
+  return `${redirectUri}?code=fake-${crypto.randomBytes(8).toString("hex")}&state=${encodeURIComponent(state)}`;
+}
+
+export function exchangeFakeGoogleCode(code) {
+  return {
+    access_token: `fake-access-${code}`,
+    refresh_token: `fake-refresh-${code}`,
+    expires_at: new Date(Date.now() + 3600 * 1000),
+    email: "fake.user@example.com",
+  };
+}
+
+/**
+ * Create an adapter over the fake calendars of `account.google_email`.
+ */
+export function createFakeGoogleCalendar(account) {
+  const email = account.google_email;
+
+  return {
+    async listCalendars() {
+      return [...calendarsOf(email).values()].map(({ id, summary, timeZone, primary }) => ({
+        id,
+        summary,
+        timeZone,
+        primary,
+      }));
+    },
+
+    async getCalendar(calendarId) {
+      const { id, summary, timeZone } = findCalendar(email, calendarId);
+      return { id, summary, timeZone };
+    },
+
+    async listEvents(calendarId, { syncToken } = {}) {
+      const calendar = findCalendar(email, calendarId);
+      let since = 0;
+
+      if (syncToken) {
+        const match = /^fake-sync-(\d+)$/.exec(syncToken);
+        if (!match || Number(match[1]) > calendar.seq) {
+          throw new FakeGoogleError(410, "Sync token is no longer valid");
+        }
+        since = Number(match[1]);
+      }
+
+      const items = [...calendar.events.values()]
+        .filter((e) => e.seq > since && (syncToken || e.status !== "cancelled"))
+        .sort((a, b) => a.seq - b.seq)
+        .map(publicEvent);
+
+      return { items, nextPageToken: null, nextSyncToken: `fake-sync-${calendar.seq}` };
+    },
+
+    async insertEvent(calendarId, event) {
+      const calendar = findCalendar(email, calendarId);
+      const id = crypto.randomBytes(10).toString("hex");
+      const stored = touch(calendar, { ...structuredClone(event), id, status: event.status || "confirmed" });
+
+      calendar.events.set(id, stored);
+      return publicEvent(stored);
+    },
+
+    async patchEvent(calendarId, eventId, changes) {
+      const calendar = findCalendar(email, calendarId);
+      const event = calendar.events.get(eventId);
+      if (!event) {
+        throw new FakeGoogleError(404, `Event ${eventId} not found`);
+      }
+
+      Object.assign(event, structuredClone(changes));
+      return publicEvent(touch(calendar, event));
+    },
+
+    async deleteEvent(calendarId, eventId) {
+      const calendar = findCalendar(email, calendarId);
+      const event = calendar.events.get(eventId);
+      if (!event || event.status === "cancelled") return;
+
+      event.status = "cancelled";
+      touch(calendar, event);
+    },
+  };
+}
+
+/**
+ * Drop every fake calendar and event.
+ */
+export function resetFakeGoogleCalendar() {
+  accounts.clear();
+}
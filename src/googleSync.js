@@ -0,0 +1,541 @@
+import dotenv from "dotenv";
+import { pool, withUser } from "./dbclient.js";
+import { COMPLETED_MARK, EVENT_MINUTES, dueDay, remainingRule } from "./calendar.js";
+import { createGoogleCalendar, isGoogleConfigured } from "./googleCalendar.js";
+import { assertWithinLimit } from "./plans.js";
+import { PlanLimitError } from "./errors.js";
+import { RecurrenceError, normalizeRule } from "./recurrence.js";
+import { wallClockAt } from "./timeZones.js";
+
+dotenv.config();
+
+/* ======================================================
+   Google Calendar sync
+
+   Two-way sync between one household's reminders and one
+   Google calendar per connected user. Each run:
+
+   1. pulls the events changed in Google since the stored
+      sync token, and applies them to the linked reminders
+      (optionally importing new events as reminders);
+   2. pushes every reminder changed since its last sync,
+      and deletes the events of reminders that are gone.
+
+   google_event_links remembers, per link, the reminder's
+   updated_at and the event's `updated` as of the last sync.
+   A side changed if its timestamp moved. When both did (a
+   conflict) the most recent change wins. Edits made in
+   Google that the user may not make in the household (e.g.
+   as a viewer) are overwritten by the next push.
+
+   Only the title, description, location and date/time
+   (with its time zone) of a reminder come back from Google;
+   recurrence and the other fields are owned by the API.
+====================================================== */
+
+const SYNC_INTERVAL_MINUTES = parseInt(process.env.GOOGLE_SYNC_INTERVAL_MINUTES) || 5;
+// A sync that has not finished after this long is assumed dead.
+const SYNC_LEASE_MINUTES = 10;
+const ACCOUNTS_PER_TICK = 20;
+
+// extendedProperties.private key holding the reminder id, so events
+// can be relinked when a link was lost.
+const REMINDER_ID_KEY = "smartLifeReminderId";
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function isGone(err) {
+  return err.status === 404 || err.status === 410;
+}
+
+/* ------------------------------------------------------
+   Mapping
+------------------------------------------------------ */
+
+/**
+ * Map a reminder to a Google Calendar event. Timed events keep the
+ * reminder's wall-clock time and time zone.
+ */
+export function reminderToEvent(reminder) {
+  const timeZone = reminder.due_time_zone;
+  const day = dueDay(reminder.due_date);
+  let start;
+  let end;
+
+  if (reminder.due_time) {
+    const startsAt = new Date(`${day}T${reminder.due_time}Z`);
+    const endsAt = new Date(startsAt.getTime() + EVENT_MINUTES * 60 * 1000);
+    start = { dateTime: startsAt.toISOString().slice(0, 19), timeZone };
+    end = { dateTime: endsAt.toISOString().slice(0, 19), timeZone };
+  } else {
+    const next = new Date(`${day}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    start = { date: day };
+    end = { date: `${next.getUTCFullYear()}-${pad(next.getUTCMonth() + 1)}-${pad(next.getUTCDate())}` };
+  }
+
+  return {
+    summary: reminder.completed ? `${COMPLETED_MARK}${reminder.title}` : reminder.title,
+    description: reminder.description || "",
+    location: reminder.location || "",
+    start,
+    end,
+    recurrence:
+      reminder.recurrence_rule && !reminder.completed ? [`RRULE:${remainingRule(reminder)}`] : [],
+    transparency: reminder.completed ? "transparent" : "opaque",
+    // Brings back an event that was deleted in Google
+    status: "confirmed",
+    extendedProperties: { private: { [REMINDER_ID_KEY]: String(reminder.id) } },
+  };
+}
+
+/**
+ * The reminder fields an event carries, or null when it has no start.
+ * A timed event is due at its wall-clock time in its own time zone,
+ * or else the calendar's; `time_zone` is null for all-day events.
+ */
+export function eventToReminder(event, calendarTimeZone = "UTC") {
+  const start = event.start || {};
+  let due_date;
+  let due_time = null;
+  let time_zone = null;
+
+  if (start.date) {
+    due_date = start.date;
+  } else if (start.dateTime) {
+    time_zone = start.timeZone || calendarTimeZone;
+    // Google gives dateTime with the offset of the zone events are listed in.
+    const local = /(Z|[+-]\d{2}:\d{2})$/.test(start.dateTime)
+      ? wallClockAt(new Date(start.dateTime), time_zone)
+      : { date: start.dateTime.slice(0, 10), time: start.dateTime.slice(11, 19) };
+    due_date = local.date;
+    due_time = local.time;
+  } else {
+    return null;
+  }
+
+  const summary = (event.summary || "").trim();
+  const title = summary.startsWith(COMPLETED_MARK) ? summary.slice(COMPLETED_MARK.length) : summary;
+
+  return {
+    title: (title || "(No title)").slice(0, 200),
+    description: event.description ? event.description.slice(0, 2000) : null,
+    location: event.location ? event.location.slice(0, 255) : null,
+    due_date,
+    due_time,
+    time_zone,
+  };
+}
+
+function eventRule(event) {
+  const rrule = (event.recurrence || []).find((line) => line.startsWith("RRULE:"));
+  if (!rrule) return null;
+
+  try {
+    return normalizeRule(rrule);
+  } catch (err) {
+    if (err instanceof RecurrenceError) return null;
+    throw err;
+  }
+}
+
+/* ------------------------------------------------------
+   Pull
+------------------------------------------------------ */
+
+async function findLink(client, userId, eventId) {
+  const { rows } = await client.query(
+    "SELECT * FROM google_event_links WHERE user_id = $1 AND event_id = $2",
+    [userId, eventId]
+  );
+  return rows[0];
+}
+
+/**
+ * An event in Google that is not linked to a reminder: relink it if
+ * it came from one, otherwise import it when the account asks for it.
+ */
+async function applyNewEvent(client, account, event, result) {
+  if (event.status === "cancelled") return;
+
+  const reminderId = Number(event.extendedProperties?.private?.[REMINDER_ID_KEY]);
+  if (reminderId) {
+    const { rowCount } = await client.query(
+      `INSERT INTO google_event_links (user_id, reminder_id, event_id, event_updated_at)
+       SELECT $1, r.id, $3, $4
+       FROM reminders r
+       WHERE r.id = $2 AND r.household_id = $5 AND r.deleted_at IS NULL
+       ON CONFLICT DO NOTHING`,
+      [account.user_id, reminderId, event.id, event.updated, account.household_id]
+    );
+    // Without reminder_updated_at the reminder is pushed again.
+    if (rowCount) return;
+  }
+
+  if (!account.import_events) return;
+
+  const fields = eventToReminder(event, account.calendar_time_zone);
+  if (!fields) return;
+
+  const { rows: role } = await client.query(
+    "SELECT app_has_household_role($1, 'member') AS allowed",
+    [account.household_id]
+  );
+  if (!role[0].allowed) return;
+
+  try {
+    await assertWithinLimit(client, account.household_id, "active_reminders");
+  } catch (err) {
+    if (err instanceof PlanLimitError) {
+      result.skipped += 1;
+      return;
+    }
+    throw err;
+  }
+
+  // Events in the user's own time zone follow it, like reminders made
+  // in the API.
+  const { rows } = await client.query(
+    `INSERT INTO reminders
+     (user_id, household_id, title, description, due_date, due_time, time_zone,
+      location, recurrence_rule, ical_uid)
+     VALUES ($1, $2, $3, $4, $5, $6,
+             NULLIF($7, (SELECT time_zone FROM profiles WHERE user_id = $1)),
+             $8, $9, $10)
+     ON CONFLICT (household_id, ical_uid) WHERE ical_uid IS NOT NULL DO NOTHING
+     RETURNING id, updated_at`,
+    [
+      account.user_id,
+      account.household_id,
+      fields.title,
+      fields.description,
+      fields.due_date,
+      fields.due_time,
+      fields.time_zone,
+      fields.location,
+      eventRule(event),
+      event.iCalUID || null,
+    ]
+  );
+  if (!rows.length) return;
+
+  await client.query(
+    `INSERT INTO google_event_links
+     (user_id, reminder_id, event_id, reminder_updated_at, event_updated_at)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [account.user_id, rows[0].id, event.id, rows[0].updated_at, event.updated]
+  );
+  result.pulled += 1;
+}
+
+/**
+ * Apply one changed event from Google.
+ */
+async function applyEvent(account, event, result) {
+  // Changes to single occurrences of a recurring event are not synced.
+  if (event.recurringEventId) return;
+
+  await withUser(account.user_id, async (client) => {
+    const link = await findLink(client, account.user_id, event.id);
+
+    if (!link) {
+      return applyNewEvent(client, account, event, result);
+    }
+
+    // Unchanged, or the echo of our own last write
+    if (link.event_updated_at && new Date(event.updated) <= link.event_updated_at) return;
+
+    const { rows: found } = await client.query(
+      "SELECT * FROM reminders WHERE id = $1 AND household_id = $2 AND deleted_at IS NULL",
+      [link.reminder_id, account.household_id]
+    );
+    const reminder = found[0];
+
+    // Gone here: the push deletes the event.
+    if (!reminder) return;
+
+    const dropLink = () => client.query("DELETE FROM google_event_links WHERE id = $1", [link.id]);
+    const localChanged = !link.reminder_updated_at || reminder.updated_at > link.reminder_updated_at;
+
+    if (localChanged) {
+      result.conflicts += 1;
+
+      if (reminder.updated_at >= new Date(event.updated)) {
+        // The reminder wins; the push overwrites the event, or creates a
+        // new one if it was deleted in Google.
+        if (event.status === "cancelled") await dropLink();
+        return;
+      }
+    }
+
+    if (event.status === "cancelled") {
+      const { rowCount } = await client.query(
+        "UPDATE reminders SET deleted_at = now() WHERE id = $1",
+        [reminder.id]
+      );
+      // Either way the link goes; if the delete was not allowed, the
+      // push puts the event back.
+      await dropLink();
+      if (rowCount) result.deleted += 1;
+      return;
+    }
+
+    // A reminder following its creator's time zone keeps doing so while
+    // the event stays in that zone.
+    const fields = eventToReminder(event, account.calendar_time_zone);
+    const { rows: updated } = fields
+      ? await client.query(
+          `UPDATE reminders
+           SET title = $2, description = $3, location = $4, due_date = $5, due_time = $6,
+               time_zone = CASE
+                 WHEN $7::text IS NULL OR (time_zone IS NULL AND due_time_zone = $7) THEN time_zone
+                 ELSE $7
+               END
+           WHERE id = $1
+           RETURNING updated_at`,
+          [
+            reminder.id,
+            fields.title,
+            fields.description,
+            fields.location,
+            fields.due_date,
+            fields.due_time,
+            fields.time_zone,
+          ]
+        )
+      : { rows: [] };
+
+    // When the change could not be applied, forget the reminder's sync
+    // time so the push overwrites the event.
+    await client.query(
+      `UPDATE google_event_links
+       SET reminder_updated_at = $2, event_updated_at = $3
+       WHERE id = $1`,
+      [link.id, updated[0]?.updated_at ?? null, event.updated]
+    );
+    if (updated.length) result.pulled += 1;
+  });
+}
+
+async function pull(calendar, account, result) {
+  let syncToken = account.sync_token;
+  let pageToken = null;
+
+  for (;;) {
+    let page;
+    try {
+      page = await calendar.listEvents(account.calendar_id, {
+        syncToken,
+        pageToken,
+        timeZone: account.calendar_time_zone,
+      });
+    } catch (err) {
+      if (err.status === 410 && syncToken) {
+        // The sync token expired: list everything again. Events that
+        // did not change since their last sync are skipped anyway.
+        syncToken = null;
+        pageToken = null;
+        continue;
+      }
+      throw err;
+    }
+
+    for (const event of page.items) {
+      await applyEvent(account, event, result);
+    }
+
+    if (!page.nextPageToken) {
+      return page.nextSyncToken;
+    }
+    pageToken = page.nextPageToken;
+  }
+}
+
+/* ------------------------------------------------------
+   Push
+------------------------------------------------------ */
+
+async function saveLink(account, reminder, event) {
+  await withUser(account.user_id, (client) =>
+    client.query(
+      `INSERT INTO google_event_links
+       (user_id, reminder_id, event_id, reminder_updated_at, event_updated_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, reminder_id)
+       DO UPDATE SET event_id = EXCLUDED.event_id,
+                     reminder_updated_at = EXCLUDED.reminder_updated_at,
+                     event_updated_at = EXCLUDED.event_updated_at`,
+      [account.user_id, reminder.id, event.id, reminder.updated_at, event.updated]
+    )
+  );
+}
+
+async function push(calendar, account, result) {
+  const { changed, orphans } = await withUser(account.user_id, async (client) => {
+    const { rows: changed } = await client.query(
+      `SELECT r.*, l.event_id AS linked_event_id
+       FROM reminders r
+       LEFT JOIN google_event_links l ON l.reminder_id = r.id AND l.user_id = $1
+       WHERE r.household_id = $2
+         AND r.deleted_at IS NULL
+         AND (l.id IS NULL
+              OR l.reminder_updated_at IS NULL
+              OR date_trunc('milliseconds', r.updated_at) > l.reminder_updated_at)
+       ORDER BY r.id`,
+      [account.user_id, account.household_id]
+    );
+
+    // Links whose reminder was deleted, purged, moved out of sight or
+    // belongs to another household
+    const { rows: orphans } = await client.query(
+      `SELECT l.*
+       FROM google_event_links l
+       LEFT JOIN reminders r
+         ON r.id = l.reminder_id AND r.household_id = $2 AND r.deleted_at IS NULL
+       WHERE l.user_id = $1 AND r.id IS NULL`,
+      [account.user_id, account.household_id]
+    );
+
+    return { changed, orphans };
+  });
+
+  for (const link of orphans) {
+    await calendar.deleteEvent(account.calendar_id, link.event_id);
+    await withUser(account.user_id, (client) =>
+      client.query("DELETE FROM google_event_links WHERE id = $1", [link.id])
+    );
+    result.deleted += 1;
+  }
+
+  for (const reminder of changed) {
+    const event = reminderToEvent(reminder);
+    let saved = null;
+
+    if (reminder.linked_event_id) {
+      try {
+        saved = await calendar.patchEvent(account.calendar_id, reminder.linked_event_id, event);
+      } catch (err) {
+        // Removed from Google for good: create it again below.
+        if (!isGone(err)) throw err;
+      }
+    }
+    if (!saved) {
+      saved = await calendar.insertEvent(account.calendar_id, event);
+    }
+
+    await saveLink(account, reminder, saved);
+    result.pushed += 1;
+  }
+}
+
+/* ------------------------------------------------------
+   Runs
+------------------------------------------------------ */
+
+function saveTokens(userId) {
+  return (tokens) =>
+    pool
+      .query(
+        `UPDATE google_accounts
+         SET access_token = $2,
+             token_expires_at = $3,
+             refresh_token = COALESCE($4, refresh_token)
+         WHERE user_id = $1`,
+        [
+          userId,
+          tokens.access_token,
+          tokens.expiry_date ? new Date(tokens.expiry_date) : null,
+          tokens.refresh_token || null,
+        ]
+      )
+      .catch((err) => console.error("Failed to save refreshed Google token:", err.message));
+}
+
+/**
+ * Sync one user's Google calendar. `calendar` overrides the adapter
+ * (e.g. with a fake). Resolves to `{ pulled, pushed, deleted, conflicts,
+ * skipped }`, or null when a sync of this account is already running.
+ * A failed sync is recorded in google_accounts.last_sync_error and
+ * rethrown.
+ */
+export async function syncGoogleAccount(userId, { calendar } = {}) {
+  // Claim the account, so two instances never sync it at once.
+  const { rows } = await pool.query(
+    `UPDATE google_accounts
+     SET sync_started_at = now(), last_attempted_at = now()
+     WHERE user_id = $1
+       AND (sync_started_at IS NULL
+            OR sync_started_at < now() - make_interval(mins => $2))
+     RETURNING *`,
+    [userId, SYNC_LEASE_MINUTES]
+  );
+
+  if (!rows.length) {
+    return null;
+  }
+
+  const account = rows[0];
+  const result = { pulled: 0, pushed: 0, deleted: 0, conflicts: 0, skipped: 0 };
+
+  try {
+    if (!account.household_id) {
+      throw new Error("Choose a household to sync");
+    }
+
+    const adapter = calendar || createGoogleCalendar(account, { onTokens: saveTokens(userId) });
+    const syncToken = await pull(adapter, account, result);
+    await push(adapter, account, result);
+
+    await pool.query(
+      `UPDATE google_accounts
+       SET sync_token = $2, last_synced_at = now(), last_sync_error = NULL
+       WHERE user_id = $1`,
+      [userId, syncToken]
+    );
+    return result;
+  } catch (err) {
+    await pool.query(
+      "UPDATE google_accounts SET last_sync_error = $2 WHERE user_id = $1",
+      [userId, err.message]
+    );
+    throw err;
+  } finally {
+    await pool.query(
+      "UPDATE google_accounts SET sync_started_at = NULL WHERE user_id = $1",
+      [userId]
+    );
+  }
+}
+
+/**
+ * Sync the accounts that have not been tried for
+ * GOOGLE_SYNC_INTERVAL_MINUTES. Called from every scheduler tick.
+ */
+export async function syncDueGoogleAccounts() {
+  if (!isGoogleConfigured()) return 0;
+
+  const { rows } = await pool.query(
+    `SELECT user_id
+     FROM google_accounts
+     WHERE household_id IS NOT NULL
+       AND (sync_started_at IS NULL
+            OR sync_started_at < now() - make_interval(mins => $2))
+       AND (last_attempted_at IS NULL
+            OR last_attempted_at < now() - make_interval(mins => $1))
+     ORDER BY last_attempted_at NULLS FIRST
+     LIMIT $3`,
+    [SYNC_INTERVAL_MINUTES, SYNC_LEASE_MINUTES, ACCOUNTS_PER_TICK]
+  );
+
+  for (const { user_id } of rows) {
+    try {
+      await syncGoogleAccount(user_id);
+    } catch (err) {
+      console.error(`Google Calendar sync failed for user ${user_id}:`, err.message);
+    }
+  }
+
+  return rows.length;
+}
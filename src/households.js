@@ -0,0 +1,119 @@
+import { ForbiddenError, NotFoundError } from "./errors.js";
+
+/* ======================================================
+   Households
+
+   Family members, reminders and notifications belong to a
+   household rather than to a single user. The role checks
+   here only pick the right error message: the row-level
+   security policies (migrations/0011_households.up.sql)
+   enforce the same rules in the database.
+====================================================== */
+
+// Weakest first.
+export const HOUSEHOLD_ROLES = ["viewer", "member", "admin", "owner"];
+
+/**
+ * Create a household owned by the current user (the database adds the
+ * owner membership). Must run inside withUser().
+ */
+export async function createHousehold(client, name) {
+  const { rows } = await client.query(
+    `INSERT INTO households (name, created_by)
+     VALUES ($1, app_current_user_id())
+     RETURNING *`,
+    [name]
+  );
+
+  return { ...rows[0], role: "owner" };
+}
+
+// The household the current user owns, else the one they joined first.
+async function defaultHouseholdId(client) {
+  const { rows } = await client.query(
+    `SELECT household_id
+     FROM household_members
+     WHERE user_id = app_current_user_id()
+     ORDER BY role = 'owner' DESC, created_at, household_id
+     LIMIT 1`
+  );
+
+  return rows[0]?.household_id ?? null;
+}
+
+/**
+ * Resolve the household a request acts on: `householdId` when given,
+ * otherwise the user's default household (the one they own, else the
+ * one they joined first). A user who has left, or lost, every household
+ * gets null, or with `create` (for requests that add something to it)
+ * a new one of their own, as at signup. Throws 404 if the user is not a
+ * member of `householdId`. Must run inside withUser().
+ */
+export async function resolveHouseholdId(client, householdId, { create = false } = {}) {
+  if (householdId !== undefined && householdId !== null) {
+    const { rows } = await client.query(
+      "SELECT app_household_role($1) AS role",
+      [householdId]
+    );
+
+    if (!rows[0].role) {
+      throw new NotFoundError("Household not found");
+    }
+
+    return Number(householdId);
+  }
+
+  const existing = await defaultHouseholdId(client);
+  if (existing || !create) return existing;
+
+  // Serialises concurrent requests, so only one of them creates it.
+  await client.query(
+    "SELECT pg_advisory_xact_lock(hashtext('own-household'), hashtext(app_current_user_id()::text))"
+  );
+
+  const created = await defaultHouseholdId(client);
+  if (created) return created;
+
+  const { rows: me } = await client.query(
+    `SELECT u.email, p.full_name
+     FROM users u
+     LEFT JOIN profiles p ON p.user_id = u.id
+     WHERE u.id = app_current_user_id()`
+  );
+
+  const household = await createHousehold(client, defaultHouseholdName(me[0]));
+  return household.id;
+}
+
+/**
+ * Make sure the current user holds at least `minimum` in a household
+ * they can see. Resolves to their role. Must run inside withUser().
+ */
+export async function assertHouseholdRole(client, householdId, minimum) {
+  const { rows } = await client.query(
+    "SELECT app_household_role($1) AS role",
+    [householdId]
+  );
+  const role = rows[0].role;
+
+  if (!role) {
+    throw new NotFoundError("Household not found");
+  }
+
+  if (HOUSEHOLD_ROLES.indexOf(role) < HOUSEHOLD_ROLES.indexOf(minimum)) {
+    throw new ForbiddenError(
+      minimum === "owner"
+        ? "Only the household's owner can do this"
+        : `This requires the ${minimum} role or higher in the household`
+    );
+  }
+
+  return role;
+}
+
+/**
+ * Name for a new user's first household.
+ */
+export function defaultHouseholdName({ full_name, email }) {
+  return `${full_name || email}'s household`;
+}
@@ -0,0 +1,168 @@
+/* ======================================================
+   iCalendar (RFC 5545)
+
+   Just enough of the format to publish reminders as a
+   calendar feed and to read VEVENT / VTODO entries back:
+   content lines with parameters, TEXT escaping and line
+   (un)folding. Values are kept as strings; interpreting
+   them is up to the caller (see calendar.js).
+====================================================== */
+
+export class ICalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ICalError";
+  }
+}
+
+const MAX_LINE_OCTETS = 75;
+
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+export function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// Lines longer than 75 octets continue on the next line after a
+// space. Splits on code points so UTF-8 sequences stay whole.
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+function formatParams(params = {}) {
+  return Object.entries(params)
+    .map(([name, value]) => `;${name}=${/[:;,]/.test(value) ? `"${value}"` : value}`)
+    .join("");
+}
+
+/**
+ * Serialise a component tree. A component is
+ * `{ name, properties: [{ name, params?, value }], components? }`;
+ * property values must already be escaped where they are TEXT.
+ */
+export function formatComponent(component) {
+  const lines = [`BEGIN:${component.name}`];
+
+  for (const property of component.properties) {
+    lines.push(foldLine(`${property.name}${formatParams(property.params)}:${property.value}`));
+  }
+  for (const child of component.components || []) {
+    lines.push(formatComponent(child));
+  }
+
+  lines.push(`END:${component.name}`);
+  return lines.join("\r\n");
+}
+
+export function formatCalendar(calendar) {
+  return `${formatComponent(calendar)}\r\n`;
+}
+
+// NAME;PARAM=value;PARAM="quoted:value":VALUE. The value starts at
+// the first colon outside double quotes.
+function parseLine(line, number) {
+  let quoted = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+
+  const [name, ...rawParams] = colon === -1 ? [] : line.slice(0, colon).match(/(?:"[^"]*"|[^;])+/g);
+
+  if (!name || !/^[A-Za-z0-9-]+$/.test(name)) {
+    throw new ICalError(`Content line ${number} is not valid`);
+  }
+
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf("=");
+    if (eq === -1) {
+      throw new ICalError(`Content line ${number} has a parameter without a value`);
+    }
+    params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/"/g, "");
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse iCalendar text into the same component tree formatComponent()
+ * takes. Property values are left escaped. Throws ICalError when the
+ * text is not a VCALENDAR.
+ */
+export function parseCalendar(text) {
+  const lines = String(text)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+
+  const root = { name: null, properties: [], components: [] };
+  const stack = [root];
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const property = parseLine(line, index + 1);
+    const current = stack[stack.length - 1];
+
+    if (property.name === "BEGIN") {
+      const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === "END") {
+      if (stack.length === 1 || current.name !== property.value.toUpperCase()) {
+        throw new ICalError(`Unexpected END:${property.value} on content line ${index + 1}`);
+      }
+      stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  });
+
+  if (stack.length !== 1) {
+    throw new ICalError(`${stack[stack.length - 1].name} is never closed`);
+  }
+
+  const calendar = root.components.find((c) => c.name === "VCALENDAR");
+  if (!calendar) {
+    throw new ICalError("No VCALENDAR found");
+  }
+
+  return calendar;
+}
+
+/**
+ * First property called `name` in a component, or undefined.
+ */
+export function getProperty(component, name) {
+  return component.properties.find((p) => p.name === name);
+}
@@ -0,0 +1,85 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import { queueMail } from "./mailer.js";
+
+dotenv.config();
+
+/* ======================================================
+   Family invitations
+
+   An invitation link carries a signed JWT naming the
+   invitation and its current nonce. Resending rotates the
+   nonce and expiry, so only the latest link works. The
+   token is the only credential needed to decline; accepting
+   additionally requires signing in with the invited address.
+====================================================== */
+
+export const INVITATION_STATUSES = ["pending", "accepted", "declined", "revoked"];
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+const TOKEN_AUDIENCE = "family-invitation";
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+/**
+ * Give a pending invitation a fresh nonce and expiry (on creation and
+ * on every resend). Returns the signed token for the email link.
+ */
+export async function issueInvitationToken(client, invitationId) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+
+  await client.query(
+    `UPDATE family_invitations
+     SET token_nonce = $2,
+         expires_at = now() + make_interval(days => $3)
+     WHERE id = $1`,
+    [invitationId, nonce, INVITATION_TTL_DAYS]
+  );
+
+  return jwt.sign({ inv: invitationId, nonce }, process.env.JWT_SECRET, {
+    audience: TOKEN_AUDIENCE,
+    expiresIn: `${INVITATION_TTL_DAYS}d`,
+  });
+}
+
+/**
+ * Lock the pending invitation a token refers to. Resolves to the
+ * invitation row, or null when the token is invalid, expired,
+ * superseded by a resend, or the invitation is no longer pending.
+ */
+export async function findPendingInvitation(client, token) {
+  let payload;
+
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, { audience: TOKEN_AUDIENCE });
+  } catch {
+    return null;
+  }
+
+  const { rows } = await client.query(
+    `SELECT *
+     FROM family_invitations
+     WHERE id = $1
+       AND token_nonce = $2
+       AND status = 'pending'
+       AND expires_at > now()
+     FOR UPDATE`,
+    [payload.inv, payload.nonce]
+  );
+
+  return rows[0] || null;
+}
+
+export function sendInvitationEmail(email, { inviterName, memberName, token, locale }) {
+  return queueMail({
+    to: email,
+    template: "invitation",
+    locale,
+    data: {
+      inviter_name: inviterName,
+      member_name: memberName,
+      link: `${APP_URL}/family/invitations?token=${token}`,
+      days: INVITATION_TTL_DAYS,
+    },
+  });
+}
@@ -0,0 +1,198 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/* ======================================================
+   Email templates
+
+   Every email has a text and an HTML template per locale
+   in templates/mail:
+
+   <name>.<locale>.txt    "Subject: ..." line, blank line, body
+   <name>.<locale>.html   body, put into layout.html
+
+   Templates use a small subset of Mustache:
+
+   {{name}}               value (HTML-escaped in .html files)
+   {{{name}}}             value, never escaped
+   {{#name}}...{{/name}}  shown when truthy; repeated per item of a list
+   {{^name}}...{{/name}}  shown when falsy or an empty list
+
+   A locale without its own variant of a template falls
+   back to MAIL_DEFAULT_LOCALE, then to English.
+====================================================== */
+
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "templates", "mail");
+
+export const SUPPORTED_LOCALES = ["en", "af"];
+export const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.MAIL_DEFAULT_LOCALE)
+  ? process.env.MAIL_DEFAULT_LOCALE
+  : "en";
+
+// file name -> contents; templates do not change while the API runs
+const cache = new Map();
+
+function readTemplate(file) {
+  if (!cache.has(file)) {
+    const fullPath = path.join(TEMPLATE_DIR, file);
+    cache.set(file, fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf8") : null);
+  }
+  return cache.get(file);
+}
+
+/**
+ * The supported locale that best matches `locale` (a BCP 47 tag such
+ * as "af-ZA"), or DEFAULT_LOCALE.
+ */
+export function resolveLocale(locale) {
+  const language = String(locale || "").toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * The first supported language in an Accept-Language header, or null.
+ */
+export function localeFromAcceptLanguage(header) {
+  const ranked = String(header || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.find((p) => p.trim().startsWith("q="));
+      return { language: tag.toLowerCase().split("-")[0], q: q ? parseFloat(q.trim().slice(2)) : 1 };
+    })
+    .filter((entry) => entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  return ranked.find((entry) => SUPPORTED_LOCALES.includes(entry.language))?.language || null;
+}
+
+/* ------------------------------------------------------
+   Formatting
+------------------------------------------------------ */
+
+/**
+ * A lead time as the locale says it: "now", "in 1 hour", "tomorrow".
+ */
+export function formatLead(minutes, locale) {
+  const format = new Intl.RelativeTimeFormat(resolveLocale(locale), { numeric: "auto" });
+
+  if (minutes === 0) return format.format(0, "second");
+  if (minutes % 1440 === 0) return format.format(minutes / 1440, "day");
+  if (minutes % 60 === 0) return format.format(minutes / 60, "hour");
+  return format.format(minutes, "minute");
+}
+
+// Due dates and times are wall-clock values, so they are formatted as
+// UTC to keep them as they are.
+function wallClock(day, time) {
+  return new Date(`${day}T${time || "00:00"}:00Z`);
+}
+
+/**
+ * A day ("YYYY-MM-DD") in full, e.g. "Monday, October 19, 2026".
+ */
+export function formatDay(day, locale) {
+  return new Intl.DateTimeFormat(resolveLocale(locale), { dateStyle: "full", timeZone: "UTC" }).format(
+    wallClock(day)
+  );
+}
+
+/**
+ * A time ("HH:MM") as the locale writes it, e.g. "9:00 AM".
+ */
+export function formatTime(time, locale) {
+  return new Intl.DateTimeFormat(resolveLocale(locale), { timeStyle: "short", timeZone: "UTC" }).format(
+    wallClock("2000-01-01", time)
+  );
+}
+
+/**
+ * A day and time together, e.g. "Monday, October 19, 2026 at 9:00 AM".
+ */
+export function formatDayTime(day, time, locale) {
+  return new Intl.DateTimeFormat(resolveLocale(locale), {
+    dateStyle: "full",
+    timeStyle: "short",
+    timeZone: "UTC",
+  }).format(wallClock(day, time));
+}
+
+/* ------------------------------------------------------
+   Rendering
+------------------------------------------------------ */
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function lookup(contexts, name) {
+  for (const context of contexts) {
+    if (context && typeof context === "object" && name in context) return context[name];
+  }
+  return undefined;
+}
+
+// Sections and values in one pass, so that values are never read as
+// template syntax themselves.
+const TAG = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{(\{?)(\w+)\}?\}\}/g;
+
+function renderString(template, contexts, escape) {
+  return template.replace(TAG, (match, kind, section, inner, raw, name) => {
+    if (kind) {
+      const value = lookup(contexts, section);
+      const empty = !value || (Array.isArray(value) && !value.length);
+
+      if (kind === "^") return empty ? renderString(inner, contexts, escape) : "";
+      if (empty) return "";
+      if (Array.isArray(value)) {
+        return value.map((item) => renderString(inner, [item, ...contexts], escape)).join("");
+      }
+      return renderString(inner, [value, ...contexts], escape);
+    }
+
+    const value = lookup(contexts, name);
+    if (value === undefined || value === null) return "";
+    return raw ? String(value) : escape(value);
+  });
+}
+
+/**
+ * Render template `name` in `locale` with `data`.
+ * Returns `{ subject, text, html, locale }`.
+ */
+export function renderMail(name, locale, data = {}) {
+  const candidates = [...new Set([resolveLocale(locale), DEFAULT_LOCALE, "en"])];
+  const chosen = candidates.find((l) => readTemplate(`${name}.${l}.txt`) !== null);
+
+  if (!chosen) {
+    throw new Error(`Unknown email template ${name}`);
+  }
+
+  const source = readTemplate(`${name}.${chosen}.txt`);
+  const match = /^Subject: (.*)\r?\n\r?\n([\s\S]*)$/.exec(source);
+  if (!match) {
+    throw new Error(`Email template ${name}.${chosen}.txt must start with a Subject: line`);
+  }
+
+  const contexts = [data];
+  const subject = renderString(match[1], contexts, String).trim();
+  const text = renderString(match[2], contexts, String);
+
+  let html = null;
+  const body = readTemplate(`${name}.${chosen}.html`);
+  if (body !== null) {
+    html = renderString(readTemplate("layout.html"), [
+      { lang: chosen, subject, content: renderString(body, contexts, escapeHtml) },
+    ], escapeHtml);
+  }
+
+  return { subject, text, html, locale: chosen };
+}
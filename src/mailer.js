@@ -1,13 +1,252 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
+import { pool } from "./dbclient.js";
+import { renderMail } from "./mailTemplates.js";
 
 dotenv.config();
 
-export const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
+/* ======================================================
+   Outbound mail
+
+   Nothing sends email directly: queueMail() renders a
+   template (see mailTemplates.js) into mail_queue
+   (migrations/0019). The queue is worked right after a
+   message is queued and on every scheduler tick. A failed
+   attempt is retried with exponential backoff; after
+   MAIL_MAX_ATTEMPTS attempts, or when the server rejects
+   the message for good (SMTP 5xx), it is marked dead. A
+   mail server that is down therefore never fails an API
+   request.
+
+   Delivery is at least once: a message whose sending
+   instance dies mid-send is retried after a lease.
+   Bodies are cleared once sent, as they may carry
+   single-use links.
+
+   MAIL_TRANSPORT picks how mail leaves:
+
+   gmail   EMAIL_USER, EMAIL_PASS (an app password)
+   smtp    SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+   file    each message written as JSON to MAIL_DIR, for
+           development
+====================================================== */
+
+const BATCH_SIZE = 50;
+const SEND_LEASE_MINUTES = 5;
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = parseInt(process.env.MAIL_RETRY_BASE_SECONDS) || 60;
+const MAX_RETRY_SECONDS = 6 * 3600;
+
+// Sent and dead messages are kept this long.
+export const MAIL_RETENTION_DAYS = parseInt(process.env.MAIL_RETENTION_DAYS) || 30;
+
+/* ------------------------------------------------------
+   Transports
+------------------------------------------------------ */
+
+// nodemailer's JSON transport, with each message saved to `dir`.
+function fileTransport(dir) {
+  const json = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    async sendMail(message) {
+      const info = await json.sendMail(message);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`), info.message);
+      return info;
+    },
+  };
+}
+
+const TRANSPORTS = {
+  gmail: () =>
+    nodemailer.createTransport({
+      service: "gmail",
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+      },
+    }),
+  smtp: () =>
+    nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    }),
+  file: () => fileTransport(process.env.MAIL_DIR || "mail"),
+};
+
+function createTransport(name) {
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"; use ${Object.keys(TRANSPORTS).join(", ")}`);
+  }
+  return TRANSPORTS[name]();
+}
+
+export const transporter = createTransport(process.env.MAIL_TRANSPORT || "gmail");
+
+const FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+
+/* ------------------------------------------------------
+   Queue
+------------------------------------------------------ */
+
+/**
+ * Render `template` in `locale` with `data` and queue it for `to`.
+ * Pass the client of an open transaction as `db` to queue the email
+ * only if that transaction commits. Resolves to the queued id.
+ */
+export async function queueMail({ to, template, locale, data }, db = pool) {
+  const mail = renderMail(template, locale, data);
+
+  const { rows } = await db.query(
+    `INSERT INTO mail_queue (recipient, template, locale, subject, text_body, html_body)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [to, template, mail.locale, mail.subject, mail.text, mail.html]
+  );
+
+  // Inside a transaction the message is not visible yet; the next
+  // wake-up after the commit (or the scheduler) sends it.
+  if (db === pool) {
+    wakeMailQueue();
+  }
+
+  return rows[0].id;
+}
+
+// 1, 2, 4, 8 ... minutes (with the default base), at most six hours
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+// SMTP 5xx replies are final: retrying will not change them.
+function isPermanent(err) {
+  return err.responseCode >= 500 && err.responseCode < 600;
+}
+
+async function claimMessages() {
+  const { rows } = await pool.query(
+    `UPDATE mail_queue
+     SET status = 'sending',
+         attempts = attempts + 1,
+         locked_until = now() + make_interval(mins => $2)
+     WHERE id IN (
+       SELECT id FROM mail_queue
+       WHERE (status = 'pending' AND next_attempt_at <= now())
+          OR (status = 'sending' AND locked_until < now())
+       ORDER BY next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [BATCH_SIZE, SEND_LEASE_MINUTES]
+  );
+
+  return rows;
+}
+
+async function deliver(message) {
+  try {
+    const info = await transporter.sendMail({
+      from: FROM,
+      to: message.recipient,
+      subject: message.subject,
+      text: message.text_body,
+      html: message.html_body || undefined,
+    });
+
+    await pool.query(
+      `UPDATE mail_queue
+       SET status = 'sent', sent_at = now(), locked_until = NULL, last_error = NULL,
+           message_id = $2, text_body = NULL, html_body = NULL
+       WHERE id = $1`,
+      [message.id, info?.messageId || null]
+    );
+  } catch (err) {
+    const dead = isPermanent(err) || message.attempts >= MAX_ATTEMPTS;
+
+    await pool.query(
+      `UPDATE mail_queue
+       SET status = $2, locked_until = NULL, last_error = $3,
+           next_attempt_at = now() + make_interval(secs => $4)
+       WHERE id = $1`,
+      [message.id, dead ? "dead" : "pending", err.message, retryDelaySeconds(message.attempts)]
+    );
+
+    console.error(
+      `Failed to send ${message.template} email ${message.id} (attempt ${message.attempts}` +
+        `${dead ? ", giving up" : ""}):`,
+      err.message
+    );
+  }
+}
+
+/**
+ * Send every queued message that is due. Returns how many were
+ * attempted.
+ */
+export async function processMailQueue() {
+  let attempted = 0;
+  let batch;
+
+  do {
+    batch = await claimMessages();
+    for (const message of batch) {
+      await deliver(message);
+    }
+    attempted += batch.length;
+  } while (batch.length === BATCH_SIZE);
+
+  return attempted;
+}
+
+let working = null;
+let again = false;
+
+/**
+ * Work the queue in the background, unless this instance already is
+ * (then it goes round once more). Resolves when the queue is idle.
+ */
+export function wakeMailQueue() {
+  if (working) {
+    again = true;
+    return working;
+  }
+
+  working = (async () => {
+    try {
+      do {
+        again = false;
+        await processMailQueue();
+      } while (again);
+    } catch (err) {
+      console.error("Failed to work the mail queue:", err.message);
+    } finally {
+      working = null;
+    }
+  })();
+
+  return working;
+}
+
+/**
+ * Delete sent and dead messages older than MAIL_RETENTION_DAYS.
+ * Returns how many were removed.
+ */
+export async function purgeMailQueue(client) {
+  const { rowCount } = await client.query(
+    `DELETE FROM mail_queue
+     WHERE status IN ('sent', 'dead')
+       AND created_at < now() - make_interval(days => $1)`,
+    [MAIL_RETENTION_DAYS]
+  );
+
+  return rowCount;
 }
-);
\ No newline at end of file
@@ -0,0 +1,206 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { pool } from "./dbclient.js";
+
+/* ======================================================
+   Schema migrations
+
+   migrations/NNNN_name.up.sql / NNNN_name.down.sql are applied
+   in version order, each in its own transaction, and recorded
+   in schema_migrations. An advisory lock keeps two instances
+   from migrating at the same time.
+
+   npm run migrate           apply all pending migrations
+   npm run migrate:rollback  revert the last migration (or -- N)
+   npm run migrate:status    list applied / pending migrations
+====================================================== */
+
+const MIGRATIONS_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../migrations"
+);
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+const LOCK_KEY = 4_271_001;
+
+export async function loadMigrations() {
+  const byVersion = new Map();
+
+  for (const file of await fs.readdir(MIGRATIONS_DIR)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is used by more than one name`);
+    }
+
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) =>
+    a.version.localeCompare(b.version)
+  );
+
+  for (const migration of migrations) {
+    if (!migration.up || !migration.down) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} is missing its ` +
+          `${migration.up ? "down" : "up"} file`
+      );
+    }
+  }
+
+  return migrations;
+}
+
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+    await client.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version TEXT PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+       )`
+    );
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]);
+    client.release();
+  }
+}
+
+async function appliedVersions(client) {
+  const { rows } = await client.query(
+    "SELECT version, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return new Map(rows.map((row) => [row.version, row.applied_at]));
+}
+
+async function runFile(client, file, record) {
+  const sql = await fs.readFile(file, "utf8");
+
+  await client.query("BEGIN");
+  try {
+    // Migrations may need to touch rows protected by row-level security.
+    await client.query("SELECT set_config('app.bypass_rls', 'on', true)");
+    await client.query(sql);
+    await record();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw new Error(`${path.basename(file)}: ${err.message}`);
+  }
+}
+
+/**
+ * Apply every pending migration. Returns the migrations applied.
+ */
+export async function migrateUp() {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await appliedVersions(client);
+    const pending = migrations.filter((m) => !applied.has(m.version));
+
+    for (const migration of pending) {
+      await runFile(client, migration.up, () =>
+        client.query(
+          "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+          [migration.version, migration.name]
+        )
+      );
+      console.log(`Applied ${migration.version}_${migration.name}`);
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Revert the last `steps` applied migrations. Returns the migrations reverted.
+ */
+export async function migrateDown(steps = 1) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await appliedVersions(client);
+    const reverting = migrations
+      .filter((m) => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const version of applied.keys()) {
+      if (!migrations.some((m) => m.version === version)) {
+        throw new Error(`Applied migration ${version} has no file in migrations/`);
+      }
+    }
+
+    for (const migration of reverting) {
+      await runFile(client, migration.down, () =>
+        client.query("DELETE FROM schema_migrations WHERE version = $1", [
+          migration.version,
+        ])
+      );
+      console.log(`Reverted ${migration.version}_${migration.name}`);
+    }
+
+    return reverting;
+  });
+}
+
+export async function migrationStatus() {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await appliedVersions(client);
+
+    return migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      applied_at: applied.get(m.version) || null,
+    }));
+  });
+}
+
+async function main(command = "up", arg) {
+  switch (command) {
+    case "up": {
+      const applied = await migrateUp();
+      if (!applied.length) console.log("Database is up to date");
+      break;
+    }
+    case "down": {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("Rollback steps must be a positive integer");
+      }
+      const reverted = await migrateDown(steps);
+      if (!reverted.length) console.log("Nothing to roll back");
+      break;
+    }
+    case "status":
+      for (const m of await migrationStatus()) {
+        const state = m.applied_at ? `applied ${m.applied_at.toISOString()}` : "pending";
+        console.log(`${m.version}_${m.name.padEnd(40)} ${state}`);
+      }
+      break;
+    default:
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv[2], process.argv[3])
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,114 @@
+import dotenv from "dotenv";
+import { BadRequestError } from "./errors.js";
+
+dotenv.config();
+
+/* ======================================================
+   Notification inbox
+
+   Listing behind GET /notifications, newest first, paged
+   with a keyset cursor on (created_at, id) like the
+   reminder listing. Notifications that have been read for
+   NOTIFICATION_ARCHIVE_DAYS are archived by the scheduler
+   and only listed with ?archived=true.
+====================================================== */
+
+// reminder_due: sent by the scheduler before a reminder is due, or
+//   when its snooze ends
+// reminder_escalated: an assigned high-priority reminder is overdue
+//   (see escalations.js)
+// system: account and household notices
+export const NOTIFICATION_TYPES = ["reminder_due", "reminder_escalated", "system"];
+
+export const ARCHIVE_AFTER_DAYS = parseInt(process.env.NOTIFICATION_ARCHIVE_DAYS) || 30;
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify({ key: row.sort_key, id: row.id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  if (typeof decoded?.key !== "string" || !Number.isInteger(decoded.id)) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  return decoded;
+}
+
+/**
+ * List the current user's notifications. `query` is the (validated)
+ * query string of GET /notifications. Must run inside withUser().
+ *
+ * Resolves to `{ limit, next_cursor, notifications }`, where `limit` is
+ * the page size applied.
+ */
+export async function listNotifications(client, query) {
+  const limit = parseInt(query.limit) || 20;
+
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const where = [query.archived === "true" ? "archived_at IS NOT NULL" : "archived_at IS NULL"];
+
+  if (query.read !== undefined) {
+    where.push(`read = ${param(query.read === "true")}`);
+  }
+  if (query.type) {
+    where.push(`type = ${param(query.type)}`);
+  }
+  if (query.household_id) {
+    where.push(`household_id = ${param(Number(query.household_id))}`);
+  }
+  if (query.reminder_id) {
+    where.push(`reminder_id = ${param(Number(query.reminder_id))}`);
+  }
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    where.push(`(created_at, id) < (${param(cursor.key)}::timestamptz, ${param(cursor.id)}::int)`);
+  }
+
+  const { rows } = await client.query(
+    `SELECT *, created_at::text AS sort_key
+     FROM notifications
+     WHERE ${where.join(" AND ")}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${param(limit + 1)}`,
+    params
+  );
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+
+  return {
+    limit,
+    next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    notifications: page.map(({ sort_key, ...notification }) => notification),
+  };
+}
+
+/**
+ * Archive notifications that were read more than ARCHIVE_AFTER_DAYS
+ * ago. Returns how many were archived.
+ */
+export async function archiveReadNotifications(client) {
+  const { rowCount } = await client.query(
+    `UPDATE notifications
+     SET archived_at = now()
+     WHERE read = true
+       AND archived_at IS NULL
+       AND read_at < now() - make_interval(days => $1)`,
+    [ARCHIVE_AFTER_DAYS]
+  );
+
+  return rowCount;
+}
@@ -0,0 +1,218 @@
+import { BadRequestError, ForbiddenError, PlanLimitError } from "./errors.js";
+
+/* ======================================================
+   Plans
+
+   A user's plan (profiles.plan_type) sets how many
+   households they may own and the limits of each of them;
+   members of a household share its owner's plan. null
+   means unlimited.
+
+   Limits are checked when something is created or comes
+   back to life (restored, reopened). A downgrade never
+   deletes anything: households over a limit just cannot
+   grow until they are back under it.
+====================================================== */
+
+export const PLANS = {
+  free: {
+    name: "Free",
+    limits: {
+      households: 1,
+      family_members: 2,
+      active_reminders: 25,
+      attachments_per_reminder: 0,
+      notification_channels: ["in_app"],
+    },
+  },
+  family: {
+    name: "Family",
+    limits: {
+      households: 3,
+      family_members: 8,
+      active_reminders: 250,
+      attachments_per_reminder: 5,
+      notification_channels: ["in_app", "email"],
+    },
+  },
+  premium: {
+    name: "Premium",
+    limits: {
+      households: null,
+      family_members: null,
+      active_reminders: null,
+      attachments_per_reminder: 20,
+      notification_channels: ["in_app", "email", "push"],
+    },
+  },
+};
+
+export const DEFAULT_PLAN = "family";
+
+const LIMIT_LABELS = {
+  households: "households of your own",
+  family_members: "family members",
+  active_reminders: "open reminders",
+  attachments_per_reminder: "attachments per reminder",
+};
+
+const USAGE_QUERIES = {
+  family_members: "SELECT count(*)::int AS used FROM family_members WHERE household_id = $1",
+  active_reminders: `SELECT count(*)::int AS used FROM reminders
+                     WHERE household_id = $1 AND completed = false AND deleted_at IS NULL`,
+};
+
+export function getPlan(planType) {
+  return PLANS[planType] || PLANS[DEFAULT_PLAN];
+}
+
+export function planAllowsChannel(planType, channel) {
+  return getPlan(planType).limits.notification_channels.includes(channel);
+}
+
+/**
+ * The plan type of a household, i.e. its owner's plan.
+ */
+export async function getHouseholdPlanType(client, householdId) {
+  const { rows } = await client.query(
+    `SELECT p.plan_type
+     FROM household_members hm
+     JOIN profiles p ON p.user_id = hm.user_id
+     WHERE hm.household_id = $1 AND hm.role = 'owner'`,
+    [householdId]
+  );
+
+  return rows.length && PLANS[rows[0].plan_type] ? rows[0].plan_type : DEFAULT_PLAN;
+}
+
+/**
+ * Current usage of every counted limit in a household.
+ */
+export async function getHouseholdUsage(client, householdId) {
+  const usage = {};
+
+  for (const [limit, sql] of Object.entries(USAGE_QUERIES)) {
+    const { rows } = await client.query(sql, [householdId]);
+    usage[limit] = rows[0].used;
+  }
+
+  return usage;
+}
+
+/**
+ * Throw a 402 if adding `count` more of `limit` would take the
+ * household over its plan. `used` defaults to the household's current
+ * usage; pass it for limits that are not counted per household
+ * (attachments_per_reminder). Must run inside the transaction that
+ * creates the rows.
+ */
+export async function assertWithinLimit(client, householdId, limit, { count = 1, used } = {}) {
+  // Serialises concurrent creations in the same household, so two
+  // requests cannot both take the last free slot.
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('plan-limit'), $1)", [householdId]);
+
+  const planType = await getHouseholdPlanType(client, householdId);
+  const plan = getPlan(planType);
+  const max = plan.limits[limit];
+
+  if (max === null) return;
+
+  if (used === undefined) {
+    const { rows } = await client.query(USAGE_QUERIES[limit], [householdId]);
+    used = rows[0].used;
+  }
+
+  if (used + count > max) {
+    throw new PlanLimitError(
+      `The ${plan.name} plan allows up to ${max} ${LIMIT_LABELS[limit]}. Upgrade the household owner's plan to add more.`,
+      { limit, plan: planType, max, used }
+    );
+  }
+}
+
+/**
+ * Throw a 402 if user `userId` already owns as many households as
+ * their plan allows. Must run inside the transaction that creates the
+ * household.
+ */
+export async function assertCanOwnHousehold(client, userId) {
+  await client.query(
+    "SELECT pg_advisory_xact_lock(hashtext('plan-limit-households'), hashtext($1))",
+    [userId]
+  );
+
+  const { rows } = await client.query(
+    `SELECT p.plan_type,
+            (SELECT count(*)::int FROM household_members
+             WHERE user_id = $1 AND role = 'owner') AS used
+     FROM users u
+     LEFT JOIN profiles p ON p.user_id = u.id
+     WHERE u.id = $1`,
+    [userId]
+  );
+  const planType = PLANS[rows[0]?.plan_type] ? rows[0].plan_type : DEFAULT_PLAN;
+  const plan = getPlan(planType);
+  const max = plan.limits.households;
+  const used = rows[0]?.used ?? 0;
+
+  if (max !== null && used >= max) {
+    throw new PlanLimitError(
+      `The ${plan.name} plan allows up to ${max} ${LIMIT_LABELS.households}. Upgrade your plan to add more.`,
+      { limit: "households", plan: planType, max, used }
+    );
+  }
+}
+
+/* ------------------------------------------------------
+   Plan changes
+------------------------------------------------------ */
+
+const planChangeHooks = [];
+
+/**
+ * Register `hook({ client, userId, from, to })`, awaited before a plan
+ * change is saved (e.g. to charge or refund through a billing
+ * provider). Throwing aborts the change. Without a hook, plans can
+ * only be downgraded: nothing would take the payment.
+ */
+export function onPlanChange(hook) {
+  planChangeHooks.push(hook);
+}
+
+// Plans from cheapest to dearest
+function planRank(planType) {
+  return Object.keys(PLANS).indexOf(planType);
+}
+
+/**
+ * Move a user to another plan. Resolves to `{ from, to }`. Throws a
+ * 403 for an upgrade when no hook is registered to approve it.
+ */
+export async function changePlan(client, userId, planType) {
+  if (!PLANS[planType]) {
+    throw new BadRequestError(`Unknown plan: ${planType}`);
+  }
+
+  const { rows } = await client.query(
+    "SELECT plan_type FROM profiles WHERE user_id = $1 FOR UPDATE",
+    [userId]
+  );
+  const from = rows[0]?.plan_type ?? DEFAULT_PLAN;
+
+  if (planRank(planType) > planRank(from) && !planChangeHooks.length) {
+    throw new ForbiddenError("Upgrades are not available: no billing provider is connected");
+  }
+
+  if (from !== planType) {
+    for (const hook of planChangeHooks) {
+      await hook({ client, userId, from, to: planType });
+    }
+
+    await client.query(
+      "UPDATE profiles SET plan_type = $2 WHERE user_id = $1",
+      [userId, planType]
+    );
+  }
+
+  return { from, to: planType };
+}
@@ -0,0 +1,200 @@
+import { ValidationError } from "./errors.js";
+
+/* ======================================================
+   Notification preferences
+
+   One notification_preferences row per user, created on
+   first update; until then the defaults apply. The API
+   shape groups the columns:
+
+   {
+     channels:   { in_app, email, push },
+     lead_times: { default, priority: { high: [...] }, category: { medication: [...] } },
+     quiet_hours: { start, end } | null,
+     time_zone,
+     digest:     { enabled, time }
+   }
+
+   time_zone is the profile's (profiles.time_zone, see
+   migrations/0020): quiet hours and the digest follow the
+   same zone as the user's reminders.
+
+   The scheduler reads the table directly (see
+   notification_lead_times() and in_quiet_hours() in
+   migrations/0017).
+====================================================== */
+
+// Same limit as reminders.category
+const CATEGORY_MAX_LENGTH = 50;
+
+const DEFAULTS = {
+  in_app_enabled: true,
+  email_enabled: true,
+  push_enabled: true,
+  lead_times: null,
+  priority_lead_times: {},
+  category_lead_times: {},
+  quiet_hours_start: null,
+  quiet_hours_end: null,
+  time_zone: "UTC",
+  digest_enabled: false,
+  digest_time: "07:00:00",
+  updated_at: null,
+};
+
+// Lead times are kept sorted, largest first, like REMINDER_LEAD_TIMES.
+function normalizeLeadTimes(minutes) {
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+function normalizeLeadTimeMap(map, normalizeKey = (key) => key) {
+  const normalized = {};
+  for (const [key, minutes] of Object.entries(map)) {
+    normalized[normalizeKey(key)] = normalizeLeadTimes(minutes);
+  }
+  return normalized;
+}
+
+function hhmm(time) {
+  return time ? time.slice(0, 5) : null;
+}
+
+/**
+ * The API shape of a row from getPreferences() or updatePreferences().
+ */
+export function serializePreferences(p) {
+  return {
+    channels: {
+      in_app: p.in_app_enabled,
+      email: p.email_enabled,
+      push: p.push_enabled,
+    },
+    lead_times: {
+      default: p.lead_times,
+      priority: p.priority_lead_times,
+      category: p.category_lead_times,
+    },
+    quiet_hours: p.quiet_hours_start
+      ? { start: hhmm(p.quiet_hours_start), end: hhmm(p.quiet_hours_end) }
+      : null,
+    time_zone: p.time_zone,
+    digest: {
+      enabled: p.digest_enabled,
+      time: hhmm(p.digest_time),
+    },
+    updated_at: p.updated_at,
+  };
+}
+
+/**
+ * A user's notification_preferences row with their profile's
+ * time_zone, or the defaults when they have no row yet.
+ */
+export async function getPreferences(client, userId) {
+  const { rows } = await client.query(
+    `SELECT np.*, p.time_zone
+     FROM profiles p
+     LEFT JOIN notification_preferences np ON np.user_id = p.user_id
+     WHERE p.user_id = $1`,
+    [userId]
+  );
+
+  if (rows[0]?.user_id) {
+    return rows[0];
+  }
+  return { ...DEFAULTS, time_zone: rows[0]?.time_zone ?? DEFAULTS.time_zone };
+}
+
+/**
+ * Apply a (validated) partial update in the API shape. Groups that are
+ * left out are kept; within channels and digest, so are left-out
+ * fields. Resolves to the updated row.
+ */
+export async function updatePreferences(client, userId, changes) {
+  const current = await getPreferences(client, userId);
+  const next = { ...current };
+
+  if (changes.channels) {
+    const { in_app, email, push } = changes.channels;
+    if (in_app !== undefined) next.in_app_enabled = in_app;
+    if (email !== undefined) next.email_enabled = email;
+    if (push !== undefined) next.push_enabled = push;
+  }
+
+  if (changes.lead_times) {
+    const { default: defaults, priority, category } = changes.lead_times;
+    if (defaults !== undefined) next.lead_times = defaults && normalizeLeadTimes(defaults);
+    if (priority !== undefined) next.priority_lead_times = normalizeLeadTimeMap(priority);
+    if (category !== undefined) {
+      const invalid = Object.keys(category).filter(
+        (key) => !key.trim() || key.trim().length > CATEGORY_MAX_LENGTH
+      );
+      if (invalid.length) {
+        throw new ValidationError(
+          invalid.map((key) => ({
+            location: "body",
+            field: `lead_times.category.${key}`,
+            message: `category must be 1 to ${CATEGORY_MAX_LENGTH} characters long`,
+          }))
+        );
+      }
+      next.category_lead_times = normalizeLeadTimeMap(category, (key) => key.trim().toLowerCase());
+    }
+  }
+
+  if (changes.quiet_hours !== undefined) {
+    next.quiet_hours_start = changes.quiet_hours?.start ?? null;
+    next.quiet_hours_end = changes.quiet_hours?.end ?? null;
+  }
+
+  if (changes.time_zone !== undefined && changes.time_zone !== current.time_zone) {
+    await client.query("UPDATE profiles SET time_zone = $1 WHERE user_id = $2", [
+      changes.time_zone,
+      userId,
+    ]);
+    next.time_zone = changes.time_zone;
+  }
+
+  if (changes.digest) {
+    const { enabled, time } = changes.digest;
+    if (enabled !== undefined) next.digest_enabled = enabled;
+    if (time !== undefined) next.digest_time = time;
+  }
+
+  const { rows } = await client.query(
+    `INSERT INTO notification_preferences
+     (user_id, in_app_enabled, email_enabled, push_enabled,
+      lead_times, priority_lead_times, category_lead_times,
+      quiet_hours_start, quiet_hours_end,
+      digest_enabled, digest_time)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (user_id)
+     DO UPDATE SET in_app_enabled = EXCLUDED.in_app_enabled,
+                   email_enabled = EXCLUDED.email_enabled,
+                   push_enabled = EXCLUDED.push_enabled,
+                   lead_times = EXCLUDED.lead_times,
+                   priority_lead_times = EXCLUDED.priority_lead_times,
+                   category_lead_times = EXCLUDED.category_lead_times,
+                   quiet_hours_start = EXCLUDED.quiet_hours_start,
+                   quiet_hours_end = EXCLUDED.quiet_hours_end,
+                   digest_enabled = EXCLUDED.digest_enabled,
+                   digest_time = EXCLUDED.digest_time,
+                   updated_at = now()
+     RETURNING *`,
+    [
+      userId,
+      next.in_app_enabled,
+      next.email_enabled,
+      next.push_enabled,
+      next.lead_times,
+      JSON.stringify(next.priority_lead_times),
+      JSON.stringify(next.category_lead_times),
+      next.quiet_hours_start,
+      next.quiet_hours_end,
+      next.digest_enabled,
+      next.digest_time,
+    ]
+  );
+
+  return { ...rows[0], time_zone: next.time_zone };
+}
@@ -0,0 +1,157 @@
+import webpush from "web-push";
+import dotenv from "dotenv";
+import { pool } from "./dbclient.js";
+
+dotenv.config();
+
+/* ======================================================
+   Web Push
+
+   Reminder alerts are pushed to every browser a user has
+   subscribed (push_subscriptions, see migrations/0018)
+   through the standard Web Push protocol: web-push
+   encrypts the payload for the subscription (RFC 8291)
+   and signs the request with our VAPID key (RFC 8292).
+
+   Sending the request is left to the sender, a function
+
+   sender({ endpoint, method, headers, body })  { status }
+
+   which POSTs it to the push service by default. Tests
+   can swap it with setPushSender(), or point a
+   subscription at the mock push service in
+   pushServiceMock.js.
+
+   Push services answer 404 or 410 for subscriptions that
+   expired or were unsubscribed; those are deleted, as are
+   subscriptions past their expirationTime.
+====================================================== */
+
+const SEND_TIMEOUT_MS = 10000;
+
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY;
+const VAPID_SUBJECT =
+  process.env.VAPID_SUBJECT || (process.env.EMAIL_USER ? `mailto:${process.env.EMAIL_USER}` : undefined);
+
+export function isPushConfigured() {
+  return Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY && VAPID_SUBJECT);
+}
+
+// The application server key browsers subscribe with.
+export function vapidPublicKey() {
+  return VAPID_PUBLIC_KEY;
+}
+
+/* ------------------------------------------------------
+   Senders
+------------------------------------------------------ */
+
+async function httpSender({ endpoint, method, headers, body }) {
+  const response = await fetch(endpoint, {
+    method,
+    headers,
+    body,
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+  });
+  await response.arrayBuffer();
+
+  return { status: response.status };
+}
+
+let sender = httpSender;
+
+/**
+ * Replace the function push requests are sent with. Without an
+ * argument, the default (HTTP) sender is restored.
+ */
+export function setPushSender(send = httpSender) {
+  sender = send;
+}
+
+/* ------------------------------------------------------
+   Sending
+------------------------------------------------------ */
+
+// What the push service tells us about a subscription it no longer has.
+function isGone(status) {
+  return status === 404 || status === 410;
+}
+
+/**
+ * Push `message` (serialized as JSON) to one subscription row.
+ * `options` are web-push's: `TTL` in seconds, `urgency`, `topic`.
+ * Resolves to the push service's HTTP status.
+ */
+export async function sendPush(subscription, message, options = {}) {
+  const request = webpush.generateRequestDetails(
+    {
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+    },
+    JSON.stringify(message),
+    {
+      ...options,
+      vapidDetails: {
+        subject: VAPID_SUBJECT,
+        publicKey: VAPID_PUBLIC_KEY,
+        privateKey: VAPID_PRIVATE_KEY,
+      },
+    }
+  );
+
+  const { status } = await sender(request);
+  return status;
+}
+
+/**
+ * Push `message` to every device of a user. Subscriptions the push
+ * service reports gone are deleted. Resolves to the number of devices
+ * the push service accepted the message for.
+ */
+export async function pushToUser(userId, message, options = {}) {
+  const { rows: subscriptions } = await pool.query(
+    `SELECT * FROM push_subscriptions
+     WHERE user_id = $1
+       AND (expires_at IS NULL OR expires_at > now())`,
+    [userId]
+  );
+
+  let delivered = 0;
+
+  for (const subscription of subscriptions) {
+    let status;
+    try {
+      status = await sendPush(subscription, message, options);
+    } catch (err) {
+      console.error(`Failed to push to subscription ${subscription.id}:`, err.message);
+      continue;
+    }
+
+    if (status >= 200 && status < 300) {
+      delivered++;
+      await pool.query(
+        "UPDATE push_subscriptions SET last_used_at = now() WHERE id = $1",
+        [subscription.id]
+      );
+    } else if (isGone(status)) {
+      await pool.query("DELETE FROM push_subscriptions WHERE id = $1", [subscription.id]);
+    } else {
+      console.error(`Push service answered ${status} for subscription ${subscription.id}`);
+    }
+  }
+
+  return delivered;
+}
+
+/**
+ * Delete subscriptions past their expirationTime. Returns how many
+ * were removed.
+ */
+export async function pruneExpiredSubscriptions(client) {
+  const { rowCount } = await client.query(
+    "DELETE FROM push_subscriptions WHERE expires_at <= now()"
+  );
+
+  return rowCount;
+}
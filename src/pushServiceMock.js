@@ -0,0 +1,210 @@
+import http from "http";
+import crypto from "crypto";
+
+/* ======================================================
+   Mock push service
+
+   A local stand-in for a browser vendor's push service,
+   for trying Web Push delivery (push.js) without a
+   browser. It hands out subscriptions whose endpoints
+   point at itself, and for every push it checks the VAPID
+   signature and decrypts the payload the way a browser
+   would (RFC 8291 aes128gcm), so what it records is what
+   the device would have shown.
+
+   POST   /subscriptions              a new PushSubscription (JSON)
+   GET    /subscriptions/{id}/messages messages pushed to it
+   DELETE /subscriptions/{id}         unsubscribe: pushes now get 410
+   POST   /push/{id}                  the endpoint push.js sends to
+
+   Run it with `node src/pushServiceMock.js [port]`, then
+   register a subscription from POST /subscriptions with
+   POST /api/push-subscriptions (with PUSH_ALLOW_HTTP=true).
+   State lives in the process and is lost on restart.
+====================================================== */
+
+const DEFAULT_PORT = 3999;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString("base64url");
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, body === undefined ? {} : { "Content-Type": "application/json" });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/* ------------------------------------------------------
+   Protocol checks
+------------------------------------------------------ */
+
+function publicKeyFromRaw(raw) {
+  return crypto.createPublicKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      x: base64url(raw.subarray(1, 33)),
+      y: base64url(raw.subarray(33, 65)),
+    },
+    format: "jwk",
+  });
+}
+
+// Authorization: vapid t=<JWT>, k=<public key>. Returns an error
+// message, or null when the signature and claims hold.
+function checkVapid(header, origin) {
+  const match = /^vapid t=([^,\s]+),\s*k=([A-Za-z0-9_-]+)$/.exec(header || "");
+  if (!match) return "Missing VAPID authorization";
+
+  const [, token, key] = match;
+  const [head, claims, signature] = token.split(".");
+  if (!signature) return "Malformed VAPID token";
+
+  const valid = crypto.verify(
+    "sha256",
+    Buffer.from(`${head}.${claims}`),
+    { key: publicKeyFromRaw(Buffer.from(key, "base64url")), dsaEncoding: "ieee-p1363" },
+    Buffer.from(signature, "base64url")
+  );
+  if (!valid) return "Bad VAPID signature";
+
+  const { aud, exp, sub } = JSON.parse(Buffer.from(claims, "base64url").toString("utf8"));
+  if (aud !== origin) return `VAPID audience must be ${origin}`;
+  if (!(exp > Date.now() / 1000) || exp > Date.now() / 1000 + 24 * 3600) return "VAPID token expired";
+  if (!/^(mailto:|https:)/.test(sub || "")) return "VAPID subject must be mailto: or https:";
+
+  return null;
+}
+
+// RFC 8291 with the aes128gcm content coding of RFC 8188, one record.
+function decrypt(body, subscription) {
+  const salt = body.subarray(0, 16);
+  const idLength = body[20];
+  const serverKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const secret = subscription.ecdh.computeSecret(serverKey);
+  const keyInfo = Buffer.concat([
+    Buffer.from("WebPush: info\0"),
+    subscription.ecdh.getPublicKey(),
+    serverKey,
+  ]);
+  const ikm = Buffer.from(crypto.hkdfSync("sha256", secret, subscription.auth, keyInfo, 32));
+  const key = Buffer.from(crypto.hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16));
+  const nonce = Buffer.from(crypto.hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12));
+
+  const decipher = crypto.createDecipheriv("aes-128-gcm", key, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+  // The last record ends with a 0x02 delimiter, then zero padding.
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end--;
+  return padded.subarray(0, end).toString("utf8");
+}
+
+/* ------------------------------------------------------
+   Server
+------------------------------------------------------ */
+
+/**
+ * Start a mock push service. Resolves to `{ url, subscriptions,
+ * close() }`; `subscriptions` maps ids to `{ gone, messages }`.
+ */
+export function startMockPushService({ port = DEFAULT_PORT, host = "127.0.0.1" } = {}) {
+  const subscriptions = new Map();
+  let url;
+
+  const server = http.createServer(async (req, res) => {
+    const path = new URL(req.url, url).pathname;
+    let match;
+
+    try {
+      if (req.method === "POST" && path === "/subscriptions") {
+        const id = crypto.randomUUID();
+        const ecdh = crypto.createECDH("prime256v1");
+        ecdh.generateKeys();
+        const auth = crypto.randomBytes(16);
+
+        subscriptions.set(id, { ecdh, auth, gone: false, messages: [] });
+        return send(res, 201, {
+          endpoint: `${url}/push/${id}`,
+          expirationTime: null,
+          keys: { p256dh: base64url(ecdh.getPublicKey()), auth: base64url(auth) },
+        });
+      }
+
+      if ((match = /^\/subscriptions\/([\w-]+)\/messages$/.exec(path)) && req.method === "GET") {
+        const subscription = subscriptions.get(match[1]);
+        return subscription ? send(res, 200, subscription.messages) : send(res, 404, { error: "Unknown subscription" });
+      }
+
+      if ((match = /^\/subscriptions\/([\w-]+)$/.exec(path)) && req.method === "DELETE") {
+        const subscription = subscriptions.get(match[1]);
+        if (!subscription) return send(res, 404, { error: "Unknown subscription" });
+        subscription.gone = true;
+        return send(res, 204);
+      }
+
+      if ((match = /^\/push\/([\w-]+)$/.exec(path)) && req.method === "POST") {
+        const subscription = subscriptions.get(match[1]);
+        if (!subscription) return send(res, 404, { error: "Unknown subscription" });
+        if (subscription.gone) return send(res, 410, { error: "Unsubscribed" });
+
+        const problem = checkVapid(req.headers.authorization, url);
+        if (problem) return send(res, 403, { error: problem });
+        if (req.headers["content-encoding"] !== "aes128gcm") {
+          return send(res, 415, { error: "Content-Encoding must be aes128gcm" });
+        }
+        if (!req.headers.ttl) return send(res, 400, { error: "Missing TTL" });
+
+        const body = await readBody(req);
+        let payload;
+        try {
+          payload = body.length ? decrypt(body, subscription) : null;
+        } catch {
+          return send(res, 400, { error: "Could not decrypt the payload" });
+        }
+
+        subscription.messages.push({
+          received_at: new Date().toISOString(),
+          ttl: Number(req.headers.ttl),
+          urgency: req.headers.urgency || "normal",
+          topic: req.headers.topic || null,
+          payload,
+        });
+        return send(res, 201);
+      }
+
+      send(res, 404, { error: "Not found" });
+    } catch (err) {
+      send(res, 500, { error: err.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      url = `http://${host}:${server.address().port}`;
+      resolve({
+        url,
+        subscriptions,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const service = await startMockPushService({ port: parseInt(process.argv[2]) || DEFAULT_PORT });
+  console.log(`Mock push service running on ${service.url}`);
+}
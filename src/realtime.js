@@ -0,0 +1,307 @@
+import dotenv from "dotenv";
+import { createClient, withSystem, withUser } from "./dbclient.js";
+
+dotenv.config();
+
+/* ======================================================
+   Real-time events
+
+   Triggers log every new notification and every reminder
+   change in realtime_events and NOTIFY realtime_events
+   with the event id (see migrations/0015). Each API
+   instance LISTENs on one connection of its own and
+   wakes up the streams of the users the event is for.
+
+   A stream remembers where it is in realtime_events and,
+   when woken, reads everything after that as its user.
+   Row-level security picks what they may see, and the
+   same read serves a client resuming with Last-Event-ID.
+
+   Event ids are taken before commit, so they can become
+   visible out of order. Streams go by (xact_id, id)
+   instead and only read events of transactions older
+   than every transaction still running (migrations/0026);
+   no event can show up behind those later. Events that
+   have to wait for such a transaction are read again
+   shortly.
+====================================================== */
+
+const CHANNEL = "realtime_events";
+const RECONNECT_MS = 5000;
+const BATCH_SIZE = 100;
+// How soon to look again for events a running transaction holds back
+const UNSETTLED_RETRY_MS = 1000;
+
+// Events are kept for resuming streams this long.
+export const EVENT_RETENTION_HOURS = 24;
+
+// user id -> Set of streams
+const streams = new Map();
+
+let listener = null;
+let reconnectTimer = null;
+
+/* ------------------------------------------------------
+   Listening
+------------------------------------------------------ */
+
+async function membersOf(householdId) {
+  const { rows } = await withSystem((client) =>
+    client.query("SELECT user_id FROM household_members WHERE household_id = $1", [householdId])
+  );
+  return rows.map((r) => r.user_id);
+}
+
+async function dispatch(message) {
+  let event;
+  try {
+    event = JSON.parse(message.payload);
+  } catch {
+    return;
+  }
+
+  const userIds = event.user_id ? [event.user_id] : await membersOf(event.household_id);
+
+  for (const userId of userIds) {
+    for (const stream of streams.get(userId) || []) {
+      stream.wake();
+    }
+  }
+}
+
+function scheduleReconnect() {
+  if (reconnectTimer || !streams.size) return;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    listen();
+  }, RECONNECT_MS);
+}
+
+async function listen() {
+  if (listener) return;
+
+  const client = createClient();
+  listener = client;
+
+  const lost = (err) => {
+    if (listener !== client) return;
+    console.error("Lost the realtime events connection:", err?.message || "connection ended");
+    listener = null;
+    client.end().catch(() => {});
+    scheduleReconnect();
+  };
+
+  client.on("notification", (message) => {
+    dispatch(message).catch((err) => console.error("Failed to dispatch realtime event:", err.message));
+  });
+  client.on("error", lost);
+  client.on("end", () => lost());
+
+  try {
+    await client.connect();
+    await client.query(`LISTEN ${CHANNEL}`);
+  } catch (err) {
+    lost(err);
+    return;
+  }
+
+  // Catch up on whatever happened while nobody was listening.
+  for (const set of streams.values()) {
+    for (const stream of set) stream.wake();
+  }
+}
+
+function unlisten() {
+  if (streams.size) return;
+
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  if (listener) {
+    const client = listener;
+    listener = null;
+    client.end().catch(() => {});
+  }
+}
+
+/* ------------------------------------------------------
+   Streams
+------------------------------------------------------ */
+
+// The current rows behind a batch of events, as the API returns them.
+async function loadEvents(client, events) {
+  const ids = (type) => events.filter((e) => e.type === type).map((e) => e[`${type}_id`]);
+
+  const { rows: notifications } = await client.query(
+    "SELECT * FROM notifications WHERE id = ANY($1::int[])",
+    [ids("notification")]
+  );
+  const { rows: reminders } = await client.query(
+    "SELECT * FROM reminders WHERE id = ANY($1::int[])",
+    [ids("reminder")]
+  );
+
+  const byId = (rows) => new Map(rows.map((r) => [r.id, r]));
+  const found = { notification: byId(notifications), reminder: byId(reminders) };
+
+  return events.map((e) => {
+    const id = e[`${e.type}_id`];
+    const row = found[e.type].get(id);
+    let data;
+
+    if (e.type === "notification") {
+      // Deleted since: nothing left to show
+      if (!row) return null;
+      data = row;
+    } else {
+      // Deleted reminders may be purged by now, or moved out of sight.
+      const reminder =
+        row && (e.action === "deleted" || row.household_id === e.household_id)
+          ? row
+          : { id, household_id: e.household_id };
+      data = { action: e.action, reminder };
+    }
+
+    return { id: Number(e.id), type: e.type, data };
+  });
+}
+
+/**
+ * Where to resume a stream: after the event `lastEventId`, the
+ * Last-Event-ID the client sent, if any; without one the stream starts
+ * from now. Resolves to `{ after, missed }`, where `after` is the
+ * position to pass to openStream() and `missed` tells whether events
+ * the client has not seen were purged.
+ */
+export async function resumePoint(lastEventId) {
+  const { rows } = await withSystem((client) =>
+    client.query(
+      `SELECT min(id) AS oldest,
+              pg_snapshot_xmin(pg_current_snapshot())::text AS now,
+              (SELECT xact_id::text FROM realtime_events WHERE id = $1) AS xact_id
+       FROM realtime_events`,
+      [lastEventId]
+    )
+  );
+  const { oldest, now, xact_id } = rows[0];
+
+  if (lastEventId === undefined || lastEventId === null) {
+    return { after: { xact: now, id: 0 }, missed: false };
+  }
+
+  if (xact_id !== null) {
+    return { after: { xact: xact_id, id: lastEventId }, missed: false };
+  }
+
+  // Purged: everything still kept is new to the client.
+  if (oldest !== null && lastEventId < Number(oldest)) {
+    return { after: { xact: "0", id: 0 }, missed: true };
+  }
+
+  return { after: { xact: now, id: 0 }, missed: false };
+}
+
+/**
+ * Start streaming a user's events to `send(event)`, beginning after
+ * position `after` (from resumePoint()). Events are `{ id, type, data }`:
+ * a notification row, or `{ action, reminder }`. Returns a function that
+ * stops it.
+ */
+export function openStream(userId, after, send) {
+  let position = after;
+  let running = false;
+  let again = false;
+  let closed = false;
+  let retryTimer = null;
+
+  const drain = async () => {
+    do {
+      again = false;
+
+      let batch;
+      do {
+        batch = await withUser(userId, async (client) => {
+          const { rows } = await client.query(
+            `SELECT *, xact_id::text AS xact,
+                    xact_id < pg_snapshot_xmin(pg_current_snapshot()) AS settled
+             FROM realtime_events
+             WHERE (xact_id, id) > ($1::xid8, $2::bigint)
+             ORDER BY xact_id, id
+             LIMIT $3`,
+            [position.xact, position.id, BATCH_SIZE]
+          );
+          // Settled events come first in this order.
+          const settled = rows.filter((row) => row.settled);
+          if (!settled.length) return { count: 0, unsettled: rows.length > 0, events: [] };
+
+          return {
+            count: settled.length,
+            unsettled: settled.length < rows.length,
+            last: { xact: settled.at(-1).xact, id: Number(settled.at(-1).id) },
+            events: (await loadEvents(client, settled)).filter(Boolean),
+          };
+        });
+
+        for (const event of batch.events) {
+          if (closed) return;
+          send(event);
+        }
+        if (batch.count) position = batch.last;
+      } while (batch.count === BATCH_SIZE && !closed);
+
+      if (batch.unsettled && !closed && !retryTimer) {
+        retryTimer = setTimeout(() => {
+          retryTimer = null;
+          stream.wake();
+        }, UNSETTLED_RETRY_MS);
+      }
+    } while (again && !closed);
+  };
+
+  const stream = {
+    wake() {
+      if (closed) return;
+      if (running) {
+        again = true;
+        return;
+      }
+
+      running = true;
+      drain()
+        .catch((err) => console.error(`Failed to stream events to user ${userId}:`, err.message))
+        .finally(() => {
+          running = false;
+        });
+    },
+  };
+
+  if (!streams.has(userId)) streams.set(userId, new Set());
+  streams.get(userId).add(stream);
+  listen();
+
+  // Events after `after` that happened before we listened
+  stream.wake();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    const set = streams.get(userId);
+    set.delete(stream);
+    if (!set.size) streams.delete(userId);
+    unlisten();
+  };
+}
+
+/**
+ * Delete events too old to resume from. Returns how many were removed.
+ */
+export async function purgeRealtimeEvents(client) {
+  const { rowCount } = await client.query(
+    `DELETE FROM realtime_events
+     WHERE created_at < now() - make_interval(hours => $1)`,
+    [EVENT_RETENTION_HOURS]
+  );
+
+  return rowCount;
+}
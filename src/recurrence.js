@@ -0,0 +1,274 @@
+/* ======================================================
+   Recurrence rules (RRULE subset)
+
+   Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY),
+   INTERVAL, BYDAY (MO, -1FR, 2TU ...), BYMONTHDAY, BYMONTH,
+   UNTIL and COUNT. Dates are handled as UTC calendar days
+   in "YYYY-MM-DD" form, matching the reminders.due_date column.
+====================================================== */
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on periods scanned when looking for the next occurrence
+// (e.g. FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29 only matches every 4 years).
+const MAX_PERIODS = 1000;
+
+export class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RecurrenceError";
+  }
+}
+
+function parseInteger(value, part, min, max) {
+  if (!/^[+-]?\d+$/.test(value)) {
+    throw new RecurrenceError(`${part} must be an integer`);
+  }
+  const n = parseInt(value, 10);
+  if (n < min || n > max || n === 0) {
+    throw new RecurrenceError(`${part} value ${value} is out of range`);
+  }
+  return n;
+}
+
+function parseDay(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) {
+    throw new RecurrenceError(`Invalid date "${value}"`);
+  }
+  const [, y, m, d] = match;
+  const date = new Date(Date.UTC(+y, +m - 1, +d));
+  if (date.getUTCMonth() !== +m - 1) {
+    throw new RecurrenceError(`Invalid date "${value}"`);
+  }
+  return date;
+}
+
+function parseByDay(value) {
+  const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value);
+  if (!match) {
+    throw new RecurrenceError(`Invalid BYDAY value "${value}"`);
+  }
+  return {
+    ordinal: match[1] ? parseInteger(match[1], "BYDAY ordinal", -5, 5) : null,
+    weekday: WEEKDAYS.indexOf(match[2]),
+  };
+}
+
+/**
+ * Parse an RRULE string such as "FREQ=MONTHLY;BYDAY=-1FR;COUNT=12".
+ * Throws RecurrenceError when the rule is malformed or unsupported.
+ */
+export function parseRule(input) {
+  if (typeof input !== "string" || !input.trim()) {
+    throw new RecurrenceError("Recurrence rule must be a non-empty string");
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    until: null,
+    count: null,
+  };
+
+  const source = input.trim().toUpperCase().replace(/^RRULE:/, "");
+
+  for (const part of source.split(";")) {
+    if (!part) continue;
+
+    const [key, value] = part.split("=");
+    if (!value) {
+      throw new RecurrenceError(`Missing value for ${key}`);
+    }
+
+    switch (key) {
+      case "FREQ":
+        if (!FREQUENCIES.includes(value)) {
+          throw new RecurrenceError(`Unsupported FREQ "${value}"`);
+        }
+        rule.freq = value;
+        break;
+      case "INTERVAL":
+        rule.interval = parseInteger(value, "INTERVAL", 1, 1000);
+        break;
+      case "COUNT":
+        rule.count = parseInteger(value, "COUNT", 1, 10000);
+        break;
+      case "UNTIL":
+        rule.until = parseDay(value);
+        break;
+      case "BYDAY":
+        rule.byDay = value.split(",").map(parseByDay);
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = value.split(",").map((v) => parseInteger(v, "BYMONTHDAY", -31, 31));
+        break;
+      case "BYMONTH":
+        rule.byMonth = value.split(",").map((v) => parseInteger(v, "BYMONTH", 1, 12));
+        break;
+      default:
+        throw new RecurrenceError(`Unsupported recurrence part "${key}"`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new RecurrenceError("FREQ is required");
+  }
+  if (rule.until && rule.count) {
+    throw new RecurrenceError("UNTIL and COUNT cannot be combined");
+  }
+  if (rule.byMonthDay.length && rule.freq === "WEEKLY") {
+    throw new RecurrenceError("BYMONTHDAY cannot be used with FREQ=WEEKLY");
+  }
+  if (rule.byDay.some((d) => d.ordinal) && !["MONTHLY", "YEARLY"].includes(rule.freq)) {
+    throw new RecurrenceError("BYDAY ordinals are only allowed with FREQ=MONTHLY or FREQ=YEARLY");
+  }
+  if (rule.byDay.some((d) => d.ordinal) && rule.freq === "YEARLY" && !rule.byMonth.length) {
+    throw new RecurrenceError("BYDAY ordinals with FREQ=YEARLY require BYMONTH");
+  }
+
+  return rule;
+}
+
+/**
+ * Serialise a parsed rule back to its canonical RRULE string.
+ */
+export function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map((d) => `${d.ordinal ?? ""}${WEEKDAYS[d.weekday]}`).join(",")}`);
+  }
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(",")}`);
+  if (rule.until) parts.push(`UNTIL=${formatDay(rule.until).replace(/-/g, "")}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+  return parts.join(";");
+}
+
+/**
+ * Parse and re-serialise a client supplied rule.
+ */
+export function normalizeRule(input) {
+  return formatRule(parseRule(input));
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function daysOfMonth(rule, year, month, start) {
+  const total = daysInMonth(year, month);
+  let days = [];
+
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay.map((n) => (n > 0 ? n : total + n + 1));
+  }
+
+  if (rule.byDay.length) {
+    const matching = [];
+    for (const { weekday, ordinal } of rule.byDay) {
+      const all = [];
+      for (let day = 1; day <= total; day++) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) all.push(day);
+      }
+      if (!ordinal) {
+        matching.push(...all);
+      } else {
+        const picked = ordinal > 0 ? all[ordinal - 1] : all[all.length + ordinal];
+        if (picked) matching.push(picked);
+      }
+    }
+    days = rule.byMonthDay.length ? days.filter((d) => matching.includes(d)) : matching;
+  }
+
+  if (!rule.byMonthDay.length && !rule.byDay.length) {
+    days = [start.getUTCDate()];
+  }
+
+  return [...new Set(days)]
+    .filter((d) => d >= 1 && d <= total)
+    .sort((a, b) => a - b)
+    .map((d) => new Date(Date.UTC(year, month, d)));
+}
+
+// Candidate dates for the period `offset` periods after the one containing `start`.
+function expandPeriod(rule, start, offset) {
+  const byWeekday = (date) =>
+    !rule.byDay.length || rule.byDay.some((d) => d.weekday === date.getUTCDay());
+  const byMonth = (date) =>
+    !rule.byMonth.length || rule.byMonth.includes(date.getUTCMonth() + 1);
+
+  switch (rule.freq) {
+    case "DAILY": {
+      const date = addDays(start, offset);
+      const total = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+      const byMonthDay = !rule.byMonthDay.length
+        || rule.byMonthDay.some((n) => (n > 0 ? n : total + n + 1) === date.getUTCDate());
+      return byWeekday(date) && byMonth(date) && byMonthDay ? [date] : [];
+    }
+
+    case "WEEKLY": {
+      const monday = addDays(start, -((start.getUTCDay() + 6) % 7) + offset * 7);
+      const weekdays = rule.byDay.length ? rule.byDay.map((d) => d.weekday) : [start.getUTCDay()];
+      return [...new Set(weekdays)]
+        .map((weekday) => addDays(monday, (weekday + 6) % 7))
+        .sort((a, b) => a - b)
+        .filter(byMonth);
+    }
+
+    case "MONTHLY": {
+      const first = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + offset, 1));
+      if (!byMonth(first)) return [];
+      return daysOfMonth(rule, first.getUTCFullYear(), first.getUTCMonth(), start);
+    }
+
+    case "YEARLY": {
+      const year = start.getUTCFullYear() + offset;
+      const months = rule.byMonth.length
+        ? [...rule.byMonth].sort((a, b) => a - b)
+        : [start.getUTCMonth() + 1];
+      return months.flatMap((month) => daysOfMonth(rule, year, month - 1, start));
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Next occurrence strictly after `current` ("YYYY-MM-DD"), or null
+ * when the series has ended. `occurrenceCount` is the number of
+ * occurrences already reached, including `current`, and is used to
+ * honour COUNT.
+ */
+export function nextOccurrence(rule, current, occurrenceCount = 1) {
+  if (rule.count && occurrenceCount >= rule.count) return null;
+
+  const start = parseDay(current);
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const date of expandPeriod(rule, start, period * rule.interval)) {
+      if (date <= start) continue;
+      if (rule.until && date > rule.until) return null;
+      return formatDay(date);
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,185 @@
+import { BadRequestError } from "./errors.js";
+import { RESTORE_WINDOW_DAYS } from "./reminders.js";
+
+/* ======================================================
+   Reminder listing
+
+   Builds the filtered, sorted listing behind GET /reminders.
+   Pages are keyset-based: next_cursor encodes the sort key
+   and id of the last row, so pages stay stable while rows
+   are inserted. The id breaks ties between equal sort keys.
+
+   "Today", "this week" and "overdue" are in the time zone
+   of the current user's profile: a timed reminder counts
+   by its due instant there, an all-day one by its date.
+====================================================== */
+
+const PRIORITY_RANK =
+  "CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END";
+
+// The current user's time zone, looked up once per query
+const USER_ZONE = "(SELECT app_current_time_zone())";
+const USER_TODAY = `(now() AT TIME ZONE ${USER_ZONE})::date`;
+// The day a reminder is due on, for the current user
+const LOCAL_DUE_DATE = `COALESCE((due_at AT TIME ZONE ${USER_ZONE})::date, due_date)`;
+
+// Ticked and total checklist items of each listed reminder
+const CHECKLIST_PROGRESS = `(
+  SELECT json_build_object('completed', count(*) FILTER (WHERE i.completed), 'total', count(*))
+  FROM reminder_checklist_items i
+  WHERE i.reminder_id = reminders.id
+)`;
+
+// `sort=due_date` sorts ascending, `sort=-due_date` descending.
+// All-day reminders sort at the start of their day.
+const SORT_KEYS = {
+  due_date: {
+    expression: "COALESCE(due_at, local_to_instant(due_date::timestamp, due_time_zone))",
+    type: "timestamptz",
+  },
+  created_at: { expression: "created_at", type: "timestamptz" },
+  priority: { expression: PRIORITY_RANK, type: "int" },
+  title: { expression: "lower(title)", type: "text" },
+};
+
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify({ sort, key: row.sort_key, id: row.id })).toString("base64url");
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  if (typeof decoded?.key !== "string" || !Number.isInteger(decoded.id)) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  if (decoded.sort !== sort) {
+    throw new BadRequestError("Cursor was issued for a different sort order");
+  }
+
+  return decoded;
+}
+
+/**
+ * List the reminders the current user can see. `query` is the
+ * (validated) query string of GET /reminders. Must run inside withUser().
+ *
+ * Resolves to `{ limit, total, next_cursor, reminders }`, where `limit`
+ * is the page size applied and `total` counts every match regardless of
+ * the page.
+ */
+export async function listReminders(client, query) {
+  const sort = query.sort || "due_date";
+  const descending = sort.startsWith("-");
+  const { expression, type } = SORT_KEYS[sort.replace(/^-/, "")];
+  const limit = parseInt(query.limit) || 20;
+
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const where = [];
+
+  // Live reminders, or the trash
+  if (query.deleted === "true") {
+    where.push(`deleted_at >= now() - make_interval(days => ${param(RESTORE_WINDOW_DAYS)})`);
+  } else {
+    where.push("deleted_at IS NULL");
+  }
+
+  if (query.completed !== undefined) {
+    where.push(`completed = ${param(query.completed === "true")}`);
+  }
+  if (query.category) {
+    where.push(`lower(category) = lower(${param(query.category)})`);
+  }
+  if (query.priority) {
+    where.push(`priority = ${param(query.priority)}`);
+  }
+  if (query.household_id) {
+    where.push(`household_id = ${param(Number(query.household_id))}`);
+  }
+  if (query.assigned_member_id) {
+    where.push(`assigned_member_id = ${param(Number(query.assigned_member_id))}`);
+  }
+  if (query.due_from) {
+    where.push(`due_date >= ${param(query.due_from)}`);
+  }
+  if (query.due_to) {
+    where.push(`due_date <= ${param(query.due_to)}`);
+  }
+
+  switch (query.due) {
+    case "overdue":
+      // Reminders without a time are overdue once their day is over.
+      where.push(
+        "completed = false",
+        `(due_at < now() OR (due_at IS NULL AND due_date < ${USER_TODAY}))`
+      );
+      break;
+    case "today":
+      where.push(`${LOCAL_DUE_DATE} = ${USER_TODAY}`);
+      break;
+    case "this_week": // Monday to Sunday
+      where.push(
+        `${LOCAL_DUE_DATE} BETWEEN date_trunc('week', ${USER_TODAY})::date ` +
+          `AND date_trunc('week', ${USER_TODAY})::date + 6`
+      );
+      break;
+  }
+
+  if (query.q) {
+    where.push(
+      "reminder_search_document(title, description, location) " +
+        `@@ websearch_to_tsquery('english', ${param(query.q)})`
+    );
+  }
+
+  const { rows: counted } = await client.query(
+    `SELECT count(*)::int AS total FROM reminders WHERE ${where.join(" AND ")}`,
+    params
+  );
+
+  let offset = 0;
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sort);
+    where.push(
+      `(${expression}, id) ${descending ? "<" : ">"} ` +
+        `(${param(cursor.key)}::${type}, ${param(cursor.id)}::int)`
+    );
+  } else if (query.page) {
+    // Offset paging, kept for older clients.
+    offset = (parseInt(query.page) - 1) * limit;
+  }
+
+  const direction = descending ? "DESC" : "ASC";
+  const { rows } = await client.query(
+    `SELECT *, (${expression})::text AS sort_key,
+            to_char(due_at AT TIME ZONE ${USER_ZONE}, 'YYYY-MM-DD"T"HH24:MI:SS') AS due_local,
+            ${CHECKLIST_PROGRESS} AS checklist_progress
+     FROM reminders
+     WHERE ${where.join(" AND ")}
+     ORDER BY ${expression} ${direction}, id ${direction}
+     LIMIT ${param(limit + 1)} OFFSET ${param(offset)}`,
+    params
+  );
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+
+  return {
+    limit,
+    total: counted[0].total,
+    next_cursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null,
+    reminders: page.map(({ sort_key, ...reminder }) => reminder),
+  };
+}
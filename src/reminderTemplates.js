@@ -0,0 +1,330 @@
+import { NotFoundError, ValidationError } from "./errors.js";
+import { assertWithinLimit } from "./plans.js";
+import { RecurrenceError, nextOccurrence, normalizeRule, parseRule } from "./recurrence.js";
+
+/* ======================================================
+   Reminder templates
+
+   A template is a named bundle of reminders whose dates
+   are relative to an anchor date chosen when it is used:
+   a baby's vaccinations from the birth date, car
+   maintenance from the last service, school chores from
+   the first day of term. Each item is due offset_amount
+   offset_units (days, weeks, months or years) after the
+   anchor; negative is before. Months and years keep the
+   day of the month where they can (31 January + 1 month
+   is 28 or 29 February). A recurring item whose first
+   date has passed starts at its first occurrence from
+   today on.
+
+   Built-in templates are defined below and have a string
+   `key`. A household's own live in reminder_templates
+   (migrations/0024) and have an integer `id`. Using a
+   template creates all of its reminders in one
+   transaction, or none of them.
+====================================================== */
+
+export const OFFSET_UNITS = ["days", "weeks", "months", "years"];
+export const MAX_TEMPLATE_ITEMS = 50;
+
+function item(offset_amount, offset_unit, title, fields = {}) {
+  return {
+    title,
+    description: null,
+    category: null,
+    priority: null,
+    offset_amount,
+    offset_unit,
+    due_time: null,
+    recurrence_rule: null,
+    ...fields,
+  };
+}
+
+const VACCINATIONS = {
+  category: "Health",
+  priority: "high",
+  description: "Bring the Road-to-Health booklet; the clinic confirms which vaccines are due.",
+};
+
+export const BUILT_IN_TEMPLATES = {
+  "baby-vaccinations": {
+    name: "Baby vaccinations",
+    description: "The public immunisation schedule (EPI-SA), from the birth date.",
+    items: [
+      item(0, "days", "Birth vaccinations", VACCINATIONS),
+      item(6, "weeks", "6-week vaccinations", VACCINATIONS),
+      item(10, "weeks", "10-week vaccinations", VACCINATIONS),
+      item(14, "weeks", "14-week vaccinations", VACCINATIONS),
+      item(6, "months", "6-month vaccinations", VACCINATIONS),
+      item(9, "months", "9-month vaccinations", VACCINATIONS),
+      item(12, "months", "12-month vaccinations", VACCINATIONS),
+      item(18, "months", "18-month vaccinations", VACCINATIONS),
+      item(6, "years", "6-year vaccinations", VACCINATIONS),
+      item(12, "years", "12-year vaccinations", VACCINATIONS),
+    ],
+  },
+  "car-maintenance": {
+    name: "Car maintenance",
+    description: "Regular checks and a yearly service, from the date of the last service.",
+    items: [
+      item(1, "months", "Check tyre pressure and oil", {
+        category: "Car",
+        priority: "low",
+        recurrence_rule: "FREQ=MONTHLY",
+      }),
+      item(6, "months", "Check wiper blades and lights", {
+        category: "Car",
+        priority: "low",
+        recurrence_rule: "FREQ=MONTHLY;INTERVAL=6",
+      }),
+      item(12, "months", "Car service", {
+        category: "Car",
+        priority: "high",
+        recurrence_rule: "FREQ=YEARLY",
+      }),
+    ],
+  },
+  "school-term": {
+    name: "School term",
+    description: "Getting ready for a new term, from its first day.",
+    items: [
+      item(-14, "days", "Buy stationery and books", { category: "School" }),
+      item(-7, "days", "Label uniforms and stationery", { category: "School" }),
+      item(-1, "days", "Pack school bags", { category: "School" }),
+      item(0, "days", "First day of term", { category: "School", priority: "high" }),
+      item(0, "days", "Pay school fees", { category: "School", priority: "high" }),
+    ],
+  },
+};
+
+function builtInTemplate(key) {
+  const template = BUILT_IN_TEMPLATES[key];
+
+  return {
+    id: null,
+    key,
+    built_in: true,
+    household_id: null,
+    name: template.name,
+    description: template.description,
+    items: template.items.map((templateItem, i) => ({ position: i + 1, ...templateItem })),
+    created_by: null,
+    created_at: null,
+    updated_at: null,
+  };
+}
+
+/* ------------------------------------------------------
+   A household's templates
+------------------------------------------------------ */
+
+async function withItems(client, templates) {
+  if (!templates.length) return [];
+
+  const { rows: items } = await client.query(
+    `SELECT template_id, position, title, description, category, priority,
+            offset_amount, offset_unit, to_char(due_time, 'HH24:MI:SS') AS due_time,
+            recurrence_rule
+     FROM reminder_template_items
+     WHERE template_id = ANY($1::int[])
+     ORDER BY template_id, position`,
+    [templates.map((template) => template.id)]
+  );
+
+  return templates.map((template) => ({
+    ...template,
+    key: null,
+    built_in: false,
+    items: items
+      .filter((templateItem) => templateItem.template_id === template.id)
+      .map(({ template_id, ...templateItem }) => templateItem),
+  }));
+}
+
+/**
+ * The built-in templates, then the household's own by name.
+ */
+export async function listTemplates(client, householdId) {
+  const { rows } = await client.query(
+    `SELECT * FROM reminder_templates
+     WHERE household_id = $1
+     ORDER BY lower(name), id`,
+    [householdId]
+  );
+
+  return [
+    ...Object.keys(BUILT_IN_TEMPLATES).map(builtInTemplate),
+    ...(await withItems(client, rows)),
+  ];
+}
+
+/**
+ * A template by its `key` (built-in) or its `id` (one of household
+ * `householdId`'s own). Throws a 404 when there is no such template.
+ */
+export async function findTemplate(client, householdId, { id, key }) {
+  if (key !== undefined) {
+    if (!BUILT_IN_TEMPLATES[key]) {
+      throw new NotFoundError("Template not found");
+    }
+    return builtInTemplate(key);
+  }
+
+  const { rows } = await client.query(
+    "SELECT * FROM reminder_templates WHERE id = $1 AND household_id = $2",
+    [id, householdId]
+  );
+
+  if (!rows.length) {
+    throw new NotFoundError("Template not found");
+  }
+
+  const [template] = await withItems(client, rows);
+  return template;
+}
+
+/**
+ * Replace the items of template `templateId` with `items`, in order.
+ * Throws a 422 for an invalid recurrence rule.
+ */
+export async function saveTemplateItems(client, templateId, items) {
+  const rules = items.map((templateItem, i) => {
+    if (!templateItem.recurrence_rule) return null;
+
+    try {
+      return normalizeRule(templateItem.recurrence_rule);
+    } catch (err) {
+      if (err instanceof RecurrenceError) {
+        throw new ValidationError([
+          { location: "body", field: `items[${i}].recurrence_rule`, message: err.message },
+        ]);
+      }
+      throw err;
+    }
+  });
+
+  await client.query("DELETE FROM reminder_template_items WHERE template_id = $1", [templateId]);
+
+  for (const [i, templateItem] of items.entries()) {
+    await client.query(
+      `INSERT INTO reminder_template_items
+       (template_id, position, title, description, category, priority,
+        offset_amount, offset_unit, due_time, recurrence_rule)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        templateId,
+        i + 1,
+        templateItem.title,
+        templateItem.description ?? null,
+        templateItem.category ?? null,
+        templateItem.priority ?? null,
+        templateItem.offset_amount,
+        templateItem.offset_unit ?? "days",
+        templateItem.due_time ?? null,
+        rules[i],
+      ]
+    );
+  }
+}
+
+/* ------------------------------------------------------
+   Using a template
+------------------------------------------------------ */
+
+// The first occurrence of a series starting on `first` that is not
+// before `today`, as `{ due_date, occurrence_count }`, or null when the
+// series ends before then.
+function firstOccurrenceFrom(recurrenceRule, first, today) {
+  const rule = parseRule(recurrenceRule);
+  let date = first;
+  let count = 1;
+
+  while (date && date < today) {
+    date = nextOccurrence(rule, date, count);
+    count += 1;
+  }
+
+  return date ? { due_date: date, occurrence_count: count } : null;
+}
+
+/**
+ * Create the reminders of `template` in household `householdId`, dated
+ * from `anchorDate` and assigned to `assignedMemberId` (may be null).
+ * Recurring items that would fall before today in `timeZone` (the
+ * user's profile zone when null) move on to their first occurrence from
+ * today; other such items are skipped unless `includePast` is set. Check the
+ * user's role and the member first; must run inside withUser(), which
+ * makes it all or nothing. Resolves to `{ reminders, skipped }`.
+ */
+export async function instantiateTemplate(
+  client,
+  { template, householdId, anchorDate, assignedMemberId = null, timeZone = null, includePast = false }
+) {
+  const { rows: dates } = await client.query(
+    `SELECT to_char(($1::date + o.amount * ('1 ' || o.unit)::interval)::date, 'YYYY-MM-DD')
+              AS due_date,
+            ($1::date + o.amount * ('1 ' || o.unit)::interval)::date < today.day AS past,
+            to_char(today.day, 'YYYY-MM-DD') AS today
+     FROM (SELECT (now() AT TIME ZONE COALESCE($4, app_current_time_zone()))::date AS day) today
+     CROSS JOIN unnest($2::int[], $3::text[]) WITH ORDINALITY AS o(amount, unit, position)
+     ORDER BY o.position`,
+    [
+      anchorDate,
+      template.items.map((templateItem) => templateItem.offset_amount),
+      template.items.map((templateItem) => templateItem.offset_unit),
+      timeZone,
+    ]
+  );
+
+  const skipped = [];
+  const due = [];
+
+  template.items.forEach((templateItem, i) => {
+    const { due_date, past, today } = dates[i];
+
+    if (past && templateItem.recurrence_rule) {
+      const next = firstOccurrenceFrom(templateItem.recurrence_rule, due_date, today);
+      if (next) {
+        due.push({ ...templateItem, ...next });
+      } else {
+        skipped.push({ title: templateItem.title, due_date, reason: "Series ended before today" });
+      }
+    } else if (past && !includePast) {
+      skipped.push({ title: templateItem.title, due_date, reason: "Before today" });
+    } else {
+      due.push({ ...templateItem, due_date, occurrence_count: 1 });
+    }
+  });
+
+  if (due.length) {
+    await assertWithinLimit(client, householdId, "active_reminders", { count: due.length });
+  }
+
+  const reminders = [];
+  for (const reminder of due) {
+    const { rows } = await client.query(
+      `INSERT INTO reminders
+       (user_id, household_id, assigned_member_id, title, description,
+        category, priority, due_date, due_time, time_zone, recurrence_rule, occurrence_count)
+       VALUES (app_current_user_id(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        householdId,
+        assignedMemberId,
+        reminder.title,
+        reminder.description,
+        reminder.category,
+        reminder.priority,
+        reminder.due_date,
+        reminder.due_time,
+        timeZone,
+        reminder.recurrence_rule,
+        reminder.occurrence_count,
+      ]
+    );
+    reminders.push(rows[0]);
+  }
+
+  return { reminders, skipped };
+}
@@ -0,0 +1,191 @@
+import dotenv from "dotenv";
+import { ConflictError, ForbiddenError, NotFoundError, ValidationError } from "./errors.js";
+import { nextOccurrence, parseRule } from "./recurrence.js";
+
+dotenv.config();
+
+/* ======================================================
+   Reminders
+
+   Shared rules for the reminder routes and the scheduler.
+   Deleted reminders stay restorable for RESTORE_WINDOW_DAYS
+   and are purged by the scheduler afterwards.
+
+   Reminders belong to a household: viewers can read them,
+   members and up can change them. A reminder assigned to a
+   linked family member is also visible to that member's
+   account, which can complete it but not change it.
+
+   Completions, snoozes, acknowledgements and escalations
+   are recorded in the reminder's timeline
+   (reminder_events, migrations/0021).
+====================================================== */
+
+export const RESTORE_WINDOW_DAYS = parseInt(process.env.REMINDER_RESTORE_DAYS) || 30;
+
+// Longest snooze (a week)
+export const MAX_SNOOZE_MINUTES = 10080;
+
+export const REMINDER_EVENT_TYPES = ["completed", "reopened", "snoozed", "acknowledged", "escalated"];
+
+/**
+ * Make sure a reminder of household `householdId` can be assigned to
+ * `memberId`: it must be one of that household's family members. Must
+ * run inside withUser().
+ */
+export async function assertAssignableMember(client, memberId, householdId) {
+  if (memberId === undefined || memberId === null) return;
+
+  const { rowCount } = await client.query(
+    "SELECT 1 FROM family_members WHERE id = $1 AND household_id = $2",
+    [memberId, householdId]
+  );
+
+  if (!rowCount) {
+    throw new ValidationError([
+      {
+        location: "body",
+        field: "assigned_member_id",
+        message: "is not a family member of the reminder's household",
+      },
+    ]);
+  }
+}
+
+/**
+ * Make sure the current user may act on reminder `id` (live or in the
+ * trash): "edit" needs the member role in its household, "complete"
+ * also allows the linked assignee. Resolves to the reminder's
+ * household_id; throws 404 if the user cannot see it and 403 if they
+ * can only look. Must run inside withUser().
+ */
+export async function assertReminderAccess(client, id, action = "edit") {
+  const { rows } = await client.query(
+    `SELECT household_id,
+            app_has_household_role(household_id, 'member') AS can_edit,
+            EXISTS (
+              SELECT 1 FROM family_members fm
+              WHERE fm.id = assigned_member_id
+                AND fm.linked_user_id = app_current_user_id()
+            ) AS is_assignee
+     FROM reminders
+     WHERE id = $1`,
+    [id]
+  );
+
+  if (!rows.length) {
+    throw new NotFoundError("Reminder not found");
+  }
+
+  const { household_id, can_edit, is_assignee } = rows[0];
+
+  if (!can_edit && !(action === "complete" && is_assignee)) {
+    throw new ForbiddenError("You don't have permission to change this reminder");
+  }
+
+  return household_id;
+}
+
+/**
+ * Complete the current occurrence of live reminder `id` in the current
+ * user's name. A recurring reminder moves on to its next occurrence,
+ * with its checklist unticked again; otherwise it is closed. Resolves
+ * to the reminder as it now stands. Check assertReminderAccess(client,
+ * id, "complete") first; must run inside withUser().
+ */
+export async function completeReminder(client, id) {
+  const { rows: found } = await client.query(
+    `SELECT id, completed, recurrence_rule, occurrence_count, due_time,
+            to_char(due_date, 'YYYY-MM-DD') AS due_day
+     FROM app_lock_reminder($1)`,
+    [id]
+  );
+
+  if (!found.length) {
+    throw new NotFoundError("Reminder not found");
+  }
+
+  const reminder = found[0];
+
+  if (reminder.completed) {
+    throw new ConflictError("Reminder is already completed");
+  }
+
+  await client.query(
+    `INSERT INTO reminder_completions
+     (reminder_id, completed_by, occurrence_date, occurrence_time)
+     VALUES ($1, app_current_user_id(), $2, $3)`,
+    [reminder.id, reminder.due_day, reminder.due_time]
+  );
+  await recordReminderEvent(client, reminder.id, "completed", {
+    details: { occurrence_date: reminder.due_day, occurrence_time: reminder.due_time },
+  });
+
+  const next = reminder.recurrence_rule
+    ? nextOccurrence(parseRule(reminder.recurrence_rule), reminder.due_day, reminder.occurrence_count)
+    : null;
+
+  // The linked assignee has no UPDATE policy on reminders, so this goes
+  // through a function that only touches the completion columns.
+  const { rows } = await client.query(
+    "SELECT * FROM app_complete_reminder($1, $2)",
+    [reminder.id, next]
+  );
+
+  if (!next) {
+    return rows[0];
+  }
+
+  await client.query(
+    `UPDATE reminder_checklist_items
+     SET completed = false, completed_at = NULL, completed_by = NULL
+     WHERE reminder_id = $1 AND completed`,
+    [reminder.id]
+  );
+
+  return rows[0];
+}
+
+/**
+ * Forget which alerts were already sent for the reminder's current
+ * occurrence, so the scheduler alerts again after a reschedule.
+ */
+export async function rearmDeliveries(client, reminderId) {
+  await client.query(
+    `DELETE FROM reminder_deliveries d
+     USING reminders r
+     WHERE r.id = $1
+       AND d.reminder_id = r.id
+       AND d.due_date = r.due_date`,
+    [reminderId]
+  );
+}
+
+/**
+ * Add an event to a reminder's timeline, in the current user's name
+ * (none under withSystem()). Resolves to the event.
+ */
+export async function recordReminderEvent(client, reminderId, type, { notificationId = null, details = {} } = {}) {
+  const { rows } = await client.query(
+    `INSERT INTO reminder_events (reminder_id, type, actor_id, notification_id, details)
+     VALUES ($1, $2, app_current_user_id(), $3, $4)
+     RETURNING *`,
+    [reminderId, type, notificationId, details]
+  );
+
+  return rows[0];
+}
+
+/**
+ * Permanently delete reminders whose restore window has passed.
+ * Returns how many were removed.
+ */
+export async function purgeDeletedReminders(client) {
+  const { rowCount } = await client.query(
+    `DELETE FROM reminders
+     WHERE deleted_at < now() - make_interval(days => $1)`,
+    [RESTORE_WINDOW_DAYS]
+  );
+
+  return rowCount;
+}
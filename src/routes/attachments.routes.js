@@ -0,0 +1,425 @@
+import express from 'express';
+import multer from 'multer';
+import { pipeline } from 'stream/promises';
+import { withUser } from '../dbclient.js';
+import { authMiddleware } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { BadRequestError, ForbiddenError, NotFoundError, PayloadTooLargeError } from '../errors.js';
+import { assertReminderAccess } from '../reminders.js';
+import { storage } from '../storage.js';
+import {
+  attachFile,
+  findAttachment,
+  findDownload,
+  isValidDownload,
+  listAttachments,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENT_MB,
+  serializeAttachment
+} from '../attachments.js';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1, fields: 10 },
+  // Browsers send UTF-8 file names without saying so.
+  defParamCharset: 'utf8'
+});
+
+// multer's single-file parser, with its errors turned into HttpErrors.
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(
+        err.code === 'LIMIT_FILE_SIZE'
+          ? new PayloadTooLargeError(`Attachments can be at most ${MAX_ATTACHMENT_MB} MB`)
+          : new BadRequestError(`${err.message}; send one file, in the "file" field`)
+      );
+    }
+    next(err);
+  });
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Attachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 7
+ *         reminder_id:
+ *           type: integer
+ *           example: 1
+ *         file_name:
+ *           type: string
+ *           example: prescription.jpg
+ *         content_type:
+ *           type: string
+ *           description: Detected from the file's contents
+ *           example: image/jpeg
+ *         size_bytes:
+ *           type: integer
+ *           example: 482113
+ *         checksum:
+ *           type: string
+ *           description: SHA-256 of the contents, in hex
+ *         width:
+ *           type: integer
+ *           nullable: true
+ *           description: Images only, as displayed
+ *           example: 3024
+ *         height:
+ *           type: integer
+ *           nullable: true
+ *           example: 4032
+ *         thumbnail:
+ *           type: object
+ *           nullable: true
+ *           description: Images only; the size to show the image at within 256×256
+ *           properties:
+ *             width:
+ *               type: integer
+ *               example: 192
+ *             height:
+ *               type: integer
+ *               example: 256
+ *         uploaded_by:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         url:
+ *           type: string
+ *           format: uri
+ *           description: Signed download URL; needs no bearer token
+ *         url_expires_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     AttachmentUpload:
+ *       type: object
+ *       required: [file]
+ *       properties:
+ *         file:
+ *           type: string
+ *           format: binary
+ *           description: A JPEG, PNG, GIF, WebP, HEIC or AVIF image, or a PDF
+ */
+
+/**
+ * @swagger
+ * /api/reminders/{id}/attachments:
+ *   get:
+ *     summary: List a reminder's attachments
+ *     description: Each comes with a fresh signed download URL.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     responses:
+ *       200:
+ *         description: Attachments, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Attachment'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Reminder not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/reminders/:id/attachments', authMiddleware, validateRequest, async (req, res) => {
+  const attachments = await withUser(req.user.id, async (client) => {
+    const { rowCount } = await client.query(
+      'SELECT 1 FROM reminders WHERE id = $1 AND deleted_at IS NULL',
+      [req.params.id]
+    );
+
+    if (!rowCount) {
+      throw new NotFoundError('Reminder not found');
+    }
+
+    return listAttachments(client, req.params.id);
+  });
+
+  res.json(attachments.map(serializeAttachment));
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/attachments:
+ *   post:
+ *     summary: Attach a file to a reminder
+ *     description: |
+ *       Upload one file as multipart/form-data, in the `file` field, up to
+ *       ATTACHMENT_MAX_MB (10 MB by default). Its type is detected from its
+ *       contents. Uploading a file the reminder already has returns that
+ *       attachment with 200. How many files a reminder can carry depends on
+ *       the household owner's plan.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/AttachmentUpload'
+ *     responses:
+ *       200:
+ *         description: The reminder already had this file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attachment'
+ *       201:
+ *         description: File attached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: No file, or more than one
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         $ref: '#/components/responses/PlanLimitReached'
+ *       403:
+ *         description: Viewers and assignees cannot attach files
+ *       404:
+ *         description: Reminder not found
+ *       413:
+ *         description: The file is too large
+ *       415:
+ *         description: Not a supported image or a PDF
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/reminders/:id/attachments', authMiddleware, validateRequest, receiveFile, async (req, res) => {
+  if (!req.file?.size) {
+    throw new BadRequestError('Send the file as multipart/form-data, in the "file" field');
+  }
+
+  const { attachment, created } = await withUser(req.user.id, async (client) => {
+    const householdId = await assertReminderAccess(client, req.params.id);
+    return attachFile(client, req.params.id, householdId, req.file);
+  });
+
+  res.status(created ? 201 : 200).json(serializeAttachment(attachment));
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Get one attachment, with a fresh download URL
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: The attachment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attachment'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Reminder or attachment not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/reminders/:id/attachments/:attachmentId', authMiddleware, validateRequest, async (req, res) => {
+  const attachment = await withUser(req.user.id, async (client) => {
+    const { rowCount } = await client.query(
+      'SELECT 1 FROM reminders WHERE id = $1 AND deleted_at IS NULL',
+      [req.params.id]
+    );
+
+    if (!rowCount) {
+      throw new NotFoundError('Reminder not found');
+    }
+
+    return findAttachment(client, req.params.id, req.params.attachmentId);
+  });
+
+  if (!attachment) {
+    throw new NotFoundError('Attachment not found');
+  }
+
+  res.json(serializeAttachment(attachment));
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Remove an attachment
+ *     description: Download URLs already handed out stop working.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       204:
+ *         description: Attachment removed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers and assignees cannot remove attachments
+ *       404:
+ *         description: Reminder or attachment not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.delete('/reminders/:id/attachments/:attachmentId', authMiddleware, validateRequest, async (req, res) => {
+  const { rowCount } = await withUser(req.user.id, async (client) => {
+    await assertReminderAccess(client, req.params.id);
+    return client.query(
+      'DELETE FROM reminder_attachments WHERE reminder_id = $1 AND id = $2',
+      [req.params.id, req.params.attachmentId]
+    );
+  });
+
+  if (!rowCount) {
+    throw new NotFoundError('Attachment not found');
+  }
+
+  res.status(204).end();
+});
+
+/**
+ * @swagger
+ * /api/attachments/{attachmentId}/download:
+ *   get:
+ *     summary: Download an attachment through a signed URL
+ *     description: |
+ *       Use the `url` of an attachment as it is; it needs no bearer token and
+ *       stops working at `url_expires_at`, or when the attachment is removed.
+ *     tags: [Reminders]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: The URL is not genuine or has expired
+ *       404:
+ *         description: Attachment not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/attachments/:attachmentId/download', validateRequest, async (req, res) => {
+  const attachmentId = Number(req.params.attachmentId);
+
+  if (!isValidDownload(attachmentId, Number(req.query.expires), req.query.signature)) {
+    throw new ForbiddenError('This download link is invalid or has expired');
+  }
+
+  const download = await findDownload(attachmentId);
+
+  if (!download) {
+    throw new NotFoundError('Attachment not found');
+  }
+
+  let body;
+  try {
+    body = await storage.get(download.storage_key);
+  } catch (err) {
+    if (err.status === 404) {
+      throw new NotFoundError('Attachment not found');
+    }
+    throw err;
+  }
+
+  // Plain-ASCII name for clients that ignore filename*
+  const fallbackName = download.file_name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const secondsLeft = Math.max(0, Number(req.query.expires) - Math.floor(Date.now() / 1000));
+
+  res.set({
+    'Content-Type': download.content_type,
+    'Content-Length': download.size_bytes,
+    'Content-Disposition': `attachment; filename="${fallbackName}"; filename*=UTF-8''${encodeURIComponent(download.file_name)}`,
+    'Cache-Control': `private, max-age=${secondsLeft}`,
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox"
+  });
+
+  await pipeline(body, res);
+});
+
+export default router;
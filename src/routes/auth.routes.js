@@ -0,0 +1,314 @@
+import express from "express";
+import bcrypt from "bcrypt";
+import { pool } from "../dbclient.js";
+import { authMiddleware } from "../auth.js";
+import { validateRequest } from "../validation.js";
+import { BadRequestError, NotFoundError, UnauthorizedError } from "../errors.js";
+import {
+  TOKEN_PURPOSES,
+  issueToken,
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} from "../userTokens.js";
+import { rotateRefreshToken, revokeSession, revokeAllSessions } from "../sessions.js";
+
+const authRouter = express.Router();
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: |
+ *       Always responds with 200 so the endpoint cannot be used to find out
+ *       which email addresses are registered.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: test@email.com
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+authRouter.post("/auth/forgot-password", validateRequest, async (req, res) => {
+  const { email } = req.body;
+  const message = "If that email is registered, a password reset link has been sent";
+
+  const { rows } = await pool.query(
+    `SELECT u.id, u.email, p.locale
+     FROM users u
+     LEFT JOIN profiles p ON p.user_id = u.id
+     WHERE u.email = $1`,
+    [email]
+  );
+
+  if (!rows.length) {
+    return res.json({ message });
+  }
+
+  const user = rows[0];
+  const token = await issueToken(pool, user.id, TOKEN_PURPOSES.PASSWORD_RESET);
+
+  await sendPasswordResetEmail(user.email, token, user.locale);
+
+  res.json({ message });
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 minLength: 1
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password updated; all existing sessions are signed out
+ *       400:
+ *         description: Invalid or expired token
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+authRouter.post("/auth/reset-password", validateRequest, async (req, res) => {
+  const { token, password } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const userId = await consumeToken(client, token, TOKEN_PURPOSES.PASSWORD_RESET);
+
+    if (!userId) {
+      throw new BadRequestError("Invalid or expired token");
+    }
+
+    const password_hash = await bcrypt.hash(password, 10);
+
+    await client.query(
+      "UPDATE users SET password_hash = $1 WHERE id = $2",
+      [password_hash, userId]
+    );
+
+    await revokeAllSessions(client, userId, "password_reset");
+
+    await client.query("COMMIT");
+
+    res.json({ message: "Password has been reset" });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address using a verification token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired token
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+authRouter.post("/auth/verify-email", validateRequest, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const userId = await consumeToken(
+      client,
+      req.body.token,
+      TOKEN_PURPOSES.EMAIL_VERIFICATION
+    );
+
+    if (!userId) {
+      throw new BadRequestError("Invalid or expired token");
+    }
+
+    await client.query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, now())
+       WHERE id = $1`,
+      [userId]
+    );
+
+    await client.query("COMMIT");
+
+    res.json({ message: "Email verified" });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email to the authenticated user
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         description: Unauthorized
+ */
+authRouter.post("/auth/resend-verification", authMiddleware, async (req, res) => {
+  const { rows } = await pool.query(
+    `SELECT u.id, u.email, u.email_verified_at, p.locale
+     FROM users u
+     LEFT JOIN profiles p ON p.user_id = u.id
+     WHERE u.id = $1`,
+    [req.user.id]
+  );
+
+  if (!rows.length) {
+    throw new NotFoundError("User not found");
+  }
+
+  const user = rows[0];
+
+  if (user.email_verified_at) {
+    throw new BadRequestError("Email already verified");
+  }
+
+  const token = await issueToken(pool, user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+  await sendVerificationEmail(user.email, token, user.locale);
+
+  res.json({ message: "Verification email sent" });
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: |
+ *       Refresh tokens are single-use. Presenting a token that was already
+ *       used revokes the whole session.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refresh_token:
+ *                   type: string
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+authRouter.post("/auth/refresh", validateRequest, async (req, res) => {
+  const result = await rotateRefreshToken(req.body.refresh_token, {
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+
+  if (!result) {
+    throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  if (result.reused) {
+    throw new UnauthorizedError("Refresh token reuse detected; session revoked");
+  }
+
+  res.json({ token: result.accessToken, refresh_token: result.refreshToken });
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Sign out the current session
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ */
+authRouter.post("/auth/logout", authMiddleware, async (req, res) => {
+  await revokeSession(pool, req.user.sid, req.user.id, "logout");
+  res.status(204).end();
+});
+
+export default authRouter;
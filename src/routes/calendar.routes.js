@@ -0,0 +1,430 @@
+import express from 'express';
+import { withUser } from '../dbclient.js';
+import { authMiddleware } from '../auth.js';
+import { validateRequest, validateValue } from '../validation.js';
+import { BadRequestError, UnauthorizedError } from '../errors.js';
+import { assertHouseholdRole, resolveHouseholdId } from '../households.js';
+import { assertWithinLimit } from '../plans.js';
+import { ICalError, formatCalendar } from '../ical.js';
+import {
+  CalendarImportError,
+  calendarEntries,
+  componentToReminder,
+  describeEntry,
+  exportedReminderId,
+  feedUrl,
+  findFeedUser,
+  issueFeedToken,
+  remindersToCalendar
+} from '../calendar.js';
+
+// Registered before the reminders routes, so /reminders/calendar.ics
+// and /reminders/import are not taken for /reminders/:id.
+const router = express.Router();
+
+const MAX_IMPORT_ENTRIES = 500;
+const DESCRIPTION_MAX_LENGTH = 2000;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: iCalendar (.ics) feed and import of reminders
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarFeedToken:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Shown once; only a hash is stored
+ *         url:
+ *           type: string
+ *           format: uri
+ *           example: https://api.example.com/api/reminders/calendar.ics?token=5f2c...
+ *
+ *     CalendarImportResult:
+ *       type: object
+ *       properties:
+ *         imported:
+ *           type: integer
+ *           example: 12
+ *         skipped:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               uid:
+ *                 type: string
+ *                 nullable: true
+ *               title:
+ *                 type: string
+ *                 nullable: true
+ *               reason:
+ *                 type: string
+ *                 example: Already imported
+ *         reminders:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Reminder'
+ */
+
+// Calendar apps cannot send an Authorization header, so the feed also
+// accepts the secret ?token= from POST /reminders/calendar/token.
+async function feedAuth(req, res, next) {
+  if (req.query.token === undefined) {
+    return authMiddleware(req, res, next);
+  }
+
+  const userId = await findFeedUser(req.query.token);
+
+  if (!userId) {
+    throw new UnauthorizedError('Invalid calendar feed token');
+  }
+
+  req.user = { id: userId };
+  next();
+}
+
+/**
+ * @swagger
+ * /api/reminders/calendar.ics:
+ *   get:
+ *     summary: Your reminders as an iCalendar feed
+ *     description: |
+ *       Subscribe to it from a calendar app with the URL returned by
+ *       POST /api/reminders/calendar/token, or download it with a Bearer
+ *       token. Deleted reminders are left out; completed ones stay, as
+ *       free time with a ✓ in the title (events) or as COMPLETED (to-dos).
+ *     tags: [Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Calendar feed token, instead of a Bearer token
+ *       - in: query
+ *         name: household_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only this household's reminders
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [event, todo]
+ *           default: event
+ *         description: Publish reminders as VEVENTs or as VTODOs
+ *     responses:
+ *       200:
+ *         description: RFC 5545 calendar
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing or invalid token
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/reminders/calendar.ics', feedAuth, validateRequest, async (req, res) => {
+  const householdId = req.query.household_id ? Number(req.query.household_id) : null;
+
+  const { reminders, name } = await withUser(req.user.id, async (client) => {
+    const { rows: reminders } = await client.query(
+      `SELECT * FROM reminders
+       WHERE deleted_at IS NULL
+         AND ($1::int IS NULL OR household_id = $1)
+       ORDER BY due_date, due_time NULLS FIRST, id`,
+      [householdId]
+    );
+
+    const { rows: households } = householdId
+      ? await client.query('SELECT name FROM households WHERE id = $1', [householdId])
+      : { rows: [] };
+
+    return { reminders, name: households[0]?.name || 'Reminders' };
+  });
+
+  const component = req.query.type === 'todo' ? 'VTODO' : 'VEVENT';
+
+  res
+    .type('text/calendar; charset=utf-8')
+    .set('Content-Disposition', 'inline; filename="reminders.ics"')
+    .set('Cache-Control', 'private, no-cache')
+    .send(formatCalendar(remindersToCalendar(reminders, { name, component })));
+});
+
+/**
+ * @swagger
+ * /api/reminders/calendar/token:
+ *   post:
+ *     summary: Create or rotate your calendar feed token
+ *     description: |
+ *       Returns the secret subscription URL of your feed. Any URL handed
+ *       out before stops working.
+ *     tags: [Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: New feed token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarFeedToken'
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/reminders/calendar/token', authMiddleware, async (req, res) => {
+  const token = await withUser(req.user.id, (client) => issueFeedToken(client, req.user.id));
+
+  res.status(201).json({ token, url: feedUrl(token) });
+});
+
+/**
+ * @swagger
+ * /api/reminders/calendar/token:
+ *   delete:
+ *     summary: Turn off your calendar feed
+ *     tags: [Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed token deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/reminders/calendar/token', authMiddleware, async (req, res) => {
+  await withUser(req.user.id, (client) =>
+    client.query('DELETE FROM calendar_feed_tokens WHERE user_id = $1', [req.user.id])
+  );
+
+  res.json({ success: true });
+});
+
+/**
+ * Turn the entries of an uploaded calendar into reminder fields,
+ * collecting the ones that cannot be imported in `skipped`.
+ */
+function readEntries(ics, skipped) {
+  let entries;
+  try {
+    entries = calendarEntries(ics);
+  } catch (err) {
+    if (err instanceof ICalError) {
+      throw new BadRequestError(`Invalid calendar file: ${err.message}`);
+    }
+    throw err;
+  }
+
+  if (entries.length > MAX_IMPORT_ENTRIES) {
+    throw new BadRequestError(`A calendar file can hold at most ${MAX_IMPORT_ENTRIES} entries`);
+  }
+
+  const candidates = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    let fields;
+    try {
+      fields = componentToReminder(entry);
+    } catch (err) {
+      if (err instanceof CalendarImportError) {
+        skipped.push({ ...describeEntry(entry), reason: err.message });
+        continue;
+      }
+      throw err;
+    }
+
+    const { ical_uid, ...reminder } = fields;
+    const skip = (reason) => skipped.push({ uid: ical_uid, title: reminder.title, reason });
+
+    if (reminder.description?.length > DESCRIPTION_MAX_LENGTH) {
+      reminder.description = reminder.description.slice(0, DESCRIPTION_MAX_LENGTH);
+    }
+
+    const errors = [];
+    validateValue(reminder, { $ref: '#/components/schemas/CreateReminderRequest' }, errors, 'body');
+    if (errors.length) {
+      skip(errors.map((e) => `${e.field} ${e.message}`).join('; '));
+      continue;
+    }
+
+    if (ical_uid && seen.has(ical_uid)) {
+      skip('Duplicate entry in the file');
+      continue;
+    }
+    if (ical_uid) seen.add(ical_uid);
+
+    candidates.push({ ical_uid, ...reminder });
+  }
+
+  return candidates;
+}
+
+/**
+ * Whether a reminder matching `candidate` already exists in the
+ * household: one imported from the same UID, the reminder an exported
+ * UID refers to, or (for entries without a UID) one with the same
+ * title and due date and time.
+ */
+async function isDuplicate(client, householdId, candidate) {
+  const exportedId = exportedReminderId(candidate.ical_uid);
+
+  const { rows } = await client.query(
+    `SELECT 1 FROM reminders
+     WHERE household_id = $1
+       AND CASE
+             WHEN $2::text IS NULL THEN
+               deleted_at IS NULL
+               AND title = $4
+               AND due_date = $5::date
+               AND due_time IS NOT DISTINCT FROM $6::time
+             ELSE ical_uid = $2 OR id = $3
+           END
+     LIMIT 1`,
+    [householdId, candidate.ical_uid, exportedId, candidate.title, candidate.due_date, candidate.due_time]
+  );
+
+  return rows.length > 0;
+}
+
+/**
+ * @swagger
+ * /api/reminders/import:
+ *   post:
+ *     summary: Import reminders from an iCalendar (.ics) file
+ *     description: |
+ *       Send the file itself as the request body. Every VEVENT and VTODO
+ *       becomes a reminder. Entries that were imported before (same UID),
+ *       that came from this household's own feed, or that match an
+ *       existing reminder's title, date and time are skipped, as are
+ *       cancelled, completed and unsupported entries. Times keep their
+ *       TZID (UTC when they end in Z); floating times and unknown TZIDs are
+ *       in your profile's time zone.
+ *     tags: [Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: household_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Defaults to your own household
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: What was imported and what was skipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarImportResult'
+ *       400:
+ *         description: Missing or unreadable calendar file
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         $ref: '#/components/responses/PlanLimitReached'
+ *       403:
+ *         description: Viewers cannot create reminders
+ *       404:
+ *         description: Household not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post(
+  '/reminders/import',
+  authMiddleware,
+  express.text({ type: ['text/calendar', 'text/plain', 'application/octet-stream'], limit: '2mb' }),
+  validateRequest,
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      throw new BadRequestError('Send the .ics file as the request body, with Content-Type: text/calendar');
+    }
+
+    const skipped = [];
+    const candidates = readEntries(req.body, skipped);
+
+    const reminders = await withUser(req.user.id, async (client) => {
+      const householdId = await resolveHouseholdId(client, req.query.household_id, { create: true });
+      await assertHouseholdRole(client, householdId, 'member');
+
+      const fresh = [];
+      for (const candidate of candidates) {
+        if (await isDuplicate(client, householdId, candidate)) {
+          skipped.push({ uid: candidate.ical_uid, title: candidate.title, reason: 'Already imported' });
+        } else {
+          fresh.push(candidate);
+        }
+      }
+
+      if (!fresh.length) {
+        return [];
+      }
+
+      await assertWithinLimit(client, householdId, 'active_reminders', { count: fresh.length });
+
+      const created = [];
+      for (const r of fresh) {
+        const { rows } = await client.query(
+          `INSERT INTO reminders
+           (user_id, household_id, title, description, category, priority,
+            due_date, due_time, time_zone, location, recurrence_rule, ical_uid)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+           ON CONFLICT (household_id, ical_uid) WHERE ical_uid IS NOT NULL DO NOTHING
+           RETURNING *`,
+          [
+            req.user.id,
+            householdId,
+            r.title,
+            r.description,
+            r.category,
+            r.priority ?? null,
+            r.due_date,
+            r.due_time,
+            r.time_zone,
+            r.location,
+            r.recurrence_rule,
+            r.ical_uid
+          ]
+        );
+
+        if (rows.length) {
+          created.push(rows[0]);
+        } else {
+          skipped.push({ uid: r.ical_uid, title: r.title, reason: 'Already imported' });
+        }
+      }
+      return created;
+    });
+
+    res.json({ imported: reminders.length, skipped, reminders });
+  }
+);
+
+export default router;
@@ -0,0 +1,673 @@
+import express from 'express';
+import { withUser } from '../dbclient.js';
+import { authMiddleware } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { ConflictError, NotFoundError, ValidationError } from '../errors.js';
+import { assertAssignableMember, assertReminderAccess, completeReminder } from '../reminders.js';
+
+const router = express.Router();
+
+const MAX_CHECKLIST_ITEMS = 100;
+
+// An item's due moment: its offset from the reminder's due moment, or
+// from the start of the day for an all-day reminder.
+const ITEM_COLUMNS = `i.*,
+  CASE WHEN i.due_offset_minutes IS NOT NULL THEN
+    COALESCE(r.due_at, local_to_instant(r.due_date::timestamp, r.due_time_zone))
+      + make_interval(mins => i.due_offset_minutes)
+  END AS due_at`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChecklistItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 12
+ *         reminder_id:
+ *           type: integer
+ *           example: 1
+ *         position:
+ *           type: integer
+ *           description: 1 for the first item
+ *           example: 1
+ *         title:
+ *           type: string
+ *           example: Pack school bag
+ *         assigned_member_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 22
+ *         due_offset_minutes:
+ *           type: integer
+ *           nullable: true
+ *           description: |
+ *             Minutes from the reminder's due moment (from the start of its day
+ *             for an all-day reminder); negative is before
+ *           example: -30
+ *         due_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: The item's due moment, from due_offset_minutes
+ *         completed:
+ *           type: boolean
+ *           example: false
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         completed_by:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     CreateChecklistItemRequest:
+ *       type: object
+ *       required: [title]
+ *       properties:
+ *         title:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 200
+ *           example: Pack school bag
+ *         assigned_member_id:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           example: 22
+ *         due_offset_minutes:
+ *           type: integer
+ *           minimum: -10080
+ *           maximum: 10080
+ *           nullable: true
+ *           example: -30
+ *         position:
+ *           type: integer
+ *           minimum: 1
+ *           description: Where to insert the item; defaults to the end
+ *
+ *     PatchChecklistItemRequest:
+ *       type: object
+ *       minProperties: 1
+ *       properties:
+ *         title:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 200
+ *         assigned_member_id:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *         due_offset_minutes:
+ *           type: integer
+ *           minimum: -10080
+ *           maximum: 10080
+ *           nullable: true
+ *
+ *     ChecklistOrderRequest:
+ *       type: object
+ *       required: [item_ids]
+ *       properties:
+ *         item_ids:
+ *           type: array
+ *           description: Every item of the checklist, in the new order
+ *           maxItems: 100
+ *           items:
+ *             type: integer
+ *             minimum: 1
+ *
+ *     ChecklistTick:
+ *       type: object
+ *       properties:
+ *         item:
+ *           $ref: '#/components/schemas/ChecklistItem'
+ *         reminder:
+ *           $ref: '#/components/schemas/Reminder'
+ */
+
+async function listItems(client, reminderId) {
+  const { rows } = await client.query(
+    `SELECT ${ITEM_COLUMNS}
+     FROM reminder_checklist_items i
+     JOIN reminders r ON r.id = i.reminder_id
+     WHERE i.reminder_id = $1
+     ORDER BY i.position`,
+    [reminderId]
+  );
+
+  return rows;
+}
+
+async function findItem(client, reminderId, itemId) {
+  const { rows } = await client.query(
+    `SELECT ${ITEM_COLUMNS}
+     FROM reminder_checklist_items i
+     JOIN reminders r ON r.id = i.reminder_id
+     WHERE i.reminder_id = $1 AND i.id = $2`,
+    [reminderId, itemId]
+  );
+
+  if (!rows.length) {
+    throw new NotFoundError('Checklist item not found');
+  }
+
+  return rows[0];
+}
+
+// Lock a live reminder against concurrent checklist changes. Check
+// assertReminderAccess() first.
+async function lockReminder(client, reminderId) {
+  const { rows } = await client.query(
+    'SELECT * FROM app_lock_reminder($1)',
+    [reminderId]
+  );
+
+  if (!rows.length) {
+    throw new NotFoundError('Reminder not found');
+  }
+
+  return rows[0];
+}
+
+/**
+ * @swagger
+ * /api/reminders/{id}/checklist:
+ *   get:
+ *     summary: Get a reminder's checklist
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     responses:
+ *       200:
+ *         description: Items in order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ChecklistItem'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Reminder not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/reminders/:id/checklist', authMiddleware, validateRequest, async (req, res) => {
+  const items = await withUser(req.user.id, async (client) => {
+    const { rowCount } = await client.query(
+      'SELECT 1 FROM reminders WHERE id = $1 AND deleted_at IS NULL',
+      [req.params.id]
+    );
+
+    if (!rowCount) {
+      throw new NotFoundError('Reminder not found');
+    }
+
+    return listItems(client, req.params.id);
+  });
+
+  res.json(items);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/checklist:
+ *   post:
+ *     summary: Add an item to a reminder's checklist
+ *     description: |
+ *       The item can be assigned to any family member of the reminder's
+ *       household. A checklist holds at most 100 items.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateChecklistItemRequest'
+ *     responses:
+ *       201:
+ *         description: Item added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChecklistItem'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers and assignees cannot change the checklist
+ *       404:
+ *         description: Reminder not found
+ *       409:
+ *         description: The checklist is full
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/reminders/:id/checklist', authMiddleware, validateRequest, async (req, res) => {
+  const { title, assigned_member_id, due_offset_minutes, position } = req.body;
+
+  const item = await withUser(req.user.id, async (client) => {
+    const householdId = await assertReminderAccess(client, req.params.id);
+    await lockReminder(client, req.params.id);
+    await assertAssignableMember(client, assigned_member_id, householdId);
+
+    const { rows: counted } = await client.query(
+      'SELECT count(*)::int AS count FROM reminder_checklist_items WHERE reminder_id = $1',
+      [req.params.id]
+    );
+    const { count } = counted[0];
+
+    if (count >= MAX_CHECKLIST_ITEMS) {
+      throw new ConflictError(`A checklist holds at most ${MAX_CHECKLIST_ITEMS} items`);
+    }
+
+    const at = Math.min(position ?? count + 1, count + 1);
+
+    await client.query(
+      `UPDATE reminder_checklist_items
+       SET position = position + 1
+       WHERE reminder_id = $1 AND position >= $2`,
+      [req.params.id, at]
+    );
+
+    const { rows } = await client.query(
+      `INSERT INTO reminder_checklist_items
+       (reminder_id, position, title, assigned_member_id, due_offset_minutes)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [req.params.id, at, title, assigned_member_id ?? null, due_offset_minutes ?? null]
+    );
+
+    return findItem(client, req.params.id, rows[0].id);
+  });
+
+  res.status(201).json(item);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/checklist/order:
+ *   put:
+ *     summary: Reorder a reminder's checklist
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChecklistOrderRequest'
+ *     responses:
+ *       200:
+ *         description: Items in their new order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ChecklistItem'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers and assignees cannot change the checklist
+ *       404:
+ *         description: Reminder not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.put('/reminders/:id/checklist/order', authMiddleware, validateRequest, async (req, res) => {
+  const { item_ids } = req.body;
+
+  const items = await withUser(req.user.id, async (client) => {
+    await assertReminderAccess(client, req.params.id);
+    await lockReminder(client, req.params.id);
+
+    const { rows: current } = await client.query(
+      'SELECT id FROM reminder_checklist_items WHERE reminder_id = $1',
+      [req.params.id]
+    );
+    const currentIds = new Set(current.map((row) => row.id));
+
+    if (
+      new Set(item_ids).size !== item_ids.length ||
+      item_ids.length !== currentIds.size ||
+      !item_ids.every((id) => currentIds.has(id))
+    ) {
+      throw new ValidationError([
+        { location: 'body', field: 'item_ids', message: 'must list every item of the checklist once' }
+      ]);
+    }
+
+    await client.query(
+      `UPDATE reminder_checklist_items i
+       SET position = o.position
+       FROM unnest($2::int[]) WITH ORDINALITY AS o(id, position)
+       WHERE i.id = o.id AND i.reminder_id = $1 AND i.position <> o.position`,
+      [req.params.id, item_ids]
+    );
+
+    return listItems(client, req.params.id);
+  });
+
+  res.json(items);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/checklist/{itemId}:
+ *   patch:
+ *     summary: Edit a checklist item
+ *     description: Only the fields sent are changed. Tick items with the complete endpoint.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatchChecklistItemRequest'
+ *     responses:
+ *       200:
+ *         description: Item updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChecklistItem'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers and assignees cannot change the checklist
+ *       404:
+ *         description: Reminder or item not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/reminders/:id/checklist/:itemId', authMiddleware, validateRequest, async (req, res) => {
+  const fields = ['title', 'assigned_member_id', 'due_offset_minutes'].filter((field) => field in req.body);
+
+  if (!fields.length) {
+    throw new ValidationError([
+      { location: 'body', field: null, message: 'must contain one of: title, assigned_member_id, due_offset_minutes' }
+    ]);
+  }
+
+  const item = await withUser(req.user.id, async (client) => {
+    const householdId = await assertReminderAccess(client, req.params.id);
+    await lockReminder(client, req.params.id);
+    await assertAssignableMember(client, req.body.assigned_member_id, householdId);
+
+    const { rowCount } = await client.query(
+      `UPDATE reminder_checklist_items
+       SET ${fields.map((field, i) => `${field} = $${i + 3}`).join(', ')}
+       WHERE reminder_id = $1 AND id = $2`,
+      [req.params.id, req.params.itemId, ...fields.map((field) => req.body[field])]
+    );
+
+    if (!rowCount) {
+      throw new NotFoundError('Checklist item not found');
+    }
+
+    return findItem(client, req.params.id, req.params.itemId);
+  });
+
+  res.json(item);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/checklist/{itemId}:
+ *   delete:
+ *     summary: Remove a checklist item
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       204:
+ *         description: Item removed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers and assignees cannot change the checklist
+ *       404:
+ *         description: Reminder or item not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.delete('/reminders/:id/checklist/:itemId', authMiddleware, validateRequest, async (req, res) => {
+  await withUser(req.user.id, async (client) => {
+    await assertReminderAccess(client, req.params.id);
+    await lockReminder(client, req.params.id);
+
+    const { rows } = await client.query(
+      `DELETE FROM reminder_checklist_items
+       WHERE reminder_id = $1 AND id = $2
+       RETURNING position`,
+      [req.params.id, req.params.itemId]
+    );
+
+    if (!rows.length) {
+      throw new NotFoundError('Checklist item not found');
+    }
+
+    await client.query(
+      `UPDATE reminder_checklist_items
+       SET position = position - 1
+       WHERE reminder_id = $1 AND position > $2`,
+      [req.params.id, rows[0].position]
+    );
+  });
+
+  res.status(204).end();
+});
+
+/**
+ * Tick (`completed` true) or untick an item of an open reminder.
+ * Ticking the last open item completes a reminder with
+ * auto_complete_checklist. Resolves to `{ item, reminder }`.
+ */
+async function tickItem(client, reminderId, itemId, completed) {
+  await assertReminderAccess(client, reminderId, 'complete');
+  let reminder = await lockReminder(client, reminderId);
+
+  if (reminder.completed) {
+    throw new ConflictError('Reminder is already completed');
+  }
+
+  const item = await findItem(client, reminderId, itemId);
+
+  if (item.completed === completed) {
+    throw new ConflictError(completed ? 'Item is already ticked' : 'Item is not ticked');
+  }
+
+  await client.query(
+    `UPDATE reminder_checklist_items
+     SET completed = $3,
+         completed_at = CASE WHEN $3 THEN now() END,
+         completed_by = CASE WHEN $3 THEN app_current_user_id() END
+     WHERE reminder_id = $1 AND id = $2`,
+    [reminderId, itemId, completed]
+  );
+
+  if (completed && reminder.auto_complete_checklist) {
+    const { rowCount: open } = await client.query(
+      'SELECT 1 FROM reminder_checklist_items WHERE reminder_id = $1 AND NOT completed',
+      [reminderId]
+    );
+
+    if (!open) {
+      reminder = await completeReminder(client, reminderId);
+    }
+  }
+
+  return { item: await findItem(client, reminderId, itemId), reminder };
+}
+
+/**
+ * @swagger
+ * /api/reminders/{id}/checklist/{itemId}/complete:
+ *   patch:
+ *     summary: Tick a checklist item
+ *     description: |
+ *       When this was the last open item and the reminder has
+ *       auto_complete_checklist, the reminder is completed as well: a
+ *       recurring one moves on to its next occurrence with its checklist
+ *       unticked. Members and the linked assignee can tick items.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Item ticked; returns it and the reminder as they now stand
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChecklistTick'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers cannot tick items
+ *       404:
+ *         description: Reminder or item not found
+ *       409:
+ *         description: The item is already ticked, or the reminder is completed
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/reminders/:id/checklist/:itemId/complete', authMiddleware, validateRequest, async (req, res) => {
+  const result = await withUser(req.user.id, (client) =>
+    tickItem(client, req.params.id, req.params.itemId, true)
+  );
+
+  res.json(result);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/checklist/{itemId}/reopen:
+ *   patch:
+ *     summary: Untick a checklist item
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Item unticked; returns it and the reminder
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChecklistTick'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers cannot untick items
+ *       404:
+ *         description: Reminder or item not found
+ *       409:
+ *         description: The item is not ticked, or the reminder is completed
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/reminders/:id/checklist/:itemId/reopen', authMiddleware, validateRequest, async (req, res) => {
+  const result = await withUser(req.user.id, (client) =>
+    tickItem(client, req.params.id, req.params.itemId, false)
+  );
+
+  res.json(result);
+});
+
+export default router;
@@ -0,0 +1,231 @@
+import express from 'express';
+import { withUser } from '../dbclient.js';
+import { authMiddleware } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { NotFoundError } from '../errors.js';
+import { assertHouseholdRole } from '../households.js';
+import { assertEscalationTarget, listEscalationRules } from '../escalations.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Escalations
+ *   description: |
+ *     Escalation rules of a household. When a high-priority reminder assigned
+ *     to a family member is still not done `after_minutes` after it was due,
+ *     the scheduler notifies the rule's family member (through their linked
+ *     account) or, without one, the household's owner. Each escalation is
+ *     added to the reminder's timeline. Everyone in the household can read
+ *     the rules; admins manage them.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EscalationRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 4
+ *         household_id:
+ *           type: integer
+ *           example: 3
+ *         after_minutes:
+ *           type: integer
+ *           description: Minutes after the due moment
+ *           example: 30
+ *         notify_member_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Family member to notify; null for the household's owner
+ *           example: 22
+ *         notify_member_name:
+ *           type: string
+ *           nullable: true
+ *           example: Thandi
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     CreateEscalationRuleRequest:
+ *       type: object
+ *       required: [after_minutes]
+ *       properties:
+ *         after_minutes:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10080
+ *           example: 30
+ *         notify_member_id:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: |
+ *             A family member whose linked account belongs to the household;
+ *             leave out to notify the owner
+ *           example: 22
+ */
+
+/**
+ * @swagger
+ * /api/households/{id}/escalation-rules:
+ *   get:
+ *     summary: List a household's escalation rules
+ *     tags: [Escalations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Household ID
+ *     responses:
+ *       200:
+ *         description: Rules, soonest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EscalationRule'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Household not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/households/:id/escalation-rules', authMiddleware, validateRequest, async (req, res) => {
+  const rules = await withUser(req.user.id, async (client) => {
+    await assertHouseholdRole(client, req.params.id, 'viewer');
+    return listEscalationRules(client, req.params.id);
+  });
+
+  res.json(rules);
+});
+
+/**
+ * @swagger
+ * /api/households/{id}/escalation-rules:
+ *   post:
+ *     summary: Add an escalation rule
+ *     description: |
+ *       Requires the admin role. The rule applies to reminders that become
+ *       overdue from now on.
+ *     tags: [Escalations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Household ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateEscalationRuleRequest'
+ *     responses:
+ *       201:
+ *         description: Rule added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EscalationRule'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Your role does not allow this
+ *       404:
+ *         description: Household not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/households/:id/escalation-rules', authMiddleware, validateRequest, async (req, res) => {
+  const { after_minutes, notify_member_id } = req.body;
+
+  const rule = await withUser(req.user.id, async (client) => {
+    await assertHouseholdRole(client, req.params.id, 'admin');
+    await assertEscalationTarget(client, notify_member_id, Number(req.params.id));
+
+    const { rows } = await client.query(
+      `INSERT INTO escalation_rules (household_id, after_minutes, notify_member_id, created_by)
+       VALUES ($1, $2, $3, app_current_user_id())
+       RETURNING id`,
+      [req.params.id, after_minutes, notify_member_id ?? null]
+    );
+
+    const rules = await listEscalationRules(client, req.params.id);
+    return rules.find((r) => r.id === rows[0].id);
+  });
+
+  res.status(201).json(rule);
+});
+
+/**
+ * @swagger
+ * /api/households/{id}/escalation-rules/{ruleId}:
+ *   delete:
+ *     summary: Remove an escalation rule
+ *     description: Requires the admin role.
+ *     tags: [Escalations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Household ID
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       204:
+ *         description: Rule removed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Your role does not allow this
+ *       404:
+ *         description: Household or rule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.delete('/households/:id/escalation-rules/:ruleId', authMiddleware, validateRequest, async (req, res) => {
+  const { rowCount } = await withUser(req.user.id, async (client) => {
+    await assertHouseholdRole(client, req.params.id, 'admin');
+    return client.query(
+      'DELETE FROM escalation_rules WHERE id = $1 AND household_id = $2',
+      [req.params.ruleId, req.params.id]
+    );
+  });
+
+  if (!rowCount) {
+    throw new NotFoundError('Escalation rule not found');
+  }
+
+  res.status(204).end();
+});
+
+export default router;
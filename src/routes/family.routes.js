@@ -1,6 +1,10 @@
 import express from 'express';
-import { pool } from '../dbclient.js';
-import { authMiddleware } from '../auth.js';
+import { withUser } from '../dbclient.js';
+import { authMiddleware, requireVerifiedEmail } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { NotFoundError } from '../errors.js';
+import { assertHouseholdRole, resolveHouseholdId } from '../households.js';
+import { assertWithinLimit } from '../plans.js';
 
 const router = express.Router();
 /**
@@ -21,8 +25,12 @@ const router = express.Router();
  *           type: integer
  *           example: 1
  *         account_owner_id:
+ *           type: string
+ *           format: uuid
+ *           description: User who added the member
+ *         household_id:
  *           type: integer
- *           example: 10
+ *           example: 3
  *         name:
  *           type: string
  *           example: John Mafunda
@@ -39,6 +47,11 @@ const router = express.Router();
  *         is_active:
  *           type: boolean
  *           example: true
+ *         linked_user_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Account of the member, once they accept an invitation
  *         created_at:
  *           type: string
  *           format: date-time
@@ -50,47 +63,97 @@ const router = express.Router();
  *         - name
  *         - relationship
  *       properties:
+ *         household_id:
+ *           type: integer
+ *           minimum: 1
+ *           description: Defaults to your own household
  *         name:
  *           type: string
+ *           minLength: 1
+ *           maxLength: 100
  *           example: John Mafunda
  *         email:
  *           type: string
+ *           format: email
+ *           nullable: true
  *           example: john@example.com
  *         relationship:
  *           type: string
+ *           minLength: 1
+ *           maxLength: 50
  *           example: Brother
  *         avatar_url:
  *           type: string
+ *           format: uri
+ *           nullable: true
  *           example: https://example.com/avatar.jpg
  *
  *     UpdateFamilyMemberRequest:
  *       type: object
+ *       description: Replaces the member's details; omitted optional fields are cleared.
+ *       required:
+ *         - name
+ *         - relationship
+ *         - is_active
  *       properties:
  *         name:
  *           type: string
+ *           minLength: 1
+ *           maxLength: 100
  *           example: John Mafunda
  *         email:
  *           type: string
+ *           format: email
+ *           nullable: true
  *           example: john@example.com
  *         relationship:
  *           type: string
+ *           minLength: 1
+ *           maxLength: 50
  *           example: Brother
  *         avatar_url:
  *           type: string
+ *           format: uri
+ *           nullable: true
  *           example: https://example.com/avatar.jpg
  *         is_active:
  *           type: boolean
  *           example: true
  */
 
+/**
+ * Make sure family member `id` belongs to one of the current user's
+ * households, in which they are an admin.
+ */
+async function assertCanManageMember(client, id) {
+  const { rows } = await client.query(
+    `SELECT household_id FROM family_members
+     WHERE id = $1 AND app_household_role(household_id) IS NOT NULL`,
+    [id]
+  );
+
+  if (!rows.length) {
+    throw new NotFoundError('Family member not found');
+  }
+
+  await assertHouseholdRole(client, rows[0].household_id, 'admin');
+}
+
 /**
  * @swagger
  * /api/family:
  *   get:
- *     summary: Get all family members for authenticated user
+ *     summary: Get the family members of your households
  *     tags: [Family]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: household_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only this household's members
  *     responses:
  *       200:
  *         description: List of family members
@@ -102,21 +165,22 @@ const router = express.Router();
  *                 $ref: '#/components/schemas/FamilyMember'
  *       401:
  *         description: Unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.get('/family', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
-  try {
-    await client.query('SET app.current_user_id = $1', [req.user.id]);
-
+router.get('/family', authMiddleware, validateRequest, async (req, res) => {
+  const rows = await withUser(req.user.id, async (client) => {
+    // Rows you are only linked to (see /family/memberships) are left out.
     const { rows } = await client.query(
-      'SELECT * FROM family_members WHERE account_owner_id = $1',
-      [req.user.id]
+      `SELECT * FROM family_members
+       WHERE app_household_role(household_id) IS NOT NULL
+         AND ($1::int IS NULL OR household_id = $1)`,
+      [req.query.household_id ?? null]
     );
+    return rows;
+  });
 
-    res.json(rows);
-  } finally {
-    client.release();
-  }
+  res.json(rows);
 });
 
 /**
@@ -140,33 +204,36 @@ router.get('/family', authMiddleware, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/FamilyMember'
- *       400:
- *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       402:
+ *         $ref: '#/components/responses/PlanLimitReached'
+ *       403:
+ *         description: Email address not verified, or not an admin of the household
+ *       404:
+ *         description: Household not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.post('/family', authMiddleware, async (req, res) => {
-  const { name, email, relationship, avatar_url } = req.body;
-  const client = await pool.connect();
+router.post('/family', authMiddleware, requireVerifiedEmail, validateRequest, async (req, res) => {
+  const { household_id, name, email, relationship, avatar_url } = req.body;
 
-  try {
-    await client.query('SET app.current_user_id = $1', [req.user.id]);
+  const member = await withUser(req.user.id, async (client) => {
+    const householdId = await resolveHouseholdId(client, household_id, { create: true });
+    await assertHouseholdRole(client, householdId, 'admin');
+    await assertWithinLimit(client, householdId, 'family_members');
 
     const { rows } = await client.query(
       `INSERT INTO family_members
-       (account_owner_id, name, email, relationship, avatar_url)
-       VALUES ($1, $2, $3, $4, $5)
+       (account_owner_id, household_id, name, email, relationship, avatar_url)
+       VALUES ($1, $2, $3, $4, $5, $6)
        RETURNING *`,
-      [req.user.id, name, email, relationship, avatar_url]
+      [req.user.id, householdId, name, email, relationship, avatar_url]
     );
+    return rows[0];
+  });
 
-    res.status(201).json(rows[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(400).json({ error: err.message });
-  } finally {
-    client.release();
-  }
+  res.status(201).json(member);
 });
 
 /**
@@ -183,6 +250,7 @@ router.post('/family', authMiddleware, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         description: Family member ID
  *     requestBody:
  *       required: true
@@ -199,16 +267,21 @@ router.post('/family', authMiddleware, async (req, res) => {
  *               $ref: '#/components/schemas/FamilyMember'
  *       401:
  *         description: Unauthorized
+ *       402:
+ *         $ref: '#/components/responses/PlanLimitReached'
+ *       403:
+ *         description: Email address not verified, or not an admin of the household
  *       404:
  *         description: Family member not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.put('/family/:id', authMiddleware, async (req, res) => {
+router.put('/family/:id', authMiddleware, requireVerifiedEmail, validateRequest, async (req, res) => {
   const { id } = req.params;
   const { name, email, relationship, avatar_url, is_active } = req.body;
-  const client = await pool.connect();
 
-  try {
-    await client.query('SET app.current_user_id = $1', [req.user.id]);
+  const member = await withUser(req.user.id, async (client) => {
+    await assertCanManageMember(client, id);
 
     const { rows } = await client.query(
       `UPDATE family_members
@@ -221,11 +294,10 @@ router.put('/family/:id', authMiddleware, async (req, res) => {
        RETURNING *`,
       [name, email, relationship, avatar_url, is_active, id]
     );
+    return rows[0];
+  });
 
-    res.json(rows[0]);
-  } finally {
-    client.release();
-  }
+  res.json(member);
 });
 
 
@@ -243,6 +315,7 @@ router.put('/family/:id', authMiddleware, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         description: Family member ID
  *     responses:
  *       200:
@@ -257,24 +330,20 @@ router.put('/family/:id', authMiddleware, async (req, res) => {
  *                   example: true
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified, or not an admin of the household
  *       404:
  *         description: Family member not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.delete('/family/:id', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
-
-  try {
-    await client.query('SET app.current_user_id = $1', [req.user.id]);
+router.delete('/family/:id', authMiddleware, requireVerifiedEmail, validateRequest, async (req, res) => {
+  await withUser(req.user.id, async (client) => {
+    await assertCanManageMember(client, req.params.id);
+    await client.query('DELETE FROM family_members WHERE id=$1', [req.params.id]);
+  });
 
-    await client.query(
-      'DELETE FROM family_members WHERE id=$1',
-      [req.params.id]
-    );
-
-    res.json({ success: true });
-  } finally {
-    client.release();
-  }
+  res.json({ success: true });
 });
 
 export default router;
@@ -0,0 +1,502 @@
+import express from 'express';
+import { pool, withUser } from '../dbclient.js';
+import { authMiddleware } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { BadRequestError, ConflictError, HttpError, NotFoundError, ValidationError } from '../errors.js';
+import { resolveHouseholdId } from '../households.js';
+import {
+  createGoogleCalendar,
+  exchangeGoogleCode,
+  googleAuthUrl,
+  isGoogleConfigured,
+  revokeGoogleToken,
+  verifyGoogleState
+} from '../googleCalendar.js';
+import { syncGoogleAccount } from '../googleSync.js';
+
+const router = express.Router();
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Google Calendar
+ *   description: |
+ *     Two-way sync between a household's reminders and a Google calendar.
+ *     Connect with GET /api/google/connect; syncs then run every few
+ *     minutes, or on demand with POST /api/google/sync.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GoogleConnection:
+ *       type: object
+ *       properties:
+ *         connected:
+ *           type: boolean
+ *         google_email:
+ *           type: string
+ *           nullable: true
+ *           example: thandi@gmail.com
+ *         household_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Household whose reminders are synced
+ *         calendar_id:
+ *           type: string
+ *           example: primary
+ *         calendar_name:
+ *           type: string
+ *           nullable: true
+ *         calendar_time_zone:
+ *           type: string
+ *           example: Africa/Johannesburg
+ *         import_events:
+ *           type: boolean
+ *           description: Whether events created in Google become reminders
+ *         last_synced_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_sync_error:
+ *           type: string
+ *           nullable: true
+ *
+ *     GoogleSyncResult:
+ *       type: object
+ *       properties:
+ *         pulled:
+ *           type: integer
+ *           description: Reminders created or changed from Google
+ *         pushed:
+ *           type: integer
+ *           description: Events created or changed in Google
+ *         deleted:
+ *           type: integer
+ *           description: Reminders and events deleted on either side
+ *         conflicts:
+ *           type: integer
+ *           description: Items changed on both sides; the latest change won
+ *         skipped:
+ *           type: integer
+ *           description: Google events not imported because of a plan limit
+ *
+ *     UpdateGoogleConnectionRequest:
+ *       type: object
+ *       properties:
+ *         household_id:
+ *           type: integer
+ *           minimum: 1
+ *         calendar_id:
+ *           type: string
+ *           minLength: 1
+ *           description: One of GET /api/google/calendars
+ *         import_events:
+ *           type: boolean
+ */
+
+function serializeConnection(row) {
+  if (!row) {
+    return { connected: false };
+  }
+
+  return {
+    connected: true,
+    google_email: row.google_email,
+    household_id: row.household_id,
+    calendar_id: row.calendar_id,
+    calendar_name: row.calendar_name,
+    calendar_time_zone: row.calendar_time_zone,
+    import_events: row.import_events,
+    last_synced_at: row.last_synced_at,
+    last_sync_error: row.last_sync_error
+  };
+}
+
+function assertConfigured() {
+  if (!isGoogleConfigured()) {
+    throw new HttpError(503, 'Google Calendar sync is not configured', 'not_configured');
+  }
+}
+
+// Failed Google calls carry Google's HTTP status; they are reported as
+// 502 so that e.g. Google's 401 is not taken for the client's own.
+async function fromGoogle(request) {
+  try {
+    return await request;
+  } catch (err) {
+    if (!(err instanceof HttpError) && err.status) {
+      throw new HttpError(502, `Google Calendar: ${err.message}`, 'google_error');
+    }
+    throw err;
+  }
+}
+
+async function findAccount(userId) {
+  const { rows } = await pool.query('SELECT * FROM google_accounts WHERE user_id = $1', [userId]);
+  return rows[0];
+}
+
+async function requireAccount(userId) {
+  const account = await findAccount(userId);
+
+  if (!account) {
+    throw new NotFoundError('No Google account connected');
+  }
+
+  return account;
+}
+
+/**
+ * @swagger
+ * /api/google:
+ *   get:
+ *     summary: Your Google Calendar connection
+ *     tags: [Google Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Connection status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GoogleConnection'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/google', authMiddleware, async (req, res) => {
+  res.json(serializeConnection(await findAccount(req.user.id)));
+});
+
+/**
+ * @swagger
+ * /api/google/connect:
+ *   get:
+ *     summary: Start connecting a Google account
+ *     description: |
+ *       Returns Google's consent URL. Send the user's browser there; Google
+ *       redirects back to /api/google/callback, which stores the account and
+ *       redirects to APP_URL/settings/calendar?google=connected (or
+ *       ?google=error).
+ *     tags: [Google Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Consent URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                   format: uri
+ *       401:
+ *         description: Unauthorized
+ *       503:
+ *         description: Google Calendar sync is not configured
+ */
+router.get('/google/connect', authMiddleware, async (req, res) => {
+  assertConfigured();
+  res.json({ url: googleAuthUrl(req.user.id) });
+});
+
+/**
+ * @swagger
+ * /api/google/callback:
+ *   get:
+ *     summary: OAuth redirect target for Google
+ *     description: Called by Google, not by clients.
+ *     tags: [Google Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Back to the app
+ *       400:
+ *         description: Invalid or expired state
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       502:
+ *         description: Google Calendar request failed
+ */
+router.get('/google/callback', validateRequest, async (req, res) => {
+  assertConfigured();
+
+  const userId = verifyGoogleState(req.query.state);
+  if (!userId) {
+    throw new BadRequestError('Invalid or expired state');
+  }
+
+  const back = (status) => res.redirect(`${APP_URL}/settings/calendar?google=${status}`);
+
+  if (req.query.error || !req.query.code) {
+    return back('error');
+  }
+
+  const tokens = await fromGoogle(exchangeGoogleCode(req.query.code));
+  if (!tokens.refresh_token) {
+    return back('error');
+  }
+
+  const account = { ...tokens, google_email: tokens.email };
+  const primary = await fromGoogle(createGoogleCalendar(account).getCalendar('primary'));
+
+  await withUser(userId, async (client) => {
+    const householdId = await resolveHouseholdId(client, undefined, { create: true });
+
+    // Reconnecting the same Google account keeps the calendar settings
+    // and the links; another account starts over.
+    const { rows } = await client.query(
+      'SELECT google_email FROM google_accounts WHERE user_id = $1',
+      [userId]
+    );
+    if (rows.length && rows[0].google_email !== tokens.email) {
+      await client.query('DELETE FROM google_accounts WHERE user_id = $1', [userId]);
+    }
+
+    await client.query(
+      `INSERT INTO google_accounts
+       (user_id, google_email, access_token, refresh_token, token_expires_at,
+        household_id, calendar_id, calendar_name, calendar_time_zone)
+       VALUES ($1, $2, $3, $4, $5, $6, 'primary', $7, $8)
+       ON CONFLICT (user_id)
+       DO UPDATE SET access_token = EXCLUDED.access_token,
+                     refresh_token = EXCLUDED.refresh_token,
+                     token_expires_at = EXCLUDED.token_expires_at,
+                     last_sync_error = NULL`,
+      [
+        userId,
+        tokens.email,
+        tokens.access_token,
+        tokens.refresh_token,
+        tokens.expires_at,
+        householdId,
+        primary.summary,
+        primary.timeZone || 'UTC'
+      ]
+    );
+  });
+
+  back('connected');
+});
+
+/**
+ * @swagger
+ * /api/google/calendars:
+ *   get:
+ *     summary: Google calendars you can sync to
+ *     tags: [Google Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendars you can write to
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   summary:
+ *                     type: string
+ *                   timeZone:
+ *                     type: string
+ *                   primary:
+ *                     type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No Google account connected
+ *       502:
+ *         description: Google Calendar request failed
+ */
+router.get('/google/calendars', authMiddleware, async (req, res) => {
+  assertConfigured();
+  const account = await requireAccount(req.user.id);
+
+  res.json(await fromGoogle(createGoogleCalendar(account).listCalendars()));
+});
+
+/**
+ * @swagger
+ * /api/google:
+ *   patch:
+ *     summary: Choose what is synced where
+ *     description: |
+ *       Switching the household removes the old household's events from the
+ *       calendar at the next sync. Switching the calendar starts over in the
+ *       new one; events already in the old calendar are left there. Turning
+ *       on import_events also imports the events already in the calendar.
+ *     tags: [Google Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateGoogleConnectionRequest'
+ *     responses:
+ *       200:
+ *         description: Updated connection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GoogleConnection'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No Google account connected, or household not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       502:
+ *         description: Google Calendar request failed
+ */
+router.patch('/google', authMiddleware, validateRequest, async (req, res) => {
+  assertConfigured();
+  const account = await requireAccount(req.user.id);
+  const { household_id, calendar_id, import_events } = req.body;
+
+  let calendar = null;
+  if (calendar_id !== undefined && calendar_id !== account.calendar_id) {
+    const calendars = await fromGoogle(createGoogleCalendar(account).listCalendars());
+    calendar = calendars.find((c) => c.id === calendar_id);
+
+    if (!calendar) {
+      throw new ValidationError([
+        { location: 'body', field: 'calendar_id', message: 'is not one of your Google calendars' }
+      ]);
+    }
+  }
+
+  const updated = await withUser(req.user.id, async (client) => {
+    const householdId =
+      household_id !== undefined ? await resolveHouseholdId(client, household_id) : account.household_id;
+
+    if (calendar) {
+      await client.query('DELETE FROM google_event_links WHERE user_id = $1', [req.user.id]);
+    }
+
+    // A new calendar, or importing events that were skipped so far,
+    // needs a full pull.
+    const fullPull = Boolean(calendar) || (import_events === true && !account.import_events);
+
+    const { rows } = await client.query(
+      `UPDATE google_accounts
+       SET household_id = $2,
+           calendar_id = COALESCE($3, calendar_id),
+           calendar_name = COALESCE($4, calendar_name),
+           calendar_time_zone = COALESCE($5, calendar_time_zone),
+           import_events = COALESCE($6, import_events),
+           sync_token = CASE WHEN $7 THEN NULL ELSE sync_token END
+       WHERE user_id = $1
+       RETURNING *`,
+      [
+        req.user.id,
+        householdId,
+        calendar?.id ?? null,
+        calendar?.summary ?? null,
+        calendar?.timeZone ?? null,
+        import_events ?? null,
+        fullPull
+      ]
+    );
+    return rows[0];
+  });
+
+  res.json(serializeConnection(updated));
+});
+
+/**
+ * @swagger
+ * /api/google/sync:
+ *   post:
+ *     summary: Sync with Google Calendar now
+ *     tags: [Google Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: What changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GoogleSyncResult'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No Google account connected
+ *       409:
+ *         description: A sync is already running
+ *       502:
+ *         description: Google Calendar request failed
+ */
+router.post('/google/sync', authMiddleware, async (req, res) => {
+  assertConfigured();
+  await requireAccount(req.user.id);
+
+  const result = await fromGoogle(syncGoogleAccount(req.user.id));
+  if (!result) {
+    throw new ConflictError('A sync is already running');
+  }
+
+  res.json(result);
+});
+
+/**
+ * @swagger
+ * /api/google:
+ *   delete:
+ *     summary: Disconnect Google Calendar
+ *     description: Events already in Google are left there.
+ *     tags: [Google Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Disconnected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No Google account connected
+ */
+router.delete('/google', authMiddleware, async (req, res) => {
+  const account = await requireAccount(req.user.id);
+
+  await pool.query('DELETE FROM google_accounts WHERE user_id = $1', [req.user.id]);
+  await revokeGoogleToken(account.refresh_token);
+
+  res.json({ success: true });
+});
+
+export default router;
@@ -0,0 +1,673 @@
+import express from 'express';
+import { withUser } from '../dbclient.js';
+import { authMiddleware } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { ConflictError, ForbiddenError, NotFoundError } from '../errors.js';
+import { assertHouseholdRole, createHousehold } from '../households.js';
+import { assertCanOwnHousehold } from '../plans.js';
+
+const router = express.Router();
+/**
+ * @swagger
+ * tags:
+ *   name: Households
+ *   description: |
+ *     Households share family members, reminders and notifications between
+ *     several users. Roles, weakest first: viewer (read only), member (manages
+ *     reminders), admin (also manages family members, invitations and
+ *     members), owner (also grants admin, transfers and deletes).
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Household:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 3
+ *         name:
+ *           type: string
+ *           example: The Mafundas
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, member, viewer]
+ *           description: Your role in the household
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     HouseholdMember:
+ *       type: object
+ *       properties:
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         email:
+ *           type: string
+ *           example: thandi@example.com
+ *         full_name:
+ *           type: string
+ *           nullable: true
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, member, viewer]
+ *         joined_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     HouseholdRequest:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *           example: The Mafundas
+ */
+
+function serializeHousehold(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    created_at: row.created_at
+  };
+}
+
+function serializeMember(row) {
+  return {
+    user_id: row.user_id,
+    email: row.email,
+    full_name: row.full_name,
+    role: row.role,
+    joined_at: row.created_at
+  };
+}
+
+async function findMember(client, householdId, userId) {
+  const { rows } = await client.query(
+    `SELECT hm.user_id, hm.role, hm.created_at, u.email, u.full_name
+     FROM household_members hm
+     JOIN users u ON u.id = hm.user_id
+     WHERE hm.household_id = $1 AND hm.user_id = $2`,
+    [householdId, userId]
+  );
+
+  if (!rows.length) {
+    throw new NotFoundError('Household member not found');
+  }
+
+  return rows[0];
+}
+
+/**
+ * @swagger
+ * /api/households:
+ *   get:
+ *     summary: List the households you belong to
+ *     tags: [Households]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Households, the ones you own first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Household'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/households', authMiddleware, async (req, res) => {
+  const rows = await withUser(req.user.id, async (client) => {
+    const { rows } = await client.query(
+      `SELECT h.*, hm.role
+       FROM households h
+       JOIN household_members hm ON hm.household_id = h.id
+       WHERE hm.user_id = $1
+       ORDER BY hm.role = 'owner' DESC, hm.created_at, h.id`,
+      [req.user.id]
+    );
+    return rows;
+  });
+
+  res.json(rows.map(serializeHousehold));
+});
+
+/**
+ * @swagger
+ * /api/households:
+ *   post:
+ *     summary: Create a household
+ *     description: You become its owner.
+ *     tags: [Households]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HouseholdRequest'
+ *     responses:
+ *       201:
+ *         description: Household created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Household'
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         $ref: '#/components/responses/PlanLimitReached'
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/households', authMiddleware, validateRequest, async (req, res) => {
+  const household = await withUser(req.user.id, async (client) => {
+    await assertCanOwnHousehold(client, req.user.id);
+    return createHousehold(client, req.body.name);
+  });
+
+  res.status(201).json(serializeHousehold(household));
+});
+
+/**
+ * @swagger
+ * /api/households/{id}:
+ *   get:
+ *     summary: Get a household and its members
+ *     tags: [Households]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Household ID
+ *     responses:
+ *       200:
+ *         description: The household
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Household'
+ *                 - type: object
+ *                   properties:
+ *                     members:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/HouseholdMember'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Household not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/households/:id', authMiddleware, validateRequest, async (req, res) => {
+  const household = await withUser(req.user.id, async (client) => {
+    const role = await assertHouseholdRole(client, req.params.id, 'viewer');
+
+    const { rows } = await client.query(
+      'SELECT * FROM households WHERE id = $1',
+      [req.params.id]
+    );
+
+    const { rows: members } = await client.query(
+      `SELECT hm.user_id, hm.role, hm.created_at, u.email, u.full_name
+       FROM household_members hm
+       JOIN users u ON u.id = hm.user_id
+       WHERE hm.household_id = $1
+       ORDER BY hm.created_at`,
+      [req.params.id]
+    );
+
+    return { ...serializeHousehold({ ...rows[0], role }), members: members.map(serializeMember) };
+  });
+
+  res.json(household);
+});
+
+/**
+ * @swagger
+ * /api/households/{id}:
+ *   patch:
+ *     summary: Rename a household
+ *     description: Requires the admin role.
+ *     tags: [Households]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Household ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HouseholdRequest'
+ *     responses:
+ *       200:
+ *         description: Household renamed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Household'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not an admin of the household
+ *       404:
+ *         description: Household not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/households/:id', authMiddleware, validateRequest, async (req, res) => {
+  const household = await withUser(req.user.id, async (client) => {
+    const role = await assertHouseholdRole(client, req.params.id, 'admin');
+
+    const { rows } = await client.query(
+      `UPDATE households
+       SET name = $2
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id, req.body.name]
+    );
+    return { ...rows[0], role };
+  });
+
+  res.json(serializeHousehold(household));
+});
+
+/**
+ * @swagger
+ * /api/households/{id}:
+ *   delete:
+ *     summary: Delete a household
+ *     description: |
+ *       Requires the owner role. Deletes the household's family members,
+ *       reminders and notifications with it.
+ *     tags: [Households]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Household ID
+ *     responses:
+ *       200:
+ *         description: Household deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the household
+ *       404:
+ *         description: Household not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.delete('/households/:id', authMiddleware, validateRequest, async (req, res) => {
+  await withUser(req.user.id, async (client) => {
+    await assertHouseholdRole(client, req.params.id, 'owner');
+    await client.query('DELETE FROM households WHERE id = $1', [req.params.id]);
+  });
+
+  res.json({ success: true });
+});
+
+/**
+ * @swagger
+ * /api/households/{id}/members:
+ *   post:
+ *     summary: Add a user to a household
+ *     description: |
+ *       Requires the admin role; only the owner can add admins. The user
+ *       needs an existing account.
+ *     tags: [Households]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Household ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member, viewer]
+ *     responses:
+ *       201:
+ *         description: Member added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HouseholdMember'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Your role does not allow this
+ *       404:
+ *         description: Household or user not found
+ *       409:
+ *         description: Already a member
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/households/:id/members', authMiddleware, validateRequest, async (req, res) => {
+  const { email, role } = req.body;
+
+  const member = await withUser(req.user.id, async (client) => {
+    const myRole = await assertHouseholdRole(client, req.params.id, 'admin');
+
+    if (role === 'admin' && myRole !== 'owner') {
+      throw new ForbiddenError('Only the owner can add admins');
+    }
+
+    const { rows: users } = await client.query(
+      'SELECT id FROM users WHERE lower(email) = lower($1)',
+      [email]
+    );
+
+    if (!users.length) {
+      throw new NotFoundError('No account uses this email address');
+    }
+
+    const { rowCount } = await client.query(
+      'SELECT 1 FROM household_members WHERE household_id = $1 AND user_id = $2',
+      [req.params.id, users[0].id]
+    );
+
+    if (rowCount) {
+      throw new ConflictError('User is already a member of this household');
+    }
+
+    await client.query(
+      `INSERT INTO household_members (household_id, user_id, role)
+       VALUES ($1, $2, $3)`,
+      [req.params.id, users[0].id, role]
+    );
+
+    return findMember(client, req.params.id, users[0].id);
+  });
+
+  res.status(201).json(serializeMember(member));
+});
+
+/**
+ * @swagger
+ * /api/households/{id}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role
+ *     description: |
+ *       Requires the admin role; only the owner can grant or take away
+ *       admin. Use the transfer endpoint to change the owner.
+ *     tags: [Households]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Household ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member, viewer]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HouseholdMember'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Your role does not allow this
+ *       404:
+ *         description: Household or member not found
+ *       409:
+ *         description: The member is the owner
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/households/:id/members/:userId', authMiddleware, validateRequest, async (req, res) => {
+  const member = await withUser(req.user.id, async (client) => {
+    const myRole = await assertHouseholdRole(client, req.params.id, 'admin');
+    const target = await findMember(client, req.params.id, req.params.userId);
+
+    if (target.role === 'owner') {
+      throw new ConflictError('Transfer ownership to change the owner\'s role');
+    }
+
+    if (myRole !== 'owner' && (target.role === 'admin' || req.body.role === 'admin')) {
+      throw new ForbiddenError('Only the owner can grant or take away admin');
+    }
+
+    await client.query(
+      `UPDATE household_members
+       SET role = $3
+       WHERE household_id = $1 AND user_id = $2`,
+      [req.params.id, req.params.userId, req.body.role]
+    );
+
+    return findMember(client, req.params.id, req.params.userId);
+  });
+
+  res.json(serializeMember(member));
+});
+
+/**
+ * @swagger
+ * /api/households/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member, or leave the household
+ *     description: |
+ *       Anyone but the owner can remove themselves. Removing others requires
+ *       the admin role; only the owner can remove admins. A user left
+ *       without a household gets a new one of their own when they next
+ *       need one.
+ *     tags: [Households]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Household ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Your role does not allow this
+ *       404:
+ *         description: Household or member not found
+ *       409:
+ *         description: The owner has to transfer ownership before leaving
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.delete('/households/:id/members/:userId', authMiddleware, validateRequest, async (req, res) => {
+  await withUser(req.user.id, async (client) => {
+    const myRole = await assertHouseholdRole(client, req.params.id, 'viewer');
+    const target = await findMember(client, req.params.id, req.params.userId);
+
+    if (target.role === 'owner') {
+      throw new ConflictError('The owner has to transfer ownership before leaving');
+    }
+
+    if (target.user_id !== req.user.id) {
+      if (myRole !== 'owner' && myRole !== 'admin') {
+        throw new ForbiddenError('This requires the admin role or higher in the household');
+      }
+
+      if (myRole !== 'owner' && target.role === 'admin') {
+        throw new ForbiddenError('Only the owner can remove admins');
+      }
+    }
+
+    await client.query(
+      'DELETE FROM household_members WHERE household_id = $1 AND user_id = $2',
+      [req.params.id, req.params.userId]
+    );
+  });
+
+  res.json({ success: true });
+});
+
+/**
+ * @swagger
+ * /api/households/{id}/transfer:
+ *   post:
+ *     summary: Make another member the owner
+ *     description: Requires the owner role. You stay on as an admin.
+ *     tags: [Households]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Household ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Ownership transferred; returns the new owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HouseholdMember'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the household
+ *       404:
+ *         description: Household or member not found
+ *       409:
+ *         description: You already own the household
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/households/:id/transfer', authMiddleware, validateRequest, async (req, res) => {
+  const owner = await withUser(req.user.id, async (client) => {
+    await assertHouseholdRole(client, req.params.id, 'owner');
+    const target = await findMember(client, req.params.id, req.body.user_id);
+
+    if (target.role === 'owner') {
+      throw new ConflictError('You already own this household');
+    }
+
+    // Promote first: the one-owner constraint is only checked at commit,
+    // and demoting yourself first would leave you unable to promote.
+    await client.query(
+      `UPDATE household_members SET role = 'owner'
+       WHERE household_id = $1 AND user_id = $2`,
+      [req.params.id, req.body.user_id]
+    );
+    await client.query(
+      `UPDATE household_members SET role = 'admin'
+       WHERE household_id = $1 AND user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+
+    return findMember(client, req.params.id, req.body.user_id);
+  });
+
+  res.json(serializeMember(owner));
+});
+
+export default router;
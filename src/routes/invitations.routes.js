@@ -0,0 +1,603 @@
+import express from 'express';
+import { withUser, withSystem } from '../dbclient.js';
+import { authMiddleware, requireVerifiedEmail } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../errors.js';
+import { findPendingInvitation, issueInvitationToken, sendInvitationEmail } from '../invitations.js';
+import { assertHouseholdRole } from '../households.js';
+import { serializeInvitation } from '../serializers.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FamilyInvitation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         family_member_id:
+ *           type: integer
+ *           example: 22
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: john@example.com
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked]
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         send_count:
+ *           type: integer
+ *           example: 1
+ *         last_sent_at:
+ *           type: string
+ *           format: date-time
+ *         responded_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     FamilyMembership:
+ *       type: object
+ *       description: A family the authenticated user has joined by accepting an invitation
+ *       properties:
+ *         family_member_id:
+ *           type: integer
+ *           example: 22
+ *         name:
+ *           type: string
+ *           example: John Mafunda
+ *         relationship:
+ *           type: string
+ *           example: Brother
+ *         household:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         owner:
+ *           type: object
+ *           description: User who added the member
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             email:
+ *               type: string
+ *             full_name:
+ *               type: string
+ *               nullable: true
+ *
+ *     InvitationTokenRequest:
+ *       type: object
+ *       required:
+ *         - token
+ *       properties:
+ *         token:
+ *           type: string
+ *           minLength: 1
+ */
+
+/**
+ * Issue a fresh token for `invitation` and return a function that emails
+ * it. Call that once the transaction has committed, so a rolled-back
+ * invitation never reaches the inbox. The invitee may have no account
+ * yet, so the email is in the inviter's language.
+ */
+async function prepareInvitationEmail(client, invitation, ownerId) {
+  const { rows } = await client.query(
+    `SELECT COALESCE(p.full_name, u.full_name, u.email) AS inviter_name,
+            fm.name AS member_name, p.locale
+     FROM users u
+     LEFT JOIN profiles p ON p.user_id = u.id
+     JOIN family_members fm ON fm.id = $2
+     WHERE u.id = $1`,
+    [ownerId, invitation.family_member_id]
+  );
+
+  const token = await issueInvitationToken(client, invitation.id);
+
+  return () =>
+    sendInvitationEmail(invitation.email, {
+      inviterName: rows[0].inviter_name,
+      memberName: rows[0].member_name,
+      token,
+      locale: rows[0].locale
+    });
+}
+
+function serializeMembership(row) {
+  return {
+    family_member_id: row.family_member_id,
+    name: row.name,
+    relationship: row.relationship,
+    household: {
+      id: row.household_id,
+      name: row.household_name
+    },
+    owner: {
+      id: row.owner_id,
+      email: row.owner_email,
+      full_name: row.owner_full_name
+    }
+  };
+}
+
+/**
+ * @swagger
+ * /api/family/{id}/invitations:
+ *   post:
+ *     summary: Invite a family member to link their account
+ *     description: |
+ *       Emails the member a link that expires after INVITATION_TTL_DAYS.
+ *       Once accepted, the member's account can see and complete the
+ *       reminders assigned to them.
+ *     tags: [Family]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Family member ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Defaults to the member's email
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FamilyInvitation'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified, or not an admin of the household
+ *       404:
+ *         description: Family member not found
+ *       409:
+ *         description: Member is already linked or has a pending invitation
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/family/:id/invitations', authMiddleware, requireVerifiedEmail, validateRequest, async (req, res) => {
+  const { invitation, send } = await withUser(req.user.id, async (client) => {
+    const { rows: members } = await client.query(
+      `SELECT id, household_id, email, linked_user_id
+       FROM family_members
+       WHERE id = $1 AND app_household_role(household_id) IS NOT NULL`,
+      [req.params.id]
+    );
+
+    if (!members.length) {
+      throw new NotFoundError('Family member not found');
+    }
+
+    const member = members[0];
+    await assertHouseholdRole(client, member.household_id, 'admin');
+    const email = req.body?.email || member.email;
+
+    if (!email) {
+      throw new ValidationError([
+        { location: 'body', field: 'email', message: 'is required when the member has no email' }
+      ]);
+    }
+
+    if (member.linked_user_id) {
+      throw new ConflictError('Family member is already linked to an account');
+    }
+
+    const { rows: pending } = await client.query(
+      `SELECT 1 FROM family_invitations
+       WHERE family_member_id = $1 AND status = 'pending'`,
+      [member.id]
+    );
+
+    if (pending.length) {
+      throw new ConflictError('Family member already has a pending invitation');
+    }
+
+    // token_nonce and expires_at are set by issueInvitationToken.
+    const { rows } = await client.query(
+      `INSERT INTO family_invitations
+       (account_owner_id, household_id, family_member_id, email, token_nonce, expires_at)
+       VALUES ($1, $2, $3, $4, '', now())
+       RETURNING id`,
+      [req.user.id, member.household_id, member.id, email]
+    );
+
+    const send = await prepareInvitationEmail(client, { id: rows[0].id, family_member_id: member.id, email }, req.user.id);
+
+    const { rows: created } = await client.query(
+      'SELECT * FROM family_invitations WHERE id = $1',
+      [rows[0].id]
+    );
+
+    return { invitation: created[0], send };
+  });
+
+  await send();
+
+  res.status(201).json(serializeInvitation(invitation));
+});
+
+/**
+ * @swagger
+ * /api/family/invitations:
+ *   get:
+ *     summary: List the invitations of the households you administer
+ *     tags: [Family]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: household_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked]
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FamilyInvitation'
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/family/invitations', authMiddleware, validateRequest, async (req, res) => {
+  const rows = await withUser(req.user.id, async (client) => {
+    const { rows } = await client.query(
+      `SELECT * FROM family_invitations
+       WHERE ($1::int IS NULL OR household_id = $1)
+         AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC`,
+      [req.query.household_id ?? null, req.query.status || null]
+    );
+    return rows;
+  });
+
+  res.json(rows.map(serializeInvitation));
+});
+
+/**
+ * @swagger
+ * /api/family/invitations/{id}/resend:
+ *   post:
+ *     summary: Resend a pending invitation
+ *     description: Sends a new link with a fresh expiry; earlier links stop working.
+ *     tags: [Family]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FamilyInvitation'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation is no longer pending
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/family/invitations/:id/resend', authMiddleware, validateRequest, async (req, res) => {
+  const { invitation, send } = await withUser(req.user.id, async (client) => {
+    const { rows: found } = await client.query(
+      'SELECT * FROM family_invitations WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+
+    if (!found.length) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    if (found[0].status !== 'pending') {
+      throw new ConflictError(`Invitation is already ${found[0].status}`);
+    }
+
+    const send = await prepareInvitationEmail(client, found[0], req.user.id);
+
+    const { rows } = await client.query(
+      `UPDATE family_invitations
+       SET send_count = send_count + 1,
+           last_sent_at = now()
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id]
+    );
+
+    return { invitation: rows[0], send };
+  });
+
+  await send();
+
+  res.json(serializeInvitation(invitation));
+});
+
+/**
+ * @swagger
+ * /api/family/invitations/{id}/revoke:
+ *   post:
+ *     summary: Revoke a pending invitation
+ *     tags: [Family]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FamilyInvitation'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation is no longer pending
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/family/invitations/:id/revoke', authMiddleware, validateRequest, async (req, res) => {
+  const invitation = await withUser(req.user.id, async (client) => {
+    const { rows: found } = await client.query(
+      'SELECT status FROM family_invitations WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+
+    if (!found.length) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    if (found[0].status !== 'pending') {
+      throw new ConflictError(`Invitation is already ${found[0].status}`);
+    }
+
+    const { rows } = await client.query(
+      `UPDATE family_invitations
+       SET status = 'revoked',
+           responded_at = now()
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id]
+    );
+    return rows[0];
+  });
+
+  res.json(serializeInvitation(invitation));
+});
+
+/**
+ * @swagger
+ * /api/family/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation and link your account to the family member
+ *     description: The authenticated account's email must be verified and match the invited address.
+ *     tags: [Family]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvitationTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FamilyMembership'
+ *       400:
+ *         description: Invalid or expired invitation
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified, or the invitation was sent to a different address
+ *       409:
+ *         description: Already linked to this family, or already a member of the household
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/family/invitations/accept', authMiddleware, requireVerifiedEmail, validateRequest, async (req, res) => {
+  // The invitee is not the invitation's owner, so the lookup runs outside
+  // row-level security; the signed token is what authorises it.
+  const membership = await withSystem(async (client) => {
+    const invitation = await findPendingInvitation(client, req.body.token);
+
+    if (!invitation) {
+      throw new BadRequestError('Invalid or expired invitation');
+    }
+
+    const { rows: users } = await client.query(
+      'SELECT email FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (users[0].email.toLowerCase() !== invitation.email.toLowerCase()) {
+      throw new ForbiddenError('This invitation was sent to a different email address');
+    }
+
+    const { rows: joined } = await client.query(
+      'SELECT 1 FROM household_members WHERE household_id = $1 AND user_id = $2',
+      [invitation.household_id, req.user.id]
+    );
+
+    if (joined.length) {
+      throw new ConflictError('You already belong to this household');
+    }
+
+    const { rows: linked } = await client.query(
+      `SELECT 1 FROM family_members
+       WHERE household_id = $1 AND linked_user_id = $2`,
+      [invitation.household_id, req.user.id]
+    );
+
+    if (linked.length) {
+      throw new ConflictError('You are already linked to this family');
+    }
+
+    await client.query(
+      'UPDATE family_members SET linked_user_id = $1 WHERE id = $2',
+      [req.user.id, invitation.family_member_id]
+    );
+
+    await client.query(
+      `UPDATE family_invitations
+       SET status = 'accepted',
+           accepted_user_id = $2,
+           responded_at = now()
+       WHERE id = $1`,
+      [invitation.id, req.user.id]
+    );
+
+    const { rows } = await client.query(
+      `SELECT fm.id AS family_member_id, fm.name, fm.relationship,
+              h.id AS household_id, h.name AS household_name,
+              u.id AS owner_id, u.email AS owner_email, u.full_name AS owner_full_name
+       FROM family_members fm
+       JOIN households h ON h.id = fm.household_id
+       JOIN users u ON u.id = fm.account_owner_id
+       WHERE fm.id = $1`,
+      [invitation.family_member_id]
+    );
+    return rows[0];
+  });
+
+  res.json(serializeMembership(membership));
+});
+
+/**
+ * @swagger
+ * /api/family/invitations/decline:
+ *   post:
+ *     summary: Decline an invitation
+ *     tags: [Family]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvitationTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       400:
+ *         description: Invalid or expired invitation
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/family/invitations/decline', validateRequest, async (req, res) => {
+  await withSystem(async (client) => {
+    const invitation = await findPendingInvitation(client, req.body.token);
+
+    if (!invitation) {
+      throw new BadRequestError('Invalid or expired invitation');
+    }
+
+    await client.query(
+      `UPDATE family_invitations
+       SET status = 'declined',
+           responded_at = now()
+       WHERE id = $1`,
+      [invitation.id]
+    );
+  });
+
+  res.json({ message: 'Invitation declined' });
+});
+
+/**
+ * @swagger
+ * /api/family/memberships:
+ *   get:
+ *     summary: List the families the authenticated user has joined
+ *     tags: [Family]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked family memberships
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FamilyMembership'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/family/memberships', authMiddleware, async (req, res) => {
+  const rows = await withUser(req.user.id, async (client) => {
+    const { rows } = await client.query(
+      `SELECT fm.id AS family_member_id, fm.name, fm.relationship,
+              h.id AS household_id, h.name AS household_name,
+              u.id AS owner_id, u.email AS owner_email, u.full_name AS owner_full_name
+       FROM family_members fm
+       JOIN households h ON h.id = fm.household_id
+       JOIN users u ON u.id = fm.account_owner_id
+       WHERE fm.linked_user_id = $1
+       ORDER BY fm.created_at`,
+      [req.user.id]
+    );
+    return rows;
+  });
+
+  res.json(rows.map(serializeMembership));
+});
+
+export default router;
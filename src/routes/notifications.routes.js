@@ -1,8 +1,20 @@
 import express from 'express';
-import { pool } from '../dbclient.js';
+import { withUser } from '../dbclient.js';
 import { authMiddleware } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { ConflictError, NotFoundError } from '../errors.js';
+import { isSessionActive } from '../sessions.js';
+import { openStream, resumePoint } from '../realtime.js';
+import { listNotifications } from '../notifications.js';
+import { recordReminderEvent } from '../reminders.js';
 
 const router = express.Router();
+
+// Comment lines that keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// How long clients wait before reconnecting
+const RETRY_MS = 5000;
+
 /**
  * @swagger
  * tags:
@@ -23,6 +35,24 @@ const router = express.Router();
  *         user_id:
  *           type: integer
  *           example: 10
+ *         household_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Household the notification is about; null for account notices
+ *           example: 3
+ *         type:
+ *           type: string
+ *           enum: [reminder_due, reminder_escalated, system]
+ *           description: |
+ *             reminder_due = sent before a reminder is due, or when its snooze ends;
+ *             reminder_escalated = an assigned high-priority reminder is still
+ *             not done (see escalation rules);
+ *             system = account and household notices
+ *         reminder_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Reminder the notification is about, for deep links
+ *           example: 42
  *         title:
  *           type: string
  *           example: Reminder Due Soon
@@ -32,48 +62,272 @@ const router = express.Router();
  *         read:
  *           type: boolean
  *           example: false
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         acknowledged_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set by PATCH /api/notifications/{id}/acknowledge
+ *         archived_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set once the notification has been read for a while
  *         created_at:
  *           type: string
  *           format: date-time
  *           example: 2026-02-12T08:30:00Z
+ *
+ *     NotificationList:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: integer
+ *           example: 20
+ *         next_cursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as `cursor` to get the next page; null on the last page
+ *         notifications:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Notification'
+ *
+ *     BulkNotificationRequest:
+ *       type: object
+ *       required: [action, ids]
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [read, unread, archive, delete]
+ *         ids:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 100
+ *           items:
+ *             type: integer
+ *             minimum: 1
+ *
+ *     NotificationCount:
+ *       type: object
+ *       properties:
+ *         count:
+ *           type: integer
+ *           example: 3
  */
 
 /**
  * @swagger
  * /api/notifications:
  *   get:
- *     summary: Get all notifications for authenticated user
+ *     summary: List your notifications, newest first
+ *     description: |
+ *       Notifications about households you have left are not returned, and
+ *       archived ones only with archived=true. Results are paged with
+ *       `cursor`: pass the `next_cursor` of the previous page to get the
+ *       next one.
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: household_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only notifications about this household
+ *       - in: query
+ *         name: read
+ *         schema:
+ *           type: boolean
+ *         description: Only read (true) or unread (false) notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [reminder_due, reminder_escalated, system]
+ *       - in: query
+ *         name: reminder_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only notifications about this reminder
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: List the archive instead
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: next_cursor from the previous page
  *     responses:
  *       200:
- *         description: List of notifications
+ *         description: A page of notifications
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Notification'
+ *               $ref: '#/components/schemas/NotificationList'
+ *       400:
+ *         description: Invalid cursor
  *       401:
  *         description: Unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.get('/notifications', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
+router.get('/notifications', authMiddleware, validateRequest, async (req, res) => {
+  const result = await withUser(req.user.id, (client) => listNotifications(client, req.query));
 
-  try {
-    await client.query('SET app.current_user_id = $1', [req.user.id]);
+  res.json(result);
+});
 
-    const { rows } = await client.query(`
-      SELECT n.*
-      FROM notifications n
-      ORDER BY n.created_at DESC
-    `);
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Count your unread notifications
+ *     description: Archived notifications are not counted.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: household_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only notifications about this household
+ *     responses:
+ *       200:
+ *         description: Number of unread notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationCount'
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/notifications/unread-count', authMiddleware, validateRequest, async (req, res) => {
+  const count = await withUser(req.user.id, async (client) => {
+    const { rows } = await client.query(
+      `SELECT count(*)::int AS count
+       FROM notifications
+       WHERE read = false
+         AND archived_at IS NULL
+         AND ($1::int IS NULL OR household_id = $1)`,
+      [req.query.household_id ?? null]
+    );
+    return rows[0].count;
+  });
+
+  res.json({ count });
+});
+
+/**
+ * @swagger
+ * /api/notifications/stream:
+ *   get:
+ *     summary: Stream notifications and reminder changes as they happen
+ *     description: |
+ *       A Server-Sent Events stream. Each event has an `id`, and its `data`
+ *       is JSON:
+ *
+ *       - `notification`: a new notification (a Notification)
+ *       - `reminder`: `{ action, reminder }`, where action is created,
+ *         updated, deleted or restored, for any reminder you can see.
+ *         `reminder` is its current state, or only `{ id, household_id }`
+ *         once it is gone.
+ *       - `reset`: events you missed are no longer available; reload
+ *         notifications and reminders.
+ *
+ *       After a reconnect, send the id of the last event you received as
+ *       Last-Event-ID (EventSource does this by itself) to get what you
+ *       missed. Events are kept for 24 hours. The stream ends when the
+ *       access token expires or the session is revoked.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Resume after this event
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: 42
+ *                 event: notification
+ *                 data: {"id":7,"title":"Reminder due in 1 hour","read":false}
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/notifications/stream', authMiddleware, validateRequest, async (req, res) => {
+  const lastEventId = req.get('Last-Event-ID');
+  const { after, missed } = await resumePoint(lastEventId === undefined ? null : Number(lastEventId));
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
 
-    res.json(rows);
-  } finally {
-    client.release();
+  if (missed) {
+    res.write(`id: ${lastEventId}\nevent: reset\ndata: {}\n\n`);
   }
+
+  const close = openStream(req.user.id, after, (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await isSessionActive(req.user.sid, req.user.id))) {
+        res.end();
+        return;
+      }
+    } catch (err) {
+      console.error('Failed to check session of event stream:', err.message);
+    }
+    res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+
+  // The client reconnects with a fresh access token. (Timers cannot
+  // wait longer than about 24 days.)
+  const expiresIn = Math.min(req.user.exp * 1000 - Date.now(), 2 ** 31 - 1);
+  const expiry = setTimeout(() => res.end(), Math.max(expiresIn, 0));
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    close();
+  });
 });
 
 /**
@@ -90,6 +344,7 @@ router.get('/notifications', authMiddleware, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         description: Notification ID
  *     responses:
  *       200:
@@ -102,25 +357,246 @@ router.get('/notifications', authMiddleware, async (req, res) => {
  *         description: Unauthorized
  *       404:
  *         description: Notification not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.patch('/notifications/:id/read', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
+router.patch('/notifications/:id/read', authMiddleware, validateRequest, async (req, res) => {
+  const notification = await withUser(req.user.id, async (client) => {
+    const { rows } = await client.query(
+      `UPDATE notifications
+       SET read = true, read_at = COALESCE(read_at, now())
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id]
+    );
+    return rows[0];
+  });
 
-  try {
-    await client.query('SET app.current_user_id = $1', [req.user.id]);
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  res.json(notification);
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/acknowledge:
+ *   patch:
+ *     summary: Acknowledge a reminder notification
+ *     description: |
+ *       Tells the household you have seen the alert without completing
+ *       the reminder: the acknowledgement is added to the reminder's
+ *       timeline. Also marks the notification as read. Acknowledging again
+ *       changes nothing.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification acknowledged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ *       409:
+ *         description: The notification is not about a reminder
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/notifications/:id/acknowledge', authMiddleware, validateRequest, async (req, res) => {
+  const notification = await withUser(req.user.id, async (client) => {
+    const { rows: found } = await client.query(
+      `SELECT n.reminder_id, n.acknowledged_at,
+              EXISTS (SELECT 1 FROM reminders r WHERE r.id = n.reminder_id) AS reminder_visible
+       FROM notifications n
+       WHERE n.id = $1
+       FOR UPDATE OF n`,
+      [req.params.id]
+    );
+
+    if (!found.length) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    if (!found[0].reminder_id || !found[0].reminder_visible) {
+      throw new ConflictError('Only notifications about a reminder can be acknowledged');
+    }
 
     const { rows } = await client.query(
       `UPDATE notifications
-       SET read = true
+       SET acknowledged_at = COALESCE(acknowledged_at, now()),
+           read = true,
+           read_at = COALESCE(read_at, now())
        WHERE id = $1
        RETURNING *`,
       [req.params.id]
     );
 
-    res.json(rows[0]);
-  } finally {
-    client.release();
+    if (!found[0].acknowledged_at) {
+      await recordReminderEvent(client, rows[0].reminder_id, 'acknowledged', {
+        notificationId: rows[0].id,
+        details: { notification_type: rows[0].type }
+      });
+    }
+    return rows[0];
+  });
+
+  res.json(notification);
+});
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   patch:
+ *     summary: Mark all your notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: household_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only notifications about this household
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationCount'
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/notifications/read-all', authMiddleware, validateRequest, async (req, res) => {
+  const count = await withUser(req.user.id, async (client) => {
+    const { rowCount } = await client.query(
+      `UPDATE notifications
+       SET read = true, read_at = now()
+       WHERE read = false
+         AND ($1::int IS NULL OR household_id = $1)`,
+      [req.query.household_id ?? null]
+    );
+    return rowCount;
+  });
+
+  res.json({ count });
+});
+
+const BULK_ACTIONS = {
+  read: `UPDATE notifications
+         SET read = true, read_at = COALESCE(read_at, now())
+         WHERE id = ANY($1::int[])`,
+  unread: `UPDATE notifications
+           SET read = false, read_at = NULL, archived_at = NULL
+           WHERE id = ANY($1::int[])`,
+  archive: `UPDATE notifications
+            SET archived_at = COALESCE(archived_at, now())
+            WHERE id = ANY($1::int[])`,
+  delete: 'DELETE FROM notifications WHERE id = ANY($1::int[])'
+};
+
+/**
+ * @swagger
+ * /api/notifications/bulk:
+ *   post:
+ *     summary: Act on several notifications at once
+ *     description: |
+ *       Marks the given notifications as read or unread, archives or
+ *       deletes them. Marking one as unread also takes it out of the
+ *       archive. Ids that are not yours are ignored.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkNotificationRequest'
+ *     responses:
+ *       200:
+ *         description: Number of notifications changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationCount'
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/notifications/bulk', authMiddleware, validateRequest, async (req, res) => {
+  const { action, ids } = req.body;
+
+  const count = await withUser(req.user.id, async (client) => {
+    const { rowCount } = await client.query(BULK_ACTIONS[action], [ids]);
+    return rowCount;
+  });
+
+  res.json({ count });
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.delete('/notifications/:id', authMiddleware, validateRequest, async (req, res) => {
+  const { rowCount } = await withUser(req.user.id, (client) =>
+    client.query('DELETE FROM notifications WHERE id = $1', [req.params.id])
+  );
+
+  if (!rowCount) {
+    throw new NotFoundError('Notification not found');
   }
+
+  res.json({ success: true });
 });
 
 export default router;
@@ -0,0 +1,219 @@
+import express from 'express';
+import { withUser } from '../dbclient.js';
+import { authMiddleware } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { NotFoundError } from '../errors.js';
+import { resolveHouseholdId } from '../households.js';
+import { PLANS, changePlan, getHouseholdPlanType, getHouseholdUsage, getPlan } from '../plans.js';
+
+const router = express.Router();
+/**
+ * @swagger
+ * tags:
+ *   name: Plans
+ *   description: |
+ *     Subscription plans and their limits. A household gets the plan of its
+ *     owner; every member shares it.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PlanLimits:
+ *       type: object
+ *       description: null means unlimited
+ *       properties:
+ *         households:
+ *           type: integer
+ *           nullable: true
+ *           description: Households the plan's holder may own
+ *           example: 3
+ *         family_members:
+ *           type: integer
+ *           nullable: true
+ *           example: 8
+ *         active_reminders:
+ *           type: integer
+ *           nullable: true
+ *           description: Reminders that are neither completed nor deleted
+ *           example: 250
+ *         attachments_per_reminder:
+ *           type: integer
+ *           example: 5
+ *         notification_channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [in_app, email, push]
+ *
+ *     Plan:
+ *       type: object
+ *       properties:
+ *         plan:
+ *           type: string
+ *           enum: [free, family, premium]
+ *         name:
+ *           type: string
+ *           example: Family
+ *         limits:
+ *           $ref: '#/components/schemas/PlanLimits'
+ *
+ *     PlanUsage:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Plan'
+ *         - type: object
+ *           properties:
+ *             household_id:
+ *               type: integer
+ *               example: 3
+ *             usage:
+ *               type: object
+ *               properties:
+ *                 family_members:
+ *                   type: integer
+ *                   example: 3
+ *                 active_reminders:
+ *                   type: integer
+ *                   example: 41
+ *
+ *     ChangePlanRequest:
+ *       type: object
+ *       required:
+ *         - plan_type
+ *       properties:
+ *         plan_type:
+ *           type: string
+ *           enum: [free, family, premium]
+ */
+
+function serializePlan(planType) {
+  const plan = getPlan(planType);
+
+  return {
+    plan: planType,
+    name: plan.name,
+    limits: plan.limits
+  };
+}
+
+/**
+ * @swagger
+ * /api/plans:
+ *   get:
+ *     summary: List the available plans
+ *     tags: [Plans]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Every plan and its limits
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Plan'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/plans', authMiddleware, (req, res) => {
+  res.json(Object.keys(PLANS).map(serializePlan));
+});
+
+/**
+ * @swagger
+ * /api/plan:
+ *   get:
+ *     summary: Get a household's plan and its usage
+ *     tags: [Plans]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: household_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Defaults to your own household
+ *     responses:
+ *       200:
+ *         description: The plan, its limits and the household's usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanUsage'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Household not found, or you are not a member of any
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/plan', authMiddleware, validateRequest, async (req, res) => {
+  const result = await withUser(req.user.id, async (client) => {
+    const householdId = await resolveHouseholdId(client, req.query.household_id);
+    if (!householdId) {
+      throw new NotFoundError('You are not a member of any household');
+    }
+
+    const planType = await getHouseholdPlanType(client, householdId);
+
+    return {
+      household_id: householdId,
+      ...serializePlan(planType),
+      usage: await getHouseholdUsage(client, householdId)
+    };
+  });
+
+  res.json(result);
+});
+
+/**
+ * @swagger
+ * /api/plan:
+ *   put:
+ *     summary: Change your plan
+ *     description: |
+ *       Applies to every household you own. Upgrading goes through the
+ *       billing provider and is refused when none is connected.
+ *       Downgrading never deletes anything; a household over a limit just
+ *       cannot add more until it is back under it.
+ *     tags: [Plans]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePlanRequest'
+ *     responses:
+ *       200:
+ *         description: Your new plan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Plan'
+ *                 - type: object
+ *                   properties:
+ *                     previous_plan:
+ *                       type: string
+ *                       enum: [free, family, premium]
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: No billing provider approved the upgrade
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.put('/plan', authMiddleware, validateRequest, async (req, res) => {
+  const { from, to } = await withUser(req.user.id, (client) =>
+    changePlan(client, req.user.id, req.body.plan_type)
+  );
+
+  res.json({ ...serializePlan(to), previous_plan: from });
+});
+
+export default router;
@@ -1,6 +1,9 @@
 import express from 'express';
-import { pool } from '../dbclient.js';
+import { withUser } from '../dbclient.js';
 import { authMiddleware } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { NotFoundError } from '../errors.js';
+import { getPreferences, serializePreferences, updatePreferences } from '../preferences.js';
 
 const router = express.Router();
 /**
@@ -30,6 +33,17 @@ const router = express.Router();
  *           type: string
  *           nullable: true
  *           example: https://example.com/avatar.jpg
+ *         locale:
+ *           type: string
+ *           nullable: true
+ *           description: Language of your emails; null = the server default
+ *           example: af
+ *         time_zone:
+ *           type: string
+ *           description: |
+ *             IANA time zone your reminders' due dates and times are in, unless
+ *             a reminder has its own
+ *           example: Africa/Johannesburg
  *         created_at:
  *           type: string
  *           format: date-time
@@ -40,10 +54,120 @@ const router = express.Router();
  *       properties:
  *         full_name:
  *           type: string
+ *           maxLength: 100
+ *           nullable: true
  *           example: Simcelile Mafunda
  *         avatar_url:
  *           type: string
+ *           format: uri
+ *           nullable: true
  *           example: https://example.com/avatar.jpg
+ *         locale:
+ *           type: string
+ *           enum: [en, af]
+ *           nullable: true
+ *           example: af
+ *         time_zone:
+ *           type: string
+ *           format: time-zone
+ *           description: |
+ *             Kept when left out. Reminders without a time zone of their own
+ *             keep their wall-clock time and move to the new zone.
+ *           example: Europe/London
+ *
+ *     LeadTimes:
+ *       type: array
+ *       maxItems: 10
+ *       description: Minutes before the due moment at which to alert; [] for none
+ *       items:
+ *         type: integer
+ *         minimum: 0
+ *         maximum: 10080
+ *       example: [1440, 60]
+ *
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         channels:
+ *           type: object
+ *           description: Only channels your household's plan includes are used
+ *           properties:
+ *             in_app:
+ *               type: boolean
+ *             email:
+ *               type: boolean
+ *             push:
+ *               type: boolean
+ *         lead_times:
+ *           type: object
+ *           description: |
+ *             When reminders you created alert. A reminder uses the lead times of
+ *             its category if set, else of its priority, else `default`.
+ *           properties:
+ *             default:
+ *               type: array
+ *               nullable: true
+ *               maxItems: 10
+ *               description: null = the server default (REMINDER_LEAD_TIMES)
+ *               items:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 10080
+ *             priority:
+ *               type: object
+ *               properties:
+ *                 low:
+ *                   $ref: '#/components/schemas/LeadTimes'
+ *                 medium:
+ *                   $ref: '#/components/schemas/LeadTimes'
+ *                 high:
+ *                   $ref: '#/components/schemas/LeadTimes'
+ *             category:
+ *               type: object
+ *               maxProperties: 50
+ *               description: Keyed by category (up to 50 characters), case-insensitively
+ *               additionalProperties:
+ *                 $ref: '#/components/schemas/LeadTimes'
+ *               example:
+ *                 medication: [30, 0]
+ *         quiet_hours:
+ *           type: object
+ *           nullable: true
+ *           description: |
+ *             No emails or pushes between start and end (in time_zone); in-app
+ *             notifications still arrive. May wrap past midnight.
+ *           required: [start, end]
+ *           properties:
+ *             start:
+ *               type: string
+ *               format: time
+ *               example: "22:00"
+ *             end:
+ *               type: string
+ *               format: time
+ *               example: "07:00"
+ *         time_zone:
+ *           type: string
+ *           format: time-zone
+ *           description: Your profile's time zone (see PUT /api/profile)
+ *           example: Africa/Johannesburg
+ *         digest:
+ *           type: object
+ *           description: |
+ *             Instead of one email per alert, low-priority reminders are
+ *             emailed once a day at `time`, listing those due that day.
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             time:
+ *               type: string
+ *               format: time
+ *               example: "07:00"
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
  */
 
 /**
@@ -63,26 +187,23 @@ const router = express.Router();
  *               $ref: '#/components/schemas/Profile'
  *       401:
  *         description: Unauthorized
- *       500:
- *         description: Failed to fetch profile
+ *       404:
+ *         description: Profile not found
  */
 router.get('/profile', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
-  try {
-    await client.query('SET app.current_user_id = $1', [req.user.id]);
-
+  const profile = await withUser(req.user.id, async (client) => {
     const { rows } = await client.query(
       'SELECT * FROM profiles WHERE user_id = $1',
       [req.user.id]
     );
+    return rows[0];
+  });
 
-    res.json(rows[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to fetch profile' });
-  } finally {
-    client.release();
+  if (!profile) {
+    throw new NotFoundError('Profile not found');
   }
+
+  res.json(profile);
 });
 
 /**
@@ -108,32 +229,95 @@ router.get('/profile', authMiddleware, async (req, res) => {
  *               $ref: '#/components/schemas/Profile'
  *       401:
  *         description: Unauthorized
- *       500:
- *         description: Failed to update profile
+ *       404:
+ *         description: Profile not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.put('/profile', authMiddleware, async (req, res) => {
-  const { full_name, avatar_url } = req.body;
-  const client = await pool.connect();
-
-  try {
-    await client.query('SET app.current_user_id = $1', [req.user.id]);
+router.put('/profile', authMiddleware, validateRequest, async (req, res) => {
+  const { full_name, avatar_url, locale, time_zone } = req.body;
 
+  const profile = await withUser(req.user.id, async (client) => {
     const { rows } = await client.query(
       `UPDATE profiles
        SET full_name = $1,
-           avatar_url = $2
-       WHERE user_id = $3
+           avatar_url = $2,
+           locale = $3,
+           time_zone = COALESCE($4, time_zone)
+       WHERE user_id = $5
        RETURNING *`,
-      [full_name, avatar_url, req.user.id]
+      [full_name, avatar_url, locale ?? null, time_zone, req.user.id]
     );
+    return rows[0];
+  });
 
-    res.json(rows[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to update profile' });
-  } finally {
-    client.release();
+  if (!profile) {
+    throw new NotFoundError('Profile not found');
   }
+
+  res.json(profile);
+});
+
+/**
+ * @swagger
+ * /api/profile/notification-preferences:
+ *   get:
+ *     summary: Get your notification preferences
+ *     tags: [Profile]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your preferences, or the defaults
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/profile/notification-preferences', authMiddleware, async (req, res) => {
+  const preferences = await withUser(req.user.id, (client) => getPreferences(client, req.user.id));
+
+  res.json(serializePreferences(preferences));
+});
+
+/**
+ * @swagger
+ * /api/profile/notification-preferences:
+ *   patch:
+ *     summary: Update your notification preferences
+ *     description: |
+ *       Send only what changes. Within `channels`, `lead_times` and `digest`,
+ *       fields left out are kept; `lead_times.priority` and
+ *       `lead_times.category` are replaced as a whole.
+ *     tags: [Profile]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: Updated preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/profile/notification-preferences', authMiddleware, validateRequest, async (req, res) => {
+  const preferences = await withUser(req.user.id, (client) =>
+    updatePreferences(client, req.user.id, req.body)
+  );
+
+  res.json(serializePreferences(preferences));
 });
 
 export default router;
@@ -0,0 +1,326 @@
+import express from 'express';
+import { pool } from '../dbclient.js';
+import { authMiddleware } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { HttpError, NotFoundError, ValidationError } from '../errors.js';
+import { isPushConfigured, vapidPublicKey } from '../push.js';
+
+const router = express.Router();
+
+// Browsers only hand out https endpoints. Plain http is for trying
+// delivery against a local push service (see pushServiceMock.js).
+const ALLOW_HTTP = process.env.PUSH_ALLOW_HTTP === 'true';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Push
+ *   description: |
+ *     Web Push subscriptions. Subscribe in the browser with the key from
+ *     GET /api/push-subscriptions/vapid-public-key and register the
+ *     resulting PushSubscription here; reminder alerts are then pushed to
+ *     the device, if the household's plan includes push.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PushSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         endpoint:
+ *           type: string
+ *           format: uri
+ *           example: https://fcm.googleapis.com/fcm/send/dJ4x...
+ *         user_agent:
+ *           type: string
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *
+ *     PushSubscriptionRequest:
+ *       type: object
+ *       description: The browser's PushSubscription, as returned by its toJSON()
+ *       required: [endpoint, keys]
+ *       properties:
+ *         endpoint:
+ *           type: string
+ *           format: uri
+ *           maxLength: 2048
+ *         expirationTime:
+ *           type: integer
+ *           nullable: true
+ *           description: Milliseconds since the epoch
+ *         keys:
+ *           type: object
+ *           required: [p256dh, auth]
+ *           properties:
+ *             p256dh:
+ *               type: string
+ *               maxLength: 200
+ *             auth:
+ *               type: string
+ *               maxLength: 100
+ */
+
+function serializeSubscription(row) {
+  return {
+    id: row.id,
+    endpoint: row.endpoint,
+    user_agent: row.user_agent,
+    expires_at: row.expires_at,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at
+  };
+}
+
+function assertConfigured() {
+  if (!isPushConfigured()) {
+    throw new HttpError(503, 'Web Push is not configured', 'not_configured');
+  }
+}
+
+function decodedLength(value) {
+  return /^[A-Za-z0-9_-]+={0,2}$/.test(value) ? Buffer.from(value, 'base64url').length : -1;
+}
+
+// The checks the request schema cannot express: an https endpoint and
+// keys of the right size (an uncompressed P-256 point, 16 auth bytes).
+function assertValidSubscription({ endpoint, keys }) {
+  const errors = [];
+  const protocol = new URL(endpoint).protocol;
+
+  if (protocol !== 'https:' && !(ALLOW_HTTP && protocol === 'http:')) {
+    errors.push({ location: 'body', field: 'endpoint', message: 'must be an https URL' });
+  }
+  if (decodedLength(keys.p256dh) !== 65) {
+    errors.push({ location: 'body', field: 'keys.p256dh', message: 'must be a base64url P-256 public key' });
+  }
+  if (decodedLength(keys.auth) !== 16) {
+    errors.push({ location: 'body', field: 'keys.auth', message: 'must be a base64url 16-byte secret' });
+  }
+
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+}
+
+/**
+ * @swagger
+ * /api/push-subscriptions/vapid-public-key:
+ *   get:
+ *     summary: The key to subscribe to push with
+ *     description: Pass it as `applicationServerKey` to `pushManager.subscribe()`.
+ *     tags: [Push]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: VAPID public key (base64url)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 public_key:
+ *                   type: string
+ *       503:
+ *         description: Web Push is not configured
+ */
+router.get('/push-subscriptions/vapid-public-key', async (req, res) => {
+  assertConfigured();
+  res.json({ public_key: vapidPublicKey() });
+});
+
+/**
+ * @swagger
+ * /api/push-subscriptions:
+ *   get:
+ *     summary: Your devices subscribed to push
+ *     tags: [Push]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PushSubscription'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/push-subscriptions', authMiddleware, async (req, res) => {
+  const { rows } = await pool.query(
+    `SELECT * FROM push_subscriptions
+     WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [req.user.id]
+  );
+
+  res.json(rows.map(serializeSubscription));
+});
+
+/**
+ * @swagger
+ * /api/push-subscriptions:
+ *   post:
+ *     summary: Subscribe this device to push
+ *     description: |
+ *       Registering an endpoint again updates its keys. An endpoint
+ *       registered by another account moves to yours.
+ *     tags: [Push]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PushSubscriptionRequest'
+ *     responses:
+ *       201:
+ *         description: Subscribed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PushSubscription'
+ *       200:
+ *         description: Already subscribed; updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PushSubscription'
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       503:
+ *         description: Web Push is not configured
+ */
+router.post('/push-subscriptions', authMiddleware, validateRequest, async (req, res) => {
+  assertConfigured();
+  assertValidSubscription(req.body);
+
+  const { endpoint, expirationTime, keys } = req.body;
+
+  const { rows } = await pool.query(
+    `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (endpoint)
+     DO UPDATE SET user_id = EXCLUDED.user_id,
+                   p256dh = EXCLUDED.p256dh,
+                   auth = EXCLUDED.auth,
+                   user_agent = EXCLUDED.user_agent,
+                   expires_at = EXCLUDED.expires_at
+     RETURNING *, (xmax = 0) AS inserted`,
+    [
+      req.user.id,
+      endpoint,
+      keys.p256dh,
+      keys.auth,
+      req.get('User-Agent')?.slice(0, 500) || null,
+      expirationTime ? new Date(expirationTime) : null
+    ]
+  );
+
+  res.status(rows[0].inserted ? 201 : 200).json(serializeSubscription(rows[0]));
+});
+
+/**
+ * @swagger
+ * /api/push-subscriptions:
+ *   delete:
+ *     summary: Unsubscribe a device by its endpoint
+ *     description: Call it along with the browser's `unsubscribe()`.
+ *     tags: [Push]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [endpoint]
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *                 format: uri
+ *                 maxLength: 2048
+ *     responses:
+ *       204:
+ *         description: Unsubscribed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Subscription not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.delete('/push-subscriptions', authMiddleware, validateRequest, async (req, res) => {
+  const { rowCount } = await pool.query(
+    'DELETE FROM push_subscriptions WHERE endpoint = $1 AND user_id = $2',
+    [req.body.endpoint, req.user.id]
+  );
+
+  if (!rowCount) {
+    throw new NotFoundError('Subscription not found');
+  }
+
+  res.status(204).end();
+});
+
+/**
+ * @swagger
+ * /api/push-subscriptions/{id}:
+ *   delete:
+ *     summary: Unsubscribe one of your devices
+ *     description: For removing a device from another one, e.g. a lost phone.
+ *     tags: [Push]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       204:
+ *         description: Unsubscribed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Subscription not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.delete('/push-subscriptions/:id', authMiddleware, validateRequest, async (req, res) => {
+  const { rowCount } = await pool.query(
+    'DELETE FROM push_subscriptions WHERE id = $1 AND user_id = $2',
+    [Number(req.params.id), req.user.id]
+  );
+
+  if (!rowCount) {
+    throw new NotFoundError('Subscription not found');
+  }
+
+  res.status(204).end();
+});
+
+export default router;
@@ -1,6 +1,21 @@
 import express from 'express';
-import { pool } from '../dbclient.js';
+import { withUser } from '../dbclient.js';
 import { authMiddleware } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { ConflictError, NotFoundError, ValidationError } from '../errors.js';
+import {
+  MAX_SNOOZE_MINUTES,
+  RESTORE_WINDOW_DAYS,
+  assertAssignableMember,
+  assertReminderAccess,
+  completeReminder,
+  rearmDeliveries,
+  recordReminderEvent
+} from '../reminders.js';
+import { assertHouseholdRole, resolveHouseholdId } from '../households.js';
+import { assertWithinLimit } from '../plans.js';
+import { listReminders } from '../reminderQuery.js';
+import { normalizeRule, RecurrenceError } from '../recurrence.js';
 
 const router = express.Router();
 /**
@@ -21,8 +36,12 @@ const router = express.Router();
  *           type: integer
  *           example: 1
  *         user_id:
+ *           type: string
+ *           format: uuid
+ *           description: User who created the reminder
+ *         household_id:
  *           type: integer
- *           example: 10
+ *           example: 3
  *         assigned_member_id:
  *           type: integer
  *           nullable: true
@@ -47,10 +66,61 @@ const router = express.Router();
  *         due_time:
  *           type: string
  *           format: time
+ *           nullable: true
+ *           description: Wall-clock time in due_time_zone; null for an all-day reminder
  *           example: 14:30:00
+ *         time_zone:
+ *           type: string
+ *           nullable: true
+ *           description: The reminder's own IANA time zone; null to follow its creator's profile
+ *           example: null
+ *         due_time_zone:
+ *           type: string
+ *           readOnly: true
+ *           description: The time zone due_date and due_time are in
+ *           example: Africa/Johannesburg
+ *         due_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: The instant the reminder is due (UTC); null for an all-day reminder
+ *           example: 2026-02-15T12:30:00Z
+ *         due_local:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *           description: |
+ *             Listings only: due_at as wall-clock time in your profile's time
+ *             zone; null for an all-day reminder
+ *           example: 2026-02-15T13:30:00
  *         location:
  *           type: string
  *           example: Johannesburg Clinic
+ *         recurrence_rule:
+ *           type: string
+ *           nullable: true
+ *           description: RRULE-style schedule; due_date holds the current occurrence
+ *           example: FREQ=WEEKLY;BYDAY=MO,TH
+ *         occurrence_count:
+ *           type: integer
+ *           description: Number of occurrences reached so far, including the current one
+ *           example: 3
+ *         auto_complete_checklist:
+ *           type: boolean
+ *           description: Complete the reminder when the last item of its checklist is ticked
+ *           example: false
+ *         checklist_progress:
+ *           type: object
+ *           readOnly: true
+ *           description: Listings only; ticked and total checklist items
+ *           properties:
+ *             completed:
+ *               type: integer
+ *               example: 2
+ *             total:
+ *               type: integer
+ *               example: 5
  *         completed:
  *           type: boolean
  *           example: false
@@ -59,10 +129,35 @@ const router = express.Router();
  *           format: date-time
  *           nullable: true
  *           example: 2026-02-12T10:15:30Z
+ *         snoozed_until:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: |
+ *             Set by POST /api/reminders/{id}/snooze: the current occurrence
+ *             alerts again at this moment. Cleared when it is completed or
+ *             rescheduled.
+ *           example: null
  *         created_at:
  *           type: string
  *           format: date-time
  *           example: 2026-02-10T09:00:00Z
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2026-02-11T16:20:00Z
+ *         deleted_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set while the reminder is in the trash
+ *           example: null
+ *         ical_uid:
+ *           type: string
+ *           nullable: true
+ *           description: UID of the calendar entry the reminder was imported from
+ *           example: null
  *
  *     CreateReminderRequest:
  *       type: object
@@ -70,17 +165,29 @@ const router = express.Router();
  *         - title
  *         - due_date
  *       properties:
+ *         household_id:
+ *           type: integer
+ *           minimum: 1
+ *           description: Defaults to your own household; cannot be changed later
  *         assigned_member_id:
  *           type: integer
+ *           minimum: 1
+ *           nullable: true
  *           example: 22
  *         title:
  *           type: string
+ *           minLength: 1
+ *           maxLength: 200
  *           example: Doctor Appointment
  *         description:
  *           type: string
+ *           maxLength: 2000
+ *           nullable: true
  *           example: Annual check-up
  *         category:
  *           type: string
+ *           maxLength: 50
+ *           nullable: true
  *           example: Health
  *         priority:
  *           type: string
@@ -93,10 +200,167 @@ const router = express.Router();
  *         due_time:
  *           type: string
  *           format: time
+ *           nullable: true
  *           example: 14:30:00
+ *         time_zone:
+ *           type: string
+ *           format: time-zone
+ *           nullable: true
+ *           description: IANA time zone of due_date / due_time; defaults to your profile's
+ *           example: Europe/London
  *         location:
  *           type: string
+ *           maxLength: 255
+ *           nullable: true
  *           example: Johannesburg Clinic
+ *         recurrence_rule:
+ *           type: string
+ *           maxLength: 255
+ *           nullable: true
+ *           description: |
+ *             RRULE subset. Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY),
+ *             INTERVAL, BYDAY (e.g. MO,WE or -1FR), BYMONTHDAY, BYMONTH,
+ *             and either UNTIL or COUNT.
+ *           example: FREQ=MONTHLY;BYDAY=-1FR;COUNT=12
+ *         auto_complete_checklist:
+ *           type: boolean
+ *           default: false
+ *           description: Complete the reminder when the last item of its checklist is ticked
+ *
+ *     PatchReminderRequest:
+ *       type: object
+ *       description: |
+ *         Any subset of the reminder's fields. Use it to rename, reschedule
+ *         (due_date / due_time / time_zone) or reassign (assigned_member_id, null to
+ *         unassign) a reminder.
+ *       minProperties: 1
+ *       properties:
+ *         assigned_member_id:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           example: 22
+ *         title:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 200
+ *           example: Dentist Appointment
+ *         description:
+ *           type: string
+ *           maxLength: 2000
+ *           nullable: true
+ *         category:
+ *           type: string
+ *           maxLength: 50
+ *           nullable: true
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high]
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           example: 2026-02-20
+ *         due_time:
+ *           type: string
+ *           format: time
+ *           nullable: true
+ *           example: 10:00:00
+ *         time_zone:
+ *           type: string
+ *           format: time-zone
+ *           nullable: true
+ *           description: IANA time zone of due_date / due_time; null to follow your profile's
+ *           example: Europe/London
+ *         location:
+ *           type: string
+ *           maxLength: 255
+ *           nullable: true
+ *         recurrence_rule:
+ *           type: string
+ *           maxLength: 255
+ *           nullable: true
+ *         auto_complete_checklist:
+ *           type: boolean
+ *
+ *     ReminderCompletion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         reminder_id:
+ *           type: integer
+ *           example: 1
+ *         completed_by:
+ *           type: string
+ *           format: uuid
+ *         occurrence_date:
+ *           type: string
+ *           format: date
+ *           example: 2026-02-15
+ *         occurrence_time:
+ *           type: string
+ *           format: time
+ *           nullable: true
+ *           example: 14:30:00
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2026-02-15T14:42:10Z
+ *
+ *     SnoozeReminderRequest:
+ *       type: object
+ *       description: Either minutes or until
+ *       properties:
+ *         minutes:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10080
+ *           description: Snooze for this many minutes from now
+ *           example: 15
+ *         until:
+ *           type: string
+ *           format: date-time
+ *           description: Snooze until this moment, at most a week from now
+ *           example: 2026-02-15T15:00:00Z
+ *
+ *     ReminderEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 7
+ *         reminder_id:
+ *           type: integer
+ *           example: 1
+ *         type:
+ *           type: string
+ *           enum: [completed, reopened, snoozed, acknowledged, escalated]
+ *         actor_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: User who did it; null for escalations, which the scheduler sends
+ *         actor_name:
+ *           type: string
+ *           nullable: true
+ *           example: Thandi Mokoena
+ *         notification_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The notification acknowledged or sent
+ *         details:
+ *           type: object
+ *           description: |
+ *             completed = occurrence_date, occurrence_time;
+ *             snoozed = until, minutes (if given);
+ *             acknowledged = notification_type;
+ *             escalated = rule_id, after_minutes, due_date, notified_user_id
+ *           example: { "until": "2026-02-15T15:00:00.000Z", "minutes": 15 }
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2026-02-15T14:45:00Z
  */
 
 
@@ -104,61 +368,139 @@ const router = express.Router();
  * @swagger
  * /api/reminders:
  *   get:
- *     summary: Get all reminders for authenticated user
+ *     summary: Get the reminders of your households
+ *     description: |
+ *       Includes reminders assigned to you in families you have joined.
+ *       Filters are combined with AND. Results are paged with `cursor`:
+ *       pass the `next_cursor` of the previous page (with the same `sort`)
+ *       to get the next one; it is null on the last page.
  *     tags: [Reminders]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 200
+ *         description: Full-text search over title, description and location
+ *         example: dentist
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           maxLength: 50
+ *         description: Case-insensitive category match
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *       - in: query
+ *         name: household_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: assigned_member_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: due_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only reminders due on or after this date
+ *       - in: query
+ *         name: due_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only reminders due on or before this date
+ *       - in: query
+ *         name: due
+ *         schema:
+ *           type: string
+ *           enum: [overdue, today, this_week]
+ *         description: |
+ *           overdue = open reminders whose due moment has passed (untimed ones
+ *           at the end of their day); this_week runs Monday to Sunday. Days
+ *           are those of your profile's time zone.
+ *       - in: query
+ *         name: completed
+ *         schema:
+ *           type: boolean
+ *         description: Only return completed (true) or open (false) reminders
+ *       - in: query
+ *         name: deleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: List the trash (deleted reminders that can still be restored) instead
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [due_date, -due_date, created_at, -created_at, priority, -priority, title, -title]
+ *           default: due_date
+ *         description: Sort field; a leading "-" sorts descending
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: next_cursor from the previous page
+ *       - in: query
+ *         name: page
+ *         deprecated: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Offset paging for older clients; ignored when cursor is set
  *     responses:
  *       200:
- *         description: List of reminders
+ *         description: A page of reminders
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Reminder'
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   description: Number of reminders matching the filters
+ *                   example: 134
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *                 reminders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Reminder'
+ *       400:
+ *         description: Invalid cursor
  *       401:
  *         description: Unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.get('/reminders', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
-  try {
-
-    await client.query('SELECT set_config($1, $2, true)', [
-      'app.current_user_id',
-      req.user.id,
-    ]);
-
-    // Pagination params
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
-
-    // Optional filter by completed
-    let filterQuery = '';
-    const filterParams = [];
-    if (req.query.completed !== undefined) {
-      filterParams.push(req.query.completed === 'true');
-      filterQuery = `WHERE completed = $${filterParams.length}`;
-    }
-
-    // Get reminders
-    const { rows } = await client.query(
-      `SELECT * FROM reminders ${filterQuery} ORDER BY due_date ASC LIMIT $${filterParams.length + 1} OFFSET $${filterParams.length + 2}`,
-      [...filterParams, limit, offset]
-    );
+router.get('/reminders', authMiddleware, validateRequest, async (req, res) => {
+  const result = await withUser(req.user.id, (client) =>
+    listReminders(client, req.query)
+  );
 
-    res.json({
-      page,
-      limit,
-      reminders: rows,
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal server error' });
-  } finally {
-    client.release();
-  }
+  res.json(result);
 });
 
 /**
@@ -182,13 +524,20 @@ router.get('/reminders', authMiddleware, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Reminder'
- *       400:
- *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       402:
+ *         $ref: '#/components/responses/PlanLimitReached'
+ *       403:
+ *         description: Viewers cannot create reminders
+ *       404:
+ *         description: Household not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.post('/reminders', authMiddleware, async (req, res) => {
+router.post('/reminders', authMiddleware, validateRequest, async (req, res) => {
   const {
+    household_id,
     assigned_member_id,
     title,
     description,
@@ -196,22 +545,40 @@ router.post('/reminders', authMiddleware, async (req, res) => {
     priority,
     due_date,
     due_time,
-    location
+    time_zone,
+    location,
+    recurrence_rule,
+    auto_complete_checklist
   } = req.body;
 
-  const client = await pool.connect();
+  let rule = null;
+  if (recurrence_rule) {
+    try {
+      rule = normalizeRule(recurrence_rule);
+    } catch (err) {
+      if (err instanceof RecurrenceError) {
+        throw new ValidationError([{ location: 'body', field: 'recurrence_rule', message: err.message }]);
+      }
+      throw err;
+    }
+  }
 
-  try {
-    await client.query('SET app.current_user_id = $1', [req.user.id]);
+  const reminder = await withUser(req.user.id, async (client) => {
+    const householdId = await resolveHouseholdId(client, household_id, { create: true });
+    await assertHouseholdRole(client, householdId, 'member');
+    await assertAssignableMember(client, assigned_member_id, householdId);
+    await assertWithinLimit(client, householdId, 'active_reminders');
 
     const { rows } = await client.query(
       `INSERT INTO reminders
-       (user_id, assigned_member_id, title, description,
-        category, priority, due_date, due_time, location)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       (user_id, household_id, assigned_member_id, title, description,
+        category, priority, due_date, due_time, time_zone, location, recurrence_rule,
+        auto_complete_checklist)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
        RETURNING *`,
       [
         req.user.id,
+        householdId,
         assigned_member_id,
         title,
         description,
@@ -219,14 +586,16 @@ router.post('/reminders', authMiddleware, async (req, res) => {
         priority,
         due_date,
         due_time,
-        location
+        time_zone,
+        location,
+        rule,
+        auto_complete_checklist ?? false
       ]
     );
+    return rows[0];
+  });
 
-    res.status(201).json(rows[0]);
-  } finally {
-    client.release();
-  }
+  res.status(201).json(reminder);
 });
 
 /**
@@ -234,6 +603,12 @@ router.post('/reminders', authMiddleware, async (req, res) => {
  * /api/reminders/{id}/complete:
  *   patch:
  *     summary: Mark a reminder as complete
+ *     description: |
+ *       Records the completion of the current occurrence. Recurring reminders
+ *       move on to their next occurrence and stay open; the series is only
+ *       closed once the rule has no further occurrences, and their checklist
+ *       is unticked for the next one. The assigned member can complete it
+ *       too once they have linked their account.
  *     tags: [Reminders]
  *     security:
  *       - BearerAuth: []
@@ -243,37 +618,721 @@ router.post('/reminders', authMiddleware, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         description: Reminder ID
  *     responses:
  *       200:
- *         description: Reminder marked as completed
+ *         description: Occurrence completed; returns the reminder as it now stands
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Reminder'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Viewers cannot complete reminders
+ *       404:
+ *         description: Reminder not found
+ *       409:
+ *         description: Reminder is already completed
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/reminders/:id/complete', authMiddleware, validateRequest, async (req, res) => {
+  const reminder = await withUser(req.user.id, async (client) => {
+    await assertReminderAccess(client, req.params.id, 'complete');
+    return completeReminder(client, req.params.id);
+  });
+
+  res.json(reminder);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/completions:
+ *   get:
+ *     summary: Get the completion history of a reminder
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     responses:
+ *       200:
+ *         description: Completed occurrences, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReminderCompletion'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Reminder not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/reminders/:id/completions', authMiddleware, validateRequest, async (req, res) => {
+  const rows = await withUser(req.user.id, async (client) => {
+    const { rowCount } = await client.query(
+      'SELECT 1 FROM reminders WHERE id = $1 AND deleted_at IS NULL',
+      [req.params.id]
+    );
+
+    if (!rowCount) {
+      throw new NotFoundError('Reminder not found');
+    }
+
+    const { rows } = await client.query(
+      `SELECT * FROM reminder_completions
+       WHERE reminder_id = $1
+       ORDER BY completed_at DESC`,
+      [req.params.id]
+    );
+    return rows;
+  });
+
+  res.json(rows);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/timeline:
+ *   get:
+ *     summary: Get the timeline of a reminder
+ *     description: |
+ *       Everything that happened to the reminder: completions and reopens,
+ *       snoozes, acknowledged notifications and escalations.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     responses:
+ *       200:
+ *         description: Events, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReminderEvent'
+ *       401:
+ *         description: Unauthorized
  *       404:
  *         description: Reminder not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.patch('/reminders/:id/complete', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
-  try {
-    await client.query('SET app.current_user_id = $1', [req.user.id]);
+router.get('/reminders/:id/timeline', authMiddleware, validateRequest, async (req, res) => {
+  const rows = await withUser(req.user.id, async (client) => {
+    const { rowCount } = await client.query(
+      'SELECT 1 FROM reminders WHERE id = $1 AND deleted_at IS NULL',
+      [req.params.id]
+    );
+
+    if (!rowCount) {
+      throw new NotFoundError('Reminder not found');
+    }
 
     const { rows } = await client.query(
-      `UPDATE reminders
-       SET completed = true,
-           completed_at = now()
-       WHERE id = $1
-       RETURNING *`,
+      `SELECT e.*, p.full_name AS actor_name
+       FROM reminder_events e
+       LEFT JOIN profiles p ON p.user_id = e.actor_id
+       WHERE e.reminder_id = $1
+       ORDER BY e.created_at DESC, e.id DESC`,
       [req.params.id]
     );
+    return rows;
+  });
 
-    res.json(rows[0]);
-  } finally {
-    client.release();
-  }
+  res.json(rows);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/snooze:
+ *   post:
+ *     summary: Snooze a reminder
+ *     description: |
+ *       Holds back the alerts of the current occurrence until `until` (or
+ *       for `minutes`), then alerts once more. Snoozing again replaces the
+ *       previous snooze. Escalations still count from the due moment.
+ *       Members and the linked assignee can snooze.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SnoozeReminderRequest'
+ *     responses:
+ *       200:
+ *         description: Reminder snoozed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reminder'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers cannot snooze reminders
+ *       404:
+ *         description: Reminder not found
+ *       409:
+ *         description: Reminder is already completed
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/reminders/:id/snooze', authMiddleware, validateRequest, async (req, res) => {
+  const { minutes, until } = req.body;
+
+  if ((minutes === undefined) === (until === undefined)) {
+    throw new ValidationError([
+      { location: 'body', field: null, message: 'must contain either minutes or until' }
+    ]);
+  }
+
+  const snoozedUntil = minutes !== undefined ? new Date(Date.now() + minutes * 60 * 1000) : new Date(until);
+
+  if (until !== undefined) {
+    const ahead = snoozedUntil.getTime() - Date.now();
+    if (ahead <= 0 || ahead > MAX_SNOOZE_MINUTES * 60 * 1000) {
+      throw new ValidationError([
+        { location: 'body', field: 'until', message: 'must be in the future and at most a week from now' }
+      ]);
+    }
+  }
+
+  const reminder = await withUser(req.user.id, async (client) => {
+    await assertReminderAccess(client, req.params.id, 'complete');
+
+    const { rows: found } = await client.query(
+      'SELECT completed FROM app_lock_reminder($1)',
+      [req.params.id]
+    );
+
+    if (!found.length) {
+      throw new NotFoundError('Reminder not found');
+    }
+
+    if (found[0].completed) {
+      throw new ConflictError('Reminder is already completed');
+    }
+
+    const { rows } = await client.query(
+      'SELECT * FROM app_snooze_reminder($1, $2)',
+      [req.params.id, snoozedUntil]
+    );
+
+    await recordReminderEvent(client, req.params.id, 'snoozed', {
+      details: minutes !== undefined ? { until: snoozedUntil, minutes } : { until: snoozedUntil }
+    });
+    return rows[0];
+  });
+
+  res.json(reminder);
+});
+
+const EDITABLE_FIELDS = [
+  'assigned_member_id',
+  'title',
+  'description',
+  'category',
+  'priority',
+  'due_date',
+  'due_time',
+  'time_zone',
+  'location',
+  'recurrence_rule',
+  'auto_complete_checklist'
+];
+
+const SCHEDULE_FIELDS = ['due_date', 'due_time', 'time_zone', 'recurrence_rule'];
+
+/**
+ * Apply `changes` (a subset of EDITABLE_FIELDS) to a live reminder.
+ * Changing the recurrence rule restarts the occurrence count, and any
+ * change to the schedule ends a snooze and re-arms the scheduler's
+ * alerts.
+ */
+async function updateReminder(client, id, changes) {
+  const householdId = await assertReminderAccess(client, id);
+
+  if (changes.recurrence_rule) {
+    try {
+      changes.recurrence_rule = normalizeRule(changes.recurrence_rule);
+    } catch (err) {
+      if (err instanceof RecurrenceError) {
+        throw new ValidationError([{ location: 'body', field: 'recurrence_rule', message: err.message }]);
+      }
+      throw err;
+    }
+  }
+
+  await assertAssignableMember(client, changes.assigned_member_id, householdId);
+
+  const fields = EDITABLE_FIELDS.filter((field) => changes[field] !== undefined);
+  const values = fields.map((field) => changes[field]);
+  const assignments = fields.map((field, i) => `${field} = $${i + 2}`);
+
+  if (changes.recurrence_rule !== undefined) {
+    const param = fields.indexOf('recurrence_rule') + 2;
+    assignments.push(
+      `occurrence_count = CASE WHEN recurrence_rule IS DISTINCT FROM $${param}
+                               THEN 1 ELSE occurrence_count END`
+    );
+  }
+
+  const rescheduled = SCHEDULE_FIELDS.some((field) => fields.includes(field));
+  if (rescheduled) {
+    assignments.push('snoozed_until = NULL');
+  }
+
+  const { rows } = await client.query(
+    `UPDATE reminders
+     SET ${assignments.join(', ')}
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING *`,
+    [id, ...values]
+  );
+
+  if (!rows.length) {
+    throw new NotFoundError('Reminder not found');
+  }
+
+  if (rescheduled) {
+    await rearmDeliveries(client, id);
+  }
+
+  return rows[0];
+}
+
+/**
+ * @swagger
+ * /api/reminders/{id}:
+ *   get:
+ *     summary: Get a reminder
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     responses:
+ *       200:
+ *         description: The reminder
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reminder'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Reminder not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/reminders/:id', authMiddleware, validateRequest, async (req, res) => {
+  const reminder = await withUser(req.user.id, async (client) => {
+    const { rows } = await client.query(
+      'SELECT * FROM reminders WHERE id = $1 AND deleted_at IS NULL',
+      [req.params.id]
+    );
+    return rows[0];
+  });
+
+  if (!reminder) {
+    throw new NotFoundError('Reminder not found');
+  }
+
+  res.json(reminder);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}:
+ *   put:
+ *     summary: Replace a reminder
+ *     description: |
+ *       Replaces every editable field; optional fields that are left out
+ *       are cleared. Changing the recurrence rule restarts its COUNT.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateReminderRequest'
+ *     responses:
+ *       200:
+ *         description: Reminder updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reminder'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers and assignees cannot change the reminder
+ *       404:
+ *         description: Reminder not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.put('/reminders/:id', authMiddleware, validateRequest, async (req, res) => {
+  const changes = Object.fromEntries(
+    EDITABLE_FIELDS.map((field) => [field, req.body[field] ?? null])
+  );
+  changes.auto_complete_checklist = req.body.auto_complete_checklist ?? false;
+
+  const reminder = await withUser(req.user.id, (client) =>
+    updateReminder(client, req.params.id, changes)
+  );
+
+  res.json(reminder);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}:
+ *   patch:
+ *     summary: Edit, reschedule or reassign a reminder
+ *     description: Only the fields sent are changed.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatchReminderRequest'
+ *     responses:
+ *       200:
+ *         description: Reminder updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reminder'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers and assignees cannot change the reminder
+ *       404:
+ *         description: Reminder not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/reminders/:id', authMiddleware, validateRequest, async (req, res) => {
+  const changes = Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => field in req.body).map((field) => [field, req.body[field]])
+  );
+
+  if (!Object.keys(changes).length) {
+    throw new ValidationError([
+      { location: 'body', field: null, message: `must contain one of: ${EDITABLE_FIELDS.join(', ')}` }
+    ]);
+  }
+
+  const reminder = await withUser(req.user.id, (client) =>
+    updateReminder(client, req.params.id, changes)
+  );
+
+  res.json(reminder);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}:
+ *   delete:
+ *     summary: Move a reminder to the trash
+ *     description: |
+ *       The reminder stops alerting and disappears from listings, but can be
+ *       restored with PATCH /api/reminders/{id}/restore until
+ *       `restorable_until`. After that it is deleted permanently.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     responses:
+ *       200:
+ *         description: Reminder deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 restorable_until:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers and assignees cannot change the reminder
+ *       404:
+ *         description: Reminder not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.delete('/reminders/:id', authMiddleware, validateRequest, async (req, res) => {
+  const deleted = await withUser(req.user.id, async (client) => {
+    await assertReminderAccess(client, req.params.id);
+
+    const { rows } = await client.query(
+      `UPDATE reminders
+       SET deleted_at = now()
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING deleted_at + make_interval(days => $2) AS restorable_until`,
+      [req.params.id, RESTORE_WINDOW_DAYS]
+    );
+    return rows[0];
+  });
+
+  if (!deleted) {
+    throw new NotFoundError('Reminder not found');
+  }
+
+  res.json({ success: true, restorable_until: deleted.restorable_until });
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted reminder
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     responses:
+ *       200:
+ *         description: Reminder restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reminder'
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         $ref: '#/components/responses/PlanLimitReached'
+ *       403:
+ *         description: Viewers and assignees cannot change the reminder
+ *       404:
+ *         description: Reminder not found or its restore window has passed
+ *       409:
+ *         description: Reminder is not deleted
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/reminders/:id/restore', authMiddleware, validateRequest, async (req, res) => {
+  const reminder = await withUser(req.user.id, async (client) => {
+    const householdId = await assertReminderAccess(client, req.params.id);
+
+    const { rows: found } = await client.query(
+      `SELECT deleted_at, completed,
+              deleted_at >= now() - make_interval(days => $2) AS restorable
+       FROM reminders
+       WHERE id = $1
+       FOR UPDATE`,
+      [req.params.id, RESTORE_WINDOW_DAYS]
+    );
+
+    if (!found.length || (found[0].deleted_at && !found[0].restorable)) {
+      throw new NotFoundError('Reminder not found');
+    }
+
+    if (!found[0].deleted_at) {
+      throw new ConflictError('Reminder is not deleted');
+    }
+
+    if (!found[0].completed) {
+      await assertWithinLimit(client, householdId, 'active_reminders');
+    }
+
+    const { rows } = await client.query(
+      `UPDATE reminders
+       SET deleted_at = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id]
+    );
+    return rows[0];
+  });
+
+  res.json(reminder);
+});
+
+/**
+ * @swagger
+ * /api/reminders/{id}/reopen:
+ *   patch:
+ *     summary: Reopen a completed reminder
+ *     description: |
+ *       Undoes the reminder's last completion and removes it from its
+ *       history. A closed reminder becomes open again at its last due
+ *       date; a recurring reminder that moved on to its next occurrence
+ *       moves back to the one that was completed. Checklist items
+ *       unticked by the completion stay unticked.
+ *     tags: [Reminders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Reminder ID
+ *     responses:
+ *       200:
+ *         description: Reminder reopened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reminder'
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         $ref: '#/components/responses/PlanLimitReached'
+ *       403:
+ *         description: Viewers and assignees cannot change the reminder
+ *       404:
+ *         description: Reminder not found
+ *       409:
+ *         description: Reminder has no completion to undo
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.patch('/reminders/:id/reopen', authMiddleware, validateRequest, async (req, res) => {
+  const reminder = await withUser(req.user.id, async (client) => {
+    const householdId = await assertReminderAccess(client, req.params.id);
+
+    const { rows: found } = await client.query(
+      `SELECT completed, recurrence_rule, to_char(due_date, 'YYYY-MM-DD') AS due_day
+       FROM reminders
+       WHERE id = $1 AND deleted_at IS NULL
+       FOR UPDATE`,
+      [req.params.id]
+    );
+
+    if (!found.length) {
+      throw new NotFoundError('Reminder not found');
+    }
+
+    const { rows: last } = await client.query(
+      `SELECT id, to_char(occurrence_date, 'YYYY-MM-DD') AS occurrence_day
+       FROM reminder_completions
+       WHERE reminder_id = $1
+       ORDER BY completed_at DESC, id DESC
+       LIMIT 1`,
+      [req.params.id]
+    );
+
+    // A completed recurring reminder that is still open has moved on to
+    // its next occurrence; reopening moves it back.
+    const advanced = !found[0].completed && found[0].recurrence_rule !== null &&
+      last.length > 0 && last[0].occurrence_day < found[0].due_day;
+
+    if (!found[0].completed && !advanced) {
+      throw new ConflictError('Reminder is not completed');
+    }
+
+    if (found[0].completed) {
+      await assertWithinLimit(client, householdId, 'active_reminders');
+    }
+
+    if (last.length) {
+      await client.query('DELETE FROM reminder_completions WHERE id = $1', [last[0].id]);
+    }
+
+    const { rows } = advanced
+      ? await client.query(
+          `UPDATE reminders
+           SET due_date = $2,
+               occurrence_count = occurrence_count - 1,
+               snoozed_until = NULL
+           WHERE id = $1
+           RETURNING *`,
+          [req.params.id, last[0].occurrence_day]
+        )
+      : await client.query(
+          `UPDATE reminders
+           SET completed = false,
+               completed_at = NULL
+           WHERE id = $1
+           RETURNING *`,
+          [req.params.id]
+        );
+    await recordReminderEvent(client, req.params.id, 'reopened');
+    return rows[0];
+  });
+
+  res.json(reminder);
 });
 
 export default router;
@@ -0,0 +1,119 @@
+import express from "express";
+import { pool } from "../dbclient.js";
+import { authMiddleware } from "../auth.js";
+import { validateRequest } from "../validation.js";
+import { NotFoundError } from "../errors.js";
+import { revokeSession } from "../sessions.js";
+
+const sessionsRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sessions
+ *   description: Signed-in devices of the authenticated user
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         user_agent:
+ *           type: string
+ *           nullable: true
+ *           example: SmartReminder/2.3 (iPhone; iOS 18.1)
+ *         ip_address:
+ *           type: string
+ *           nullable: true
+ *           example: 102.65.12.4
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: True for the session making the request
+ */
+
+/**
+ * @swagger
+ * /api/sessions:
+ *   get:
+ *     summary: List active sessions for the authenticated user
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ */
+sessionsRouter.get("/sessions", authMiddleware, async (req, res) => {
+  const { rows } = await pool.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at,
+            id = $2 AS current
+     FROM sessions
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND expires_at > now()
+     ORDER BY last_used_at DESC`,
+    [req.user.id, req.user.sid]
+  );
+
+  res.json(rows);
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of the user's sessions
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+sessionsRouter.delete("/sessions/:id", authMiddleware, validateRequest, async (req, res) => {
+  const revoked = await revokeSession(pool, req.params.id, req.user.id, "revoked_by_user");
+
+  if (!revoked) {
+    throw new NotFoundError("Session not found");
+  }
+
+  res.status(204).end();
+});
+
+export default sessionsRouter;
@@ -0,0 +1,497 @@
+import express from 'express';
+import { withUser } from '../dbclient.js';
+import { authMiddleware } from '../auth.js';
+import { validateRequest } from '../validation.js';
+import { NotFoundError, ValidationError } from '../errors.js';
+import { assertHouseholdRole, resolveHouseholdId } from '../households.js';
+import { assertAssignableMember } from '../reminders.js';
+import {
+  findTemplate,
+  instantiateTemplate,
+  listTemplates,
+  saveTemplateItems
+} from '../reminderTemplates.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Templates
+ *   description: |
+ *     Reminder templates: bundles of reminders dated relative to an anchor
+ *     date, such as a baby's vaccinations from the birth date. Built-in
+ *     templates have a `key`; a household's own have an `id`. Everyone in a
+ *     household can see its templates; members manage and use them.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TemplateItem:
+ *       type: object
+ *       required: [title, offset_amount]
+ *       properties:
+ *         position:
+ *           type: integer
+ *           readOnly: true
+ *           example: 2
+ *         title:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 200
+ *           example: 6-week vaccinations
+ *         description:
+ *           type: string
+ *           maxLength: 2000
+ *           nullable: true
+ *         category:
+ *           type: string
+ *           maxLength: 50
+ *           nullable: true
+ *           example: Health
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high]
+ *           nullable: true
+ *           example: high
+ *         offset_amount:
+ *           type: integer
+ *           minimum: -3650
+ *           maximum: 3650
+ *           description: How far after the anchor date it is due; negative is before
+ *           example: 6
+ *         offset_unit:
+ *           type: string
+ *           enum: [days, weeks, months, years]
+ *           default: days
+ *           example: weeks
+ *         due_time:
+ *           type: string
+ *           format: time
+ *           nullable: true
+ *           example: 09:00:00
+ *         recurrence_rule:
+ *           type: string
+ *           maxLength: 255
+ *           nullable: true
+ *           description: As for reminders; the first occurrence is the item's date
+ *           example: FREQ=YEARLY
+ *
+ *     ReminderTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           nullable: true
+ *           description: Set for a household's own templates
+ *           example: 3
+ *         key:
+ *           type: string
+ *           nullable: true
+ *           description: Set for built-in templates
+ *           example: baby-vaccinations
+ *         built_in:
+ *           type: boolean
+ *         household_id:
+ *           type: integer
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           example: Baby vaccinations
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TemplateItem'
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *
+ *     SaveTemplateRequest:
+ *       type: object
+ *       required: [name, items]
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *           example: Dog care
+ *         description:
+ *           type: string
+ *           maxLength: 2000
+ *           nullable: true
+ *         items:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 50
+ *           items:
+ *             $ref: '#/components/schemas/TemplateItem'
+ *
+ *     FromTemplateRequest:
+ *       type: object
+ *       required: [anchor_date]
+ *       description: Send either template_id or template_key.
+ *       properties:
+ *         template_id:
+ *           type: integer
+ *           minimum: 1
+ *           description: One of the household's own templates
+ *         template_key:
+ *           type: string
+ *           maxLength: 50
+ *           description: A built-in template
+ *           example: baby-vaccinations
+ *         anchor_date:
+ *           type: string
+ *           format: date
+ *           description: The date the items are relative to, e.g. a birth date
+ *           example: 2026-09-01
+ *         assigned_member_id:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: Family member every reminder is assigned to
+ *           example: 22
+ *         household_id:
+ *           type: integer
+ *           minimum: 1
+ *           description: Defaults to your own household
+ *         time_zone:
+ *           type: string
+ *           format: time-zone
+ *           nullable: true
+ *           description: Time zone of the reminders; defaults to your profile's
+ *         include_past:
+ *           type: boolean
+ *           default: false
+ *           description: Also create the one-off items that fall before today
+ *
+ *     FromTemplateResult:
+ *       type: object
+ *       properties:
+ *         created:
+ *           type: integer
+ *           example: 7
+ *         skipped:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *                 example: Before today
+ *         reminders:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Reminder'
+ */
+
+/**
+ * @swagger
+ * /api/reminder-templates:
+ *   get:
+ *     summary: List the templates a household can use
+ *     description: The built-in templates first, then the household's own by name.
+ *     tags: [Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: household_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Defaults to your own household
+ *     responses:
+ *       200:
+ *         description: Templates with their items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReminderTemplate'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Household not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/reminder-templates', authMiddleware, validateRequest, async (req, res) => {
+  const templates = await withUser(req.user.id, async (client) => {
+    const householdId = await resolveHouseholdId(client, req.query.household_id);
+    return listTemplates(client, householdId);
+  });
+
+  res.json(templates);
+});
+
+/**
+ * @swagger
+ * /api/reminder-templates:
+ *   post:
+ *     summary: Create a household template
+ *     tags: [Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: household_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Defaults to your own household
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SaveTemplateRequest'
+ *     responses:
+ *       201:
+ *         description: Template created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReminderTemplate'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers cannot create templates
+ *       404:
+ *         description: Household not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/reminder-templates', authMiddleware, validateRequest, async (req, res) => {
+  const { name, description, items } = req.body;
+
+  const template = await withUser(req.user.id, async (client) => {
+    const householdId = await resolveHouseholdId(client, req.query.household_id, { create: true });
+    await assertHouseholdRole(client, householdId, 'member');
+
+    const { rows } = await client.query(
+      `INSERT INTO reminder_templates (household_id, name, description, created_by)
+       VALUES ($1, $2, $3, app_current_user_id())
+       RETURNING id`,
+      [householdId, name, description ?? null]
+    );
+
+    await saveTemplateItems(client, rows[0].id, items);
+    return findTemplate(client, householdId, { id: rows[0].id });
+  });
+
+  res.status(201).json(template);
+});
+
+/**
+ * @swagger
+ * /api/reminder-templates/{id}:
+ *   put:
+ *     summary: Replace a household template
+ *     description: Replaces the name, the description and every item.
+ *     tags: [Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SaveTemplateRequest'
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReminderTemplate'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers cannot change templates
+ *       404:
+ *         description: Template not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.put('/reminder-templates/:id', authMiddleware, validateRequest, async (req, res) => {
+  const { name, description, items } = req.body;
+
+  const template = await withUser(req.user.id, async (client) => {
+    const { rows } = await client.query(
+      'SELECT household_id FROM reminder_templates WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (!rows.length) {
+      throw new NotFoundError('Template not found');
+    }
+
+    const householdId = rows[0].household_id;
+    await assertHouseholdRole(client, householdId, 'member');
+
+    await client.query(
+      'UPDATE reminder_templates SET name = $2, description = $3 WHERE id = $1',
+      [req.params.id, name, description ?? null]
+    );
+
+    await saveTemplateItems(client, req.params.id, items);
+    return findTemplate(client, householdId, { id: Number(req.params.id) });
+  });
+
+  res.json(template);
+});
+
+/**
+ * @swagger
+ * /api/reminder-templates/{id}:
+ *   delete:
+ *     summary: Delete a household template
+ *     description: Reminders created from it are kept.
+ *     tags: [Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Template ID
+ *     responses:
+ *       204:
+ *         description: Template deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Viewers cannot delete templates
+ *       404:
+ *         description: Template not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.delete('/reminder-templates/:id', authMiddleware, validateRequest, async (req, res) => {
+  await withUser(req.user.id, async (client) => {
+    const { rows } = await client.query(
+      'SELECT household_id FROM reminder_templates WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (!rows.length) {
+      throw new NotFoundError('Template not found');
+    }
+
+    await assertHouseholdRole(client, rows[0].household_id, 'member');
+    await client.query('DELETE FROM reminder_templates WHERE id = $1', [req.params.id]);
+  });
+
+  res.status(204).end();
+});
+
+/**
+ * @swagger
+ * /api/reminders/from-template:
+ *   post:
+ *     summary: Create every reminder of a template at once
+ *     description: |
+ *       Each item becomes a reminder due its offset from `anchor_date`, all
+ *       assigned to `assigned_member_id`. A recurring item that falls before
+ *       today starts at its first occurrence from today; other items that
+ *       fall before today are skipped unless `include_past` is set. The
+ *       reminders are created in
+ *       one transaction: if any of them cannot be (e.g. the plan's limit of
+ *       open reminders would be exceeded), none are.
+ *     tags: [Templates]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FromTemplateRequest'
+ *     responses:
+ *       201:
+ *         description: Reminders created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FromTemplateResult'
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         $ref: '#/components/responses/PlanLimitReached'
+ *       403:
+ *         description: Viewers cannot create reminders
+ *       404:
+ *         description: Household or template not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/reminders/from-template', authMiddleware, validateRequest, async (req, res) => {
+  const {
+    template_id,
+    template_key,
+    anchor_date,
+    assigned_member_id,
+    household_id,
+    time_zone,
+    include_past
+  } = req.body;
+
+  if ((template_id === undefined) === (template_key === undefined)) {
+    throw new ValidationError([
+      { location: 'body', field: null, message: 'must contain either template_id or template_key' }
+    ]);
+  }
+
+  const result = await withUser(req.user.id, async (client) => {
+    const householdId = await resolveHouseholdId(client, household_id, { create: true });
+    await assertHouseholdRole(client, householdId, 'member');
+    await assertAssignableMember(client, assigned_member_id, householdId);
+
+    const template = await findTemplate(client, householdId, { id: template_id, key: template_key });
+
+    return instantiateTemplate(client, {
+      template,
+      householdId,
+      anchorDate: anchor_date,
+      assignedMemberId: assigned_member_id ?? null,
+      timeZone: time_zone ?? null,
+      includePast: include_past ?? false
+    });
+  });
+
+  res.status(201).json({ created: result.reminders.length, ...result });
+});
+
+export default router;
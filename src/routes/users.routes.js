@@ -1,9 +1,20 @@
 import express from "express";
 import { pool } from "../dbclient.js";
-import { authMiddleware } from "../auth.js";
+import { authMiddleware, requireRole, requireSelfOrAdmin } from "../auth.js";
+import { validateRequest } from "../validation.js";
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, ValidationError } from "../errors.js";
 import dotenv from "dotenv";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
+import {
+  TOKEN_PURPOSES,
+  issueToken,
+  sendVerificationEmail,
+} from "../userTokens.js";
+import { createSession, revokeAllSessions } from "../sessions.js";
+import { createHousehold, defaultHouseholdName } from "../households.js";
+import { DEFAULT_PLAN } from "../plans.js";
+import { serializeUser } from "../serializers.js";
+import { localeFromAcceptLanguage } from "../mailTemplates.js";
 
 dotenv.config();
 
@@ -33,6 +44,7 @@ const usersRouter = express.Router();
  *                 example: test@email.com
  *               password:
  *                 type: string
+ *                 minLength: 1
  *                 example: 123456
  *     responses:
  *       200:
@@ -44,55 +56,55 @@ const usersRouter = express.Router();
  *               properties:
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Single-use token for POST /api/auth/refresh
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       400:
  *         description: Invalid email or password
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
 
-usersRouter.post("/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    const { rows } = await pool.query(
-      `SELECT u.id, u.email, u.full_name, u.password_hash, p.plan_type
-   FROM users u
-   JOIN profiles p ON u.id = p.user_id
-   WHERE u.email = $1`,
-      [email],
-    );
+usersRouter.post("/login", validateRequest, async (req, res) => {
+  const { email, password } = req.body;
 
-    if (!rows.length) {
-      return res.status(400).json({ error: "Invalid email or password" });
-    }
+  const { rows } = await pool.query(
+    `SELECT u.id, u.email, u.full_name, u.avatar_url, u.password_hash,
+            u.email_verified_at, u.role, u.created_at, p.plan_type
+ FROM users u
+ JOIN profiles p ON u.id = p.user_id
+ WHERE u.email = $1`,
+    [email],
+  );
 
-    const user = rows[0];
+  if (!rows.length) {
+    throw new BadRequestError("Invalid email or password");
+  }
 
-    const isMatch = await bcrypt.compare(password, user.password_hash);
+  const user = rows[0];
 
-    if (!isMatch) {
-      return res.status(400).json({ error: "Invalid email or password" });
-    }
+  const isMatch = await bcrypt.compare(password, user.password_hash);
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "1d" },
-    );
-
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        full_name: user.full_name,
-        plan_type: user.plan_type,
-      },
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Internal server error" });
+  if (!isMatch) {
+    throw new BadRequestError("Invalid email or password");
   }
+
+  const session = await createSession(pool, user, {
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+
+  res.json({
+    token: session.accessToken,
+    refresh_token: session.refreshToken,
+    user: {
+      ...serializeUser(user),
+      plan_type: user.plan_type,
+    },
+  });
 });
 
 /**
@@ -111,6 +123,11 @@ usersRouter.post("/login", async (req, res) => {
  *           type: string
  *         avatar_url:
  *           type: string
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *         email_verified:
+ *           type: boolean
  *         created_at:
  *           type: string
  *           format: date-time
@@ -120,8 +137,10 @@ usersRouter.post("/login", async (req, res) => {
  * @swagger
  * /api/users:
  *   get:
- *     summary: Get all users
+ *     summary: Get all users (admin only)
  *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
  *     responses:
  *       200:
  *         description: List of users
@@ -131,17 +150,16 @@ usersRouter.post("/login", async (req, res) => {
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  */
-usersRouter.get("/users", authMiddleware, async (req, res) => {
-  try {
-    const { rows } = await pool.query(
-      "SELECT * FROM public.users ORDER BY created_at DESC",
-    );
-    res.json(rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Internal server error" });
-  }
+usersRouter.get("/users", authMiddleware, requireRole("admin"), async (req, res) => {
+  const { rows } = await pool.query(
+    "SELECT * FROM public.users ORDER BY created_at DESC",
+  );
+  res.json(rows.map(serializeUser));
 });
 
 /**
@@ -162,29 +180,44 @@ usersRouter.get("/users", authMiddleware, async (req, res) => {
  *             properties:
  *               email:
  *                 type: string
+ *                 format: email
  *               full_name:
  *                 type: string
+ *                 maxLength: 100
  *               avatar_url:
  *                 type: string
+ *                 format: uri
  *               password:
  *                 type: string
- *               plan_type:
+ *                 minLength: 8
+ *               locale:
  *                 type: string
+ *                 enum: [en, af]
+ *                 description: Language of emails; defaults to the Accept-Language header
+ *               time_zone:
+ *                 type: string
+ *                 format: time-zone
+ *                 default: UTC
+ *                 description: IANA time zone of your reminders' due dates and times
+ *                 example: Africa/Johannesburg
  *     responses:
  *       201:
- *         description: User created successfully
+ *         description: User created successfully; a verification email is sent to the address
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
- *       400:
+ *       409:
  *         description: Email already exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-usersRouter.post("/users", async (req, res) => {
+usersRouter.post("/users", validateRequest, async (req, res) => {
   const client = await pool.connect();
 
   try {
-    const { email, password, full_name, avatar_url, plan_type } = req.body;
+    const { email, password, full_name, avatar_url, time_zone } = req.body;
+    const locale = req.body.locale || localeFromAcceptLanguage(req.get("Accept-Language"));
 
     await client.query("BEGIN");
 
@@ -194,7 +227,7 @@ usersRouter.post("/users", async (req, res) => {
     );
 
     if (existing.rows.length) {
-      return res.status(400).json({ error: "Email already exists" });
+      throw new ConflictError("Email already exists");
     }
 
     const password_hash = await bcrypt.hash(password, 10);
@@ -211,24 +244,44 @@ usersRouter.post("/users", async (req, res) => {
 
     // 2️⃣ Insert into profiles
     await client.query(
-      `INSERT INTO profiles (user_id, full_name, avatar_url, plan_type)
-       VALUES ($1, $2, $3, $4)`,
+      `INSERT INTO profiles (user_id, full_name, avatar_url, plan_type, locale, time_zone)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
       [
         user.id,
         full_name || null,
         avatar_url || null,
-        plan_type || "family",
+        DEFAULT_PLAN,
+        locale,
+        time_zone || "UTC",
       ]
     );
 
+    // 3️⃣ Give the user a household of their own. Households are
+    // protected by row-level security, so act as the new user.
+    await client.query(
+      "SELECT set_config('app.current_user_id', $1, true)",
+      [user.id]
+    );
+    await createHousehold(client, defaultHouseholdName({ full_name, email }));
+
+    const verificationToken = await issueToken(
+      client,
+      user.id,
+      TOKEN_PURPOSES.EMAIL_VERIFICATION
+    );
+
     await client.query("COMMIT");
 
+    // The account exists either way; the user can ask for a new link later.
+    sendVerificationEmail(user.email, verificationToken, locale).catch((err) =>
+      console.error("Failed to queue verification email:", err.message)
+    );
+
     res.json({ user });
 
   } catch (err) {
     await client.query("ROLLBACK");
-    console.error(err);
-    res.status(500).json({ error: "Internal server error" });
+    throw err;
   } finally {
     client.release();
   }
@@ -240,7 +293,15 @@ usersRouter.post("/users", async (req, res) => {
  * /api/users/{id}:
  *   put:
  *     summary: Update a user
+ *     description: |
+ *       Users can only update their own account; admins can update any
+ *       account and are the only ones allowed to change `role`. Changing
+ *       your own password needs `current_password`, and any password
+ *       change signs out every session. A new email address has to be
+ *       verified again; a verification email is sent to it.
  *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -257,12 +318,22 @@ usersRouter.post("/users", async (req, res) => {
  *             properties:
  *               email:
  *                 type: string
+ *                 format: email
  *               full_name:
  *                 type: string
+ *                 maxLength: 100
  *               password:
  *                 type: string
+ *                 minLength: 8
+ *               current_password:
+ *                 type: string
+ *                 description: Required to change your own password
  *               avatar_url:
  *                 type: string
+ *                 format: uri
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -270,45 +341,118 @@ usersRouter.post("/users", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
- *       400:
+ *       409:
  *         description: Email already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not your account, or the current password is incorrect
  *       404:
  *         description: User not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-usersRouter.put("/users/:id", async (req, res) => {
+usersRouter.put("/users/:id", authMiddleware, requireSelfOrAdmin("id"), validateRequest, async (req, res) => {
   const { id } = req.params;
-  const { email, full_name, password, avatar_url } = req.body;
+  const { email, full_name, password, current_password, avatar_url, role } = req.body;
+
+  if (role !== undefined && req.user.role !== "admin") {
+    throw new ForbiddenError("Only admins can change roles");
+  }
+
+  // Admins resetting someone else's password need not know it.
+  if (password && id === req.user.id && !current_password) {
+    throw new ValidationError([
+      { location: "body", field: "current_password", message: "is required to change the password" },
+    ]);
+  }
+
+  const client = await pool.connect();
+  let user;
+  let verificationToken = null;
 
   try {
-    const { rows } = await pool.query(
-      `UPDATE public.users
-       SET email = COALESCE($1, email),
-           full_name = COALESCE($2, full_name),
-           password_hash = CASE WHEN $3 IS NOT NULL THEN $3 ELSE password_hash END,
-           avatar_url = COALESCE($4, avatar_url)
-       WHERE id = $5
-       RETURNING *`,
-      [
-        email,
-        full_name,
-        password ? await bcrypt.hash(password, 10) : null,
-        avatar_url,
-        id,
-      ],
+    await client.query("BEGIN");
+
+    const { rows: current } = await client.query(
+      `SELECT u.email, u.password_hash, p.locale
+       FROM users u
+       LEFT JOIN profiles p ON p.user_id = u.id
+       WHERE u.id = $1
+       FOR UPDATE OF u`,
+      [id]
     );
 
-    if (rows.length === 0)
-      return res.status(404).json({ error: "User not found" });
+    if (!current.length) {
+      throw new NotFoundError("User not found");
+    }
 
-    res.json(rows[0]);
-  } catch (err) {
-    if (err.code === "23505") {
-      // unique_violation
-      return res.status(400).json({ error: "Email already exists" });
+    if (password && id === req.user.id) {
+      const matches = await bcrypt.compare(current_password, current[0].password_hash);
+      if (!matches) {
+        throw new ForbiddenError("Current password is incorrect");
+      }
+    }
+
+    // A new address has to be verified again.
+    const emailChanged = email !== undefined && email.toLowerCase() !== current[0].email.toLowerCase();
+
+    let rows;
+    try {
+      ({ rows } = await client.query(
+        `UPDATE public.users
+         SET email = COALESCE($1, email),
+             full_name = COALESCE($2, full_name),
+             password_hash = COALESCE($3, password_hash),
+             avatar_url = COALESCE($4, avatar_url),
+             role = COALESCE($5, role),
+             email_verified_at = CASE WHEN $7 THEN NULL ELSE email_verified_at END
+         WHERE id = $6
+         RETURNING *`,
+        [
+          email,
+          full_name,
+          password ? await bcrypt.hash(password, 10) : null,
+          avatar_url,
+          role,
+          id,
+          emailChanged,
+        ],
+      ));
+    } catch (err) {
+      if (err.code === "23505") {
+        // unique_violation
+        throw new ConflictError("Email already exists");
+      }
+      throw err;
     }
-    console.error(err);
-    res.status(500).json({ error: "Internal server error" });
+
+    user = rows[0];
+
+    if (emailChanged) {
+      verificationToken = await issueToken(client, id, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    }
+
+    // Sessions started with the old password end with it.
+    if (password) {
+      await revokeAllSessions(client, id, "password_change");
+    }
+
+    await client.query("COMMIT");
+
+    if (verificationToken) {
+      sendVerificationEmail(user.email, verificationToken, current[0].locale).catch((err) =>
+        console.error("Failed to queue verification email:", err.message)
+      );
+    }
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
   }
+
+  res.json(serializeUser(user));
 });
 
 export default usersRouter;
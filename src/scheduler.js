@@ -0,0 +1,520 @@
+import dotenv from "dotenv";
+import { pool, withSystem } from "./dbclient.js";
+import { purgeMailQueue, queueMail, wakeMailQueue } from "./mailer.js";
+import { purgeDeletedReminders } from "./reminders.js";
+import { planAllowsChannel } from "./plans.js";
+import { syncDueGoogleAccounts } from "./googleSync.js";
+import { purgeRealtimeEvents } from "./realtime.js";
+import { archiveReadNotifications } from "./notifications.js";
+import { isPushConfigured, pruneExpiredSubscriptions, pushToUser } from "./push.js";
+import { formatDay, formatDayTime, formatLead, formatTime } from "./mailTemplates.js";
+import { escalateOverdueReminders } from "./escalations.js";
+import { purgeUnusedAttachmentBlobs } from "./attachments.js";
+
+dotenv.config();
+
+/* ======================================================
+   Reminder scheduler
+
+   Every tick scans open reminders whose due moment minus a
+   lead time has passed and turns them into notifications,
+   emails and pushes, as far as the creator's notification
+   preferences allow (see preferences.js). Each (reminder,
+   occurrence, lead time) is claimed through the unique key
+   on reminder_deliveries, so restarts and concurrent API
+   instances never deliver the same alert twice.
+
+   Due moments are instants (reminders.due_at, see
+   migrations/0020); an all-day reminder is due at
+   REMINDER_DEFAULT_TIME in its time zone. Alerts show the
+   moment in the creator's profile time zone, which is also
+   the zone of their quiet hours and digest.
+
+   A snoozed reminder (reminders.snoozed_until) skips the
+   alerts that fall in its snooze and alerts once more when
+   the snooze ends, claimed by (reminder, snoozed_until).
+   Escalations of overdue reminders are in escalations.js.
+
+   Quiet hours hold back emails and pushes: the delivery
+   records them in held_channels (migrations/0025) and they
+   go out on the first tick after quiet hours end.
+====================================================== */
+
+const DEFAULT_LEAD_TIMES = [1440, 60]; // minutes before due
+const DEFAULT_DUE_TIME = "09:00";
+const BATCH_SIZE = 500;
+// Longest lead time users can choose (a week)
+const MAX_LEAD_MINUTES = 10080;
+// Reminders of this priority go into the daily digest, when enabled.
+const DIGEST_PRIORITY = "low";
+// How long push services may hold an alert for an offline device, at least
+const MIN_PUSH_TTL_SECONDS = 15 * 60;
+
+export function parseLeadTimes(value) {
+  if (!value) return DEFAULT_LEAD_TIMES;
+
+  const minutes = value
+    .split(",")
+    .map((v) => parseInt(v.trim(), 10))
+    .filter((n) => Number.isInteger(n) && n >= 0);
+
+  return minutes.length ? [...new Set(minutes)].sort((a, b) => b - a) : DEFAULT_LEAD_TIMES;
+}
+
+export function describeLead(minutes) {
+  if (minutes === 0) return "now";
+  if (minutes % 1440 === 0) {
+    const days = minutes / 1440;
+    return `in ${days} day${days === 1 ? "" : "s"}`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `in ${hours} hour${hours === 1 ? "" : "s"}`;
+  }
+  return `in ${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+/**
+ * The deliveries `ids`, with what alerting needs of their reminders and
+ * recipients: one per reminder, the most imminent lead time first.
+ */
+async function loadDeliveries(client, ids, defaultDueTime) {
+  const { rows } = await client.query(
+    `SELECT DISTINCT ON (d.reminder_id)
+            d.id AS delivery_id, d.lead_minutes,
+            d.snoozed_until IS NOT NULL AS snoozed,
+            round(extract(epoch FROM due.at - now()) / 60)::int AS minutes_to_due,
+            r.id AS reminder_id, r.user_id, r.household_id, r.title, r.location,
+            to_char(due.at AT TIME ZONE COALESCE(me.time_zone, r.due_time_zone), 'YYYY-MM-DD')
+              AS due_day,
+            to_char(due.at AT TIME ZONE COALESCE(me.time_zone, r.due_time_zone), 'HH24:MI')
+              AS due_time,
+            r.priority, u.email, owner.plan_type, me.locale,
+            COALESCE(p.in_app_enabled, true) AS in_app_enabled,
+            COALESCE(p.email_enabled, true) AS email_enabled,
+            COALESCE(p.push_enabled, true) AS push_enabled,
+            COALESCE(p.digest_enabled, false) AS digest_enabled,
+            COALESCE(in_quiet_hours(p.quiet_hours_start, p.quiet_hours_end, me.time_zone), false)
+              AS quiet
+     FROM reminder_deliveries d
+     JOIN reminders r ON r.id = d.reminder_id
+     JOIN users u ON u.id = r.user_id
+     LEFT JOIN household_members hm
+       ON hm.household_id = r.household_id AND hm.role = 'owner'
+     LEFT JOIN profiles owner ON owner.user_id = hm.user_id
+     LEFT JOIN profiles me ON me.user_id = r.user_id
+     LEFT JOIN notification_preferences p ON p.user_id = r.user_id
+     CROSS JOIN LATERAL (
+       SELECT COALESCE(r.due_at, local_to_instant(r.due_date + $2::time, r.due_time_zone)) AS at
+     ) due
+     WHERE d.id = ANY($1::int[])
+     ORDER BY d.reminder_id, d.lead_minutes ASC NULLS LAST`,
+    [ids, defaultDueTime]
+  );
+
+  return rows;
+}
+
+/**
+ * Claim up to BATCH_SIZE deliveries that have come due, create their
+ * notifications and queue their emails, all in one transaction.
+ * Resolves to `{ deliveries, full }`: the claimed deliveries, which
+ * still need pushing, and whether a batch was full, so more may be due.
+ */
+function claimDueDeliveries(leadTimes, defaultDueTime) {
+  // Runs across every user's reminders, so it bypasses row-level security.
+  return withSystem(async (client) => {
+    const { rows: claimed } = await client.query(
+      `WITH candidates AS (
+         SELECT r.id AS reminder_id, r.due_date, lead.minutes AS lead_minutes
+         FROM reminders r
+         LEFT JOIN notification_preferences p ON p.user_id = r.user_id
+         CROSS JOIN LATERAL unnest(
+           notification_lead_times(
+             p.category_lead_times, p.priority_lead_times,
+             COALESCE(p.lead_times, $1::int[]), r.category, r.priority
+           )
+         ) AS lead(minutes)
+         CROSS JOIN LATERAL (
+           SELECT COALESCE(r.due_at, local_to_instant(r.due_date + $2::time, r.due_time_zone)) AS at
+         ) due
+         WHERE r.completed = false
+           AND r.deleted_at IS NULL
+           -- A day either side, for every time zone's dates
+           AND r.due_date BETWEEN current_date - 2
+                              AND (now() + make_interval(mins => $4))::date + 1
+           AND due.at > now()
+           AND due.at - make_interval(mins => lead.minutes) <= now()
+           AND (r.snoozed_until IS NULL
+                OR due.at - make_interval(mins => lead.minutes) > r.snoozed_until)
+           AND NOT EXISTS (
+             SELECT 1 FROM reminder_deliveries d
+             WHERE d.reminder_id = r.id AND d.due_date = r.due_date
+               AND d.lead_minutes = lead.minutes
+           )
+         LIMIT $3
+       )
+       INSERT INTO reminder_deliveries (reminder_id, due_date, lead_minutes)
+       SELECT reminder_id, due_date, lead_minutes FROM candidates
+       ON CONFLICT (reminder_id, due_date, lead_minutes) DO NOTHING
+       RETURNING id`,
+      [leadTimes, defaultDueTime, BATCH_SIZE, Math.max(...leadTimes, MAX_LEAD_MINUTES)]
+    );
+
+    const { rows: snoozesEnded } = await client.query(
+      `INSERT INTO reminder_deliveries (reminder_id, due_date, snoozed_until)
+       SELECT r.id, r.due_date, r.snoozed_until
+       FROM reminders r
+       WHERE r.snoozed_until <= now()
+         AND r.snoozed_until > now() - interval '1 day'
+         AND r.completed = false
+         AND r.deleted_at IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM reminder_deliveries d
+           WHERE d.reminder_id = r.id AND d.snoozed_until = r.snoozed_until
+         )
+       LIMIT $1
+       ON CONFLICT (reminder_id, snoozed_until) WHERE snoozed_until IS NOT NULL DO NOTHING
+       RETURNING id`,
+      [BATCH_SIZE]
+    );
+    const full = claimed.length === BATCH_SIZE || snoozesEnded.length === BATCH_SIZE;
+    claimed.push(...snoozesEnded);
+
+    if (!claimed.length) {
+      return { deliveries: [], full };
+    }
+
+    // When several lead times were missed at once (e.g. after downtime),
+    // only the most imminent one is delivered; the rest are just claimed.
+    // The end of a snooze comes after any lead time.
+    const deliveries = await loadDeliveries(
+      client,
+      claimed.map((row) => row.id),
+      defaultDueTime
+    );
+
+    for (const delivery of deliveries) {
+      const held = [];
+
+      if (wantsEmail(delivery)) {
+        if (delivery.quiet) {
+          held.push("email");
+        } else {
+          await emailDelivery(client, delivery);
+        }
+      }
+
+      if (wantsPush(delivery) && delivery.quiet) {
+        held.push("push");
+      }
+
+      if (held.length) {
+        await client.query(
+          "UPDATE reminder_deliveries SET held_channels = $2 WHERE id = $1",
+          [delivery.delivery_id, held]
+        );
+      }
+
+      if (!delivery.in_app_enabled) continue;
+
+      const { rows } = await client.query(
+        `INSERT INTO notifications (user_id, household_id, reminder_id, type, title, message)
+         VALUES ($1, $2, $3, 'reminder_due', $4, $5)
+         RETURNING id`,
+        [
+          delivery.user_id,
+          delivery.household_id,
+          delivery.reminder_id,
+          `Reminder: ${delivery.title}`,
+          alertMessage(delivery),
+        ]
+      );
+
+      await client.query(
+        "UPDATE reminder_deliveries SET notification_id = $1 WHERE id = $2",
+        [rows[0].id, delivery.delivery_id]
+      );
+      delivery.notification_id = rows[0].id;
+    }
+
+    return { deliveries, full };
+  });
+}
+
+async function emailDelivery(client, delivery) {
+  await queueMail(
+    {
+      to: delivery.email,
+      template: "reminder",
+      locale: delivery.locale,
+      data: {
+        title: delivery.title,
+        lead: formatLead(alertLead(delivery), delivery.locale),
+        overdue: alertLead(delivery) < 0,
+        when: formatDayTime(delivery.due_day, delivery.due_time, delivery.locale),
+        location: delivery.location,
+      },
+    },
+    client
+  );
+  await client.query(
+    "UPDATE reminder_deliveries SET emailed_at = now() WHERE id = $1",
+    [delivery.delivery_id]
+  );
+}
+
+/**
+ * Send the emails and pushes that quiet hours held back, once the
+ * recipient's quiet hours are over and if the occurrence is still open.
+ * Of a reminder's held alerts only the latest goes out. Returns the
+ * released deliveries that still need pushing.
+ */
+function releaseHeldDeliveries(defaultDueTime) {
+  return withSystem(async (client) => {
+    const { rows: released } = await client.query(
+      `UPDATE reminder_deliveries d
+       SET held_channels = '{}'
+       FROM reminder_deliveries old, reminders r
+       LEFT JOIN profiles me ON me.user_id = r.user_id
+       LEFT JOIN notification_preferences p ON p.user_id = r.user_id
+       WHERE old.id = d.id
+         AND r.id = d.reminder_id
+         AND d.held_channels <> '{}'
+         AND NOT COALESCE(in_quiet_hours(p.quiet_hours_start, p.quiet_hours_end, me.time_zone), false)
+       RETURNING d.id, d.reminder_id, old.held_channels AS channels,
+                 r.completed = false AND r.deleted_at IS NULL AND r.due_date = d.due_date AS open`
+    );
+
+    const latest = new Map();
+    for (const row of released) {
+      const current = latest.get(row.reminder_id);
+      if (row.open && (!current || row.id > current.id)) {
+        latest.set(row.reminder_id, row);
+      }
+    }
+
+    if (!latest.size) {
+      return [];
+    }
+
+    const deliveries = await loadDeliveries(
+      client,
+      [...latest.values()].map((row) => row.id),
+      defaultDueTime
+    );
+
+    for (const delivery of deliveries) {
+      delivery.held = latest.get(delivery.reminder_id).channels;
+
+      if (delivery.held.includes("email") && wantsEmail(delivery)) {
+        await emailDelivery(client, delivery);
+      }
+    }
+
+    return deliveries.filter((delivery) => delivery.held.includes("push"));
+  });
+}
+
+// Minutes from the alert to the due moment: the lead time, or for the
+// end of a snooze and for alerts held back by quiet hours the time left
+// (negative once overdue).
+function alertLead(delivery) {
+  if (!delivery.snoozed && !delivery.held) return delivery.lead_minutes;
+  return delivery.minutes_to_due > 0 ? delivery.minutes_to_due : Math.min(delivery.minutes_to_due, -1);
+}
+
+function alertMessage(delivery) {
+  const when = `${delivery.due_day} at ${delivery.due_time}`;
+  return alertLead(delivery) < 0
+    ? `${delivery.title} was due ${when}`
+    : `${delivery.title} is due ${describeLead(alertLead(delivery))} (${when})`;
+}
+
+// Whether a delivery is emailed on its own: the plan and the user's
+// preferences allow email, and it is not left to the daily digest.
+// During quiet hours the email is held back.
+function wantsEmail(delivery) {
+  return (
+    Boolean(delivery.email) &&
+    planAllowsChannel(delivery.plan_type, "email") &&
+    delivery.email_enabled &&
+    !(delivery.digest_enabled && delivery.priority === DIGEST_PRIORITY)
+  );
+}
+
+// Whether a delivery is pushed: the plan and the user's preferences
+// allow push. The digest is email only. During quiet hours the push is
+// held back.
+function wantsPush(delivery) {
+  return planAllowsChannel(delivery.plan_type, "push") && delivery.push_enabled;
+}
+
+// Pushes go out after the claim is committed: a crash in between
+// loses the push rather than sending it twice. An alert
+// stays worth showing until its reminder is due, so the push service
+// may hold it that long for a device that is offline.
+async function pushDeliveries(deliveries) {
+  if (!isPushConfigured()) return;
+
+  for (const delivery of deliveries) {
+    if (!wantsPush(delivery) || delivery.quiet) continue;
+
+    try {
+      const delivered = await pushToUser(
+        delivery.user_id,
+        {
+          type: "reminder_due",
+          title: `Reminder: ${delivery.title}`,
+          body: alertMessage(delivery),
+          reminder_id: delivery.reminder_id,
+          household_id: delivery.household_id,
+          notification_id: delivery.notification_id ?? null,
+          tag: `reminder-${delivery.reminder_id}`,
+        },
+        {
+          TTL: Math.max(alertLead(delivery) * 60, MIN_PUSH_TTL_SECONDS),
+          urgency: delivery.priority === "high" ? "high" : "normal",
+          // A newer alert for the same reminder replaces an undelivered one.
+          topic: `reminder-${delivery.reminder_id}`,
+        }
+      );
+
+      if (delivered) {
+        await pool.query(
+          "UPDATE reminder_deliveries SET pushed_at = now() WHERE id = $1",
+          [delivery.delivery_id]
+        );
+      }
+    } catch (err) {
+      console.error(`Failed to push reminder ${delivery.reminder_id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Email each user whose digest time has passed today (in their time
+ * zone) the low-priority reminders they created that are due today.
+ * Each digest is claimed through digest_sent_on, so it goes out once a
+ * day even with several instances.
+ */
+async function sendDigests(defaultDueTime) {
+  const { rows: due } = await pool.query(
+    `UPDATE notification_preferences np
+     SET digest_sent_on = (now() AT TIME ZONE me.time_zone)::date
+     FROM profiles me
+     WHERE me.user_id = np.user_id
+       AND np.digest_enabled
+       AND np.email_enabled
+       AND (now() AT TIME ZONE me.time_zone)::time >= np.digest_time
+       AND (np.digest_sent_on IS NULL
+            OR np.digest_sent_on < (now() AT TIME ZONE me.time_zone)::date)
+     RETURNING np.user_id, to_char(np.digest_sent_on, 'YYYY-MM-DD') AS day,
+               me.time_zone`
+  );
+
+  for (const { user_id, day, time_zone } of due) {
+    // Timed reminders count by their moment in the user's zone, all-day
+    // ones by their date.
+    const { rows } = await withSystem((client) =>
+      client.query(
+        `SELECT r.id, r.title, r.location, r.due_at IS NULL AS all_day,
+                to_char(COALESCE((r.due_at AT TIME ZONE $5)::time, $3::time), 'HH24:MI') AS due_time,
+                u.email, owner.plan_type, me.locale
+         FROM reminders r
+         JOIN users u ON u.id = r.user_id
+         LEFT JOIN household_members hm
+           ON hm.household_id = r.household_id AND hm.role = 'owner'
+         LEFT JOIN profiles owner ON owner.user_id = hm.user_id
+         LEFT JOIN profiles me ON me.user_id = r.user_id
+         WHERE r.user_id = $1
+           AND r.due_date BETWEEN $2::date - 1 AND $2::date + 1
+           AND COALESCE((r.due_at AT TIME ZONE $5)::date, r.due_date) = $2::date
+           AND r.priority = $4
+           AND r.completed = false
+           AND r.deleted_at IS NULL
+         ORDER BY r.due_at NULLS FIRST, r.id`,
+        [user_id, day, defaultDueTime, DIGEST_PRIORITY, time_zone]
+      )
+    );
+
+    const reminders = rows.filter((r) => planAllowsChannel(r.plan_type, "email"));
+    if (!reminders.length || !reminders[0].email) continue;
+
+    const { email, locale } = reminders[0];
+
+    try {
+      await queueMail({
+        to: email,
+        template: "digest",
+        locale,
+        data: {
+          day: formatDay(day, locale),
+          reminders: reminders.map((r) => ({
+            title: r.title,
+            location: r.location,
+            all_day: r.all_day,
+            time: formatTime(r.due_time, locale),
+          })),
+        },
+      });
+    } catch (err) {
+      console.error(`Failed to queue the digest of user ${user_id}:`, err.message);
+    }
+  }
+}
+
+export async function runSchedulerTick({
+  leadTimes = parseLeadTimes(process.env.REMINDER_LEAD_TIMES),
+  defaultDueTime = process.env.REMINDER_DEFAULT_TIME || DEFAULT_DUE_TIME,
+} = {}) {
+  let delivered = 0;
+  let batch;
+
+  do {
+    batch = await claimDueDeliveries(leadTimes, defaultDueTime);
+    await pushDeliveries(batch.deliveries);
+    delivered += batch.deliveries.length;
+  } while (batch.full);
+
+  const released = await releaseHeldDeliveries(defaultDueTime);
+  await pushDeliveries(released);
+
+  await escalateOverdueReminders(defaultDueTime);
+  await sendDigests(defaultDueTime);
+  await wakeMailQueue();
+  await withSystem(purgeDeletedReminders);
+  await withSystem(purgeRealtimeEvents);
+  await withSystem(archiveReadNotifications);
+  await withSystem(pruneExpiredSubscriptions);
+  await withSystem(purgeMailQueue);
+  await purgeUnusedAttachmentBlobs();
+  await syncDueGoogleAccounts();
+  return delivered;
+}
+
+/**
+ * Start the in-process scheduler. Returns a function that stops it.
+ */
+export function startScheduler({
+  intervalMs = (parseInt(process.env.SCHEDULER_INTERVAL_SECONDS) || 60) * 1000,
+} = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runSchedulerTick();
+    } catch (err) {
+      console.error("Scheduler tick failed:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return () => clearInterval(timer);
+}
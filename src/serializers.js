@@ -0,0 +1,37 @@
+/* ======================================================
+   Response serializers
+
+   Whitelist the columns that may leave the API so credential
+   columns (password_hash, token hashes, invitation nonces) are
+   never exposed, even when a query selects *.
+====================================================== */
+
+export function serializeUser(row) {
+  if (!row) return row;
+
+  return {
+    id: row.id,
+    email: row.email,
+    full_name: row.full_name ?? null,
+    avatar_url: row.avatar_url ?? null,
+    role: row.role,
+    email_verified: Boolean(row.email_verified_at),
+    created_at: row.created_at,
+  };
+}
+
+export function serializeInvitation(row) {
+  if (!row) return row;
+
+  return {
+    id: row.id,
+    family_member_id: row.family_member_id,
+    email: row.email,
+    status: row.status,
+    expires_at: row.expires_at,
+    send_count: row.send_count,
+    last_sent_at: row.last_sent_at,
+    responded_at: row.responded_at,
+    created_at: row.created_at,
+  };
+}
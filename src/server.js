@@ -3,11 +3,25 @@ import cors from "cors";
 import dotenv from "dotenv";
 import swaggerUi from "swagger-ui-express";
 import usersRouter from "./routes/users.routes.js";
+import authRouter from "./routes/auth.routes.js";
+import sessionsRouter from "./routes/sessions.routes.js";
 import swaggerSpec from "./swagger.js";
 import profilesRoutes from './routes/profiles.routes.js';
 import familyRoutes from './routes/family.routes.js';
+import invitationsRoutes from './routes/invitations.routes.js';
+import householdsRoutes from './routes/households.routes.js';
+import escalationsRoutes from './routes/escalations.routes.js';
+import plansRoutes from './routes/plans.routes.js';
+import calendarRoutes from './routes/calendar.routes.js';
+import googleRoutes from './routes/google.routes.js';
 import remindersRoutes from './routes/reminders.routes.js';
+import checklistsRoutes from './routes/checklists.routes.js';
+import attachmentsRoutes from './routes/attachments.routes.js';
+import templatesRoutes from './routes/templates.routes.js';
 import notificationsRoutes from './routes/notifications.routes.js'
+import pushRoutes from './routes/push.routes.js';
+import { startScheduler } from "./scheduler.js";
+import { requestId, notFoundHandler, errorHandler } from "./errors.js";
 
 dotenv.config();
 const app = express();
@@ -16,6 +30,7 @@ const app = express();
    Middleware
 ====================================================== */
 
+app.use(requestId);
 app.use(cors());
 app.use(express.json());
 
@@ -35,10 +50,29 @@ app.use(
 );
 
 app.use('/api', profilesRoutes);
+app.use('/api', householdsRoutes);
+app.use('/api', escalationsRoutes);
+app.use('/api', plansRoutes);
+app.use('/api', invitationsRoutes);
 app.use('/api', familyRoutes);
+app.use('/api', calendarRoutes);
+app.use('/api', googleRoutes);
 app.use('/api', remindersRoutes);
+app.use('/api', checklistsRoutes);
+app.use('/api', attachmentsRoutes);
+app.use('/api', templatesRoutes);
 app.use('/api', notificationsRoutes);
+app.use('/api', pushRoutes);
 app.use("/api", usersRouter);
+app.use("/api", authRouter);
+app.use("/api", sessionsRouter);
+
+/* ======================================================
+   Errors
+====================================================== */
+
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 /* ======================================================
    Server
@@ -48,4 +82,8 @@ const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
   console.log(`API running on port ${PORT}`);
+
+  if (process.env.SCHEDULER_ENABLED !== "false") {
+    startScheduler();
+  }
 });
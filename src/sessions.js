@@ -0,0 +1,167 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import { pool } from "./dbclient.js";
+import { hashToken } from "./userTokens.js";
+
+dotenv.config();
+
+/* ======================================================
+   Sessions & refresh tokens
+
+   Each login creates a session. The client holds a short-lived
+   access token (JWT carrying the session id as `sid`) and an
+   opaque refresh token. Refresh tokens are single-use: every
+   refresh rotates them, and presenting one that was already
+   used revokes the whole session (token theft / reuse).
+====================================================== */
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN },
+  );
+}
+
+async function issueRefreshToken(client, sessionId) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await client.query(
+    "INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1, $2)",
+    [sessionId, hashToken(token)],
+  );
+
+  return token;
+}
+
+/**
+ * Start a new session for a user who has just authenticated.
+ */
+export async function createSession(client, user, { userAgent, ip } = {}) {
+  const { rows } = await client.query(
+    `INSERT INTO sessions (user_id, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, now() + make_interval(days => $4))
+     RETURNING id`,
+    [user.id, userAgent || null, ip || null, REFRESH_TOKEN_TTL_DAYS],
+  );
+
+  const sessionId = rows[0].id;
+  const refreshToken = await issueRefreshToken(client, sessionId);
+
+  return {
+    sessionId,
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ *
+ * Resolves to `{ accessToken, refreshToken, sessionId }` on success,
+ * `{ reused: true }` when an already-used token was presented (the
+ * session is revoked), or null for unknown / expired / revoked tokens.
+ */
+export async function rotateRefreshToken(refreshToken, { userAgent, ip } = {}) {
+  if (typeof refreshToken !== "string" || !refreshToken) return null;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT rt.id AS token_id, rt.used_at,
+              s.id AS session_id, s.revoked_at, s.expires_at,
+              u.id, u.email, u.role
+       FROM refresh_tokens rt
+       JOIN sessions s ON s.id = rt.session_id
+       JOIN users u ON u.id = s.user_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(refreshToken)],
+    );
+
+    const found = rows[0];
+
+    if (!found || found.revoked_at || found.expires_at <= new Date()) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    if (found.used_at) {
+      await revokeSession(client, found.session_id, found.id, "refresh_token_reuse");
+      await client.query("COMMIT");
+      return { reused: true };
+    }
+
+    await client.query(
+      "UPDATE refresh_tokens SET used_at = now() WHERE id = $1",
+      [found.token_id],
+    );
+
+    await client.query(
+      `UPDATE sessions
+       SET last_used_at = now(),
+           user_agent = COALESCE($2, user_agent),
+           ip_address = COALESCE($3, ip_address)
+       WHERE id = $1`,
+      [found.session_id, userAgent || null, ip || null],
+    );
+
+    const nextRefreshToken = await issueRefreshToken(client, found.session_id);
+
+    await client.query("COMMIT");
+
+    return {
+      sessionId: found.session_id,
+      accessToken: signAccessToken(found, found.session_id),
+      refreshToken: nextRefreshToken,
+    };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke one of the user's sessions. Returns false if it does not
+ * exist, belongs to someone else, or is already revoked.
+ */
+export async function revokeSession(client, sessionId, userId, reason = "logout") {
+  const { rowCount } = await client.query(
+    `UPDATE sessions
+     SET revoked_at = now(), revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId, reason],
+  );
+
+  return rowCount > 0;
+}
+
+export async function revokeAllSessions(client, userId, reason) {
+  await client.query(
+    `UPDATE sessions
+     SET revoked_at = now(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason],
+  );
+}
+
+export async function isSessionActive(sessionId, userId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM sessions
+     WHERE id = $1 AND user_id = $2
+       AND revoked_at IS NULL
+       AND expires_at > now()`,
+    [sessionId, userId],
+  );
+
+  return rows.length > 0;
+}
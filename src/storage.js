@@ -0,0 +1,137 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { google } from "googleapis";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/* ======================================================
+   File storage
+
+   Attachment contents live outside the database, behind
+   a backend with these methods:
+
+   put(key, buffer, { contentType })   store (or overwrite) an object
+   get(key)                            a readable stream of it
+   delete(key)                         remove it; missing is fine
+
+   Keys are chosen by the API ("attachments/<sha256>"),
+   never by clients. get() rejects with an error whose
+   `status` is 404 when the object does not exist.
+
+   ATTACHMENT_STORAGE picks the backend:
+
+   filesystem  files under ATTACHMENT_DIR (default
+               ./uploads); works offline
+   gcs         objects in the Google Cloud Storage bucket
+               GCS_BUCKET, with Application Default
+               Credentials (GOOGLE_APPLICATION_CREDENTIALS
+               or the metadata server on Google Cloud)
+====================================================== */
+
+const GCS_SCOPES = ["https://www.googleapis.com/auth/devstorage.read_write"];
+
+function notFound(key) {
+  const err = new Error(`Stored object ${key} not found`);
+  err.status = 404;
+  return err;
+}
+
+function filesystemStorage(dir) {
+  const fileOf = (key) => path.join(dir, key);
+
+  return {
+    async put(key, buffer) {
+      const file = fileOf(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+
+      // Written aside and renamed, so a reader never sees half a file.
+      const partial = `${file}.${crypto.randomUUID()}.partial`;
+      await fs.writeFile(partial, buffer);
+      await fs.rename(partial, file);
+    },
+
+    async get(key) {
+      const file = fileOf(key);
+
+      try {
+        await fs.access(file);
+      } catch {
+        throw notFound(key);
+      }
+
+      return createReadStream(file);
+    },
+
+    async delete(key) {
+      await fs.rm(fileOf(key), { force: true });
+    },
+  };
+}
+
+// Gives every googleapis failure a `status`, as googleCalendar.js does.
+function statusOf(err) {
+  if (err.status) return err.status;
+  if (err.response?.status) return err.response.status;
+  return typeof err.code === "number" ? err.code : undefined;
+}
+
+function gcsStorage(bucket) {
+  if (!bucket) {
+    throw new Error("ATTACHMENT_STORAGE=gcs needs GCS_BUCKET");
+  }
+
+  const gcs = google.storage({
+    version: "v1",
+    auth: new google.auth.GoogleAuth({ scopes: GCS_SCOPES }),
+  });
+
+  return {
+    async put(key, buffer, { contentType } = {}) {
+      await gcs.objects.insert({
+        bucket,
+        name: key,
+        requestBody: { name: key, contentType },
+        media: { mimeType: contentType, body: Readable.from(buffer) },
+      });
+    },
+
+    async get(key) {
+      try {
+        const { data } = await gcs.objects.get(
+          { bucket, object: key, alt: "media" },
+          { responseType: "stream" }
+        );
+        return data;
+      } catch (err) {
+        if (statusOf(err) === 404) throw notFound(key);
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await gcs.objects.delete({ bucket, object: key });
+      } catch (err) {
+        if (statusOf(err) !== 404) throw err;
+      }
+    },
+  };
+}
+
+const BACKENDS = {
+  filesystem: () => filesystemStorage(process.env.ATTACHMENT_DIR || "uploads"),
+  gcs: () => gcsStorage(process.env.GCS_BUCKET),
+};
+
+function createStorage(name) {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown ATTACHMENT_STORAGE "${name}"; use ${Object.keys(BACKENDS).join(", ")}`);
+  }
+  return BACKENDS[name]();
+}
+
+export const storage = createStorage(process.env.ATTACHMENT_STORAGE || "filesystem");
@@ -1,5 +1,9 @@
+import path from "path";
+import { fileURLToPath } from "url";
 import swaggerJSDoc from "swagger-jsdoc";
 
+const routesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "routes");
+
 const options = {
   definition: {
     openapi: "3.0.0",
@@ -16,6 +20,62 @@ const options = {
           bearerFormat: "JWT", // optional, just for display
         },
       },
+      schemas: {
+        ValidationError: {
+          type: "object",
+          properties: {
+            error: { type: "string", example: "Validation failed" },
+            details: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  location: { type: "string", enum: ["body", "params", "query"] },
+                  field: { type: "string", nullable: true, example: "priority" },
+                  message: { type: "string", example: "must be one of: low, medium, high" },
+                },
+              },
+            },
+          },
+        },
+        PlanLimitError: {
+          type: "object",
+          properties: {
+            error: {
+              type: "string",
+              example: "The Free plan allows up to 2 family members. Upgrade the household owner's plan to add more.",
+            },
+            code: { type: "string", example: "plan_limit_reached" },
+            details: {
+              type: "object",
+              properties: {
+                limit: { type: "string", example: "family_members" },
+                plan: { type: "string", example: "free" },
+                max: { type: "integer", example: 2 },
+                used: { type: "integer", example: 2 },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        ValidationFailed: {
+          description: "Request failed validation",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ValidationError" },
+            },
+          },
+        },
+        PlanLimitReached: {
+          description: "The household's plan does not allow this",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/PlanLimitError" },
+            },
+          },
+        },
+      },
     },
     security: [
       {
@@ -29,7 +89,9 @@ const options = {
       },
     ],
   },
-  apis: ["./src/routes/*.js"], // path to your route files for annotations
+  // Resolved from this file rather than the working directory: the spec
+  // also drives request validation (validation.js).
+  apis: [path.join(routesDir, "*.js")], // path to your route files for annotations
 };
 
 const swaggerSpec = swaggerJSDoc(options);
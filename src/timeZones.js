@@ -0,0 +1,87 @@
+/* ======================================================
+   Time zones
+
+   Conversions between instants and wall-clock time in an
+   IANA time zone, for the places that cannot leave them to
+   PostgreSQL (calendar files, Google events). They follow
+   local_to_instant() in migrations/0020: a time skipped
+   when clocks go forward moves forward by the gap, and a
+   time that occurs twice is its first occurrence.
+====================================================== */
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// zone -> Intl.DateTimeFormat; creating one is slow
+const formats = new Map();
+
+function formatIn(zone) {
+  if (!formats.has(zone)) {
+    formats.set(
+      zone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: zone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formats.get(zone);
+}
+
+/**
+ * Whether `zone` is an IANA time zone name, such as Africa/Johannesburg.
+ */
+export function isTimeZone(zone) {
+  if (typeof zone !== "string" || !/^[A-Za-z][A-Za-z0-9_+-]*(\/[A-Za-z0-9_+-]+)*$/.test(zone)) {
+    return false;
+  }
+  try {
+    formatIn(zone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The wall-clock time in `zone` at `instant` (a Date), as
+ * `{ date: "YYYY-MM-DD", time: "HH:MM:SS" }`.
+ */
+export function wallClockAt(instant, zone) {
+  const parts = Object.fromEntries(
+    formatIn(zone)
+      .formatToParts(instant)
+      .map((part) => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`,
+  };
+}
+
+// Milliseconds `zone` is ahead of UTC at the instant `ms`
+function offsetAt(ms, zone) {
+  const { date, time } = wallClockAt(new Date(ms), zone);
+  return Date.parse(`${date}T${time}Z`) - ms;
+}
+
+/**
+ * The instant (a Date) of wall-clock `date` ("YYYY-MM-DD") and `time`
+ * ("HH:MM[:SS]") in `zone`.
+ */
+export function zonedInstant(date, time, zone) {
+  const local = Date.parse(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+  // The offsets either side; time zones change at most once a day.
+  const before = offsetAt(local - DAY_MS, zone);
+  const after = offsetAt(local + DAY_MS, zone);
+
+  const matches = [local - before, local - after].filter((ms) => ms + offsetAt(ms, zone) === local);
+
+  return new Date(matches.length ? Math.min(...matches) : local - before);
+}
@@ -0,0 +1,99 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { queueMail } from "./mailer.js";
+
+dotenv.config();
+
+/* ======================================================
+   Single-use account tokens (email verification, password reset)
+
+   Only a SHA-256 hash of each token is stored; the raw token
+   is sent to the user and never persisted.
+====================================================== */
+
+export const TOKEN_PURPOSES = {
+  EMAIL_VERIFICATION: "email_verification",
+  PASSWORD_RESET: "password_reset",
+};
+
+const TOKEN_TTL_MINUTES = {
+  [TOKEN_PURPOSES.EMAIL_VERIFICATION]: 48 * 60,
+  [TOKEN_PURPOSES.PASSWORD_RESET]: 60,
+};
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Create a new token for the user, invalidating any unused token
+ * previously issued for the same purpose. Returns the raw token.
+ */
+export async function issueToken(client, userId, purpose) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await client.query(
+    `UPDATE user_tokens
+     SET used_at = now()
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  await client.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, now() + make_interval(mins => $4))`,
+    [userId, purpose, hashToken(token), TOKEN_TTL_MINUTES[purpose]]
+  );
+
+  return token;
+}
+
+/**
+ * Atomically mark a token as used. Returns the owning user id, or
+ * null when the token is unknown, expired or already used.
+ */
+export async function consumeToken(client, token, purpose) {
+  if (typeof token !== "string" || !token) return null;
+
+  const { rows } = await client.query(
+    `UPDATE user_tokens
+     SET used_at = now()
+     WHERE token_hash = $1
+       AND purpose = $2
+       AND used_at IS NULL
+       AND expires_at > now()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return rows.length ? rows[0].user_id : null;
+}
+
+/**
+ * Queue the email with a user's verification link, in `locale`.
+ */
+export function sendVerificationEmail(email, token, locale) {
+  return queueMail({
+    to: email,
+    template: "verification",
+    locale,
+    data: {
+      link: `${APP_URL}/verify-email?token=${token}`,
+      hours: TOKEN_TTL_MINUTES[TOKEN_PURPOSES.EMAIL_VERIFICATION] / 60,
+    },
+  });
+}
+
+/**
+ * Queue the email with a user's password reset link, in `locale`.
+ */
+export function sendPasswordResetEmail(email, token, locale) {
+  return queueMail({
+    to: email,
+    template: "password_reset",
+    locale,
+    data: { link: `${APP_URL}/reset-password?token=${token}` },
+  });
+}
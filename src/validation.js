@@ -0,0 +1,222 @@
+import swaggerSpec from "./swagger.js";
+import { ValidationError } from "./errors.js";
+import { isTimeZone } from "./timeZones.js";
+
+/* ======================================================
+   Request validation
+
+   validateRequest looks up the OpenAPI operation documented
+   for the matched route (the @swagger blocks in src/routes)
+   and checks path parameters, query strings and the JSON
+   body against it. Every problem is reported at once as a
+   ValidationError (422), whose `details` look like:
+
+   [
+     { "location": "body", "field": "priority", "message": "must be one of: low, medium, high" }
+   ]
+====================================================== */
+
+const FORMATS = {
+  date: (v) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(v);
+    if (!match) return false;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+  },
+  time: (v) => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(v),
+  "date-time": (v) =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(v) &&
+    !Number.isNaN(Date.parse(v)),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uuid: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+  uri: (v) => {
+    try {
+      return Boolean(new URL(v));
+    } catch {
+      return false;
+    }
+  },
+  // An IANA time zone name, such as Africa/Johannesburg
+  "time-zone": isTimeZone,
+};
+
+function resolve(schema) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    const path = resolved.$ref.replace(/^#\//, "").split("/");
+    resolved = path.reduce((node, key) => node?.[key], swaggerSpec);
+    if (!resolved) throw new Error(`Unresolvable schema reference ${schema.$ref}`);
+  }
+  return resolved || {};
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "integer" || actual === "number";
+  return actual === type;
+}
+
+/**
+ * Validate `value` against an OpenAPI schema, pushing
+ * { location, field, message } entries onto `errors`.
+ */
+export function validateValue(value, schema, errors, location, field = "") {
+  const s = resolve(schema);
+  const fail = (message) => errors.push({ location, field: field || null, message });
+
+  if (value === null) {
+    if (!s.nullable) fail("must not be null");
+    return;
+  }
+
+  if (s.type && !matchesType(value, s.type)) {
+    fail(`must be of type ${s.type}`);
+    return;
+  }
+
+  if (s.enum && !s.enum.includes(value)) {
+    fail(`must be one of: ${s.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (s.minLength !== undefined && value.length < s.minLength) {
+      fail(`must be at least ${s.minLength} characters long`);
+    }
+    if (s.maxLength !== undefined && value.length > s.maxLength) {
+      fail(`must be at most ${s.maxLength} characters long`);
+    }
+    if (s.pattern && !new RegExp(s.pattern).test(value)) {
+      fail(`must match pattern ${s.pattern}`);
+    }
+    if (s.format && FORMATS[s.format] && !FORMATS[s.format](value)) {
+      fail(`must be a valid ${s.format}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (s.minimum !== undefined && value < s.minimum) fail(`must be >= ${s.minimum}`);
+    if (s.maximum !== undefined && value > s.maximum) fail(`must be <= ${s.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (s.minItems !== undefined && value.length < s.minItems) {
+      fail(`must contain at least ${s.minItems} items`);
+    }
+    if (s.maxItems !== undefined && value.length > s.maxItems) {
+      fail(`must contain at most ${s.maxItems} items`);
+    }
+    if (s.items) {
+      value.forEach((item, i) =>
+        validateValue(item, s.items, errors, location, `${field}[${i}]`)
+      );
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    if (s.minProperties !== undefined && Object.keys(value).length < s.minProperties) {
+      fail(`must contain at least ${s.minProperties} field${s.minProperties === 1 ? "" : "s"}`);
+    }
+    if (s.maxProperties !== undefined && Object.keys(value).length > s.maxProperties) {
+      fail(`must contain at most ${s.maxProperties} fields`);
+    }
+    for (const key of s.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ location, field: field ? `${field}.${key}` : key, message: "is required" });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(s.properties || {})) {
+      if (value[key] !== undefined) {
+        validateValue(value[key], propertySchema, errors, location, field ? `${field}.${key}` : key);
+      }
+    }
+    // Maps: every other key is checked against additionalProperties.
+    if (typeof s.additionalProperties === "object") {
+      for (const [key, item] of Object.entries(value)) {
+        if (s.properties?.[key] === undefined) {
+          validateValue(item, s.additionalProperties, errors, location, field ? `${field}.${key}` : key);
+        }
+      }
+    }
+  }
+}
+
+// Path and query values always arrive as strings.
+function coerce(raw, schema) {
+  const s = resolve(schema);
+
+  if (typeof raw !== "string") return raw;
+  if (s.type === "integer" && /^-?\d+$/.test(raw)) return Number(raw);
+  if (s.type === "number" && raw.trim() !== "" && !Number.isNaN(Number(raw))) return Number(raw);
+  if (s.type === "boolean" && (raw === "true" || raw === "false")) return raw === "true";
+  return raw;
+}
+
+function findOperation(req) {
+  const path = `${req.baseUrl}${req.route.path}`.replace(/:(\w+)/g, "{$1}");
+  return swaggerSpec.paths?.[path]?.[req.method.toLowerCase()];
+}
+
+// Where each kind of OpenAPI parameter is read from, and the
+// `location` its errors are reported under.
+const PARAMETER_SOURCES = {
+  path: { location: "params", read: (req, name) => req.params[name] },
+  query: { location: "query", read: (req, name) => req.query[name] },
+  header: { location: "headers", read: (req, name) => req.get(name) },
+};
+
+/**
+ * Validate the request against the OpenAPI operation documented for
+ * the matched route. Must be mounted on the route itself (after
+ * authMiddleware), not with app.use, so req.route is known.
+ */
+export function validateRequest(req, res, next) {
+  const operation = findOperation(req);
+
+  if (!operation) {
+    throw new Error(`No OpenAPI operation documented for ${req.method} ${req.baseUrl}${req.route.path}`);
+  }
+
+  const errors = [];
+
+  for (const parameter of (operation.parameters || []).map(resolve)) {
+    const source = PARAMETER_SOURCES[parameter.in];
+    if (!source) continue;
+
+    const location = source.location;
+    const raw = source.read(req, parameter.name);
+
+    if (raw === undefined) {
+      if (parameter.required) {
+        errors.push({ location, field: parameter.name, message: "is required" });
+      }
+      continue;
+    }
+
+    validateValue(coerce(raw, parameter.schema), parameter.schema, errors, location, parameter.name);
+  }
+
+  const body = operation.requestBody;
+  const bodySchema = body?.content?.["application/json"]?.schema;
+
+  if (bodySchema) {
+    if (req.body === undefined) {
+      if (body.required) {
+        errors.push({ location: "body", field: null, message: "request body is required" });
+      }
+    } else {
+      validateValue(req.body, bodySchema, errors, "body");
+    }
+  }
+
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+
+  next();
+}